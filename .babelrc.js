@@ -1,8 +1,9 @@
 const babelPresetFlowVue = {
   plugins: [
-    require('@babel/plugin-proposal-class-properties'),
     // require('@babel/plugin-syntax-flow'), // not needed, included in transform-flow-strip-types
-    require('@babel/plugin-transform-flow-strip-types')
+    // strip flow first so declared-only class fields are not turned into undefined own properties
+    require('@babel/plugin-transform-flow-strip-types'),
+    require('@babel/plugin-proposal-class-properties')
   ]
 }
 
@@ -9,17 +9,23 @@ declare type CompilerOptions = {
   preserveWhitespace?: boolean; // preserve whitespace between elements? (Deprecated)
   whitespace?: 'preserve' | 'condense'; // whitespace handling strategy
   optimize?: boolean; // optimize static content?
+  patchFlags?: boolean; // emit patch flags and blocks for optimized re-rendering
+  hoistStatic?: boolean; // share static trees and data objects between all instances
+  stringifyStatic?: boolean | number; // stringify static trees with at least this many elements
 
   // web specific
   mustUseProp?: (tag: string, type: ?string, name: string) => boolean; // check if an attribute should be bound as a property
   isPreTag?: (attr: string) => ?boolean; // check if a tag needs to preserve whitespace
   getTagNamespace?: (tag: string) => ?string; // check the namespace for a tag
+  stringifyStaticChildren?: (el: ASTElement, options: CompilerOptions) => boolean; // replace the children of a static element with its innerHTML
   expectHTML?: boolean; // only false for non-web builds
   isFromDOM?: boolean;
   shouldDecodeTags?: boolean;
   shouldDecodeNewlines?:  boolean;
   shouldDecodeNewlinesForHref?: boolean;
   outputSourceRange?: boolean;
+  sourceMap?: boolean; // emit source maps from render functions back to the template (development only)
+  filename?: string; // template file name used in source maps
 
   // runtime user-configurable
   delimiters?: [string, string]; // template delimiters
@@ -27,6 +33,35 @@ declare type CompilerOptions = {
 
   // for ssr optimization compiler
   scopeId?: string;
+
+  // compiler plugins, applied in order after sorting by `enforce`
+  plugins?: Array<CompilerPlugin>;
+};
+
+// a compiler plugin is a compiler module with a name, an optional order,
+// compile-time directives and AST visitors
+declare type CompilerPlugin = {
+  name: string;
+  enforce?: 'pre' | 'post';
+  // compile-time directives; return true if the directive also needs a runtime counterpart
+  directives?: { [key: string]: (el: ASTElement, dir: ASTDirective, warn: Function) => ?boolean };
+  // called on every node after parsing and before optimizing
+  visitor?: {
+    enter?: (node: ASTNode, context: CompilerPluginContext) => void;
+    exit?: (node: ASTNode, context: CompilerPluginContext) => void;
+  };
+  preTransformNode?: (el: ASTElement) => ?ASTElement;
+  transformNode?: (el: ASTElement) => ?ASTElement;
+  postTransformNode?: (el: ASTElement) => void;
+  genData?: (el: ASTElement) => string;
+  transformCode?: (el: ASTElement, code: string) => string;
+  staticKeys?: Array<string>;
+};
+
+declare type CompilerPluginContext = {
+  parent: ?ASTElement;
+  options: CompilerOptions;
+  warn: Function;
 };
 
 declare type WarningMessage = {
@@ -42,6 +77,44 @@ declare type CompiledResult = {
   stringRenderFns?: Array<string>;
   errors?: Array<string | WarningMessage>;
   tips?: Array<string | WarningMessage>;
+  maps?: {
+    render: SourceMap;
+    staticRenderFns: Array<SourceMap>;
+  };
+};
+
+declare type TypeCheckOptions = {
+  component?: string; // module whose default export is the component options or constructor
+  delimiters?: [string, string];
+};
+
+// maps a range of the generated TypeScript code to a range of the template
+declare type TypeCheckMapping = {
+  generatedStart: number;
+  generatedEnd: number;
+  start: number;
+  end: number;
+};
+
+declare type TypeCheckResult = {
+  code: string;
+  mappings: Array<TypeCheckMapping>;
+  errors: Array<string | WarningMessage>;
+};
+
+// the subset of ts.Diagnostic used to map diagnostics back to the template
+declare type TypeScriptDiagnostic = {
+  start?: number;
+  length?: number;
+  messageText: string | Object;
+};
+
+declare type SourceMap = {
+  version: number;
+  sources: Array<string>;
+  sourcesContent: Array<string>;
+  names: Array<string>;
+  mappings: string;
 };
 
 declare type ModuleOptions = {
@@ -109,6 +182,7 @@ declare type ASTElement = {
   end?: number;
 
   processed?: true;
+  fragment?: true;
 
   static?: boolean;
   staticRoot?: boolean;
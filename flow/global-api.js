@@ -10,14 +10,51 @@ declare interface GlobalAPI {
   nextTick: (fn: Function, context?: Object) => void | Promise<*>;
   use: (plugin: Function | Object) => GlobalAPI;
   mixin: (mixin: Object) => GlobalAPI;
-  compile: (template: string) => { render: Function, staticRenderFns: Array<Function> };
+  compile: (template: string, options?: CompilerOptions, vm?: Component) => { render: Function, staticRenderFns: Array<Function> };
+  createRenderer: (options: RendererOptions) => Class<Component>;
 
   directive: (id: string, def?: Function | Object) => Function | Object | void;
   component: (id: string, def?: Class<Component> | Object) => Class<Component>;
   filter: (id: string, def?: Function) => Function | void;
 
   observable: <T>(value: T) => T;
+  reactive: <T: Object>(target: T) => T;
+  shallowReactive: <T: Object>(target: T) => T;
+  readonly: <T: Object>(target: T) => T;
+  shallowReadonly: <T: Object>(target: T) => T;
+  markRaw: <T: Object>(value: T) => T;
+  ref: (value: any) => Object;
+  isRef: (value: any) => boolean;
+  unref: (value: any) => any;
+  computed: (getterOrOptions: Function | Object) => Object;
+  effect: (fn: Function) => Function;
+  watchEffect: (fn: Function) => Function;
+  effectScope: (detached?: boolean) => Object;
+  getCurrentScope: () => ?Object;
+
+  getCurrentInstance: () => ?Component;
+  onBeforeMount: (fn: Function) => void;
+  onMounted: (fn: Function) => void;
+  onBeforeUpdate: (fn: Function) => void;
+  onUpdated: (fn: Function) => void;
+  onBeforeUnmount: (fn: Function) => void;
+  onUnmounted: (fn: Function) => void;
+  onActivated: (fn: Function) => void;
+  onDeactivated: (fn: Function) => void;
+  onErrorCaptured: (fn: Function) => void;
+  onServerPrefetch: (fn: Function) => void;
+  onRenderTracked: (fn: Function) => void;
+  onRenderTriggered: (fn: Function) => void;
 
   // allow dynamic method registration
   [key: string]: any
 };
+
+declare type RendererOptions = {
+  nodeOps: Object;
+  modules?: Array<Object>;
+  mustUseProp?: (tag: string, type: ?string, name: string) => boolean;
+  isReservedTag?: (tag: string) => ?boolean;
+  getTagNamespace?: (tag: string) => ?string;
+  isUnknownElement?: (tag: string) => boolean;
+};
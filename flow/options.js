@@ -24,6 +24,7 @@ declare type ComponentOptions = {
   };
   methods?: { [key: string]: Function };
   watch?: { [key: string]: Function | string };
+  setup?: (props: Object, ctx: Object) => Object | Function | void;
 
   // DOM
   el?: string | Element;
@@ -45,6 +46,8 @@ declare type ComponentOptions = {
   destroyed?: Function;
   errorCaptured?: () => boolean | void;
   serverPrefetch?: Function;
+  renderTracked?: Function;
+  renderTriggered?: Function;
 
   // assets
   directives?: { [key: string]: Object };
@@ -70,6 +73,7 @@ declare type ComponentOptions = {
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  hydrate?: 'idle' | 'visible' | 'interaction' | 'never';
 
   // private
   _isComponent?: true;
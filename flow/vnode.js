@@ -29,6 +29,7 @@ declare type VNodeWithData = {
   parent?: VNodeWithData;
   componentOptions?: VNodeComponentOptions;
   componentInstance?: Component;
+  dynamicProps?: ?Array<string>;
   isRootInsert: boolean;
 };
 
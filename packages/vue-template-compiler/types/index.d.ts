@@ -8,7 +8,13 @@ interface CompilerOptions {
   directives?: Record<string, DirectiveFunction>;
   preserveWhitespace?: boolean;
   whitespace?: 'preserve' | 'condense';
-  outputSourceRange?: any
+  patchFlags?: boolean;
+  hoistStatic?: boolean;
+  stringifyStatic?: boolean | number;
+  outputSourceRange?: any;
+  sourceMap?: boolean;
+  filename?: string;
+  plugins?: CompilerPlugin[];
 }
 
 interface CompilerOptionsWithSourceRange extends CompilerOptions {
@@ -27,6 +33,54 @@ interface CompiledResult<ErrorType> {
   staticRenderFns: string[];
   errors: ErrorType[];
   tips: ErrorType[];
+  maps?: {
+    render: SourceMap;
+    staticRenderFns: SourceMap[];
+  };
+}
+
+interface SourceMap {
+  version: number;
+  sources: string[];
+  sourcesContent: string[];
+  names: string[];
+  mappings: string;
+}
+
+interface TypeCheckOptions {
+  component?: string;
+  delimiters?: [string, string];
+}
+
+interface TypeCheckMapping {
+  generatedStart: number;
+  generatedEnd: number;
+  start: number;
+  end: number;
+}
+
+interface TypeCheckResult {
+  code: string;
+  mappings: TypeCheckMapping[];
+  errors: ErrorWithRange[];
+}
+
+// the subset of ts.Diagnostic used to map diagnostics back to the template
+interface TypeScriptDiagnosticMessageChain {
+  messageText: string;
+  next?: TypeScriptDiagnosticMessageChain[];
+}
+
+interface TypeScriptDiagnostic {
+  start?: number;
+  length?: number;
+  messageText: string | TypeScriptDiagnosticMessageChain;
+}
+
+interface WarningMessage {
+  msg: string;
+  start?: number;
+  end?: number;
 }
 
 interface CompiledResultFunctions {
@@ -45,6 +99,29 @@ interface ModuleOptions {
 
 type DirectiveFunction = (node: ASTElement, directiveMeta: ASTDirective) => void;
 
+interface Range {
+  start?: number;
+  end?: number;
+}
+
+interface CompilerPluginContext {
+  parent: ASTElement | undefined;
+  options: CompilerOptions;
+  warn: (msg: string, range?: Range, tip?: boolean) => void;
+}
+
+interface CompilerPluginVisitor {
+  enter?: (node: ASTNode, context: CompilerPluginContext) => void;
+  exit?: (node: ASTNode, context: CompilerPluginContext) => void;
+}
+
+interface CompilerPlugin extends Partial<ModuleOptions> {
+  name: string;
+  enforce?: 'pre' | 'post';
+  directives?: Record<string, DirectiveFunction>;
+  visitor?: CompilerPluginVisitor;
+}
+
 /*
  * AST Types
  */
@@ -238,11 +315,60 @@ export function ssrCompile(
 
 export function ssrCompileToFunctions(template: string): CompiledResultFunctions;
 
+export function compileToTypeScript(
+  template: string,
+  options?: TypeCheckOptions
+): TypeCheckResult;
+
+export function mapTypeScriptDiagnostics(
+  result: TypeCheckResult,
+  diagnostics: TypeScriptDiagnostic[]
+): WarningMessage[];
+
 export function parseComponent(
   file: string,
   options?: SFCParserOptions
 ): SFCDescriptor;
 
+export const astHelpers: {
+  addAttr(el: ASTElement, name: string, value: any, range?: Range, dynamic?: boolean): void;
+  addProp(el: ASTElement, name: string, value: string, range?: Range, dynamic?: boolean): void;
+  addRawAttr(el: ASTElement, name: string, value: any, range?: Range): void;
+  addDirective(
+    el: ASTElement,
+    name: string,
+    rawName: string,
+    value: string,
+    arg?: string,
+    isDynamicArg?: boolean,
+    modifiers?: ASTModifiers,
+    range?: Range
+  ): void;
+  addHandler(
+    el: ASTElement,
+    name: string,
+    value: string,
+    modifiers?: ASTModifiers,
+    important?: boolean,
+    warn?: Function,
+    range?: Range,
+    dynamic?: boolean
+  ): void;
+  getBindingAttr(el: ASTElement, name: string, getStatic?: boolean): string | undefined;
+  getRawBindingAttr(el: ASTElement, name: string): any;
+  getAndRemoveAttr(el: ASTElement, name: string, removeFromMap?: boolean): string | undefined;
+  getAndRemoveAttrByRegex(el: ASTElement, name: RegExp): any;
+  genAssignmentCode(value: string, assignment: string): string;
+  createASTElement(
+    tag: string,
+    attrs: Array<{ name: string; value: any }>,
+    parent: ASTElement | void
+  ): ASTElement;
+  createASTText(text: string): ASTText;
+  setChildren(el: ASTElement, children: ASTNode[]): void;
+  removeDirective(el: ASTElement, name: string): ASTDirective | undefined;
+};
+
 export function generateCodeFrame(
   template: string,
   start: number,
@@ -5,7 +5,10 @@ import {
   ssrCompile,
   ssrCompileToFunctions,
   parseComponent,
-  generateCodeFrame
+  generateCodeFrame,
+  compileToTypeScript,
+  mapTypeScriptDiagnostics,
+  astHelpers
 } from "./";
 
 // check compile options
@@ -13,6 +16,8 @@ const compiled = compile("<div>hi</div>", {
   outputSourceRange: true,
   preserveWhitespace: false,
   whitespace: 'condense',
+  hoistStatic: true,
+  stringifyStatic: 10,
   modules: [
     {
       preTransformNode: el => el,
@@ -33,6 +38,37 @@ const compiled = compile("<div>hi</div>", {
   }
 });
 
+// with plugins
+compile(`<p v-t="'hello'"></p>`, {
+  plugins: [
+    {
+      name: "i18n",
+      enforce: "pre",
+      visitor: {
+        enter(node, { parent, warn }) {
+          if (node.type !== 1) return;
+          const dir = astHelpers.removeDirective(node, "t");
+          if (dir) {
+            astHelpers.setChildren(node, [astHelpers.createASTText(dir.value)]);
+          } else if (parent && astHelpers.getAndRemoveAttr(node, "i18n") != null) {
+            warn("unsupported", dir);
+          }
+        },
+        exit(node) {
+          node.type;
+        }
+      },
+      directives: {
+        t: (node, directiveMeta) => {
+          node.tag;
+        }
+      },
+      genData: el => "",
+      staticKeys: ["i18n"]
+    }
+  ]
+});
+
 // can be passed to function constructor
 new Function(compiled.render);
 compiled.staticRenderFns.map(fn => new Function(fn));
@@ -61,6 +97,16 @@ errors3.forEach(e => {
   console.log(e.length)
 })
 
+// with sourceMap: true
+const { maps } = compile(`<div>{{ msg }}</div>`, {
+  sourceMap: true,
+  filename: "App.vue"
+})
+const mappings: string = maps!.render.mappings
+maps!.staticRenderFns.forEach(map => {
+  console.log(map.sources[0])
+})
+
 const compiledFns = compileToFunctions("<div>hi</div>");
 
 // can be passed to component render / staticRenderFns options
@@ -88,3 +134,17 @@ const scriptContent: string = desc.script!.content;
 const styleContent: string = desc.styles.map(s => s.content).join("\n");
 
 const codeframe: string = generateCodeFrame(`foobar`, 0, 4)
+
+// check template type-checking
+const typeCheck = compileToTypeScript(`<div>{{ msg }}</div>`, {
+  component: "./App.vue.ts"
+});
+const virtualCode: string = typeCheck.code;
+typeCheck.mappings.forEach(m => m.generatedStart - m.start);
+mapTypeScriptDiagnostics(typeCheck, [
+  { start: 0, length: 1, messageText: { messageText: "error", next: [] } }
+]).forEach(({ msg, start, end }) => {
+  if (start !== undefined && end !== undefined) {
+    generateCodeFrame(`<div>{{ msg }}</div>`, start, end);
+  }
+});
@@ -0,0 +1,66 @@
+import Vue, { Component, VueConstructor } from 'vue';
+
+export declare class TestElement {
+  nodeType: 1;
+  tag: string;
+  ns?: string;
+  attrs: { [key: string]: any };
+  props: { [key: string]: any };
+  style: { [key: string]: string };
+  listeners: { [event: string]: Function[] };
+  parentNode: TestElement | null;
+  children: TestNode[];
+  value: any;
+  checked: boolean;
+  toJSON(): TestElementJSON;
+}
+
+export declare class TestText {
+  nodeType: 3;
+  text: string;
+  parentNode: TestElement | null;
+  toJSON(): { type: 'text', text: string };
+}
+
+export declare class TestComment {
+  nodeType: 8;
+  text: string;
+  parentNode: TestElement | null;
+  toJSON(): { type: 'comment', text: string };
+}
+
+export type TestNode = TestElement | TestText | TestComment;
+
+export interface TestElementJSON {
+  type: 'element';
+  tag: string;
+  attrs: { [key: string]: any };
+  props?: { [key: string]: any };
+  style?: { [key: string]: string };
+  children: TestNodeJSON[];
+}
+
+export type TestNodeJSON = TestElementJSON | { type: 'text' | 'comment', text: string };
+
+export interface MountOptions {
+  props?: object;
+  listeners?: { [event: string]: Function | Function[] };
+  scopedSlots?: { [name: string]: (props: any) => any };
+}
+
+export declare const TestRenderer: VueConstructor;
+
+export declare function mount(component: Component, options?: MountOptions): Vue;
+
+export declare function toJSON(target: Vue | TestNode): TestNodeJSON | TestNodeJSON[];
+
+export declare function serialize(target: Vue | TestNode): string;
+
+export declare const snapshotSerializer: {
+  test(value: any): boolean;
+  print(value: any): string;
+};
+
+export declare function trigger(node: TestNode, type: string, init?: object): object;
+
+export declare function flushUpdates(): void;
@@ -9,6 +9,7 @@ module.exports = {
   shared: resolve('src/shared'),
   web: resolve('src/platforms/web'),
   weex: resolve('src/platforms/weex'),
+  'test-renderer': resolve('src/platforms/test-renderer'),
   server: resolve('src/server'),
   sfc: resolve('src/sfc')
 }
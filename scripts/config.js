@@ -188,6 +188,21 @@ const builds = {
     format: 'cjs',
     external: Object.keys(require('../packages/vue-server-renderer/package.json').dependencies)
   },
+  // Test renderer (CommonJS). Renders to in-memory node trees.
+  'test-renderer-dev': {
+    entry: resolve('test-renderer/entry-runtime.js'),
+    dest: resolve('packages/vue-test-renderer/build.dev.js'),
+    format: 'cjs',
+    env: 'development',
+    external: Object.keys(require('../packages/vue-test-renderer/package.json').dependencies)
+  },
+  'test-renderer-prod': {
+    entry: resolve('test-renderer/entry-runtime.js'),
+    dest: resolve('packages/vue-test-renderer/build.prod.js'),
+    format: 'cjs',
+    env: 'production',
+    external: Object.keys(require('../packages/vue-test-renderer/package.json').dependencies)
+  },
   // Weex runtime factory
   'weex-factory': {
     weex: true,
@@ -43,6 +43,15 @@ if [[ $REPLY =~ ^[Yy]$ ]]; then
   fi
   )
 
+  ( cd packages/vue-test-renderer
+  npm version "$VERSION"
+  if [[ -z $RELEASE_TAG ]]; then
+    npm publish
+  else
+    npm publish --tag "$RELEASE_TAG"
+  fi
+  )
+
   cd packages/vue-server-renderer
   npm version "$VERSION"
   if [[ -z $RELEASE_TAG ]]; then
@@ -62,7 +71,9 @@ if [[ $REPLY =~ ^[Yy]$ ]]; then
     packages/vue-server-renderer/server-plugin.js \
     packages/vue-server-renderer/client-plugin.js \
     packages/vue-template-compiler/build.js \
-    packages/vue-template-compiler/browser.js
+    packages/vue-template-compiler/browser.js \
+    packages/vue-test-renderer/build.dev.js \
+    packages/vue-test-renderer/build.prod.js
   git commit -m "build: build $VERSION"
   # generate release note
   npm run release:note
@@ -0,0 +1,65 @@
+/* @flow */
+
+/**
+ * 供编译插件操作 AST 的函数，在 vue-template-compiler 中导出为 astHelpers。
+ * 内置模块和指令使用的是同一组函数，所以插件生成的 AST 与模板直接解析得到的一致。
+ */
+
+import { dirRE } from './parser/index'
+
+export {
+  addAttr,
+  addProp,
+  addRawAttr,
+  addDirective,
+  addHandler,
+  getBindingAttr,
+  getRawBindingAttr,
+  getAndRemoveAttr,
+  getAndRemoveAttrByRegex
+} from './helpers'
+export { genAssignmentCode } from './directives/model'
+export { createASTElement } from './parser/index'
+
+export function createASTText (text: string): ASTText {
+  return { type: 3, text }
+}
+
+/**
+ * 替换元素的子节点，并设置子元素的 parent。
+ */
+export function setChildren (el: ASTElement, children: Array<ASTNode>) {
+  children.forEach(child => {
+    if (child.type === 1) child.parent = el
+  })
+  el.children = children
+}
+
+/**
+ * 移除元素上的指令并返回它，同时移除对应的属性。如果元素上没有其他绑定，
+ * 优化器之后可以把它标记为静态节点。
+ */
+export function removeDirective (el: ASTElement, name: string): ?ASTDirective {
+  const dirs = el.directives
+  if (!dirs) return
+  for (let i = 0; i < dirs.length; i++) {
+    const dir = dirs[i]
+    if (dir.name === name) {
+      const rawName = dir.rawName
+      dirs.splice(i, 1)
+      if (!dirs.length) {
+        delete el.directives
+      }
+      delete el.attrsMap[rawName]
+      if (el.rawAttrsMap) {
+        delete el.rawAttrsMap[rawName]
+      }
+      el.attrsList = el.attrsList.filter(attr => attr.name !== rawName)
+      // 与 processAttrs 一致，只有 attrsList 中的指令会标记 hasBindings
+      if (!el.attrsList.some(attr => dirRE.test(attr.name))) {
+        delete el.hasBindings
+      }
+      return dir
+    }
+  }
+}
@@ -5,6 +5,8 @@ import baseDirectives from '../directives/index'
 import { camelize, no, extend } from 'shared/util'
 import { baseWarn, pluckModuleFunction } from '../helpers'
 import { emptySlotScopeToken } from '../parser/index'
+import { PATCH_FLAGS } from 'shared/constants'
+import { genSourceMarker } from '../source-map'
 
 type TransformFunction = (el: ASTElement, code: string) => string;
 type DataGenFunction = (el: ASTElement) => string;
@@ -22,8 +24,28 @@ type DirectiveFunction = (el: ASTElement, dir: ASTDirective, warn: Function) =>
  * @property {number} onceId - 一次性 ID，用于生成一次性元素的 key。
  * @property {Array<string>} staticRenderFns - 静态渲染函数数组。
  * @property {boolean} pre - 是否在 pre 标签内。
+ * @property {boolean} inBlock - 是否在收集动态节点的 block 内（开启 patchFlags 时）。
+ * @property {boolean} sourceMap - 是否在生成的代码中插入模板位置标记，用于生成 source map。
+ * @property {boolean} inHoisted - 是否在提升的静态树内（开启 hoistStatic 时）。
+ * @property {Object} hoisted - 已提升的静态数据对象的代码到 staticRenderFns 下标的映射。
+ * @property {Function} hoist - 提升静态数据对象的函数，供平台模块的 genData 使用。
  */
 export class CodegenState {
+  options: CompilerOptions;
+  warn: Function;
+  transforms: Array<TransformFunction>;
+  dataGenFns: Array<DataGenFunction>;
+  directives: { [key: string]: DirectiveFunction };
+  maybeComponent: (el: ASTElement) => boolean;
+  onceId: number;
+  staticRenderFns: Array<string>;
+  pre: boolean;
+  inBlock: boolean;
+  sourceMap: boolean;
+  inHoisted: boolean;
+  hoisted: { [code: string]: number };
+  hoist: (code: string) => string;
+
   constructor (options: CompilerOptions) {
     // 初始化编译选项
     this.options = options
@@ -44,6 +66,17 @@ export class CodegenState {
     this.staticRenderFns = []
     // 初始化是否在 pre 标签内的标志
     this.pre = false
+    // 初始化是否在 block 内的标志
+    this.inBlock = false
+    // 初始化是否生成 source map 的标志
+    this.sourceMap = !!options.sourceMap
+    // 初始化是否在提升的静态树内的标志
+    this.inHoisted = false
+    // 初始化已提升的静态数据对象
+    // $flow-disable-line
+    this.hoisted = Object.create(null)
+    // 初始化提升静态数据对象的函数
+    this.hoist = (code: string) => genHoisted(code, this)
   }
 }
 
@@ -103,6 +136,15 @@ export function genElement (el: ASTElement, state: CodegenState): string {
     return genSlot(el, state)
   } else {
     let code
+    const inBlock = state.inBlock
+    // 结构稳定的元素作为 block 根节点，在其子树中收集动态节点
+    const isBlock = !inBlock && isBlockRoot(el, state)
+    // 组件的子节点和作用域插槽在组件内部渲染，不属于当前 block
+    if (state.maybeComponent(el)) {
+      state.inBlock = false
+    } else if (isBlock) {
+      state.inBlock = true
+    }
     // 如果元素是一个组件，则生成组件的代码
     if (el.component) {
       code = genComponent(el.component, el, state)
@@ -122,12 +164,98 @@ export function genElement (el: ASTElement, state: CodegenState): string {
         children ? `,${children}` : '' // children
       })`
     }
+    state.inBlock = inBlock
     // 对生成的代码进行模块转换
     for (let i = 0; i < state.transforms.length; i++) {
       code = state.transforms[i](el, code)
     }
-    return code
+    if (isBlock) {
+      code = `(_y(),_z(${code},${genBlockId(code)},${genPatchFlag(el, state) || '0'}))`
+    } else if (inBlock) {
+      const patchFlag = genPatchFlag(el, state)
+      if (patchFlag) {
+        code = `_x(${code},${patchFlag})`
+      }
+    }
+    return genSourceMarker(state, el) + code
+  }
+}
+
+/**
+ * 由 block 根节点生成的代码计算 block 的 id。同一份模板每次编译得到相同的 id；
+ * 子树改变后（例如热重载）id 随之改变，不会与旧的 block 按动态节点一一更新。
+ * @param {string} code - block 根节点的代码。
+ * @returns {number}
+ */
+function genBlockId (code: string): number {
+  let hash = 5381
+  for (let i = 0; i < code.length; i++) {
+    hash = ((hash << 5) + hash + code.charCodeAt(i)) | 0
   }
+  return hash >>> 0
+}
+
+/**
+ * 判断元素能否作为 block 根节点：开启了 patchFlags，元素本身不是静态的或 v-once，
+ * 并且子树结构不会变化，也就是不包含 v-if、v-for、<slot> 和 <template>。
+ * 组件的内容在组件内部渲染，不影响当前子树的结构。
+ * @param {ASTElement} el - AST 元素。
+ * @param {CodegenState} state - 代码生成状态。
+ * @returns {boolean}
+ */
+function isBlockRoot (el: ASTElement, state: CodegenState): boolean {
+  return !!state.options.patchFlags &&
+    !el.static &&
+    !el.once &&
+    !state.maybeComponent(el) &&
+    hasStableStructure(el, state)
+}
+
+function hasStableStructure (el: ASTElement, state: CodegenState): boolean {
+  return el.children.every(child => child.type !== 1 || (
+    !child.if &&
+    !child.for &&
+    child.tag !== 'slot' &&
+    child.tag !== 'template' &&
+    (state.maybeComponent(child) || !!child.staticRoot || hasStableStructure(child, state))
+  ))
+}
+
+/**
+ * 生成元素的 patch 标记，以及 PROPS 标记对应的动态属性名列表。
+ * 元素没有任何动态绑定时返回空字符串。
+ * @param {ASTElement} el - AST 元素。
+ * @param {CodegenState} state - 代码生成状态。
+ * @returns {string} 返回 `_x`/`_z` 的标记参数。
+ */
+function genPatchFlag (el: ASTElement, state: CodegenState): string {
+  if (state.maybeComponent(el)) {
+    return String(PATCH_FLAGS.COMPONENT)
+  }
+  // v-bind 对象和动态参数的绑定在编译时无法确定具体的 key
+  if (el.dynamicAttrs || el.wrapData) {
+    return String(PATCH_FLAGS.FULL_PROPS)
+  }
+  let flag = 0
+  if (el.classBinding) flag |= PATCH_FLAGS.CLASS
+  if (el.styleBinding) flag |= PATCH_FLAGS.STYLE
+  const dynamicProps = (el.attrs || []).concat(el.props || [])
+    .filter(prop => !isLiteralValue(prop.value))
+    .map(prop => JSON.stringify(prop.name))
+  if (dynamicProps.length) flag |= PATCH_FLAGS.PROPS
+  if (el.events || el.nativeEvents || el.wrapListeners) flag |= PATCH_FLAGS.EVENTS
+  if (el.key || el.ref || el.directives) flag |= PATCH_FLAGS.NEED_PATCH
+  if (!flag) {
+    return ''
+  }
+  return dynamicProps.length ? `${flag},[${dynamicProps.join(',')}]` : String(flag)
+}
+
+// 普通属性编译为字符串字面量，v-bind 的值是表达式
+const literalRE = /^"(?:[^"\\]|\\.)*"$/
+
+function isLiteralValue (value: string): boolean {
+  return value === 'true' || literalRE.test(value)
 }
 
 /**
@@ -145,18 +273,66 @@ function genStatic (el: ASTElement, state: CodegenState): string {
   if (el.pre) {
     state.pre = el.pre
   }
+  // 静态树只渲染一次，其中的节点不能计入外层的 block
+  const originalInBlock = state.inBlock
+  state.inBlock = false
+  // 开启 hoistStatic 时，不在 v-for 中的静态树由所有实例共享
+  const hoisted = !!state.options.hoistStatic && !!el.staticRoot && !el.staticInFor
+  const originalInHoisted = state.inHoisted
+  state.inHoisted = state.inHoisted || hoisted
   // 生成元素的代码，并添加到静态渲染函数列表中
   state.staticRenderFns.push(`with(this){return ${genElement(el, state)}}`)
   // 恢复原来的 pre 状态
   state.pre = originalPreState
+  state.inBlock = originalInBlock
+  state.inHoisted = originalInHoisted
   // 返回生成的代码，其中包含静态渲染函数的索引和是否在 v-for 指令内部的信息
   return `_m(${
     state.staticRenderFns.length - 1
   }${
-    el.staticInFor ? ',true' : ''
+    el.staticInFor ? ',true' : hoisted ? ',false,true' : ''
   })`
 }
 
+/**
+ * 开启 hoistStatic 时，将静态的数据对象（例如静态的 attrs 和 staticStyle）提升到
+ * staticRenderFns 中，运行时只创建一次并由所有实例共享。相同的对象只提升一次。
+ * 在提升的静态树内没有必要再单独提升。
+ * @param {string} code - 对象字面量的代码，不能引用实例上的属性。
+ * @param {CodegenState} state - 代码生成状态。
+ * @returns {string} 返回读取提升对象的代码，没有提升时返回原代码。
+ */
+export function genHoisted (code: string, state: CodegenState): string {
+  if (!state.options.hoistStatic || state.inHoisted) {
+    return code
+  }
+  let index = state.hoisted[code]
+  if (index === undefined) {
+    index = state.hoisted[code] = state.staticRenderFns.length
+    state.staticRenderFns.push(`return ${code}`)
+  }
+  return `_w(${index})`
+}
+
+/**
+ * 判断元素的 attrs 或 domProps 能否作为共享的静态对象：所有值都是字面量，
+ * 并且运行时不会修改这个对象。v-bind 对象和动态参数会合并到 attrs 中，
+ * 组件的 attrs 会被提取为 props，插槽内容的 slot 属性会在解析插槽时被删除。
+ * @param {ASTElement} el - AST 元素。
+ * @param {Array<ASTAttr>} props - 元素的 attrs 或 props。
+ * @param {CodegenState} state - 代码生成状态。
+ * @returns {boolean}
+ */
+function isHoistableProps (el: ASTElement, props: Array<ASTAttr>, state: CodegenState): boolean {
+  return !!state.options.hoistStatic &&
+    !state.inHoisted &&
+    !el.wrapData &&
+    !el.dynamicAttrs &&
+    !el.slotTarget &&
+    !state.maybeComponent(el) &&
+    props.every(prop => !prop.dynamic && isLiteralValue(prop.value))
+}
+
 // v-once
 function genOnce (el: ASTElement, state: CodegenState): string {
   el.onceProcessed = true
@@ -207,8 +383,10 @@ function genIfConditions (
 
   const condition = conditions.shift()
   if (condition.exp) {
-    return `(${condition.exp})?${
-      genTernaryExp(condition.block)
+    const { exp, block } = condition
+    const marker = genSourceMarker(state, block.rawAttrsMap['v-if'] || block.rawAttrsMap['v-else-if'])
+    return `(${marker}${exp})?${
+      genTernaryExp(block)
     }:${
       genIfConditions(conditions, state, altGen, altEmpty)
     }`
@@ -266,7 +444,7 @@ export function genFor (
   // 标记该元素已经处理过 v-for 指令，避免递归
   el.forProcessed = true
   // 返回生成的代码，其中包含 v-for 指令的表达式、别名和迭代器，以及元素的代码
-  return `${altHelper || '_l'}((${exp}),` +
+  return `${altHelper || '_l'}((${genSourceMarker(state, el.rawAttrsMap['v-for'])}${exp}),` +
     `function(${alias}${iterator1}${iterator2}){` +
       `return ${(altGen || genElement)(el, state)}` +
     '})'
@@ -301,22 +479,26 @@ export function genData (el: ASTElement, state: CodegenState): string {
   }
   // module data generation functions
   for (let i = 0; i < state.dataGenFns.length; i++) {
-    data += state.dataGenFns[i](el)
+    data += state.dataGenFns[i](el, state)
   }
   // attributes
   if (el.attrs) {
-    data += `attrs:${genProps(el.attrs)},`
+    data += `attrs:${isHoistableProps(el, el.attrs, state)
+      ? genHoisted(genProps(el.attrs), state)
+      : genProps(el.attrs, state)},`
   }
   // DOM props
   if (el.props) {
-    data += `domProps:${genProps(el.props)},`
+    data += `domProps:${isHoistableProps(el, el.props, state)
+      ? genHoisted(genProps(el.props), state)
+      : genProps(el.props, state)},`
   }
   // event handlers
   if (el.events) {
-    data += `${genHandlers(el.events, false)},`
+    data += `${genHandlers(el.events, false, state)},`
   }
   if (el.nativeEvents) {
-    data += `${genHandlers(el.nativeEvents, true)},`
+    data += `${genHandlers(el.nativeEvents, true, state)},`
   }
   // slot target
   // only for non-scoped slots
@@ -349,7 +531,7 @@ export function genData (el: ASTElement, state: CodegenState): string {
   // v-bind with dynamic arguments must be applied using the same v-bind object
   // merge helper so that class/style/mustUseProp attrs are handled correctly.
   if (el.dynamicAttrs) {
-    data = `_b(${data},"${el.tag}",${genProps(el.dynamicAttrs)})`
+    data = `_b(${data},"${el.tag}",${genProps(el.dynamicAttrs, state)})`
   }
   // v-bind data wrap
   if (el.wrapData) {
@@ -380,7 +562,7 @@ function genDirectives (el: ASTElement, state: CodegenState): string | void {
     if (needRuntime) {
       hasRuntime = true
       res += `{name:"${dir.name}",rawName:"${dir.rawName}"${
-        dir.value ? `,value:(${dir.value}),expression:${JSON.stringify(dir.value)}` : ''
+        dir.value ? `,value:(${genSourceMarker(state, dir)}${dir.value}),expression:${JSON.stringify(dir.value)}` : ''
       }${
         dir.arg ? `,arg:${dir.isDynamicArg ? dir.arg : `"${dir.arg}"`}` : ''
       }${
@@ -583,14 +765,16 @@ function genNode (node: ASTNode, state: CodegenState): string {
     return genElement(node, state)
   } else if (node.type === 3 && node.isComment) {
     return genComment(node)
+  } else if (node.type === 2 && state.inBlock) {
+    return `_x(${genText(node, state)},${PATCH_FLAGS.TEXT})`
   } else {
-    return genText(node)
+    return genText(node, state)
   }
 }
 
-export function genText (text: ASTText | ASTExpression): string {
+export function genText (text: ASTText | ASTExpression, state?: CodegenState): string {
   return `_v(${text.type === 2
-    ? text.expression // no need for () because already wrapped in _s()
+    ? (state ? genSourceMarker(state, text) : '') + text.expression // no need for () because already wrapped in _s()
     : transformSpecialNewlines(JSON.stringify(text.text))
   })`
 }
@@ -636,14 +820,14 @@ function genComponent (
   })`
 }
 
-function genProps (props: Array<ASTAttr>): string {
+function genProps (props: Array<ASTAttr>, state?: CodegenState): string {
   let staticProps = ``
   let dynamicProps = ``
   for (let i = 0; i < props.length; i++) {
     const prop = props[i]
-    const value = __WEEX__
+    const value = (state ? genSourceMarker(state, prop) : '') + (__WEEX__
       ? generateValue(prop.value)
-      : transformSpecialNewlines(prop.value)
+      : transformSpecialNewlines(prop.value))
     if (prop.dynamic) {
       dynamicProps += `${prop.name},${value},`
     } else {
@@ -3,6 +3,8 @@
 import { extend } from 'shared/util'
 import { detectErrors } from './error-detector'
 import { createCompileToFunctionFn } from './to-function'
+import { generateSourceMap } from './source-map'
+import { sortPlugins, applyPlugins } from './plugins'
 
 /**
  * 创建编译器创建函数。
@@ -39,14 +41,13 @@ export function createCompilerCreator (baseCompile: Function): Function {
       let warn = (msg, range, tip) => {
         (tip ? tips : errors).push(msg)
       }
+      // 计算模板前导空白长度，模板会被 trim，记录的位置需要加上它
+      const leadingSpaceLength = template.search(/\S|$/)
 
       // 如果编译选项存在，处理编译选项
       if (options) {
         // 如果在非生产环境且开启了输出源范围选项，重定义警告函数，添加源范围信息
         if (process.env.NODE_ENV !== 'production' && options.outputSourceRange) {
-          // 计算模板前导空白长度
-          const leadingSpaceLength = template.match(/^\s*/)[0].length
-
           warn = (msg, range, tip) => {
             const data: WarningMessage = { msg }
             if (range) {
@@ -74,10 +75,18 @@ export function createCompilerCreator (baseCompile: Function): Function {
         }
         // 复制其他选项
         for (const key in options) {
-          if (key !== 'modules' && key !== 'directives') {
+          if (key !== 'modules' && key !== 'directives' && key !== 'plugins') {
             finalOptions[key] = options[key]
           }
         }
+        // 合并编译插件的模块钩子和指令
+        if (options.plugins) {
+          applyPlugins(finalOptions, sortPlugins(options.plugins), baseOptions, options)
+        }
+        // source map 依赖解析器记录的位置
+        if (options.sourceMap) {
+          finalOptions.outputSourceRange = true
+        }
       }
 
       // 设置最终编译选项的警告函数
@@ -92,6 +101,20 @@ export function createCompilerCreator (baseCompile: Function): Function {
       // 设置编译结果的错误和提示
       compiled.errors = errors
       compiled.tips = tips
+      // 移除代码生成时插入的位置标记，生成渲染函数对应的 source map
+      if (finalOptions.sourceMap) {
+        const { filename } = finalOptions
+        const render = generateSourceMap(compiled.render, template, leadingSpaceLength, filename)
+        const staticRenderFns = compiled.staticRenderFns.map(code => {
+          return generateSourceMap(code, template, leadingSpaceLength, filename)
+        })
+        compiled.render = render.code
+        compiled.staticRenderFns = staticRenderFns.map(res => res.code)
+        compiled.maps = {
+          render: render.map,
+          staticRenderFns: staticRenderFns.map(res => res.map)
+        }
+      }
       // 返回编译结果
       return compiled
     }
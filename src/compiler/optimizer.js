@@ -4,6 +4,11 @@ import { makeMap, isBuiltInTag, cached, no } from 'shared/util'
 
 let isStaticKey
 let isPlatformReservedTag
+let hoistStatic
+let stringifyStatic
+
+// default minimum number of elements for a static tree to be stringified
+const DEFAULT_STRINGIFY_THRESHOLD = 20
 
 const genStaticKeysCached = cached(genStaticKeys)
 
@@ -16,12 +21,16 @@ const genStaticKeysCached = cached(genStaticKeys)
  *
  * 1. Hoist them into constants, so that we no longer need to
  *    create fresh nodes for them on each re-render;
- * 2. Completely skip them in the patching process.
+ * 2. Completely skip them in the patching process;
+ * 3. Optionally stringify large ones, so that the platform can
+ *    create their content in one go (e.g. via innerHTML on the web).
  */
 export function optimize (root: ?ASTElement, options: CompilerOptions) {
   if (!root) return
   isStaticKey = genStaticKeysCached(options.staticKeys || '')
   isPlatformReservedTag = options.isReservedTag || no
+  hoistStatic = !!options.hoistStatic
+  stringifyStatic = genStringifyStatic(options)
   // first pass: mark all non-static nodes.
   markStatic(root)
   // second pass: mark static roots.
@@ -30,11 +39,31 @@ export function optimize (root: ?ASTElement, options: CompilerOptions) {
 
 function genStaticKeys (keys: string): Function {
   return makeMap(
-    'type,tag,attrsList,attrsMap,plain,parent,children,attrs,start,end,rawAttrsMap' +
+    'type,tag,attrsList,attrsMap,plain,parent,children,attrs,start,end,rawAttrsMap,ns' +
     (keys ? ',' + keys : '')
   )
 }
 
+function genStringifyStatic (options: CompilerOptions): ?(el: ASTElement) => boolean {
+  const stringify = options.stringifyStaticChildren
+  const threshold = options.stringifyStatic === true
+    ? DEFAULT_STRINGIFY_THRESHOLD
+    : options.stringifyStatic
+  if (!stringify || !threshold) return
+  return el => countElements(el) >= threshold && stringify(el, options)
+}
+
+function countElements (el: ASTElement): number {
+  let count = 0
+  for (let i = 0, l = el.children.length; i < l; i++) {
+    const child = el.children[i]
+    if (child.type === 1) {
+      count += 1 + countElements(child)
+    }
+  }
+  return count
+}
+
 function markStatic (node: ASTNode) {
   node.static = isStatic(node)
   if (node.type === 1) {
@@ -75,11 +104,16 @@ function markStaticRoots (node: ASTNode, isInFor: boolean) {
     // For a node to qualify as a static root, it should have children that
     // are not just static text. Otherwise the cost of hoisting out will
     // outweigh the benefits and it's better off to just always render it fresh.
-    if (node.static && node.children.length && !(
+    // With hoistStatic, static trees outside v-for are created once and shared
+    // by all instances, so every static element is worth hoisting.
+    if (node.static && ((hoistStatic && !isInFor) || (node.children.length && !(
       node.children.length === 1 &&
       node.children[0].type === 3
-    )) {
+    )))) {
       node.staticRoot = true
+      if (stringifyStatic) {
+        stringifyStatic(node)
+      }
       return
     } else {
       node.staticRoot = false
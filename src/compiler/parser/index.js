@@ -5,6 +5,7 @@ import { parseHTML } from './html-parser'
 import { parseText } from './text-parser'
 import { parseFilters } from './filter-parser'
 import { genAssignmentCode } from '../directives/model'
+import { visitAST } from '../plugins'
 import { extend, cached, no, camelize, hyphenate } from 'shared/util'
 import { isIE, isEdge, isServerRendering } from 'core/util/env'
 
@@ -144,47 +145,42 @@ export function parse (
     if (!inVPre && !element.processed) {
       element = processElement(element, options)
     }
+    let parent = currentParent
     // 如果栈为空并且元素不是根元素
     if (!stack.length && element !== root) {
       // 如果根元素有 v-if 指令，并且元素有 v-elseif 或 v-else 指令
-      if (root.if && (element.elseif || element.else)) {
-        // 检查根元素的约束
-        if (process.env.NODE_ENV !== 'production') {
-          checkRootConstraints(element)
-        }
+      if (!root.fragment && root.if && (element.elseif || element.else)) {
         // 添加 if 条件
         addIfCondition(root, {
           exp: element.elseif,
           block: element
         })
-      } else if (process.env.NODE_ENV !== 'production') {
-        // 打印警告信息
-        warnOnce(
-          `Component template should contain exactly one root element. ` +
-          `If you are using v-if on multiple elements, ` +
-          `use v-else-if to chain them instead.`,
-          { start: element.start }
-        )
+      } else {
+        // 多个根元素：用片段包裹，之后的根元素作为片段的子元素处理
+        if (!root.fragment) {
+          root = createFragmentRoot(root)
+        }
+        parent = root
       }
     }
-    // 如果有当前父元素并且元素不是禁止的
-    if (currentParent && !element.forbidden) {
+    // 如果有父元素并且元素不是禁止的
+    if (parent && !element.forbidden) {
       // 如果元素有 v-elseif 或 v-else 指令
       if (element.elseif || element.else) {
         // 处理 if 条件
-        processIfConditions(element, currentParent)
+        processIfConditions(element, parent)
       } else {
         // 如果元素有作用域插槽
         if (element.slotScope) {
           // 获取插槽的名称
           const name = element.slotTarget || '"default"'
           // 将元素添加到父元素的作用域插槽中
-          ;(currentParent.scopedSlots || (currentParent.scopedSlots = {}))[name] = element
+          ;(parent.scopedSlots || (parent.scopedSlots = {}))[name] = element
         }
         // 将元素添加到父元素的子元素列表中
-        currentParent.children.push(element)
+        parent.children.push(element)
         // 设置元素的父元素
-        element.parent = currentParent
+        element.parent = parent
       }
     }
     // 清理元素的子元素列表，过滤出没有作用域插槽的子元素
@@ -227,21 +223,21 @@ export function parse (
     }
   }
 
-  function checkRootConstraints (el) {
-    if (el.tag === 'slot' || el.tag === 'template') {
-      warnOnce(
-        `Cannot use <${el.tag}> as component root element because it may ` +
-        'contain multiple nodes.',
-        { start: el.start }
-      )
-    }
-    if (el.attrsMap.hasOwnProperty('v-for')) {
-      warnOnce(
-        'Cannot use v-for on stateful component root element because ' +
-        'it renders multiple elements.',
-        el.rawAttrsMap['v-for']
-      )
+  /**
+   * 创建包裹多个根元素的片段根节点，生成的渲染函数返回节点数组。
+   *
+   * @param {ASTElement} first - 第一个根元素。
+   * @return {ASTElement} 返回片段根节点。
+   */
+  function createFragmentRoot (first) {
+    const fragment = createASTElement('template', [], undefined)
+    fragment.fragment = true
+    fragment.children.push(first)
+    first.parent = fragment
+    if (process.env.NODE_ENV !== 'production' && options.outputSourceRange) {
+      fragment.start = first.start
     }
+    return fragment
   }
 
   parseHTML(template, {
@@ -332,12 +328,8 @@ export function parse (
       if (!root) {
         // 如果还没有根元素，则设置当前元素为根元素
         root = element
-        if (process.env.NODE_ENV !== 'production') {
-          // 在非生产环境下，检查根元素的约束
-          checkRootConstraints(root)
-        }
       }
-      
+
       if (!unary) {
         // 如果标签不是自闭合标签，则将当前元素设置为当前父节点，并将其添加到堆栈中
         currentParent = element
@@ -447,6 +439,10 @@ export function parse (
       }
     }
   })
+  // 解析完成后按顺序执行编译插件的 AST 访问器
+  if (root && options.plugins) {
+    visitAST(root, options.plugins, options)
+  }
   return root
 }
 
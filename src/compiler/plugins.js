@@ -0,0 +1,120 @@
+/* @flow */
+
+import { extend } from 'shared/util'
+import { baseWarn } from './helpers'
+
+const enforceOrder = { pre: 0, normal: 1, post: 2 }
+
+/**
+ * 按 enforce 排序编译插件，相同 enforce 的插件保持传入的顺序。
+ */
+export function sortPlugins (plugins: Array<CompilerPlugin>): Array<CompilerPlugin> {
+  if (process.env.NODE_ENV !== 'production') {
+    plugins.forEach((plugin, i) => {
+      if (!plugin || !plugin.name) {
+        baseWarn(`Compiler plugin at index ${i} must have a name.`)
+      } else if (plugin.enforce && !(plugin.enforce in enforceOrder)) {
+        baseWarn(
+          `Invalid enforce option "${plugin.enforce}" of compiler plugin "${plugin.name}". ` +
+          `Expected "pre" or "post".`
+        )
+      }
+    })
+  }
+  // Array.prototype.sort 不一定是稳定的，所以按下标比较
+  return plugins
+    .filter(Boolean)
+    .map((plugin, index) => ({ plugin, index }))
+    .sort((a, b) => (getOrder(a.plugin) - getOrder(b.plugin)) || (a.index - b.index))
+    .map(({ plugin }) => plugin)
+}
+
+function getOrder (plugin: CompilerPlugin): number {
+  const order = enforceOrder[plugin.enforce || 'normal']
+  return order == null ? enforceOrder.normal : order
+}
+
+/**
+ * 将排好序的插件合并到最终的编译选项中，finalOptions 中已经合并了 options.modules。
+ * 插件本身就是一个编译模块：enforce 为 pre 的插件的钩子在内置模块之前执行，
+ * 其余插件在内置模块和 options.modules 之后执行。插件的编译期指令覆盖内置的同名指令，
+ * options.directives 又覆盖插件的指令。
+ */
+export function applyPlugins (
+  finalOptions: CompilerOptions,
+  plugins: Array<CompilerPlugin>,
+  baseOptions: CompilerOptions,
+  options: CompilerOptions
+) {
+  // 插件的钩子都是可选的，与 ModuleOptions 的类型不完全一致
+  const pre: Array<any> = plugins.filter(plugin => plugin.enforce === 'pre')
+  const rest: Array<any> = plugins.filter(plugin => plugin.enforce !== 'pre')
+  finalOptions.modules = pre.concat(finalOptions.modules || [], rest)
+
+  const directives = Object.create(baseOptions.directives || null)
+  plugins.forEach(plugin => {
+    const pluginDirectives = plugin.directives
+    if (!pluginDirectives) return
+    if (process.env.NODE_ENV !== 'production') {
+      Object.keys(pluginDirectives).forEach(name => {
+        if (directives[name]) {
+          baseWarn(`Compiler plugin "${plugin.name}" overrides the compile-time directive "v-${name}".`)
+        }
+      })
+    }
+    extend(directives, pluginDirectives)
+  })
+  finalOptions.directives = extend(directives, options.directives)
+
+  const staticKeys = plugins.reduce((keys, plugin) => keys.concat(plugin.staticKeys || []), [])
+  if (staticKeys.length) {
+    finalOptions.staticKeys = [finalOptions.staticKeys].concat(staticKeys).filter(Boolean).join(',')
+  }
+  finalOptions.plugins = plugins
+}
+
+/**
+ * 深度优先遍历解析得到的 AST，依次调用插件的 visitor。
+ * 在一个节点上，enter 按插件顺序调用，exit 按相反的顺序调用。
+ * 遍历在 enter 之后读取子节点，所以 enter 中替换的子节点也会被访问。
+ */
+export function visitAST (
+  root: ASTElement,
+  plugins: Array<CompilerPlugin>,
+  options: CompilerOptions
+) {
+  const visitors = plugins.filter(plugin => plugin.visitor).map(plugin => (plugin.visitor: any))
+  if (!visitors.length) return
+  const warn = options.warn || baseWarn
+
+  function visit (node: ASTNode, parent: ?ASTElement) {
+    const context = { parent, options, warn }
+    for (let i = 0; i < visitors.length; i++) {
+      if (visitors[i].enter) visitors[i].enter(node, context)
+    }
+    if (node.type === 1) {
+      const el = node
+      el.children.forEach(child => visitWithConditions(child, el))
+      // 作用域插槽不在 children 中
+      if (el.scopedSlots) {
+        const slots = el.scopedSlots
+        Object.keys(slots).forEach(name => visitWithConditions(slots[name], el))
+      }
+    }
+    for (let i = visitors.length - 1; i >= 0; i--) {
+      if (visitors[i].exit) visitors[i].exit(node, context)
+    }
+  }
+
+  // v-else-if/v-else 的元素也不在 children 中，紧接着 v-if 的元素访问
+  function visitWithConditions (node: ASTNode, parent: ?ASTElement) {
+    visit(node, parent)
+    if (node.type === 1 && node.ifConditions) {
+      node.ifConditions.forEach(({ block }) => {
+        if (block !== node) visit(block, parent)
+      })
+    }
+  }
+
+  visitWithConditions(root, null)
+}
@@ -0,0 +1,130 @@
+/* @flow */
+
+// 代码生成阶段插入到生成代码中的位置标记，记录的是模板中的偏移量，
+// 生成 source map 时会被移除，不会出现在最终的渲染函数中
+const markerRE = /\u0001(\d+)\u0002/g // eslint-disable-line no-control-regex
+
+const base64Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * 生成节点在模板中起始位置的标记。只有开启 sourceMap 并且解析器记录了位置时才生成。
+ */
+export function genSourceMarker (
+  state: Object, // CodegenState
+  range: ?{ start?: number }
+): string {
+  return state.sourceMap && range && range.start != null
+    ? `\u0001${range.start}\u0002`
+    : ''
+}
+
+/**
+ * 移除生成代码中的位置标记，并生成从生成代码映射到模板行列的 source map (v3)。
+ *
+ * @param {string} code - 带有位置标记的生成代码。
+ * @param {string} template - 原始模板。
+ * @param {number} offset - 标记中的偏移量相对原始模板的偏移（模板被 trim 掉的前导空白）。
+ * @param {string} [filename] - source map 中模板的文件名。
+ */
+export function generateSourceMap (
+  code: string,
+  template: string,
+  offset: number,
+  filename?: string
+): { code: string, map: SourceMap } {
+  const lineStarts = [0]
+  for (let i = 0; i < template.length; i++) {
+    if (template.charCodeAt(i) === 10 /* \n */) {
+      lineStarts.push(i + 1)
+    }
+  }
+
+  let output = ''
+  let generatedLine = 0
+  let generatedColumn = 0
+  const lines: Array<Array<[number, number, number]>> = [[]]
+
+  const append = (chunk: string) => {
+    output += chunk
+    const parts = chunk.split('\n')
+    for (let i = 1; i < parts.length; i++) {
+      lines.push([])
+      generatedLine++
+      generatedColumn = 0
+    }
+    generatedColumn += parts[parts.length - 1].length
+  }
+
+  let lastIndex = 0
+  let match
+  markerRE.lastIndex = 0
+  while ((match = markerRE.exec(code))) {
+    append(code.slice(lastIndex, match.index))
+    lastIndex = markerRE.lastIndex
+    const pos = Number(match[1]) + offset
+    const line = findLine(lineStarts, pos)
+    const segments = lines[generatedLine]
+    const last = segments[segments.length - 1]
+    // 同一位置上连续的标记（例如元素和它的 v-if）只保留第一个
+    if (!last || last[0] !== generatedColumn) {
+      segments.push([generatedColumn, line, pos - lineStarts[line]])
+    }
+  }
+  append(code.slice(lastIndex))
+
+  return {
+    code: output,
+    map: {
+      version: 3,
+      sources: [filename || 'template.html'],
+      sourcesContent: [template],
+      names: [],
+      mappings: encodeMappings(lines)
+    }
+  }
+}
+
+function findLine (lineStarts: Array<number>, pos: number): number {
+  let low = 0
+  let high = lineStarts.length - 1
+  while (low < high) {
+    const mid = (low + high + 1) >> 1
+    if (lineStarts[mid] <= pos) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+  return low
+}
+
+// 只有一个源文件，每个片段为 [生成列, 0, 源行, 源列]，除生成列在每行重置外都相对前一个片段编码
+function encodeMappings (lines: Array<Array<[number, number, number]>>): string {
+  let prevLine = 0
+  let prevColumn = 0
+  return lines.map(segments => {
+    let prevGeneratedColumn = 0
+    return segments.map(([generatedColumn, line, column]) => {
+      const res = encodeVLQ(generatedColumn - prevGeneratedColumn) +
+        encodeVLQ(0) +
+        encodeVLQ(line - prevLine) +
+        encodeVLQ(column - prevColumn)
+      prevGeneratedColumn = generatedColumn
+      prevLine = line
+      prevColumn = column
+      return res
+    }).join(',')
+  }).join(';')
+}
+
+function encodeVLQ (value: number): string {
+  let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1
+  let res = ''
+  do {
+    let digit = vlq & 31
+    vlq >>>= 5
+    if (vlq > 0) digit |= 32
+    res += base64Chars[digit]
+  } while (vlq > 0)
+  return res
+}
@@ -9,15 +9,27 @@ type CompiledFunctionResult = {
   staticRenderFns: Array<Function>;
 };
 
-function createFunction (code, errors) {
+function createFunction (code, errors, map) {
   try {
-    return new Function(code)
+    return new Function(map ? code + genSourceMappingURL(map) : code)
   } catch (err) {
     errors.push({ err, code })
     return noop
   }
 }
 
+// new Function 会在函数体前加上 "function anonymous(\n) {\n" 两行，
+// 所以映射要从第三行开始
+function genSourceMappingURL (map: SourceMap): string {
+  const json = JSON.stringify(extend(extend({}, map), {
+    mappings: ';;' + map.mappings
+  }))
+  const base64 = typeof btoa === 'function'
+    ? btoa(unescape(encodeURIComponent(json)))
+    : Buffer.from(json).toString('base64')
+  return `\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,${base64}`
+}
+
 export function createCompileToFunctionFn (compile: Function): Function {
   const cache = Object.create(null)
 
@@ -49,9 +61,18 @@ export function createCompileToFunctionFn (compile: Function): Function {
     }
 
     // check cache
-    const key = options.delimiters
+    let key = options.delimiters
       ? String(options.delimiters) + template
       : template
+    if (options.sourceMap) {
+      key = `${options.filename || ''}?map:${key}`
+    }
+    if (options.hoistStatic) {
+      key = `hoist:${key}`
+    }
+    if (options.stringifyStatic) {
+      key = `stringify(${String(options.stringifyStatic)}):${key}`
+    }
     if (cache[key]) {
       return cache[key]
     }
@@ -90,9 +111,10 @@ export function createCompileToFunctionFn (compile: Function): Function {
     // turn code into functions
     const res = {}
     const fnGenErrors = []
-    res.render = createFunction(compiled.render, fnGenErrors)
-    res.staticRenderFns = compiled.staticRenderFns.map(code => {
-      return createFunction(code, fnGenErrors)
+    const { maps } = compiled
+    res.render = createFunction(compiled.render, fnGenErrors, maps && maps.render)
+    res.staticRenderFns = compiled.staticRenderFns.map((code, i) => {
+      return createFunction(code, fnGenErrors, maps && maps.staticRenderFns[i])
     })
 
     // check function generation errors.
@@ -0,0 +1,219 @@
+/* @flow */
+
+import { makeMap } from 'shared/util'
+
+export type Identifier = {
+  name: string;
+  start: number;
+};
+
+const identStartRE = /[A-Za-z_$]/
+const identRE = /[\w$]/
+const whitespaceRE = /\s/
+const numberRE = /[0-9]/
+
+const isKeyword = makeMap(
+  'arguments,await,break,case,catch,class,const,continue,debugger,default,' +
+  'delete,do,else,export,extends,false,finally,for,function,if,import,in,' +
+  'instanceof,let,new,null,of,return,super,switch,this,throw,true,try,' +
+  'typeof,var,void,while,with,yield'
+)
+
+// 与 core/instance/proxy.js 中模板允许访问的全局变量一致
+const isAllowedGlobal = makeMap(
+  'Infinity,undefined,NaN,isFinite,isNaN,' +
+  'parseFloat,parseInt,decodeURI,decodeURIComponent,encodeURI,encodeURIComponent,' +
+  'Math,Number,Date,Array,Object,Boolean,String,RegExp,Map,Set,JSON,Intl,BigInt,' +
+  'require'
+)
+
+// 出现在这些 token 之后的 / 是除号，否则是正则表达式的开始
+const valueTokens = makeMap('ident,value,),]')
+
+/**
+ * 找出表达式中从实例上读取的标识符：不包括属性访问、对象字面量的键、关键字、
+ * 允许的全局变量，以及箭头函数和函数表达式的参数。参数单独返回，
+ * 在表达式内部它们会遮蔽实例上的同名属性。
+ */
+export function scanIdentifiers (exp: string): {
+  refs: Array<Identifier>,
+  params: Array<string>
+} {
+  let refs: Array<Identifier> = []
+  const params: Array<string> = []
+  // 未闭合的 {、[、( 和模板字符串中的 ${
+  const brackets: Array<string> = []
+  // 每个未闭合的 ( 开始时 refs 的长度，以及它是否是函数的参数列表
+  const parens: Array<{ start: number, params: boolean }> = []
+  let prev = 'op'
+  let lastIdent = -1
+  let lastParenStart = -1
+  let functionParams = false
+
+  const toParams = (start: number) => {
+    refs.slice(start).forEach(ref => params.push(ref.name))
+    refs = refs.slice(0, start)
+  }
+
+  let i = 0
+  const l = exp.length
+  while (i < l) {
+    const c = exp.charAt(i)
+    if (whitespaceRE.test(c)) {
+      i++
+    } else if (c === '"' || c === '\'') {
+      i = skipString(exp, i)
+      prev = 'value'
+    } else if (c === '`' || (c === '}' && brackets[brackets.length - 1] === '${')) {
+      if (c === '}') brackets.pop()
+      // 跳过模板字符串的文本部分，遇到 ${ 时回到表达式
+      i++
+      while (i < l && exp.charAt(i) !== '`' && !(exp.charAt(i) === '$' && exp.charAt(i + 1) === '{')) {
+        i += exp.charAt(i) === '\\' ? 2 : 1
+      }
+      if (exp.charAt(i) === '$') {
+        brackets.push('${')
+        i += 2
+        prev = 'op'
+      } else {
+        i++
+        prev = 'value'
+      }
+    } else if (identStartRE.test(c)) {
+      let j = i + 1
+      while (j < l && identRE.test(exp.charAt(j))) j++
+      const name = exp.slice(i, j)
+      lastIdent = -1
+      if (name === 'function') {
+        functionParams = true
+      } else if (
+        prev !== '.' &&
+        !isKeyword(name) &&
+        !isAllowedGlobal(name) &&
+        !isObjectKey(exp, j, prev, brackets)
+      ) {
+        lastIdent = refs.length
+        refs.push({ name, start: i })
+      }
+      prev = isKeyword(name) ? 'op' : 'ident'
+      i = j
+    } else if (numberRE.test(c) || (c === '.' && numberRE.test(exp.charAt(i + 1)))) {
+      i++
+      while (i < l && /[\w.]/.test(exp.charAt(i))) i++
+      prev = 'value'
+    } else if (c === '.' && exp.slice(i, i + 3) === '...') {
+      i += 3
+      prev = 'op'
+    } else if (c === '?' && exp.charAt(i + 1) === '.' && !numberRE.test(exp.charAt(i + 2))) {
+      // 可选链
+      i += 2
+      prev = '.'
+    } else if (c === '=' && exp.charAt(i + 1) === '>') {
+      // 箭头函数：前面的单个标识符或括号内的标识符是参数
+      if (prev === 'ident' && lastIdent > -1) {
+        toParams(lastIdent)
+      } else if (prev === ')' && lastParenStart > -1) {
+        toParams(lastParenStart)
+      }
+      i += 2
+      prev = 'op'
+    } else if (c === '/' && !valueTokens(prev)) {
+      i = skipRegExp(exp, i)
+      prev = 'value'
+    } else {
+      if (c === '(') {
+        parens.push({ start: refs.length, params: functionParams })
+        functionParams = false
+        brackets.push(c)
+      } else if (c === ')') {
+        const paren = parens.pop()
+        brackets.pop()
+        lastParenStart = paren ? paren.start : -1
+        if (paren && paren.params) {
+          toParams(paren.start)
+          lastParenStart = -1
+        }
+      } else if (c === '{' || c === '[') {
+        brackets.push(c)
+      } else if (c === '}' || c === ']') {
+        brackets.pop()
+      }
+      prev = '(){}[],.:'.indexOf(c) > -1 ? c : 'op'
+      i++
+    }
+  }
+  return {
+    refs: refs.filter(ref => params.indexOf(ref.name) < 0),
+    params
+  }
+}
+
+/**
+ * 返回去掉过滤器后的表达式，也就是第一个顶层的 | 之前的部分。
+ */
+export function stripFilters (exp: string): string {
+  const brackets = []
+  let i = 0
+  const l = exp.length
+  while (i < l) {
+    const c = exp.charAt(i)
+    if (c === '"' || c === '\'' || c === '`') {
+      i = skipString(exp, i)
+      continue
+    }
+    if (c === '(' || c === '[' || c === '{') {
+      brackets.push(c)
+    } else if (c === ')' || c === ']' || c === '}') {
+      brackets.pop()
+    } else if (
+      c === '|' &&
+      !brackets.length &&
+      exp.charAt(i + 1) !== '|' &&
+      exp.charAt(i - 1) !== '|'
+    ) {
+      return exp.slice(0, i)
+    }
+    i++
+  }
+  return exp
+}
+
+// 对象字面量的键：紧跟在 { 或 , 之后，后面是 :，并且直接位于 {} 中
+function isObjectKey (exp: string, end: number, prev: string, brackets: Array<string>): boolean {
+  if ((prev !== '{' && prev !== ',') || brackets[brackets.length - 1] !== '{') {
+    return false
+  }
+  let i = end
+  while (whitespaceRE.test(exp.charAt(i))) i++
+  return exp.charAt(i) === ':'
+}
+
+function skipString (exp: string, start: number): number {
+  const quote = exp.charAt(start)
+  let i = start + 1
+  while (i < exp.length && exp.charAt(i) !== quote) {
+    i += exp.charAt(i) === '\\' ? 2 : 1
+  }
+  return i + 1
+}
+
+function skipRegExp (exp: string, start: number): number {
+  let i = start + 1
+  let inClass = false
+  while (i < exp.length) {
+    const c = exp.charAt(i)
+    if (c === '\\') {
+      i++
+    } else if (c === '[') {
+      inClass = true
+    } else if (c === ']') {
+      inClass = false
+    } else if (c === '/' && !inClass) {
+      break
+    }
+    i++
+  }
+  i++
+  while (i < exp.length && identRE.test(exp.charAt(i))) i++
+  return i
+}
@@ -0,0 +1,394 @@
+/* @flow */
+
+import { dirRE, onRE, bindRE, emptySlotScopeToken } from '../parser/index'
+import { fnExpRE, simplePathRE } from '../codegen/events'
+import { scanIdentifiers, stripFilters } from './expression'
+
+const slotRE = /^v-slot(:|$)|^#/
+const scopeRE = /^(slot-scope|scope)$|^v-slot(:|$)|^#/
+// 这些指令的值由 genElement 单独处理，或者没有值
+const skipDirRE = /^v-(if|else-if|else|for|pre|once|cloak)$/
+const dynamicArgRE = /\[(.*)\]/
+
+type SourceRange = {
+  start: number;
+  end: number;
+  raw: string;
+};
+
+/**
+ * 生成类型检查代码的状态。
+ *
+ * 模板中的表达式会被原样复制到生成的代码中，mappings 记录它们在生成代码和模板中的位置。
+ * 表达式从组件实例上读取的标识符在渲染函数开头从实例中解构出来，
+ * 所以拼错的属性名会在解构处报错，映射回它在模板中第一次出现的位置。
+ */
+class TypeCheckState {
+  template: string;
+  offset: number;
+  delimiters: [string, string];
+  code: string;
+  depth: number;
+  mappings: Array<TypeCheckMapping>;
+  scopes: Array<Array<string>>;
+  refs: Object;
+
+  constructor (template: string, offset: number, options: TypeCheckOptions) {
+    this.template = template
+    this.offset = offset
+    this.delimiters = options.delimiters || ['{{', '}}']
+    this.code = ''
+    this.depth = 1
+    this.mappings = []
+    this.scopes = []
+    this.refs = Object.create(null)
+  }
+}
+
+/**
+ * 由模板的 AST 生成用于类型检查的 TypeScript 代码。
+ * AST 需要由开启了 outputSourceRange 的编译得到，template 是解析时使用的（trim 后的）模板，
+ * offset 是它相对原始模板的偏移，mappings 中的模板位置都相对于原始模板。
+ */
+export function generateTypeCheckCode (
+  ast: ?ASTElement,
+  template: string,
+  offset: number,
+  options: TypeCheckOptions
+): { code: string, mappings: Array<TypeCheckMapping> } {
+  const state = new TypeCheckState(template, offset, options)
+  if (ast) {
+    genElement(ast, state)
+  }
+
+  let code = genHeader(options)
+  const mappings = []
+  code += `export function __render () {\n`
+  const names = Object.keys(state.refs)
+  if (names.length) {
+    code += `  let { `
+    names.forEach((name, i) => {
+      const range = state.refs[name]
+      if (i) code += `, `
+      if (range) {
+        mappings.push({
+          generatedStart: code.length,
+          generatedEnd: code.length + name.length,
+          start: range.start,
+          end: range.end
+        })
+      }
+      code += name
+    })
+    code += ` } = __ctx;\n`
+  }
+  const bodyStart = code.length
+  state.mappings.forEach(m => {
+    m.generatedStart += bodyStart
+    m.generatedEnd += bodyStart
+    mappings.push(m)
+  })
+  code += state.code + `}\n`
+  return { code, mappings }
+}
+
+/**
+ * 将 TypeScript 对生成代码报告的诊断信息映射回模板，返回的 start 和 end 可以交给 generateCodeFrame。
+ * 不在任何表达式中的诊断（例如找不到组件模块）没有位置信息。
+ */
+export function mapTypeScriptDiagnostics (
+  result: TypeCheckResult,
+  diagnostics: Array<TypeScriptDiagnostic>
+): Array<WarningMessage> {
+  return diagnostics.map(diagnostic => {
+    const res: WarningMessage = { msg: flattenMessage(diagnostic.messageText) }
+    const pos = diagnostic.start
+    if (pos == null) {
+      return res
+    }
+    const mapping = result.mappings.find(m => m.generatedStart <= pos && pos < m.generatedEnd)
+    if (mapping) {
+      // 原样复制的表达式逐字符对应，否则只能映射到整个属性或文本
+      if (mapping.generatedEnd - mapping.generatedStart === mapping.end - mapping.start) {
+        res.start = mapping.start + pos - mapping.generatedStart
+        res.end = Math.min(res.start + (diagnostic.length || 0), mapping.end)
+      } else {
+        res.start = mapping.start
+        res.end = mapping.end
+      }
+    }
+    return res
+  })
+}
+
+function flattenMessage (message: string | Object, indent: string = ''): string {
+  if (typeof message === 'string') {
+    return indent + message
+  }
+  let res = indent + message.messageText
+  const next = Array.isArray(message.next) ? message.next : message.next ? [message.next] : []
+  next.forEach(chain => {
+    res += '\n' + flattenMessage(chain, indent + '  ')
+  })
+  return res
+}
+
+function genHeader (options: TypeCheckOptions): string {
+  let code =
+    `/* generated by vue-template-compiler for type checking */\n` +
+    `import Vue from "vue";\n`
+  if (options.component) {
+    code +=
+      `import { ThisTypedComponentOptionsWithArrayProps, ThisTypedComponentOptionsWithRecordProps } from "vue/types/options";\n` +
+      `import { ExtendedVue } from "vue/types/vue";\n` +
+      `import __component from ${JSON.stringify(options.component)};\n` +
+      // 与 Vue.extend 的重载一致，组件也可以是 Vue.extend 返回的构造函数
+      `declare function __vueComponent<C extends new (...args: any[]) => Vue>(component: C): C;\n` +
+      `declare function __vueComponent<Data, Methods, Computed, PropNames extends string = never>(options: ThisTypedComponentOptionsWithArrayProps<Vue, Data, Methods, Computed, PropNames>): ExtendedVue<Vue, Data, Methods, Computed, Record<PropNames, any>>;\n` +
+      `declare function __vueComponent<Data, Methods, Computed, Props>(options: ThisTypedComponentOptionsWithRecordProps<Vue, Data, Methods, Computed, Props>): ExtendedVue<Vue, Data, Methods, Computed, Props>;\n` +
+      `const __ctx = new (__vueComponent(__component))();\n`
+  } else {
+    code += `declare const __ctx: Vue & Record<string, any>;\n`
+  }
+  // v-for 的第二、三个别名分别是键（或下标）和下标
+  code +=
+    `declare function __vFor<T>(source: T[]): [T, number, number][];\n` +
+    `declare function __vFor(source: string): [string, number, number][];\n` +
+    `declare function __vFor(source: number): [number, number, number][];\n` +
+    `declare function __vFor<T extends object>(source: T): [T[keyof T], keyof T, number][];\n`
+  return code
+}
+
+function genLine (state: TypeCheckState, line: string) {
+  state.code += new Array(state.depth + 1).join('  ') + line
+}
+
+function genElement (el: ASTElement, state: TypeCheckState, inIfConditions?: boolean) {
+  if (el.pre) {
+    return
+  }
+  const closers = []
+  const { slotScope } = el
+  // 作用域插槽的参数在 v-for 之外：插槽函数返回整个列表
+  if (slotScope && slotScope !== emptySlotScopeToken) {
+    genLine(state, `((`)
+    genMapped(state, slotScope, getSlotScopeRange(el, state))
+    state.code += `: any) => {\n`
+    state.depth++
+    state.scopes.push(getDeclaredNames(slotScope))
+    closers.push(`});\n`)
+  }
+  const forExp = el.for
+  if (forExp) {
+    const range = getAttrRange(el.rawAttrsMap['v-for'], state)
+    genLine(state, `for (const [`)
+    const aliases = [el.alias, el.iterator1, el.iterator2].filter(Boolean)
+    aliases.forEach((alias, i) => {
+      if (i) state.code += `, `
+      genMapped(state, alias, range)
+    })
+    state.code += `] of __vFor(`
+    genExpression(state, forExp, range)
+    state.code += `)) {\n`
+    state.depth++
+    state.scopes.push(aliases.reduce((names, alias) => names.concat(getDeclaredNames(alias)), []))
+    closers.push(`}\n`)
+  }
+  if (el.ifConditions && !inIfConditions) {
+    el.ifConditions.forEach((condition, i) => {
+      const { block, exp } = condition
+      if (exp) {
+        const range = getAttrRange(block.rawAttrsMap[i ? 'v-else-if' : 'v-if'], state)
+        genLine(state, i ? `} else if (` : `if (`)
+        genExpression(state, exp, range)
+        state.code += `) {\n`
+      } else {
+        genLine(state, `} else {\n`)
+      }
+      state.depth++
+      if (block === el) {
+        genElementBody(el, state)
+      } else {
+        genElement(block, state, true)
+      }
+      state.depth--
+    })
+    genLine(state, `}\n`)
+  } else {
+    genElementBody(el, state)
+  }
+  while (closers.length) {
+    state.depth--
+    genLine(state, closers.pop())
+    state.scopes.pop()
+  }
+}
+
+function genElementBody (el: ASTElement, state: TypeCheckState) {
+  genAttrs(el, state)
+  el.children.forEach(child => {
+    if (child.type === 1) {
+      genElement(child, state)
+    } else if (child.type === 2) {
+      genText(child, state)
+    }
+  })
+  if (el.scopedSlots) {
+    const slots = el.scopedSlots
+    Object.keys(slots).forEach(name => genElement(slots[name], state))
+  }
+}
+
+function genAttrs (el: ASTElement, state: TypeCheckState) {
+  Object.keys(el.rawAttrsMap).forEach(name => {
+    if (!dirRE.test(name) || skipDirRE.test(name) || scopeRE.test(name)) {
+      return
+    }
+    const attr = el.rawAttrsMap[name]
+    const range = getAttrRange(attr, state)
+    const dynamicArg = name.match(dynamicArgRE)
+    if (dynamicArg && range) {
+      const start = attr.start + state.offset + name.indexOf('[') + 1
+      genLine(state, `(`)
+      genExpression(state, dynamicArg[1], {
+        start,
+        end: start + dynamicArg[1].length,
+        raw: dynamicArg[1]
+      })
+      state.code += `);\n`
+    }
+    const value = attr.value.trim()
+    if (!value) {
+      return
+    }
+    if (onRE.test(name) && !fnExpRE.test(value) && !simplePathRE.test(value)) {
+      // 内联语句：与 genHandler 一致，包装成以 $event 为参数的函数
+      genLine(state, `(($event: any) => { `)
+      state.scopes.push(['$event'])
+      genExpression(state, value, range)
+      state.scopes.pop()
+      state.code += ` });\n`
+    } else {
+      genLine(state, `(`)
+      genExpression(state, bindRE.test(name) || name === 'v-bind' ? stripFilters(value).trim() : value, range)
+      state.code += `);\n`
+    }
+  })
+}
+
+function genText (text: ASTExpression, state: TypeCheckState) {
+  const [open, close] = state.delimiters
+  const range = getNodeRange(text, state)
+  let index = 0
+  let rawIndex = 0
+  let start
+  while ((start = text.text.indexOf(open, index)) > -1) {
+    const end = text.text.indexOf(close, start + open.length)
+    if (end < 0) break
+    const exp = stripFilters(text.text.slice(start + open.length, end)).trim()
+    index = end + close.length
+    // 文本中的实体已被解码，在原文中从对应的分隔符之后查找表达式
+    const rawStart = range ? range.raw.indexOf(open, rawIndex) : -1
+    if (rawStart > -1) {
+      rawIndex = rawStart + open.length
+    }
+    if (exp) {
+      genLine(state, `(`)
+      genExpression(state, exp, range, rawIndex)
+      state.code += `);\n`
+    }
+  }
+}
+
+// 复制表达式并记录它从实例上读取的标识符
+function genExpression (state: TypeCheckState, exp: string, range: ?SourceRange, from?: number) {
+  const { refs, params } = scanIdentifiers(exp)
+  const mapped = genMapped(state, exp, range, from)
+  refs.forEach(ref => {
+    if (params.indexOf(ref.name) > -1 || isLocal(ref.name, state) || ref.name in state.refs) {
+      return
+    }
+    if (!mapped) {
+      state.refs[ref.name] = null
+    } else if (mapped.end - mapped.start === exp.length) {
+      state.refs[ref.name] = {
+        start: mapped.start + ref.start,
+        end: mapped.start + ref.start + ref.name.length,
+        raw: ref.name
+      }
+    } else {
+      state.refs[ref.name] = mapped
+    }
+  })
+}
+
+// 复制代码并记录位置映射：能在模板中找到原文时逐字符对应，否则对应整个属性或文本
+function genMapped (state: TypeCheckState, code: string, range: ?SourceRange, from?: number): ?SourceRange {
+  const generatedStart = state.code.length
+  state.code += code
+  if (!range) {
+    return
+  }
+  const index = range.raw.indexOf(code, from || 0)
+  const mapped = index > -1
+    ? { start: range.start + index, end: range.start + index + code.length, raw: code }
+    : range
+  state.mappings.push({
+    generatedStart,
+    generatedEnd: state.code.length,
+    start: mapped.start,
+    end: mapped.end
+  })
+  return mapped
+}
+
+function isLocal (name: string, state: TypeCheckState): boolean {
+  return state.scopes.some(scope => scope.indexOf(name) > -1)
+}
+
+// 解构模式或参数中声明的变量名
+function getDeclaredNames (pattern: string): Array<string> {
+  return scanIdentifiers(pattern).refs.map(ref => ref.name)
+}
+
+// 属性值在模板中的范围，解析器记录的属性范围从属性名开始
+function getAttrRange (attr: ?ASTAttr, state: TypeCheckState): ?SourceRange {
+  if (!attr || attr.start == null || attr.end == null) {
+    return
+  }
+  const raw = state.template.slice(attr.start, attr.end)
+  const eq = raw.indexOf('=')
+  if (eq < 0) {
+    return
+  }
+  let start = eq + 1
+  while (/\s/.test(raw.charAt(start))) start++
+  const quoted = raw.charAt(start) === '"' || raw.charAt(start) === '\''
+  if (quoted) start++
+  const end = quoted ? raw.length - 1 : raw.length
+  return {
+    start: attr.start + state.offset + start,
+    end: attr.start + state.offset + end,
+    raw: raw.slice(start, end)
+  }
+}
+
+function getNodeRange (node: ASTNode, state: TypeCheckState): ?SourceRange {
+  if (node.start == null || node.end == null) {
+    return
+  }
+  return {
+    start: node.start + state.offset,
+    end: node.end + state.offset,
+    raw: state.template.slice(node.start, node.end)
+  }
+}
+
+// v-slot 写在组件上时，作用域插槽的参数记录在组件的属性中
+function getSlotScopeRange (el: ASTElement, state: TypeCheckState): ?SourceRange {
+  const find = (el: ASTElement) => {
+    const name = Object.keys(el.rawAttrsMap).find(name => slotRE.test(name) || name === 'slot-scope' || name === 'scope')
+    return name ? el.rawAttrsMap[name] : null
+  }
+  return getAttrRange(find(el) || (el.parent && find(el.parent)), state)
+}
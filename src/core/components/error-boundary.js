@@ -0,0 +1,42 @@
+/* @flow */
+
+// <error-boundary> 捕获后代组件在渲染、生命周期钩子、watcher 和事件处理函数中抛出的错误，
+// 以及加载失败的异步组件，改为渲染 fallback 作用域插槽 { error, reset }。
+// reset() 清除错误并重新渲染 default 插槽。
+export default {
+  name: 'error-boundary',
+
+  props: {
+    // 为 true 时错误在被捕获后继续向上传递，最终交给 config.errorHandler
+    report: Boolean
+  },
+
+  data () {
+    return {
+      error: null
+    }
+  },
+
+  methods: {
+    reset () {
+      this.error = null
+    }
+  },
+
+  errorCaptured (err: Error) {
+    this.error = err
+    if (!this.report) {
+      return false
+    }
+  },
+
+  render () {
+    const { error, $scopedSlots } = this
+    if (error) {
+      return $scopedSlots.fallback
+        ? $scopedSlots.fallback({ error, reset: this.reset })
+        : null
+    }
+    return $scopedSlots.default ? $scopedSlots.default() : null
+  }
+}
@@ -1,5 +1,11 @@
 import KeepAlive from './keep-alive'
+import Teleport from './teleport'
+import Suspense from './suspense'
+import ErrorBoundary from './error-boundary'
 
 export default {
-  KeepAlive
+  KeepAlive,
+  Teleport,
+  Suspense,
+  ErrorBoundary
 }
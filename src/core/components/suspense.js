@@ -0,0 +1,65 @@
+/* @flow */
+
+import { createFragmentVNode } from 'core/vdom/vnode'
+
+// <suspense> 在 default 插槽中的异步依赖（尚未解析的异步组件和 async setup()）
+// 全部完成之前显示 fallback 插槽。等待中的内容先渲染到一个不在文档中的容器里，
+// 完成后在一次更新中移入原位置并移除 fallback。完成之后出现的新依赖不再等待。
+export default {
+  name: 'suspense',
+  abstract: true,
+
+  methods: {
+    resolve () {
+      this._suspense.resolved = true
+      this.$forceUpdate()
+      this.$nextTick(() => this.$emit('resolve'))
+    }
+  },
+
+  created () {
+    this.showFallback = false
+    this._suspense = {
+      deps: 0,
+      resolved: false,
+      // 依赖全部完成后等到本轮更新结束再确认，重新渲染时可能又出现新的依赖
+      settle: () => {
+        this.$nextTick(() => {
+          const boundary = this._suspense
+          if (boundary.deps === 0 && !boundary.resolved && !this._isDestroyed) {
+            this.resolve()
+          }
+        })
+      }
+    }
+    this.$emit('pending')
+  },
+
+  mounted () {
+    if (this._suspense.deps === 0) {
+      this.resolve()
+    } else {
+      this.showFallback = true
+      this.$forceUpdate()
+      this.$nextTick(() => this.$emit('fallback'))
+    }
+  },
+
+  render () {
+    const content = createFragmentVNode(this.$slots.default || [])
+    // 服务端渲染时异步依赖都会被等待，直接输出 default 内容
+    if (this.$isServer) {
+      return content
+    }
+    const resolved = this._suspense.resolved
+    content.key = '__suspense_content'
+    content.teleport = {
+      to: null,
+      disabled: resolved
+    }
+    const children = !resolved && this.showFallback && this.$slots.fallback
+      ? this.$slots.fallback.concat(content)
+      : [content]
+    return createFragmentVNode(children)
+  }
+}
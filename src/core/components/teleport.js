@@ -0,0 +1,29 @@
+/* @flow */
+
+import { createFragmentVNode } from 'core/vdom/vnode'
+
+// <teleport> 将插槽内容渲染到另一个 DOM 容器中（如 to="#modal-root"），
+// 原位置只保留起止锚点。组件是抽象的，插槽内容仍然属于当前组件树，
+// 事件、provide/inject 和 $parent 都和就地渲染时一样。
+export default {
+  name: 'teleport',
+  abstract: true,
+
+  props: {
+    // 目标容器的选择器或 DOM 元素
+    to: {
+      required: true
+    },
+    // 为 true 时在原位置渲染
+    disabled: Boolean
+  },
+
+  render () {
+    const vnode = createFragmentVNode(this.$slots.default || [])
+    vnode.teleport = {
+      to: this.to,
+      disabled: this.disabled
+    }
+    return vnode
+  }
+}
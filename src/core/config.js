@@ -19,6 +19,8 @@ export type Config = {
   warnHandler: ?(msg: string, vm: Component, trace: string) => void;
   ignoredElements: Array<string | RegExp>;
   keyCodes: { [key: string]: number | Array<number> };
+  reactivity: 'defineProperty' | 'proxy';
+  hydrationRecovery: boolean;
 
   // platform
   isReservedTag: (x?: string) => boolean;
@@ -83,6 +85,20 @@ export default ({
   // $flow-disable-line
   keyCodes: Object.create(null),
 
+  /**
+   * Reactivity implementation used by the observer. 'proxy' wraps observed
+   * data in a Proxy so that property addition/deletion and array index
+   * assignments are tracked. Must be set before any data is observed.
+   */
+  reactivity: 'defineProperty',
+
+  /**
+   * Re-create only the mismatching nodes when the server-rendered DOM does
+   * not match the client-side virtual DOM, instead of discarding the whole
+   * server-rendered tree and rendering it again.
+   */
+  hydrationRecovery: false,
+
   /**
    * Check if a tag is reserved so that it cannot be registered as a
    * component. This is platform-dependent and may be overwritten.
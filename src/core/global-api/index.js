@@ -5,10 +5,30 @@ import { initUse } from './use'
 import { initMixin } from './mixin'
 import { initExtend } from './extend'
 import { initAssetRegisters } from './assets'
+import { initRenderer } from './renderer'
 import { set, del } from '../observer/index'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
 import { observe } from 'core/observer/index'
+import { reactive, shallowReactive, markRaw, ref, isRef, unref } from '../observer/reactive'
+import { readonly, shallowReadonly } from '../observer/readonly'
+import { computed, effect, watchEffect } from '../observer/effect'
+import { effectScope, getCurrentScope } from '../observer/effect-scope'
+import {
+  getCurrentInstance,
+  onBeforeMount,
+  onMounted,
+  onBeforeUpdate,
+  onUpdated,
+  onBeforeUnmount,
+  onUnmounted,
+  onActivated,
+  onDeactivated,
+  onErrorCaptured,
+  onServerPrefetch,
+  onRenderTracked,
+  onRenderTriggered
+} from '../instance/lifecycle'
 
 import {
   warn,
@@ -52,11 +72,42 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   Vue.nextTick = nextTick
 
   // 定义 Vue.observable 方法，该方法用于使一个对象变得可观察
+  // 代理模式下返回响应式代理，需要通过返回值读写
   Vue.observable = <T>(obj: T): T => {
-    observe(obj)
-    return obj
+    const ob = observe(obj)
+    return ob && ob.proxy ? (ob.proxy: any) : obj
   }
 
+  // 独立于组件的响应式 API，供非 UI 的代码与组件共享响应式逻辑
+  Vue.reactive = reactive
+  Vue.shallowReactive = shallowReactive
+  Vue.readonly = readonly
+  Vue.shallowReadonly = shallowReadonly
+  Vue.markRaw = markRaw
+  Vue.ref = ref
+  Vue.isRef = isRef
+  Vue.unref = unref
+  Vue.computed = computed
+  Vue.effect = effect
+  Vue.watchEffect = watchEffect
+  Vue.effectScope = effectScope
+  Vue.getCurrentScope = getCurrentScope
+
+  // 在 setup() 中使用的生命周期注册函数
+  Vue.getCurrentInstance = getCurrentInstance
+  Vue.onBeforeMount = onBeforeMount
+  Vue.onMounted = onMounted
+  Vue.onBeforeUpdate = onBeforeUpdate
+  Vue.onUpdated = onUpdated
+  Vue.onBeforeUnmount = onBeforeUnmount
+  Vue.onUnmounted = onUnmounted
+  Vue.onActivated = onActivated
+  Vue.onDeactivated = onDeactivated
+  Vue.onErrorCaptured = onErrorCaptured
+  Vue.onServerPrefetch = onServerPrefetch
+  Vue.onRenderTracked = onRenderTracked
+  Vue.onRenderTriggered = onRenderTriggered
+
   // 初始化 Vue.options 对象，该对象用于存储全局的组件、指令和过滤器
   Vue.options = Object.create(null)
   ASSET_TYPES.forEach(type => {
@@ -74,4 +125,5 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   initMixin(Vue)
   initExtend(Vue)
   initAssetRegisters(Vue)
+  initRenderer(Vue)
 }
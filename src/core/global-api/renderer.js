@@ -0,0 +1,65 @@
+/* @flow */
+
+import { createPatchFunction } from '../vdom/patch'
+import baseModules from '../vdom/modules/index'
+import { mountComponent } from '../instance/lifecycle'
+import { no, noop, warn } from '../util/index'
+
+/**
+ * 初始化 Vue.createRenderer，用于把组件渲染到 DOM 以外的目标（canvas、终端界面等）。
+ */
+export function initRenderer (Vue: GlobalAPI) {
+  /**
+   * 根据平台提供的节点操作创建渲染器，返回一个 Vue 的子类。
+   * 以该子类的实例为根的整个组件树都使用这里的 patch 函数和平台判断函数，
+   * 包括树中通过 Vue.component 全局注册的组件。
+   *
+   * @param {Object} options - nodeOps 为节点操作（参见 web/runtime/node-ops），
+   *   modules 为平台模块，其余为平台判断函数。
+   */
+  Vue.createRenderer = function (options: RendererOptions): Class<Component> {
+    const {
+      nodeOps,
+      modules = [],
+      mustUseProp = no,
+      isReservedTag = no,
+      getTagNamespace = noop,
+      isUnknownElement = no
+    } = options || {}
+    if (!nodeOps) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn('Vue.createRenderer() requires the nodeOps option.')
+      }
+      return this
+    }
+
+    const Renderer = this.extend()
+    // 组件选项以渲染器为基础构造函数，子组件同样使用下面的 $mount
+    Renderer.options._base = Renderer
+    // 指令模块需要在所有平台模块之后执行
+    Renderer.prototype.__patch__ = createPatchFunction({
+      nodeOps,
+      modules: modules.concat(baseModules),
+      isUnknownElement
+    })
+    Renderer.prototype._renderer = {
+      mustUseProp,
+      isReservedTag,
+      getTagNamespace
+    }
+    // el 是宿主平台的元素节点，挂载时会被替换，不传则渲染为游离的节点树
+    Renderer.prototype.$mount = function (el?: any, hydrating?: boolean): Component {
+      const opts = this.$options
+      if (!opts.render && typeof opts.template === 'string' && typeof Vue.compile === 'function') {
+        const { render, staticRenderFns } = Vue.compile(opts.template, {
+          delimiters: opts.delimiters,
+          comments: opts.comments
+        }, this)
+        opts.render = render
+        opts.staticRenderFns = staticRenderFns
+      }
+      return mountComponent(this, el, hydrating)
+    }
+    return Renderer
+  }
+}
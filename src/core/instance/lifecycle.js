@@ -38,6 +38,24 @@ export function setActiveInstance(vm: Component) {
   }
 }
 
+export let currentInstance: ?Component = null
+
+/**
+ * 设置当前正在执行 setup() 的实例，供 onMounted 等生命周期注册函数使用。
+ *
+ * @param {?Component} vm - 当前实例，setup() 结束后为 null。
+ */
+export function setCurrentInstance (vm: ?Component) {
+  currentInstance = vm
+}
+
+/**
+ * 获取当前正在执行 setup() 的实例。
+ */
+export function getCurrentInstance (): ?Component {
+  return currentInstance
+}
+
 /**
  * 初始化 Vue 组件的生命周期。
  */
@@ -72,6 +90,16 @@ export function initLifecycle (vm: Component) {
   vm._isBeingDestroyed = false
 }
 
+/**
+ * 判断组件的占位节点是否是父组件渲染出的第一个节点，此时两者的 $el 相同。
+ */
+function isFirstRootNode (vnode: VNode, parentVnode: ?VNode): boolean {
+  return vnode === parentVnode || (
+    !!parentVnode && parentVnode.isFragment && !parentVnode.target &&
+    (parentVnode.children: any)[0] === vnode
+  )
+}
+
 export function lifecycleMixin (Vue: Class<Component>) {
   /**
    * 更新 Vue 实例的 DOM。
@@ -89,13 +117,15 @@ export function lifecycleMixin (Vue: Class<Component>) {
     const restoreActiveInstance = setActiveInstance(vm)
     // 更新当前虚拟节点
     vm._vnode = vnode
+    // 使用根实例的 patch 函数，自定义渲染器下的整个组件树都渲染到同一个目标
+    const patch = vm.$root.__patch__
     // 如果没有旧的虚拟节点，进行初次渲染
     if (!prevVnode) {
       // initial render
-      vm.$el = vm.__patch__(vm.$el, vnode, hydrating, false /* removeOnly */)
+      vm.$el = patch(vm.$el, vnode, hydrating, false /* removeOnly */)
     } else {
       // 如果有旧的虚拟节点，进行更新
-      vm.$el = vm.__patch__(prevVnode, vnode)
+      vm.$el = patch(prevVnode, vnode)
     }
     // 恢复旧的活动实例
     restoreActiveInstance()
@@ -106,9 +136,11 @@ export function lifecycleMixin (Vue: Class<Component>) {
     if (vm.$el) {
       vm.$el.__vue__ = vm
     }
-    // 如果父组件是一个高阶组件，更新其 $el
-    if (vm.$vnode && vm.$parent && vm.$vnode === vm.$parent._vnode) {
-      vm.$parent.$el = vm.$el
+    // 如果父组件是一个高阶组件，或者以片段为根且当前组件是片段的第一个节点，更新其 $el
+    let child = vm
+    while (child.$vnode && child.$parent && isFirstRootNode(child.$vnode, child.$parent._vnode)) {
+      child.$parent.$el = vm.$el
+      child = child.$parent
     }
     // updated 钩子由调度器调用，以确保在父组件的 updated 钩子中更新子组件
   }
@@ -155,6 +187,10 @@ export function lifecycleMixin (Vue: Class<Component>) {
     while (i--) {
       vm._watchers[i].teardown()
     }
+    // 停止 setup 中创建的副作用
+    if (vm._scope) {
+      vm._scope.stop()
+    }
     // 如果实例的数据对象有 observer，减少 observer 的 vmCount
     if (vm._data.__ob__) {
       vm._data.__ob__.vmCount--
@@ -162,7 +198,7 @@ export function lifecycleMixin (Vue: Class<Component>) {
     // 设置 _isDestroyed 标志为 true
     vm._isDestroyed = true
     // 销毁实例的虚拟节点树
-    vm.__patch__(vm._vnode, null)
+    vm.$root.__patch__(vm._vnode, null)
     // 触发 destroyed 钩子函数
     callHook(vm, 'destroyed')
     // 移除实例的所有事件监听器
@@ -198,7 +234,8 @@ export function mountComponent (
     // 设置一个创建空虚拟节点的 render 函数
     vm.$options.render = createEmptyVNode
     // 在非生产环境下，如果模板没有预编译为 render 函数，给出警告
-    if (process.env.NODE_ENV !== 'production') {
+    // （async setup() 可能在之后返回 render 函数）
+    if (process.env.NODE_ENV !== 'production' && !vm._setupPromise) {
       /* istanbul ignore if */
       if ((vm.$options.template && vm.$options.template.charAt(0) !== '#') ||
         vm.$options.el || el) {
@@ -256,14 +293,25 @@ export function mountComponent (
   }
   
   // 创建一个渲染 Watcher，该 Watcher 在每次依赖项更新时都会重新渲染组件
-  new Watcher(vm, updateComponent, noop, {
+  const watcherOptions: Object = {
     before () {
       // 如果组件已挂载且未销毁，在更新前调用 beforeUpdate 钩子函数
       if (vm._isMounted && !vm._isDestroyed) {
         callHook(vm, 'beforeUpdate')
       }
     }
-  }, true /* isRenderWatcher */)
+  }
+  // 开发环境下，渲染观察者的调试钩子分别交给 renderTracked 和 renderTriggered 处理，
+  // 仅在注册了对应钩子时才安装，避免每次读取响应式数据都调用 callHook
+  if (process.env.NODE_ENV !== 'production') {
+    if (vm.$options.renderTracked) {
+      watcherOptions.onTrack = e => callHook(vm, 'renderTracked', [e])
+    }
+    if (vm.$options.renderTriggered) {
+      watcherOptions.onTrigger = e => callHook(vm, 'renderTriggered', [e])
+    }
+  }
+  new Watcher(vm, updateComponent, noop, watcherOptions, true /* isRenderWatcher */)
   hydrating = false
   
   // 如果是手动挂载的实例，调用 mounted 钩子函数
@@ -433,7 +481,7 @@ export function deactivateChildComponent (vm: Component, direct?: boolean) {
 /**
  * 调用 Vue 组件的生命周期钩子。
  */
-export function callHook (vm: Component, hook: string) {
+export function callHook (vm: Component, hook: string, args?: Array<any>) {
   // #7573 在调用生命周期钩子时禁用 dep 收集
   pushTarget()
   const handlers = vm.$options[hook] // 获取钩子的处理器
@@ -441,7 +489,7 @@ export function callHook (vm: Component, hook: string) {
   if (handlers) { // 如果处理器存在
     for (let i = 0, j = handlers.length; i < j; i++) {
       // 使用错误处理调用处理器
-      invokeWithErrorHandling(handlers[i], vm, null, vm, info)
+      invokeWithErrorHandling(handlers[i], vm, args || null, vm, info)
     }
   }
   if (vm._hasHookEvent) { // 如果有钩子事件
@@ -450,3 +498,37 @@ export function callHook (vm: Component, hook: string) {
   }
   popTarget() // 弹出目标
 }
+
+/**
+ * 创建一个组合式的生命周期注册函数。
+ * 在 setup() 中调用时，将处理器追加到当前实例的钩子选项上，之后由 callHook 统一调用。
+ *
+ * @param {string} hook - 生命周期钩子的名称。
+ * @return {Function} 生命周期注册函数。
+ */
+function createLifecycleHook (hook: string) {
+  return (fn: Function, target: ?Component = currentInstance) => {
+    if (!target) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Lifecycle hook "${hook}" can only be registered during execution of setup().`
+      )
+      return
+    }
+    const hooks = target.$options[hook]
+    // 钩子数组可能与构造函数的选项共享，因此创建新数组而不是直接 push
+    target.$options[hook] = hooks ? hooks.concat(fn) : [fn]
+  }
+}
+
+export const onBeforeMount = createLifecycleHook('beforeMount')
+export const onMounted = createLifecycleHook('mounted')
+export const onBeforeUpdate = createLifecycleHook('beforeUpdate')
+export const onUpdated = createLifecycleHook('updated')
+export const onBeforeUnmount = createLifecycleHook('beforeDestroy')
+export const onUnmounted = createLifecycleHook('destroyed')
+export const onActivated = createLifecycleHook('activated')
+export const onDeactivated = createLifecycleHook('deactivated')
+export const onErrorCaptured = createLifecycleHook('errorCaptured')
+export const onServerPrefetch = createLifecycleHook('serverPrefetch')
+export const onRenderTracked = createLifecycleHook('renderTracked')
+export const onRenderTriggered = createLifecycleHook('renderTriggered')
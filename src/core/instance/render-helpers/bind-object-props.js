@@ -8,7 +8,8 @@ import {
   toObject,
   isReservedAttribute,
   camelize,
-  hyphenate
+  hyphenate,
+  hasOwn
 } from 'core/util/index'
 
 /**
@@ -41,7 +42,8 @@ export function bindObjectProps (
           hash = data
         } else {
           const type = data.attrs && data.attrs.type
-          hash = asProp || config.mustUseProp(tag, type, key)
+          const { mustUseProp } = getVm(this).$root._renderer || config
+          hash = asProp || mustUseProp(tag, type, key)
             ? data.domProps || (data.domProps = {})
             : data.attrs || (data.attrs = {})
         }
@@ -62,3 +64,9 @@ export function bindObjectProps (
   }
   return data
 }
+
+// in compiled functional templates the helper is called on a
+// FunctionalRenderContext, which renders in the scope of its parent vm
+function getVm (context: any): Component {
+  return hasOwn(context, '_uid') ? context : context.parent
+}
@@ -7,10 +7,11 @@ import { renderSlot } from './render-slot'
 import { resolveFilter } from './resolve-filter'
 import { checkKeyCodes } from './check-keycodes'
 import { bindObjectProps } from './bind-object-props'
-import { renderStatic, markOnce } from './render-static'
+import { renderStatic, renderHoisted, renderStaticHTML, markOnce } from './render-static'
 import { bindObjectListeners } from './bind-object-listeners'
 import { resolveScopedSlots } from './resolve-scoped-slots'
 import { bindDynamicKeys, prependModifier } from './bind-dynamic-keys'
+import { openBlock, closeBlock, trackDynamicNode } from './render-block'
 
 export function installRenderHelpers (target: any) {
   target._o = markOnce
@@ -21,6 +22,8 @@ export function installRenderHelpers (target: any) {
   target._q = looseEqual
   target._i = looseIndexOf
   target._m = renderStatic
+  target._w = renderHoisted
+  target._j = renderStaticHTML
   target._f = resolveFilter
   target._k = checkKeyCodes
   target._b = bindObjectProps
@@ -30,4 +33,7 @@ export function installRenderHelpers (target: any) {
   target._g = bindObjectListeners
   target._d = bindDynamicKeys
   target._p = prependModifier
+  target._x = trackDynamicNode
+  target._y = openBlock
+  target._z = closeBlock
 }
@@ -0,0 +1,72 @@
+/* @flow */
+
+import { isDef } from 'shared/util'
+import { PATCH_FLAGS } from 'shared/constants'
+import { createFragmentVNode } from 'core/vdom/vnode'
+import { normalizeChildren } from 'core/vdom/helpers/normalize-children'
+
+// blocks being rendered. blocks can be nested when slot content or a
+// functional component opens its own block while the parent one is open.
+const blockStack: Array<Array<VNode>> = []
+let currentBlock: ?Array<VNode> = null
+
+/**
+ * Runtime helper for opening a block before its root node is rendered.
+ */
+export function openBlock () {
+  blockStack.push(currentBlock = [])
+}
+
+/**
+ * Runtime helper for closing a block: the dynamic descendants tracked while
+ * rendering its children are recorded on the root node.
+ */
+export function closeBlock (
+  vnode: VNode,
+  blockId: number,
+  patchFlag: number,
+  dynamicProps?: Array<string>
+): VNode {
+  vnode.dynamicChildren = blockStack.pop() || []
+  currentBlock = blockStack.length ? blockStack[blockStack.length - 1] : null
+  vnode.blockId = blockId
+  vnode.patchFlag = patchFlag
+  vnode.dynamicProps = dynamicProps
+  return vnode
+}
+
+/**
+ * Runtime helper for marking a dynamic node with its patch flag and
+ * collecting it into the current block.
+ */
+export function trackDynamicNode (
+  node: VNode | Array<VNode>,
+  patchFlag: number,
+  dynamicProps?: Array<string>
+): VNode {
+  // a functional component returning multiple nodes is wrapped in a
+  // fragment so that the structure of the block stays the same.
+  const vnode: VNode = Array.isArray(node)
+    ? createFragmentVNode(normalizeChildren(node) || [])
+    : node
+  if (patchFlag === PATCH_FLAGS.COMPONENT) {
+    // only component placeholders can skip their children. results of
+    // functional components and unknown elements are fully diffed.
+    if (isDef(vnode.componentOptions)) {
+      vnode.patchFlag = PATCH_FLAGS.FULL_PROPS
+    }
+  } else {
+    vnode.patchFlag = patchFlag
+    vnode.dynamicProps = dynamicProps
+  }
+  if (currentBlock) {
+    currentBlock.push(vnode)
+  }
+  return vnode
+}
+
+// a render error may leave blocks open
+export function resetBlockTracking () {
+  blockStack.length = 0
+  currentBlock = null
+}
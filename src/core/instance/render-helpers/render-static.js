@@ -1,11 +1,17 @@
 /* @flow */
 
+import { extend } from 'shared/util'
+import { def } from 'core/util/lang'
+import { isServerRendering } from 'core/util/env'
+import { cloneVNode } from 'core/vdom/vnode'
+
 /**
  * Runtime helper for rendering static trees.
  */
 export function renderStatic (
   index: number,
-  isInFor: boolean
+  isInFor: boolean,
+  hoisted?: boolean
 ): VNode | Array<VNode> {
   const cached = this._staticTrees || (this._staticTrees = [])
   let tree = cached[index]
@@ -14,6 +20,18 @@ export function renderStatic (
   if (tree && !isInFor) {
     return tree
   }
+  // hoisted trees are rendered once and shared by all instances. each instance
+  // gets a shallow clone of the root; the shared descendants are cloned on
+  // demand by the patch process once they have been mounted somewhere else.
+  if (hoisted && !isServerRendering()) {
+    const shared = getHoisted(this, index, renderHoistedTree)
+    // the same compiled template may be used by components with different
+    // scope ids, e.g. when compiled at runtime
+    const root = Array.isArray(shared) ? shared[0] : shared
+    if (!root || root.fnScopeId === this.$options._scopeId) {
+      return (cached[index] = cloneStaticTree(shared))
+    }
+  }
   // otherwise, render a fresh tree.
   tree = cached[index] = this.$options.staticRenderFns[index].call(
     this._renderProxy,
@@ -24,6 +42,83 @@ export function renderStatic (
   return tree
 }
 
+/**
+ * Runtime helper for hoisted static data objects, e.g. static attrs.
+ * They are created once and shared by all instances.
+ */
+export function renderHoisted (index: number): any {
+  return getHoisted(this, index, (vm, fn) => fn())
+}
+
+// hoisted values are cached on the staticRenderFns array itself, which is
+// shared by all instances of the same component.
+function getHoisted (vm: any, index: number, create: Function): any {
+  const fns = vm.$options.staticRenderFns
+  if (!fns._hoisted) {
+    def(fns, '_hoisted', [])
+  }
+  const hoisted = fns._hoisted
+  if (!(index in hoisted)) {
+    hoisted[index] = create(vm, fns[index], index)
+  }
+  return hoisted[index]
+}
+
+function renderHoistedTree (
+  vm: any,
+  fn: Function,
+  index: number
+): VNode | Array<VNode> {
+  const tree = fn.call(vm._renderProxy, null, vm)
+  markStatic(tree, `__static__${index}`, false)
+  // the shared tree must not hold on to the instance that happened to render
+  // it first. the scope id is kept for scoped CSS.
+  walkTree(tree, node => {
+    node.context = node.fnContext = undefined
+    node.fnScopeId = vm.$options._scopeId
+  })
+  return tree
+}
+
+function walkTree (tree: VNode | Array<VNode>, fn: Function) {
+  if (Array.isArray(tree)) {
+    tree.forEach(node => walkTree(node, fn))
+  } else if (tree && typeof tree === 'object') {
+    fn(tree)
+    if (tree.children) walkTree(tree.children, fn)
+  }
+}
+
+function cloneStaticTree (tree: VNode | Array<VNode>): VNode | Array<VNode> {
+  if (Array.isArray(tree)) {
+    return tree.map(cloneStaticTree)
+  }
+  const cloned = cloneVNode(tree)
+  // <transition> and <transition-group> write into the data of their children
+  if (cloned.data) {
+    cloned.data = extend({}, cloned.data)
+  }
+  return cloned
+}
+
+// text and attribute values are escaped, so "<" only starts a tag
+const startTagRE = /<([a-zA-Z][^\s/>]*)/g
+const scopedHTMLCache = Object.create(null)
+
+/**
+ * Runtime helper for static trees compiled to HTML strings.
+ * Their elements are never patched, so the scope id of the component
+ * is added to the HTML here.
+ */
+export function renderStaticHTML (html: string): string {
+  const scopeId = this.$options._scopeId
+  if (!scopeId) {
+    return html
+  }
+  const cache = scopedHTMLCache[scopeId] || (scopedHTMLCache[scopeId] = Object.create(null))
+  return cache[html] || (cache[html] = html.replace(startTagRE, `<$1 ${scopeId}=""`))
+}
+
 /**
  * Runtime helper for v-once.
  * Effectively it means marking the node as static with a unique key.
@@ -11,8 +11,10 @@ import {
 import { createElement } from '../vdom/create-element'
 import { installRenderHelpers } from './render-helpers/index'
 import { resolveSlots } from './render-helpers/resolve-slots'
+import { resetBlockTracking } from './render-helpers/render-block'
 import { normalizeScopedSlots } from '../vdom/helpers/normalize-scoped-slots'
-import VNode, { createEmptyVNode } from '../vdom/vnode'
+import { normalizeChildren } from '../vdom/helpers/normalize-children'
+import VNode, { createEmptyVNode, createFragmentVNode } from '../vdom/vnode'
 
 import { isUpdatingChildComponent } from './lifecycle'
 
@@ -94,10 +96,14 @@ export function renderMixin (Vue: Class<Component>) {
     try {
       // 设置当前正在渲染的实例
       currentRenderingInstance = vm
-      // 调用渲染函数创建虚拟节点
-      vnode = render.call(vm._renderProxy, vm.$createElement)
+      // 调用渲染函数创建虚拟节点，async setup() 尚未完成时渲染为空节点
+      vnode = vm._setupPromise
+        ? createEmptyVNode()
+        : render.call(vm._renderProxy, vm.$createElement)
       console.log(vnode)
     } catch (e) {
+      // 渲染中断时丢弃尚未关闭的 block
+      resetBlockTracking()
       // 处理渲染错误
       handleError(e, vm, `render`)
       // 如果存在渲染错误处理函数，尝试调用它创建虚拟节点
@@ -115,19 +121,18 @@ export function renderMixin (Vue: Class<Component>) {
       // 清除当前正在渲染的实例
       currentRenderingInstance = null
     }
-    // 如果返回的是一个只包含一个节点的数组，将其转换为单个节点
-    if (Array.isArray(vnode) && vnode.length === 1) {
-      vnode = vnode[0]
+    // 如果返回的是数组，标准化后只有一个节点时取该节点，
+    // 有多个根节点时（包括服务端渲染的字符串节点）创建片段
+    if (Array.isArray(vnode)) {
+      const children = normalizeChildren(vnode) || []
+      if (children.length === 1 && children[0] instanceof VNode) {
+        vnode = children[0]
+      } else if (children.length) {
+        vnode = createFragmentVNode(children)
+      }
     }
     // 如果渲染函数出错，返回一个空的虚拟节点
     if (!(vnode instanceof VNode)) {
-      if (process.env.NODE_ENV !== 'production' && Array.isArray(vnode)) {
-        warn(
-          'Multiple root nodes returned from render function. Render function ' +
-          'should return a single root node.',
-          vm
-        )
-      }
       vnode = createEmptyVNode()
     }
     // 设置父虚拟节点
@@ -0,0 +1,142 @@
+/* @flow */
+
+import { isRef } from '../observer/reactive'
+import { pushTarget, popTarget } from '../observer/dep'
+import { EffectScope } from '../observer/effect-scope'
+import { currentInstance, setCurrentInstance } from './lifecycle'
+import { registerAsyncDep } from '../vdom/helpers/suspense'
+
+import {
+  warn,
+  bind,
+  hasOwn,
+  isReserved,
+  isPromise,
+  isPlainObject,
+  invokeWithErrorHandling
+} from '../util/index'
+
+/**
+ * 运行组件的 setup(props, context) 选项。
+ * 返回函数时作为渲染函数；返回对象时将其中的绑定代理到实例上，
+ * 这样模板和其他选项都可以通过 this 访问，ref 会被自动解包。
+ */
+export function initSetup (vm: Component) {
+  const options = vm.$options
+  const setup: Function = (options.setup: any)
+  const ctx = createSetupContext(vm)
+
+  const prevInstance = currentInstance
+  setCurrentInstance(vm) // 让 onMounted 等注册函数知道当前实例
+  pushTarget() // 运行 setup 时禁用依赖收集
+  // setup 中创建的 computed、watchEffect 等没有所属实例，收集到实例自己的作用域中，随组件销毁一起停止
+  const scope = vm._scope = new EffectScope(true)
+  let setupResult
+  try {
+    setupResult = scope.run(() => invokeWithErrorHandling(
+      setup,
+      null,
+      [vm._props || {}, ctx],
+      vm,
+      `setup`
+    ))
+  } finally {
+    // handleError 在非浏览器环境（如 SSR）会重新抛出，确保依赖收集栈和当前实例被恢复
+    popTarget()
+    setCurrentInstance(prevInstance)
+  }
+
+  if (isPromise(setupResult)) {
+    // async setup()：结果返回前组件渲染为空节点，并计入最近的 <suspense> 的等待项。
+    // 出错时已由 invokeWithErrorHandling 上报，组件保持为空
+    const done = registerAsyncDep(options.parent)
+    const promise: Promise<any> = (setupResult: any)
+    vm._setupPromise = promise
+    promise.then(res => {
+      vm._setupPromise = null
+      if (!vm._isDestroyed) {
+        handleSetupResult(vm, res)
+        vm.$forceUpdate()
+      }
+      done()
+    }, done)
+  } else {
+    handleSetupResult(vm, setupResult)
+  }
+}
+
+/**
+ * 应用 setup() 的返回值：函数作为渲染函数，对象中的绑定代理到实例上。
+ */
+function handleSetupResult (vm: Component, setupResult: any) {
+  const options = vm.$options
+  if (typeof setupResult === 'function') { // 返回渲染函数
+    options.render = setupResult
+  } else if (isPlainObject(setupResult)) { // 返回绑定对象
+    vm._setupState = setupResult
+    const props = options.props
+    for (const key in setupResult) {
+      if (props && hasOwn(props, key)) {
+        process.env.NODE_ENV !== 'production' && warn(
+          `The setup binding property "${key}" is already declared as a prop.`,
+          vm
+        )
+      } else if (isReserved(key)) {
+        process.env.NODE_ENV !== 'production' && warn(
+          `Avoid using variables that start with _ or $ in setup().`,
+          vm
+        )
+      } else {
+        proxyWithRefUnwrap(vm, setupResult, key) // 在实例上代理 setup 的绑定
+      }
+    }
+  } else if (process.env.NODE_ENV !== 'production' && setupResult !== undefined) {
+    warn(
+      `setup() should return an object. Received: ${
+        setupResult === null ? 'null' : typeof setupResult
+      }`,
+      vm
+    )
+  }
+}
+
+/**
+ * 创建传给 setup() 的第二个参数。
+ * attrs/listeners/slots 使用 getter，确保总是读取到实例上最新的值。
+ */
+function createSetupContext (vm: Component): Object {
+  return {
+    get attrs () {
+      return vm.$attrs
+    },
+    get listeners () {
+      return vm.$listeners
+    },
+    get slots () {
+      return vm.$scopedSlots
+    },
+    emit: bind(vm.$emit, vm)
+  }
+}
+
+/**
+ * 在目标对象上代理源对象的属性，读取时解包 ref，写入 ref 时更新其 value。
+ */
+function proxyWithRefUnwrap (target: Object, source: Object, key: string) {
+  Object.defineProperty(target, key, {
+    enumerable: true,
+    configurable: true,
+    get: () => {
+      const val = source[key]
+      return isRef(val) ? val.value : val
+    },
+    set: val => {
+      const oldVal = source[key]
+      if (isRef(oldVal) && !isRef(val)) {
+        oldVal.value = val
+      } else {
+        source[key] = val
+      }
+    }
+  })
+}
@@ -4,6 +4,7 @@ import config from '../config'
 import Watcher from '../observer/watcher'
 import Dep, { pushTarget, popTarget } from '../observer/dep'
 import { isUpdatingChildComponent } from './lifecycle'
+import { initSetup } from './setup'
 
 import {
   set,
@@ -16,6 +17,7 @@ import {
 import {
   warn,
   bind,
+  extend,
   noop,
   hasOwn,
   hyphenate,
@@ -57,6 +59,7 @@ export function initState (vm: Component) { // Vue 组件实例
   const opts = vm.$options // 获取组件的选项
 
   if (opts.props) initProps(vm, opts.props) // 如果有 props 选项，则初始化 props
+  if (opts.setup) initSetup(vm) // 如果有 setup 选项，在 data 之前运行 setup
   if (opts.methods) initMethods(vm, opts.methods) // 如果有 methods 选项，则初始化 methods
   if (opts.data) { // 如果有 data 选项
     initData(vm) // 初始化 data
@@ -148,6 +151,12 @@ function initData (vm: Component) { // Vue 组件实例
           vm
         )
       }
+      if (vm._setupState && hasOwn(vm._setupState, key)) { // 如果 setup 已经返回了同名的绑定
+        warn( // 发出警告
+          `The data property "${key}" is already declared as a setup binding.`,
+          vm
+        )
+      }
     }
     if (props && hasOwn(props, key)) { // 如果 props 存在且已经定义了同名的 prop
       process.env.NODE_ENV !== 'production' && warn( // 在非生产环境下发出警告
@@ -160,7 +169,11 @@ function initData (vm: Component) { // Vue 组件实例
     }
   }
   // 观察数据
-  observe(data, true /* asRootData */)
+  const ob = observe(data, true /* asRootData */)
+  // 代理模式下实例通过响应式代理访问数据，新增和删除的属性同样能被追踪
+  if (ob && ob.proxy) {
+    vm._data = ob.proxy
+  }
 }
 
 /**
@@ -218,7 +231,9 @@ function initComputed (vm: Component, computed: Object) { // 组件实例，计
         vm,
         getter || noop,
         noop,
-        computedWatcherOptions
+        process.env.NODE_ENV !== 'production' && typeof userDef !== 'function'
+          ? extend({ onTrack: userDef.onTrack, onTrigger: userDef.onTrigger }, computedWatcherOptions)
+          : computedWatcherOptions
       )
     }
 
@@ -298,22 +313,33 @@ function createComputedGetter (key) {
   return function computedGetter () {
     // 从当前实例的 _computedWatchers 对象中获取对应的观察者
     const watcher = this._computedWatchers && this._computedWatchers[key]
-    // 如果找到了观察者
+    // 如果找到了观察者，返回它的值
     if (watcher) {
-      // 如果观察者的 dirty 属性为 true，表示观察者的值需要重新计算
-      if (watcher.dirty) {
-        watcher.evaluate() // 调用观察者的 evaluate 方法重新计算值
-      }
-      // 如果 Dep.target 存在，表示正在进行依赖收集
-      if (Dep.target) {
-        watcher.depend() // 调用观察者的 depend 方法进行依赖收集
-      }
-      // 返回观察者的值
-      return watcher.value
+      return evaluateComputed(watcher)
     }
   }
 }
 
+/**
+ * 读取计算属性观察者的值。
+ * 组件的计算属性和独立的 Vue.computed 共用这段惰性求值和缓存的逻辑。
+ *
+ * @param {Watcher} watcher - lazy 观察者。
+ * @return {any} 观察者的值。
+ */
+export function evaluateComputed (watcher: Watcher): any {
+  // 如果观察者的 dirty 属性为 true，表示观察者的值需要重新计算
+  if (watcher.dirty) {
+    watcher.evaluate() // 调用观察者的 evaluate 方法重新计算值
+  }
+  // 如果 Dep.target 存在，表示正在进行依赖收集
+  if (Dep.target) {
+    watcher.depend() // 调用观察者的 depend 方法进行依赖收集
+  }
+  // 返回观察者的值
+  return watcher.value
+}
+
 /**
  * 创建一个调用用户定义的函数的 getter。
  *
@@ -388,14 +414,14 @@ function initWatch (vm: Component, watch: Object) {
  * 为指定的表达式或函数创建一个观察者。
  *
  * @param {Component} vm - Vue 组件实例。
- * @param {string | Function} expOrFn - 要观察的表达式或函数。
+ * @param {string | Function | Array<any>} expOrFn - 要观察的表达式、函数或由它们组成的数组。
  * @param {any} handler - 观察者的处理函数。
  * @param {Object} [options] - 观察者的选项。
  * @return {Function} 返回一个取消观察的函数。
  */
 function createWatcher (
   vm: Component,
-  expOrFn: string | Function,
+  expOrFn: string | Function | Array<any>,
   handler: any,
   options?: Object
 ) {
@@ -450,7 +476,7 @@ export function stateMixin (Vue: Class<Component>) {
 
   // 在 Vue 的原型上添加 $watch 方法
   Vue.prototype.$watch = function (
-    expOrFn: string | Function,
+    expOrFn: string | Function | Array<any>,
     cb: any,
     options?: Object
   ): Function {
@@ -466,7 +492,9 @@ export function stateMixin (Vue: Class<Component>) {
     if (options.immediate) {
       const info = `callback for immediate watcher "${watcher.expression}"`
       pushTarget()
-      invokeWithErrorHandling(cb, vm, [watcher.value], vm, info)
+      // 观察多个数据源时，旧值是与数据源一一对应的 undefined 数组，方便解构
+      const oldValue = watcher.multi ? watcher.value.map(() => undefined) : undefined
+      invokeWithErrorHandling(cb, vm, [watcher.value, oldValue, watcher.onCleanup], vm, info)
       popTarget()
     }
     // 返回一个取消观察的函数
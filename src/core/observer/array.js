@@ -4,6 +4,7 @@
  */
 
 import { def } from '../util/index'
+import { TriggerOpTypes } from './dep'
 
 const arrayProto = Array.prototype // 获取数组原型
 export const arrayMethods = Object.create(arrayProto) // 创建一个新对象，该对象的原型是数组原型
@@ -37,9 +38,13 @@ methodsToPatch.forEach(function (method) { // 遍历需要修改的数组方法
         inserted = args.slice(2) // 如果是 splice 方法，插入的元素是第三个参数开始的所有参数
         break
     }
-    if (inserted) ob.observeArray(inserted) // 如果有插入的元素，观察这些元素
+    if (inserted && !ob.shallow) ob.observeArray(inserted) // 如果有插入的元素且不是浅观察，观察这些元素
     // 通知变更
-    ob.dep.notify()
+    if (process.env.NODE_ENV !== 'production') {
+      ob.dep.notify({ target: this, type: TriggerOpTypes.ARRAY_MUTATION, key: method })
+    } else {
+      ob.dep.notify()
+    }
     return result // 返回原始方法的结果
   })
 })
\ No newline at end of file
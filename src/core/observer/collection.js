@@ -0,0 +1,259 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on collection prototypes
+ */
+
+import Dep, { TrackOpTypes, TriggerOpTypes } from './dep'
+import { observe } from './index'
+import {
+  toRaw,
+  toReactive,
+  track,
+  trigger,
+  trackIterate,
+  triggerIterate,
+  hasChanged
+} from './proxy'
+import { def, hasSymbol, toRawType } from '../util/index'
+
+// 各集合类型的原生原型，增强后的方法通过它们调用原始实现
+const nativeProtos = Object.create(null)
+if (typeof Map !== 'undefined') nativeProtos.Map = Map.prototype
+if (typeof Set !== 'undefined') nativeProtos.Set = Set.prototype
+if (typeof WeakMap !== 'undefined') nativeProtos.WeakMap = WeakMap.prototype
+if (typeof WeakSet !== 'undefined') nativeProtos.WeakSet = WeakSet.prototype
+
+/**
+ * 判断值是否是 Map/Set/WeakMap/WeakSet 集合。
+ * 只接受原型是原生原型（或已增强的原型）的值，子类实例的原型上有自己的方法，
+ * 替换原型会丢失这些方法并破坏 instanceof，因此不作为集合观察。
+ */
+export function isCollection (value) {
+  const type = toRawType(value)
+  if (!nativeProtos[type]) {
+    return false
+  }
+  const proto = Object.getPrototypeOf(value)
+  return proto === nativeProtos[type] || proto === collectionMethods[type]
+}
+
+/**
+ * 判断值是否是无法遍历的弱集合。
+ */
+function isWeakCollection (value) {
+  const type = toRawType(value)
+  return type === 'WeakMap' || type === 'WeakSet'
+}
+
+/**
+ * 创建用于存放各个键依赖的容器，弱集合的键只能是对象，使用 WeakMap 避免泄漏。
+ */
+export function createKeyDeps (value) {
+  return isWeakCollection(value) ? new WeakMap() : new Map()
+}
+
+/**
+ * 调用集合的原生方法。
+ */
+function callNative (target, method, args) {
+  return nativeProtos[toRawType(target)][method].apply(target, args)
+}
+
+/**
+ * 返回读取到的值：浅观察时原样返回，代理模式下返回响应式代理，
+ * 否则像 defineReactive 的 getter 一样依赖子对象的观察者。
+ */
+function toTracked (ob, value) {
+  if (ob.shallow) {
+    return value
+  }
+  if (ob.proxy) {
+    return toReactive(value)
+  }
+  const childOb = observe(value)
+  if (childOb && Dep.target) {
+    childOb.dep.depend()
+  }
+  return value
+}
+
+/**
+ * 观察集合中已有的值（弱集合无法遍历，其值在读取时再观察）。
+ */
+export function observeCollection (value) {
+  if (!isWeakCollection(value)) {
+    callNative(value, 'forEach', [item => { observe(item) }])
+  }
+}
+
+/**
+ * 读取集合大小，依赖集合的结构变化。
+ */
+export function getCollectionSize (target) {
+  target = toRaw(target)
+  trackIterate(target.__ob__)
+  return Object.getOwnPropertyDescriptor(nativeProtos[toRawType(target)], 'size')
+    .get.call(target)
+}
+
+/**
+ * 包装集合的迭代器，使迭代出的值同样被追踪。
+ */
+function createIterableMethod (method) {
+  return function (...args) {
+    const target = toRaw(this)
+    const ob = target.__ob__
+    trackIterate(ob)
+    const isPair = method === 'entries' ||
+      (method !== 'keys' && method !== 'values' && toRawType(target) === 'Map')
+    const inner = callNative(target, method, args)
+    const iterator = {
+      next () {
+        const { value, done } = inner.next()
+        return done
+          ? { value, done }
+          : {
+            value: isPair ? [toTracked(ob, value[0]), toTracked(ob, value[1])] : toTracked(ob, value),
+            done
+          }
+      }
+    }
+    if (hasSymbol) {
+      iterator[Symbol.iterator] = function () { return this }
+    }
+    return iterator
+  }
+}
+
+/**
+ * 拦截集合的读写方法：读取时按键收集依赖，写入时通知。
+ * 方法中的 this 可能是被增强的原始集合，也可能是代理模式下的响应式代理，
+ * 集合的方法依赖内部插槽，因此统一在原始对象上调用原生实现。
+ */
+export const collectionInstrumentations = {
+  get (key) {
+    const target = toRaw(this)
+    const ob = target.__ob__
+    key = toRaw(key)
+    track(ob, key)
+    return toTracked(ob, callNative(target, 'get', [key]))
+  },
+  has (key) {
+    const target = toRaw(this)
+    key = toRaw(key)
+    track(target.__ob__, key, TrackOpTypes.HAS)
+    return callNative(target, 'has', [key])
+  },
+  set (key, value) {
+    const target = toRaw(this)
+    const ob = target.__ob__
+    key = toRaw(key)
+    value = toRaw(value)
+    const hadKey = callNative(target, 'has', [key])
+    const oldValue = callNative(target, 'get', [key])
+    callNative(target, 'set', [key, value])
+    if (!hadKey || hasChanged(value, oldValue)) {
+      if (!ob.shallow) observe(value)
+      const type = hadKey ? TriggerOpTypes.SET : TriggerOpTypes.ADD
+      trigger(ob, key, type, value, oldValue)
+      triggerIterate(ob, type, key, value, oldValue)
+    }
+    return this
+  },
+  add (value) {
+    const target = toRaw(this)
+    const ob = target.__ob__
+    value = toRaw(value)
+    if (!callNative(target, 'has', [value])) {
+      callNative(target, 'add', [value])
+      if (!ob.shallow) observe(value)
+      trigger(ob, value, TriggerOpTypes.ADD, value)
+      triggerIterate(ob, TriggerOpTypes.ADD, value, value)
+    }
+    return this
+  },
+  delete (key) {
+    const target = toRaw(this)
+    const ob = target.__ob__
+    key = toRaw(key)
+    const hadKey = callNative(target, 'has', [key])
+    const result = callNative(target, 'delete', [key])
+    if (hadKey) {
+      trigger(ob, key, TriggerOpTypes.DELETE)
+      triggerIterate(ob, TriggerOpTypes.DELETE, key)
+    }
+    return result
+  },
+  clear () {
+    const target = toRaw(this)
+    const ob = target.__ob__
+    const keys = []
+    callNative(target, 'forEach', [(value, key) => { keys.push(key) }])
+    if (keys.length) {
+      callNative(target, 'clear', [])
+      keys.forEach(key => trigger(ob, key, TriggerOpTypes.CLEAR))
+      triggerIterate(ob, TriggerOpTypes.CLEAR)
+    }
+  },
+  forEach (callback, thisArg) {
+    const collection = this
+    const target = toRaw(this)
+    const ob = target.__ob__
+    trackIterate(ob)
+    callNative(target, 'forEach', [(value, key) => {
+      callback.call(thisArg, toTracked(ob, value), toTracked(ob, key), collection)
+    }])
+  },
+  keys: createIterableMethod('keys'),
+  values: createIterableMethod('values'),
+  entries: createIterableMethod('entries')
+}
+
+if (hasSymbol) {
+  collectionInstrumentations[Symbol.iterator] = createIterableMethod(Symbol.iterator)
+}
+
+// 每种集合类型对应一个增强后的原型对象，其原型是原生原型
+const collectionMethods = Object.create(null)
+Object.keys(nativeProtos).forEach(type => {
+  const proto = nativeProtos[type]
+  const methods = Object.create(proto)
+  const keys = Object.keys(collectionInstrumentations)
+  if (hasSymbol) {
+    keys.push(Symbol.iterator)
+  }
+  keys.forEach(key => {
+    if (key in proto) {
+      def(methods, key, collectionInstrumentations[key])
+    }
+  })
+  if ('size' in proto) {
+    Object.defineProperty(methods, 'size', {
+      configurable: true,
+      get () {
+        return getCollectionSize(this)
+      }
+    })
+  }
+  collectionMethods[type] = methods
+})
+
+/**
+ * 获取集合类型对应的增强原型。
+ */
+export function getCollectionMethods (value) {
+  return collectionMethods[toRawType(value)]
+}
+
+/**
+ * 不支持 __proto__ 时，将增强后的方法和 size 访问器直接定义在集合实例上。
+ */
+export function copyCollectionMethods (target, methods) {
+  const keys = Object.getOwnPropertyNames(methods)
+  if (hasSymbol) {
+    keys.push.apply(keys, Object.getOwnPropertySymbols(methods))
+  }
+  keys.forEach(key => {
+    Object.defineProperty(target, key, Object.getOwnPropertyDescriptor(methods, key))
+  })
+}
@@ -1,11 +1,38 @@
 /* @flow */
 
 import type Watcher from './watcher'
-import { remove } from '../util/index'
+import { remove, extend } from '../util/index'
 import config from '../config'
 
 let uid = 0
 
+// 依赖收集的操作类型，用于 onTrack 调试钩子
+export const TrackOpTypes = {
+  GET: 'get',
+  HAS: 'has',
+  ITERATE: 'iterate'
+}
+
+// 触发更新的操作类型，用于 onTrigger 调试钩子
+export const TriggerOpTypes = {
+  SET: 'set',
+  ADD: 'add',
+  DELETE: 'delete',
+  CLEAR: 'clear',
+  ARRAY_MUTATION: 'array-mutation'
+}
+
+/**
+ * 传给 onTrack/onTrigger 的调试信息，仅在开发环境下生成。
+ */
+export type DebuggerEventExtraInfo = {
+  target: Object,
+  type: string,
+  key?: any,
+  newValue?: any,
+  oldValue?: any
+}
+
 /**
  * Dep 是一个可观察的对象，可以有多个指令订阅它。
  */
@@ -30,15 +57,19 @@ export default class Dep {
     remove(this.subs, sub)
   }
 
-  // 如果有目标，添加依赖
-  depend () {
-    if (Dep.target) {
-      Dep.target.addDep(this)
+  // 如果有目标，添加依赖；开发环境下本次求值首次收集该依赖时，将来源报告给目标的 onTrack
+  depend (info?: DebuggerEventExtraInfo) {
+    const target = Dep.target
+    if (target) {
+      const onTrack = process.env.NODE_ENV !== 'production' && info &&
+        target.onTrack && !target.newDepIds.has(this.id) ? target.onTrack : null
+      target.addDep(this)
+      onTrack && onTrack(extend({ effect: target }, info))
     }
   }
 
-  // 通知所有订阅者更新
-  notify () {
+  // 通知所有订阅者更新；开发环境下将触发的原因报告给订阅者的 onTrigger
+  notify (info?: DebuggerEventExtraInfo) {
     // stabilize the subscriber list first
     const subs = this.subs.slice()
     if (process.env.NODE_ENV !== 'production' && !config.async) {
@@ -48,7 +79,12 @@ export default class Dep {
       subs.sort((a, b) => a.id - b.id)
     }
     for (let i = 0, l = subs.length; i < l; i++) {
-      subs[i].update()
+      const sub = subs[i]
+      if (process.env.NODE_ENV !== 'production' && info) {
+        const onTrigger = sub.onTrigger
+        onTrigger && onTrigger(extend({ effect: sub }, info))
+      }
+      sub.update()
     }
   }
 }
@@ -0,0 +1,97 @@
+/* @flow */
+
+import type Watcher from './watcher'
+import { warn } from '../util/index'
+
+// 当前正在运行的作用域，在此期间创建的观察者都会被收集到该作用域中
+let activeEffectScope: ?EffectScope = null
+
+/**
+ * EffectScope 类用于收集在其 run() 中创建的观察者（包括计算属性和 $watch），
+ * 以便之后通过 stop() 一次性销毁它们。作用域可以嵌套，停止父作用域时会同时停止子作用域。
+ */
+export class EffectScope {
+  active: boolean;
+  effects: Array<Watcher>;
+  scopes: Array<EffectScope>;
+  parent: ?EffectScope;
+  index: ?number;
+
+  constructor (detached?: boolean) {
+    this.active = true
+    this.effects = []
+    this.scopes = []
+    this.parent = activeEffectScope
+    // 非独立的作用域会被注册到父作用域中，随父作用域一起停止
+    if (!detached && activeEffectScope) {
+      this.index = activeEffectScope.scopes.push(this) - 1
+    }
+  }
+
+  /**
+   * 在当前作用域中运行 fn，并返回 fn 的返回值。
+   */
+  run (fn: Function): any {
+    if (this.active) {
+      const currentEffectScope = activeEffectScope
+      try {
+        activeEffectScope = this
+        return fn()
+      } finally {
+        activeEffectScope = currentEffectScope
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn('Cannot run an inactive effect scope.')
+    }
+  }
+
+  /**
+   * 销毁作用域中收集的所有观察者，并停止所有子作用域。
+   */
+  stop (fromParent?: boolean) {
+    if (this.active) {
+      let i, l
+      for (i = 0, l = this.effects.length; i < l; i++) {
+        this.effects[i].teardown()
+      }
+      for (i = 0, l = this.scopes.length; i < l; i++) {
+        this.scopes[i].stop(true)
+      }
+      // 从父作用域中移除自身，避免内存泄漏
+      const parent = this.parent
+      const index = this.index
+      if (!fromParent && parent && parent.active && index != null) {
+        const last = parent.scopes.pop()
+        if (last && last !== this) {
+          parent.scopes[index] = last
+          last.index = index
+        }
+      }
+      this.parent = null
+      this.active = false
+    }
+  }
+}
+
+/**
+ * 创建一个新的作用域。detached 为 true 时，作用域不会被父作用域收集。
+ */
+export function effectScope (detached?: boolean): EffectScope {
+  return new EffectScope(detached)
+}
+
+/**
+ * 将观察者记录到当前正在运行的作用域中。
+ */
+export function recordEffectScope (effect: Watcher) {
+  if (activeEffectScope && activeEffectScope.active) {
+    activeEffectScope.effects.push(effect)
+  }
+}
+
+/**
+ * 返回当前正在运行的作用域。
+ */
+export function getCurrentScope (): ?EffectScope {
+  return activeEffectScope
+}
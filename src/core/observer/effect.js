@@ -0,0 +1,63 @@
+/* @flow */
+
+import Watcher from './watcher'
+import { RefFlag } from './reactive'
+import { evaluateComputed } from '../instance/state'
+import { def, noop, warn, isServerRendering } from '../util/index'
+
+/**
+ * 创建独立于组件的计算属性，返回一个 ref。
+ * 与组件的计算属性一样使用 lazy 观察者，只在依赖变化后被读取时重新求值。
+ */
+export function computed (getterOrOptions: Function | Object): Object {
+  let getter, setter
+  if (typeof getterOrOptions === 'function') {
+    getter = getterOrOptions
+    setter = process.env.NODE_ENV !== 'production'
+      ? () => { warn('Write operation failed: computed value is readonly.') }
+      : noop
+  } else {
+    getter = getterOrOptions.get
+    setter = getterOrOptions.set || noop
+  }
+  // 服务器渲染时数据不会变化，无需缓存
+  const watcher = isServerRendering()
+    ? null
+    : new Watcher(null, getter, noop, { lazy: true })
+  const r = {}
+  def(r, RefFlag, true)
+  def(r, 'effect', watcher)
+  Object.defineProperty(r, 'value', ({
+    enumerable: true,
+    configurable: true,
+    get: () => watcher ? evaluateComputed(watcher) : getter(),
+    set: setter
+  }: Object)) // https://github.com/facebook/flow/issues/285
+  return r
+}
+
+/**
+ * 立即运行 fn，并在 fn 读取的任何响应式数据变化时重新运行。
+ * sync 为 true 时同步重新运行，否则和组件的 watcher 一样在下一个 tick 批量运行。
+ * 返回用于停止的函数。
+ */
+function doEffect (fn: Function, sync: boolean): Function {
+  const watcher = new Watcher(null, fn, noop, { user: true, sync })
+  return function stop () {
+    watcher.teardown()
+  }
+}
+
+/**
+ * 同步运行的副作用，依赖变化后立即重新运行。
+ */
+export function effect (fn: Function): Function {
+  return doEffect(fn, true)
+}
+
+/**
+ * 异步批量运行的副作用，同一个 tick 内的多次变化只会重新运行一次。
+ */
+export function watchEffect (fn: Function): Function {
+  return doEffect(fn, false)
+}
@@ -1,13 +1,23 @@
 /* @flow */
 
-import Dep from './dep'
+import Dep, { TrackOpTypes, TriggerOpTypes } from './dep'
+import config from '../config'
 import VNode from '../vdom/vnode'
 import { arrayMethods } from './array'
+import { createReactiveProxy } from './proxy'
+import {
+  isCollection,
+  createKeyDeps,
+  observeCollection,
+  getCollectionMethods,
+  copyCollectionMethods
+} from './collection'
 import {
   def,
   warn,
   hasOwn,
   hasProto,
+  hasProxy,
   isObject,
   isPlainObject,
   isPrimitive,
@@ -28,6 +38,35 @@ export function toggleObserving (value: boolean) {
   shouldObserve = value
 }
 
+let proxyUnsupportedWarned = false
+
+// 标记在对象上的属性，带有该标记的对象不会被观察（见 markRaw）
+export const SkipFlag = '__v_skip'
+
+// 用于区分 defineReactive 没有传入初始值和传入了 undefined
+const NO_INITIAL_VALUE = {}
+
+/**
+ * 是否使用基于 Proxy 的响应式模式（Vue.config.reactivity = 'proxy'）。
+ * 当前环境不支持原生 Proxy 时回退到 defineProperty 模式。
+ */
+export function isProxyMode (): boolean {
+  if (config.reactivity !== 'proxy') {
+    return false
+  }
+  if (!hasProxy) {
+    if (process.env.NODE_ENV !== 'production' && !proxyUnsupportedWarned) {
+      proxyUnsupportedWarned = true
+      warn(
+        'Vue.config.reactivity is set to "proxy" but Proxy is not supported ' +
+        'in this environment. Falling back to the defineProperty mode.'
+      )
+    }
+    return false
+  }
+  return true
+}
+
 /**
  * Observer 类，附加到每个被观察的对象上。
  * 一旦附加，观察者将目标对象的属性键转换为收集依赖项和分派更新的 getter/setter。
@@ -36,19 +75,38 @@ export class Observer {
   value: any; // 被观察的值
   dep: Dep; // 依赖对象
   vmCount: number; // 有此对象作为根 $data 的 vm 数量
+  proxy: ?Object; // 代理模式下的响应式代理
+  keyDeps: ?(Map<any, Dep> | WeakMap<any, Dep>); // 代理模式下每个键的依赖
+  shallow: boolean; // 是否只观察根级属性
 
-  constructor (value: any) { // 构造函数
+  constructor (value: any, shallow?: boolean) { // 构造函数
     this.value = value // 设置被观察的值
     this.dep = new Dep() // 创建一个新的依赖对象
     this.vmCount = 0 // 初始化 vmCount
+    this.shallow = !!shallow // 浅观察时不观察嵌套的值
     def(value, '__ob__', this) // 在值上定义一个名为 __ob__ 的属性，值为 this
-    if (Array.isArray(value)) { // 如果值是数组
+    if (isProxyMode()) { // 代理模式：不改写属性和原型，读写由代理拦截
+      this.keyDeps = createKeyDeps(value) // 按键存放依赖，键在访问时才创建
+      this.proxy = createReactiveProxy(value) // 创建响应式代理
+    } else if (Array.isArray(value)) { // 如果值是数组
       if (hasProto) { // 如果有 __proto__ 属性
         protoAugment(value, arrayMethods) // 使用原型增强
       } else {
         copyAugment(value, arrayMethods, arrayKeys) // 使用复制增强
       }
-      this.observeArray(value) // 观察数组
+      if (!shallow) {
+        this.observeArray(value) // 观察数组
+      }
+    } else if (isCollection(value)) { // 如果值是 Map/Set/WeakMap/WeakSet 集合
+      this.keyDeps = createKeyDeps(value) // 按键存放依赖
+      if (hasProto) { // 如果有 __proto__ 属性
+        protoAugment(value, getCollectionMethods(value)) // 使用原型增强拦截集合的读写方法
+      } else {
+        copyCollectionMethods(value, getCollectionMethods(value)) // 在实例上定义拦截方法
+      }
+      if (!shallow) {
+        observeCollection(value) // 观察集合中的值
+      }
     } else {
       this.walk(value) // 遍历对象
     }
@@ -61,7 +119,7 @@ export class Observer {
   walk (obj: Object) { // 要遍历的对象
     const keys = Object.keys(obj) // 获取对象的所有键
     for (let i = 0; i < keys.length; i++) { // 遍历所有键
-      defineReactive(obj, keys[i]) // 定义响应式属性
+      defineReactive(obj, keys[i], NO_INITIAL_VALUE, undefined, this.shallow) // 定义响应式属性
     }
   }
 
@@ -102,8 +160,8 @@ function copyAugment (target: Object, src: Object, keys: Array<string>) { // 目
  * 如果成功观察，返回新的观察者，
  * 如果该值已经有一个观察者，返回现有的观察者。
  */
-export function observe (value: any, asRootData: ?boolean): Observer | void { // 要观察的值和是否作为根数据的标志
-  if (!isObject(value) || value instanceof VNode) { // 如果值不是对象或值是 VNode 实例
+export function observe (value: any, asRootData: ?boolean, shallow?: boolean): Observer | void { // 要观察的值、是否作为根数据的标志以及是否浅观察
+  if (!isObject(value) || value instanceof VNode || value[SkipFlag]) { // 如果值不是对象、是 VNode 实例或被标记为不观察
     return // 返回 undefined
   }
   let ob: Observer | void // 观察者
@@ -112,11 +170,11 @@ export function observe (value: any, asRootData: ?boolean): Observer | void { //
   } else if (
     shouldObserve &&
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) &&
+    (Array.isArray(value) || isPlainObject(value) || isCollection(value)) &&
     Object.isExtensible(value) &&
     !value._isVue
-  ) { // 如果应该观察且不是在服务器渲染且值是数组或普通对象且值是可扩展的且值不是 Vue 实例
-    ob = new Observer(value) // 创建新的观察者
+  ) { // 如果应该观察且不是在服务器渲染且值是数组、普通对象或集合且值是可扩展的且值不是 Vue 实例
+    ob = new Observer(value, shallow) // 创建新的观察者
   }
   if (asRootData && ob) { // 如果作为根数据且观察者存在
     ob.vmCount++ // 增加 vmCount
@@ -144,8 +202,10 @@ export function defineReactive (
   // cater for pre-defined getter/setters
   const getter = property && property.get // 获取 getter
   const setter = property && property.set // 获取 setter
-  if ((!getter || setter) && arguments.length === 2) { // 如果 getter 不存在或 setter 存在且参数长度为 2
+  if ((!getter || setter) && (arguments.length === 2 || val === NO_INITIAL_VALUE)) { // 如果 getter 不存在或 setter 存在且没有传入初始值
     val = obj[key] // 获取属性的值
+  } else if (val === NO_INITIAL_VALUE) { // 只有 getter 的属性不需要初始值
+    val = undefined
   }
 
   let childOb = !shallow && observe(val) // 如果不是浅观察，则观察属性的值
@@ -155,15 +215,20 @@ export function defineReactive (
     get: function reactiveGetter () { // 定义 getter
       const value = getter ? getter.call(obj) : val // 获取属性的值
       if (Dep.target) { // 如果有依赖目标
-        dep.depend() // 添加依赖
+        if (process.env.NODE_ENV !== 'production') { // 开发环境下报告依赖的来源，供 onTrack 使用
+          dep.depend({ target: obj, type: TrackOpTypes.GET, key })
+        } else {
+          dep.depend() // 添加依赖
+        }
         if (childOb) { // 如果子观察对象存在
           childOb.dep.depend() // 添加子观察对象的依赖
-          if (Array.isArray(value)) { // 如果值是数组
+          if (Array.isArray(value) && !childOb.proxy) { // 如果值是数组（代理模式下数组元素由代理自行收集）
             dependArray(value) // 添加数组的依赖
           }
         }
       }
-      return value // 返回值
+      // 代理模式下返回响应式代理，使后续的读写都能被拦截
+      return childOb && childOb.proxy && childOb.value === value ? childOb.proxy : value
     },
     set: function reactiveSetter (newVal) { // 定义 setter
       const value = getter ? getter.call(obj) : val // 获取属性的值
@@ -183,7 +248,11 @@ export function defineReactive (
         val = newVal // 直接设置新值
       }
       childOb = !shallow && observe(newVal) // 如果不是浅观察，则观察新值
-      dep.notify() // 通知依赖更新
+      if (process.env.NODE_ENV !== 'production') { // 开发环境下报告触发的原因，供 onTrigger 使用
+        dep.notify({ target: obj, type: TriggerOpTypes.SET, key, newValue: newVal, oldValue: value })
+      } else {
+        dep.notify() // 通知依赖更新
+      }
     }
   })
 }
@@ -203,6 +272,13 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
   ) {
     warn(`Cannot set reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  // 获取目标对象的观察者
+  const ob = (target: any).__ob__
+  // 代理模式下通过代理写入，由代理的拦截器负责通知（根 $data 只允许修改已有属性）
+  if (ob && ob.proxy && (!ob.vmCount || hasOwn(ob.value, key))) {
+    ob.proxy[key] = val
+    return val
+  }
   // 如果目标是数组，并且键是有效的数组索引
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     // 更新数组的长度
@@ -217,8 +293,6 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
     target[key] = val
     return val
   }
-  // 获取目标对象的观察者
-  const ob = (target: any).__ob__
   // 如果目标对象是 Vue 实例或其根 $data，或者目标对象有观察者并且观察者的 vmCount 大于 0
   if (target._isVue || (ob && ob.vmCount)) {
     // 在非生产环境下，给出警告
@@ -234,10 +308,14 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
     target[key] = val
     return val
   }
-  // 在目标对象上定义响应式属性
-  defineReactive(ob.value, key, val)
+  // 在目标对象上定义响应式属性（浅观察的对象新增的属性同样只浅观察）
+  defineReactive(ob.value, key, val, undefined, ob.shallow)
   // 通知依赖更新
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, type: TriggerOpTypes.ADD, key, newValue: val, oldValue: undefined })
+  } else {
+    ob.dep.notify()
+  }
   return val
 }
 
@@ -254,14 +332,23 @@ export function del (target: Array<any> | Object, key: any) {
   ) {
     warn(`Cannot delete reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  // 获取目标对象的观察者
+  const ob = (target: any).__ob__
+  // 代理模式下通过代理删除，由代理的拦截器负责通知
+  if (ob && ob.proxy && !ob.vmCount) {
+    if (Array.isArray(target) && isValidArrayIndex(key)) {
+      ob.proxy.splice(key, 1)
+    } else {
+      delete ob.proxy[key]
+    }
+    return
+  }
   // 如果目标是数组，并且键是有效的数组索引
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     // 删除指定位置的元素
     target.splice(key, 1)
     return
   }
-  // 获取目标对象的观察者
-  const ob = (target: any).__ob__
   // 如果目标对象是 Vue 实例或其根 $data，或者目标对象有观察者并且观察者的 vmCount 大于 0
   if (target._isVue || (ob && ob.vmCount)) {
     // 在非生产环境下，给出警告
@@ -282,7 +369,11 @@ export function del (target: Array<any> | Object, key: any) {
     return
   }
   // 通知依赖更新
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, type: TriggerOpTypes.DELETE, key })
+  } else {
+    ob.dep.notify()
+  }
 }
 
 /**
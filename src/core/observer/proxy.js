@@ -0,0 +1,253 @@
+/* not type checking this file because flow doesn't play well with Proxy */
+
+import Dep, { pushTarget, popTarget, TrackOpTypes, TriggerOpTypes } from './dep'
+import { observe } from './index'
+import {
+  isCollection,
+  getCollectionSize,
+  collectionInstrumentations
+} from './collection'
+import {
+  hasOwn,
+  isObject,
+  hasSymbol,
+  isValidArrayIndex
+} from '../util/index'
+
+const arrayProto = Array.prototype
+
+// 内置 Symbol（如 Symbol.iterator）的读取不需要收集依赖
+const builtInSymbols = hasSymbol
+  ? Object.getOwnPropertyNames(Symbol)
+    .map(key => Symbol[key])
+    .filter(key => typeof key === 'symbol')
+  : []
+
+function isBuiltInSymbol (key) {
+  return typeof key === 'symbol' && builtInSymbols.indexOf(key) > -1
+}
+
+/**
+ * 判断新旧值是否不同（NaN 视为相同）。
+ */
+export function hasChanged (value, oldValue) {
+  /* eslint-disable no-self-compare */
+  return value !== oldValue && (value === value || oldValue === oldValue)
+  /* eslint-enable no-self-compare */
+}
+
+/**
+ * 获取（必要时创建）某个键对应的依赖对象。
+ */
+function getKeyDep (ob, key) {
+  let dep = ob.keyDeps.get(key)
+  if (!dep) {
+    dep = new Dep()
+    ob.keyDeps.set(key, dep)
+  }
+  return dep
+}
+
+/**
+ * 生成传给 onTrack/onTrigger 的调试信息，生产环境下不生成。
+ */
+function debugInfo (ob, type, key, newValue, oldValue) {
+  if (process.env.NODE_ENV !== 'production') {
+    return { target: ob.value, type, key, newValue, oldValue }
+  }
+}
+
+/**
+ * 读取某个键时收集依赖。
+ */
+export function track (ob, key, type = TrackOpTypes.GET) {
+  if (Dep.target) {
+    getKeyDep(ob, key).depend(debugInfo(ob, type, key))
+  }
+}
+
+/**
+ * 写入某个键时通知依赖。
+ */
+export function trigger (ob, key, type, newValue, oldValue) {
+  const dep = ob.keyDeps.get(key)
+  if (dep) {
+    dep.notify(debugInfo(ob, type, key, newValue, oldValue))
+  }
+}
+
+/**
+ * 遍历对象或集合时依赖其结构（键的增删）。
+ */
+export function trackIterate (ob) {
+  if (Dep.target) {
+    ob.dep.depend(debugInfo(ob, TrackOpTypes.ITERATE))
+  }
+}
+
+/**
+ * 对象或集合的结构变化时通知依赖。
+ */
+export function triggerIterate (ob, type, key, newValue, oldValue) {
+  ob.dep.notify(debugInfo(ob, type, key, newValue, oldValue))
+}
+
+/**
+ * 返回值对应的响应式代理，无法观察的值原样返回。
+ */
+export function toReactive (value) {
+  if (!isObject(value)) {
+    return value
+  }
+  const ob = observe(value)
+  return ob && ob.proxy ? ob.proxy : value
+}
+
+// 只读代理通过该属性返回其背后的原始对象
+export const RawFlag = '__v_raw'
+
+/**
+ * 返回响应式代理或只读代理背后的原始对象。
+ */
+export function toRaw (value) {
+  if (!isObject(value)) {
+    return value
+  }
+  const ob = value.__ob__
+  if (ob && ob.proxy === value) {
+    return ob.value
+  }
+  return value[RawFlag] || value
+}
+
+// 数组的变异方法在执行期间暂停依赖收集，
+// 否则在 watcher 中调用 push 等方法会让 watcher 依赖 length 而触发自身
+const arrayInstrumentations = Object.create(null)
+;['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse'].forEach(method => {
+  const original = arrayProto[method]
+  arrayInstrumentations[method] = function (...args) {
+    pushTarget()
+    try {
+      return original.apply(this, args)
+    } finally {
+      popTarget()
+    }
+  }
+})
+
+// 查找类方法在原始数组上执行，以便传入原始对象或代理对象都能找到
+;['includes', 'indexOf', 'lastIndexOf'].forEach(method => {
+  const original = arrayProto[method]
+  arrayInstrumentations[method] = function (...args) {
+    const raw = toRaw(this)
+    const ob = raw.__ob__
+    track(ob, 'length')
+    for (let i = 0, l = raw.length; i < l; i++) {
+      track(ob, String(i))
+    }
+    const res = original.apply(raw, args)
+    return res === -1 || res === false
+      ? original.apply(raw, args.map(toRaw))
+      : res
+  }
+})
+
+const baseHandlers = {
+  get (target, key, receiver) {
+    if (key === '__ob__') {
+      return target.__ob__
+    }
+    if (Array.isArray(target) && hasOwn(arrayInstrumentations, key)) {
+      return arrayInstrumentations[key]
+    }
+    const value = Reflect.get(target, key, receiver)
+    if (isBuiltInSymbol(key)) {
+      return value
+    }
+    const ob = target.__ob__
+    track(ob, key)
+    return ob.shallow ? value : toReactive(value)
+  },
+
+  set (target, key, value, receiver) {
+    const ob = target.__ob__
+    const isArray = Array.isArray(target)
+    const oldValue = target[key]
+    const oldLength = isArray ? target.length : 0
+    const hadKey = isArray && isValidArrayIndex(key)
+      ? Number(key) < oldLength
+      : hasOwn(target, key)
+    value = toRaw(value)
+    const result = Reflect.set(target, key, value, receiver)
+    // 代理位于其他对象的原型链上时不通知
+    if (receiver !== ob.proxy) {
+      return result
+    }
+    if (!hadKey) { // 新增属性或数组越界写入
+      trigger(ob, key, TriggerOpTypes.ADD, value)
+      if (isArray && target.length !== oldLength) {
+        trigger(ob, 'length', TriggerOpTypes.SET, target.length, oldLength)
+      }
+      triggerIterate(ob, TriggerOpTypes.ADD, key, value)
+    } else if (hasChanged(value, oldValue)) {
+      trigger(ob, key, TriggerOpTypes.SET, value, oldValue)
+      if (isArray && key === 'length' && value < oldLength) { // 截断数组
+        for (let i = value; i < oldLength; i++) {
+          trigger(ob, String(i), TriggerOpTypes.DELETE)
+        }
+        triggerIterate(ob, TriggerOpTypes.SET, key, value, oldValue)
+      }
+    }
+    return result
+  },
+
+  deleteProperty (target, key) {
+    const ob = target.__ob__
+    const hadKey = hasOwn(target, key)
+    const result = Reflect.deleteProperty(target, key)
+    if (result && hadKey) {
+      trigger(ob, key, TriggerOpTypes.DELETE)
+      triggerIterate(ob, TriggerOpTypes.DELETE, key)
+    }
+    return result
+  },
+
+  has (target, key) {
+    if (!isBuiltInSymbol(key)) {
+      track(target.__ob__, key, TrackOpTypes.HAS)
+    }
+    return Reflect.has(target, key)
+  },
+
+  ownKeys (target) {
+    // 键的增删都会通知 ob.dep，因此遍历只需依赖它
+    trackIterate(target.__ob__)
+    return Reflect.ownKeys(target)
+  }
+}
+
+const collectionHandlers = {
+  get (target, key) {
+    if (key === '__ob__') {
+      return target.__ob__
+    }
+    if (key === 'size') {
+      return getCollectionSize(target)
+    }
+    if (hasOwn(collectionInstrumentations, key) && key in target) {
+      return collectionInstrumentations[key]
+    }
+    return Reflect.get(target, key, target)
+  }
+}
+
+/**
+ * 为被观察的对象创建响应式代理。
+ * 代理的拦截器通过 target.__ob__ 找到观察者，按键收集依赖和通知更新。
+ */
+export function createReactiveProxy (value) {
+  return new Proxy(
+    value,
+    isCollection(value) ? collectionHandlers : baseHandlers
+  )
+}
@@ -0,0 +1,73 @@
+/* @flow */
+
+import { observe, defineReactive, SkipFlag } from './index'
+import { def, warn, isObject } from '../util/index'
+
+export const RefFlag = '__v_isRef'
+
+/**
+ * 返回对象的响应式版本，不依赖组件实例。
+ * defineProperty 模式下返回对象本身，代理模式下返回响应式代理。
+ */
+export function reactive<T: Object> (target: T): T {
+  return makeReactive(target, false)
+}
+
+/**
+ * 与 reactive() 相同，但只有根级属性是响应式的，嵌套的值原样保存而不会被观察。
+ */
+export function shallowReactive<T: Object> (target: T): T {
+  return makeReactive(target, true)
+}
+
+function makeReactive<T: Object> (target: T, shallow: boolean): T {
+  if (!isObject(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `${shallow ? 'shallowReactive' : 'reactive'}() can only be called on objects, got: ${String(target)}`
+    )
+    return target
+  }
+  const ob = observe(target, false, shallow)
+  if (process.env.NODE_ENV !== 'production' && !ob) {
+    warn(`Target cannot be made reactive: ${String(target)}`)
+  }
+  return ob && ob.proxy ? (ob.proxy: any) : target
+}
+
+/**
+ * 标记对象，使其永远不会被观察，返回对象本身。
+ * 适用于体积大且不会变化的数据，可以省去深度观察的开销。
+ */
+export function markRaw<T: Object> (value: T): T {
+  if (isObject(value) && Object.isExtensible(value)) {
+    def(value, SkipFlag, true)
+  }
+  return value
+}
+
+/**
+ * 将单个值包装成带有响应式 value 属性的对象。
+ */
+export function ref (value: any): Object {
+  if (isRef(value)) {
+    return value
+  }
+  const r = {}
+  def(r, RefFlag, true) // 不可枚举的标记，用于识别 ref
+  defineReactive(r, 'value', value)
+  return r
+}
+
+/**
+ * 判断值是否是 ref（包括 computed 返回的对象）。
+ */
+export function isRef (r: any): boolean {
+  return !!(r && r[RefFlag] === true)
+}
+
+/**
+ * 如果是 ref 则返回其内部的值，否则原样返回。
+ */
+export function unref (r: any): any {
+  return isRef(r) ? r.value : r
+}
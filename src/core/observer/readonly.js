@@ -0,0 +1,224 @@
+/* not type checking this file because flow doesn't play well with Proxy */
+
+import { SkipFlag } from './index'
+import { isCollection } from './collection'
+import { toRaw, RawFlag } from './proxy'
+import {
+  warn,
+  hasOwn,
+  hasProxy,
+  hasSymbol,
+  isObject,
+  isPlainObject
+} from '../util/index'
+
+export const ReadonlyFlag = '__v_isReadonly'
+
+// 原始对象到只读代理的缓存，保证同一个对象总是得到同一个只读代理
+const readonlyMap = hasProxy ? new WeakMap() : null
+const shallowReadonlyMap = hasProxy ? new WeakMap() : null
+
+const arrayMutators = ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin']
+const collectionMutators = ['set', 'add', 'delete', 'clear']
+
+function warnReadonly (type, key) {
+  process.env.NODE_ENV !== 'production' && warn(
+    `${type} operation on key "${String(key)}" failed: target is readonly.`
+  )
+}
+
+/**
+ * 读取时使用的数据源：被观察的对象在代理模式下通过响应式代理读取，
+ * 否则直接读取原始对象（defineProperty 模式下属性的 getter 会收集依赖）。
+ */
+function getSource (target) {
+  const ob = target.__ob__
+  return ob && ob.proxy ? ob.proxy : target
+}
+
+/**
+ * 判断值是否是只读代理。
+ */
+export function isReadonly (value) {
+  return !!(value && value[ReadonlyFlag])
+}
+
+function createReadonlyMethod (type, key) {
+  return function () {
+    warnReadonly(type, key)
+    // 集合的 delete 返回布尔值，其余变异方法返回集合或数组本身
+    return type === 'Delete' ? false : this
+  }
+}
+
+function createHandlers (shallow) {
+  const wrap = shallow ? value => value : createReadonly
+
+  function get (target, key, receiver) {
+    if (key === ReadonlyFlag || key === SkipFlag) {
+      return true
+    }
+    if (key === RawFlag) {
+      return target
+    }
+    if (key === '__ob__') {
+      return
+    }
+    if (Array.isArray(target) && arrayMutators.indexOf(key) > -1) {
+      return createReadonlyMethod('Set', key)
+    }
+    const value = Reflect.get(getSource(target), key, receiver)
+    return isObject(value) ? wrap(value) : value
+  }
+
+  const baseHandlers = {
+    get,
+    set (target, key) {
+      warnReadonly('Set', key)
+      return true
+    },
+    deleteProperty (target, key) {
+      warnReadonly('Delete', key)
+      return true
+    },
+    defineProperty (target, key) {
+      warnReadonly('Define', key)
+      return true
+    },
+    has (target, key) {
+      return Reflect.has(getSource(target), key)
+    },
+    ownKeys (target) {
+      return Reflect.ownKeys(getSource(target))
+    }
+  }
+
+  // 集合的方法依赖内部插槽，读取类方法在数据源上调用，结果同样转为只读
+  const collectionMethods = {
+    get (key) {
+      return wrap(getSource(this[RawFlag]).get(toRaw(key)))
+    },
+    has (key) {
+      return getSource(this[RawFlag]).has(toRaw(key))
+    },
+    forEach (callback, thisArg) {
+      const observed = this
+      getSource(this[RawFlag]).forEach((value, key) => {
+        callback.call(thisArg, wrap(value), wrap(key), observed)
+      })
+    }
+  }
+  ;['keys', 'values', 'entries'].concat(hasSymbol ? [Symbol.iterator] : []).forEach(method => {
+    collectionMethods[method] = function (...args) {
+      const target = this[RawFlag]
+      const isPair = method === 'entries' ||
+        (method !== 'keys' && method !== 'values' && target instanceof Map)
+      const inner = getSource(target)[method](...args)
+      const iterator = {
+        next () {
+          const { value, done } = inner.next()
+          return done
+            ? { value, done }
+            : { value: isPair ? [wrap(value[0]), wrap(value[1])] : wrap(value), done }
+        }
+      }
+      if (hasSymbol) {
+        iterator[Symbol.iterator] = function () { return this }
+      }
+      return iterator
+    }
+  })
+  collectionMutators.forEach(method => {
+    collectionMethods[method] = createReadonlyMethod(
+      method === 'delete' || method === 'clear' ? 'Delete' : 'Set',
+      method
+    )
+  })
+
+  const collectionHandlers = {
+    get (target, key) {
+      if (key === ReadonlyFlag || key === SkipFlag) {
+        return true
+      }
+      if (key === RawFlag) {
+        return target
+      }
+      if (key === '__ob__') {
+        return
+      }
+      if (key === 'size') {
+        return getSource(target).size
+      }
+      if (hasOwn(collectionMethods, key) && key in target) {
+        return collectionMethods[key]
+      }
+      return Reflect.get(target, key, target)
+    }
+  }
+
+  return { baseHandlers, collectionHandlers }
+}
+
+const readonlyHandlers = hasProxy ? createHandlers(false) : null
+const shallowReadonlyHandlers = hasProxy ? createHandlers(true) : null
+
+/**
+ * 创建只读代理。只有数组、普通对象和集合会被包装，
+ * 不可扩展（如被冻结）的对象以及被 markRaw 标记的对象原样返回。
+ */
+function createReadonly (value, shallow) {
+  if (!isObject(value) || isReadonly(value)) {
+    return value
+  }
+  const target = toRaw(value)
+  if (
+    target[SkipFlag] ||
+    !Object.isExtensible(target) ||
+    !(Array.isArray(target) || isPlainObject(target) || isCollection(target))
+  ) {
+    return target
+  }
+  const cache = shallow ? shallowReadonlyMap : readonlyMap
+  let proxy = cache.get(target)
+  if (!proxy) {
+    const handlers = shallow ? shallowReadonlyHandlers : readonlyHandlers
+    proxy = new Proxy(
+      target,
+      isCollection(target) ? handlers.collectionHandlers : handlers.baseHandlers
+    )
+    cache.set(target, proxy)
+  }
+  return proxy
+}
+
+function makeReadonly (target, shallow) {
+  const name = shallow ? 'shallowReadonly' : 'readonly'
+  if (!isObject(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `${name}() can only be called on objects, got: ${String(target)}`
+    )
+    return target
+  }
+  if (!hasProxy) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `${name}() requires Proxy support, which is not available in this environment.`
+    )
+    return target
+  }
+  return createReadonly(target, shallow)
+}
+
+/**
+ * 返回对象的深度只读版本。对只读版本的写入在开发环境下会发出警告并被忽略，
+ * 读取仍然通过原对象进行，因此原对象是响应式时依旧可以被追踪。
+ */
+export function readonly (target) {
+  return makeReadonly(target, false)
+}
+
+/**
+ * 与 readonly() 相同，但只有根级属性是只读的，嵌套的值原样返回。
+ */
+export function shallowReadonly (target) {
+  return makeReadonly(target, true)
+}
@@ -18,6 +18,9 @@ export const MAX_UPDATE_COUNT = 100
 // watcher 队列，用于存储待处理的 watcher
 const queue: Array<Watcher> = []
 
+// post 观察者队列，在组件的 DOM 更新之后运行
+const postQueue: Array<Watcher> = []
+
 // 激活的子组件队列，用于存储待激活的子组件
 const activatedChildren: Array<Component> = []
 
@@ -44,8 +47,9 @@ let index = 0
 function resetSchedulerState () {
   // 重置当前正在处理的 watcher 在队列中的索引为 0
   index = 0
-  // 清空 watcher 队列
+  // 清空 watcher 队列和 post 观察者队列
   queue.length = 0
+  postQueue.length = 0
   // 清空激活的子组件队列
   activatedChildren.length = 0
   // 重置 has 对象
@@ -91,63 +95,107 @@ if (inBrowser && !isIE) {
   }
 }
 
+/**
+ * 队列的排序规则：pre 观察者排在最前，其余按 id 升序。
+ */
+const sortWatchers = (a: Watcher, b: Watcher): number => {
+  if (!a.pre !== !b.pre) {
+    return a.pre ? -1 : 1
+  }
+  return a.id - b.id
+}
+
+/**
+ * 在开发环境下检查 watcher 是否在运行后又被重新加入队列，以发现无限循环更新。
+ *
+ * @returns {boolean} 检测到无限循环更新时返回 false。
+ */
+function checkCircular (watcher: Watcher): boolean {
+  const id = watcher.id
+  if (process.env.NODE_ENV !== 'production' && has[id] != null) {
+    circular[id] = (circular[id] || 0) + 1
+    if (circular[id] > MAX_UPDATE_COUNT) {
+      warn(
+        'You may have an infinite update loop ' + (
+          watcher.user
+            ? `in watcher with expression "${watcher.expression}"`
+            : `in a component render function.`
+        ),
+        watcher.vm
+      )
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * 运行一个 watcher，并检查循环更新。
+ *
+ * @returns {boolean} 检测到无限循环更新时返回 false。
+ */
+function runWatcher (watcher: Watcher): boolean {
+  // 如果 watcher 有 before 钩子函数，那么在运行 watcher 之前调用它
+  if (watcher.before) {
+    watcher.before()
+  }
+  // 将 has 对象中对应的 id 设置为 null
+  has[watcher.id] = null
+  // 运行 watcher
+  watcher.run()
+  return checkCircular(watcher)
+}
+
 /**
  * 刷新 watcher 队列和激活的子组件队列，并运行 watcher。
+ * 组件更新完成后调用 activated/updated 钩子，再运行 post 观察者；
+ * 它们触发的更新仍在本次刷新中处理，直到队列清空。
  */
 function flushSchedulerQueue () {
   // 获取当前时间戳
   currentFlushTimestamp = getNow()
   // 设置正在刷新队列的标志为 true
   flushing = true
-  let watcher, id
 
   // 在刷新前对队列进行排序
   // 这可以确保：
   // 1. 组件从父到子进行更新（因为父组件总是在子组件之前创建）
   // 2. 组件的用户 watcher 在其渲染 watcher 之前运行（因为用户 watcher 在渲染 watcher 之前创建）
   // 3. 如果一个组件在其父组件的 watcher 运行期间被销毁，那么可以跳过其 watcher
-  queue.sort((a, b) => a.id - b.id)
-
-  // 不缓存长度，因为在运行现有 watcher 时可能会推入更多的 watcher
-  for (index = 0; index < queue.length; index++) {
-    watcher = queue[index]
-    // 如果 watcher 有 before 钩子函数，那么在运行 watcher 之前调用它
-    if (watcher.before) {
-      watcher.before()
+  // 4. pre 观察者在本轮任何组件更新之前运行
+  queue.sort(sortWatchers)
+
+  // 已调用过 updated 钩子的队列位置
+  let updatedIndex = 0
+  let ok = true
+  while (ok && (index < queue.length || postQueue.length)) {
+    // 不缓存长度，因为在运行现有 watcher 时可能会推入更多的 watcher
+    for (; ok && index < queue.length; index++) {
+      ok = runWatcher(queue[index])
     }
-    id = watcher.id
-    // 将 has 对象中对应的 id 设置为 null
-    has[id] = null
-    // 运行 watcher
-    watcher.run()
-    // 在开发环境下，检查并停止循环更新
-    if (process.env.NODE_ENV !== 'production' && has[id] != null) {
-      circular[id] = (circular[id] || 0) + 1
-      if (circular[id] > MAX_UPDATE_COUNT) {
-        warn(
-          'You may have an infinite update loop ' + (
-            watcher.user
-              ? `in watcher with expression "${watcher.expression}"`
-              : `in a component render function.`
-          ),
-          watcher.vm
-        )
-        break
-      }
+    if (!ok) {
+      break
     }
-  }
 
-  // 在重置状态之前保留 post 队列的副本
-  const activatedQueue = activatedChildren.slice()
-  const updatedQueue = queue.slice()
+    // 调用本轮组件的激活和更新钩子函数
+    const activatedQueue = activatedChildren.slice()
+    activatedChildren.length = 0
+    const updatedQueue = queue.slice(updatedIndex)
+    updatedIndex = queue.length
+    callActivatedHooks(activatedQueue)
+    ok = callUpdatedHooks(updatedQueue)
+
+    // 然后按创建顺序运行 post 观察者，此时本轮所有组件的 DOM 都已更新
+    const postFlushQueue = postQueue.slice().sort(sortWatchers)
+    postQueue.length = 0
+    for (let i = 0; ok && i < postFlushQueue.length; i++) {
+      ok = runWatcher(postFlushQueue[i])
+    }
+  }
 
   // 重置调度器状态
   resetSchedulerState()
 
-  // 调用组件的激活和更新钩子函数
-  callActivatedHooks(activatedQueue)
-  callUpdatedHooks(updatedQueue)
-
   // devtool 钩子
   /* istanbul ignore if */
   if (devtools && config.devtools) {
@@ -159,18 +207,23 @@ function flushSchedulerQueue () {
  * 调用已更新组件的 'updated' 钩子函数。
  *
  * @param {Array<Watcher>} queue - 已更新组件的 watcher 队列。
+ * @returns {boolean} 检测到无限循环更新时返回 false。
  */
-function callUpdatedHooks (queue) {
+function callUpdatedHooks (queue): boolean {
   let i = queue.length
   while (i--) {
     const watcher = queue[i]
     const vm = watcher.vm
-    // 如果 vm 的 _watcher 是当前的 watcher，并且 vm 已经挂载并且没有被销毁
-    if (vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
-      // 调用 vm 的 'updated' 钩子函数
+    // 如果 vm 的 _watcher 是当前的 watcher，并且 vm 已经挂载并且没有被销毁（独立的 watcher 没有 vm）
+    if (vm && vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
+      // 调用 vm 的 'updated' 钩子函数，钩子中触发的重新渲染同样计入循环更新检查
       callHook(vm, 'updated')
+      if (!checkCircular(watcher)) {
+        return false
+      }
     }
   }
+  return true
 }
 
 /**
@@ -215,15 +268,17 @@ export function queueWatcher (watcher: Watcher) {
   if (has[id] == null) {
     // 在 has 对象中添加 id
     has[id] = true
-    // 如果当前没有在刷新队列
-    if (!flushing) {
+    // post 观察者单独排队，在本轮刷新的最后运行
+    if (watcher.post) {
+      postQueue.push(watcher)
+    } else if (!flushing) { // 如果当前没有在刷新队列
       // 将 watcher 推入队列
       queue.push(watcher)
     } else {
-      // 如果已经在刷新队列，根据其 id 插入 watcher
-      // 如果已经超过其 id，它将立即运行
+      // 如果已经在刷新队列，按排序规则插入 watcher
+      // 如果已经超过其位置，它将立即运行
       let i = queue.length - 1
-      while (i > index && queue[i].id > watcher.id) {
+      while (i > index && sortWatchers(queue[i], watcher) > 0) {
         i--
       }
       queue.splice(i + 1, 0, watcher)
@@ -243,3 +298,13 @@ export function queueWatcher (watcher: Watcher) {
     }
   }
 }
+
+/**
+ * 立即同步刷新等待中的 watcher 队列，直到没有新的更新为止。
+ * 用于测试渲染器等需要确定性更新的环境，已经安排在下一个 tick 的刷新届时只会处理空队列。
+ */
+export function flushPendingUpdates () {
+  while (waiting && !flushing) {
+    flushSchedulerQueue()
+  }
+}
@@ -14,40 +14,175 @@ import {
 import { traverse } from './traverse'
 import { queueWatcher } from './scheduler'
 import Dep, { pushTarget, popTarget } from './dep'
+import { recordEffectScope } from './effect-scope'
+import { isRef } from './reactive'
 
 import type { SimpleSet } from '../util/index'
 
 let uid = 0
 
+/**
+ * 判断观察的值是否需要触发回调：新值和旧值不同，
+ * 或者新值是一个对象（即使新值和旧值相同，对象也可能发生了变化）。
+ */
+function hasChanged (value: any, oldValue: any): boolean {
+  return value !== oldValue || isObject(value)
+}
+
+/**
+ * 逐个比较多个数据源的值（getter 出错时值可能不是数组）。
+ */
+function hasSourcesChanged (value: ?Array<any>, oldValue: ?Array<any>): boolean {
+  if (!value || !oldValue) {
+    return value !== oldValue
+  }
+  for (let i = 0; i < value.length; i++) {
+    if (hasChanged(value[i], oldValue[i])) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * 将观察的数据源解析为 getter 函数。
+ * 数据源可以是函数、以点分隔的路径字符串、ref，或者被深度观察的响应式对象。
+ */
+function parseSource (source: any, vm: ?Component): Function {
+  if (typeof source === 'function') {
+    return source
+  }
+  if (typeof source === 'string') {
+    const getter = parsePath(source)
+    if (!getter) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Failed watching path: "${source}" ` +
+        'Watcher only accepts simple dot-delimited paths. ' +
+        'For full control, use a function instead.',
+        vm
+      )
+      return noop
+    }
+    return getter
+  }
+  if (isRef(source)) {
+    return () => source.value
+  }
+  if (isObject(source)) {
+    return () => {
+      traverse(source)
+      return source
+    }
+  }
+  process.env.NODE_ENV !== 'production' && warn(
+    `Invalid watch source: ${String(source)}. A watch source can only be a getter ` +
+    'function, a path string, a ref, a reactive object, or an array of these types.',
+    vm
+  )
+  return noop
+}
+
+/**
+ * 生成数据源在警告信息中显示的表达式，数组数据源逐个生成后拼接。
+ */
+function getSourceExpression (source: any): string {
+  if (Array.isArray(source)) {
+    return `[${source.map(getSourceExpression).join(', ')}]`
+  }
+  if (isRef(source)) {
+    return '<ref>'
+  }
+  if (isObject(source)) {
+    return '<reactive object>'
+  }
+  return String(source)
+}
+
 /**
  * Watcher 类用于解析表达式，收集依赖，并在表达式值改变时触发回调。
  * 这个类被用于 $watch() API 和指令。
  */
 export default class Watcher {
+  vm: ?Component;
+  expression: string;
+  cb: Function;
+  id: number;
+  deep: boolean;
+  user: boolean;
+  lazy: boolean;
+  sync: boolean;
+  pre: boolean;
+  post: boolean;
+  multi: boolean;
+  dirty: boolean;
+  active: boolean;
+  deps: Array<Dep>;
+  newDeps: Array<Dep>;
+  depIds: SimpleSet;
+  newDepIds: SimpleSet;
+  before: ?Function;
+  onTrack: ?Function;
+  cleanup: ?Function;
+  onCleanup: Function;
+  onTrigger: ?Function;
+  getter: Function;
+  value: any;
+
   // Watcher 类的构造函数
   constructor (
-    vm: Component, // 组件实例
-    expOrFn: string | Function, // 表达式或函数
+    vm: ?Component, // 组件实例，独立于组件使用时（如 Vue.computed、Vue.effect）为空
+    expOrFn: string | Function | Array<any>, // 表达式、函数或由它们组成的数组
     cb: Function, // 回调函数
     options?: ?Object, // 选项对象
     isRenderWatcher?: boolean // 是否是渲染观察者
   ) {
     this.vm = vm // 组件实例
-    if (isRenderWatcher) { // 如果是渲染观察者
-      vm._watcher = this // 将组件实例的 _watcher 属性设置为当前实例
+    if (vm) { // 如果属于某个组件实例
+      if (isRenderWatcher) { // 如果是渲染观察者
+        vm._watcher = this // 将组件实例的 _watcher 属性设置为当前实例
+      }
+      vm._watchers.push(this) // 将当前实例添加到组件实例的 _watchers 数组中
     }
-    vm._watchers.push(this) // 将当前实例添加到组件实例的 _watchers 数组中
     // options
     if (options) { // 如果有选项对象
       this.deep = !!options.deep // 设置 deep 属性
       this.user = !!options.user // 设置 user 属性
       this.lazy = !!options.lazy // 设置 lazy 属性
-      this.sync = !!options.sync // 设置 sync 属性
+      this.sync = !!options.sync || options.flush === 'sync' // 设置 sync 属性
+      this.pre = options.flush === 'pre' // pre 观察者在本轮任何组件的 DOM 更新之前运行
+      this.post = options.flush === 'post' // post 观察者在组件的 DOM 更新之后运行
       this.before = options.before // 设置 before 属性
+      if (
+        process.env.NODE_ENV !== 'production' &&
+        options.flush != null &&
+        !this.sync && !this.pre && !this.post
+      ) {
+        warn(
+          `Invalid watcher flush option: "${String(options.flush)}". ` +
+          `Expected "pre", "post" or "sync".`,
+          vm
+        )
+      }
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack // 收集依赖时的调试钩子
+        this.onTrigger = options.onTrigger // 触发更新时的调试钩子
+      }
     } else { // 如果没有选项对象
-      this.deep = this.user = this.lazy = this.sync = false // 将 deep、user、lazy、sync 属性都设置为 false
+      this.deep = this.user = this.lazy = this.sync = this.pre = this.post = false // 将 deep、user、lazy、sync、pre、post 属性都设置为 false
+    }
+    // 独立的观察者和 $watch 创建的观察者会被当前作用域收集，
+    // 组件内部的渲染观察者和计算属性观察者仍随组件一起销毁
+    if (!vm || this.user) {
+      recordEffectScope(this)
     }
     this.cb = cb // 回调函数
+    if (this.user) {
+      // 传给用户回调的 onCleanup 参数，用于注册清理函数。
+      // 清理函数会在下一次调用回调前以及观察者被销毁时调用，例如用来取消过期的异步请求
+      this.onCleanup = (fn: Function) => {
+        this.cleanup = fn
+      }
+    }
     this.id = ++uid // uid 用于批处理
     this.active = true // active 属性表示观察者是否活跃
     this.dirty = this.lazy // dirty 属性表示观察者是否需要更新，对于 lazy 观察者，初始值为 true
@@ -56,22 +191,17 @@ export default class Watcher {
     this.depIds = new Set() // depIds 集合用于存储依赖的 id
     this.newDepIds = new Set() // newDepIds 集合用于存储新的依赖的 id
     this.expression = process.env.NODE_ENV !== 'production'
-      ? expOrFn.toString()
+      ? getSourceExpression(expOrFn)
       : ''
     // parse expression for getter
-    if (typeof expOrFn === 'function') { // 如果 expOrFn 是函数
-      this.getter = expOrFn // 将 getter 设置为 expOrFn
-    } else { // 如果 expOrFn 不是函数
-      this.getter = parsePath(expOrFn) // 将 getter 设置为解析 expOrFn 得到的路径
-      if (!this.getter) { // 如果 getter 不存在
-        this.getter = noop // 将 getter 设置为 noop 函数
-        process.env.NODE_ENV !== 'production' && warn(
-          `Failed watching path: "${expOrFn}" ` +
-          'Watcher only accepts simple dot-delimited paths. ' +
-          'For full control, use a function instead.',
-          vm
-        )
+    this.multi = Array.isArray(expOrFn) // 是否同时观察多个数据源
+    if (Array.isArray(expOrFn)) { // 如果 expOrFn 是数组，getter 返回各个数据源的值组成的数组
+      const getters = expOrFn.map(source => parseSource(source, vm))
+      this.getter = function (vm) {
+        return getters.map(getter => getter.call(vm, vm))
       }
+    } else {
+      this.getter = parseSource(expOrFn, vm) // 将 getter 设置为解析 expOrFn 得到的函数
     }
     this.value = this.lazy
       ? undefined
@@ -172,10 +302,10 @@ export default class Watcher {
       const value = this.get() // 获取 getter 的返回值
       // 如果返回值与当前值不同，或者返回值是对象，或者 deep 属性为 true
       if (
-        // 如果新值和旧值不同
-        value !== this.value ||
-        // 如果新值是一个对象，即使新值和旧值相同，也需要触发更新，因为对象可能发生了变化
-        isObject(value) ||
+        // 观察多个数据源时每次都会得到新的数组，需要逐个比较各个数据源的值
+        (this.multi
+          ? hasSourcesChanged(value, this.value)
+          : hasChanged(value, this.value)) ||
         // 如果设置了深度监听，即使新值和旧值相同，也需要触发更新，因为对象的子属性可能发生了变化
         this.deep
       ) {
@@ -184,9 +314,10 @@ export default class Watcher {
         this.value = value // 更新当前值
         // 如果 user 属性为 true
         if (this.user) {
+          this.runCleanup() // 在再次调用回调前清理上一次回调注册的副作用
           const info = `callback for watcher "${this.expression}"` // 回调信息
           // 调用回调函数，并处理可能的错误
-          invokeWithErrorHandling(this.cb, this.vm, [value, oldValue], this.vm, info)
+          invokeWithErrorHandling(this.cb, this.vm, [value, oldValue, this.onCleanup], this.vm, info)
         } else { // 如果 user 属性为 false
           // 直接调用回调函数
           this.cb.call(this.vm, value, oldValue)
@@ -195,6 +326,23 @@ export default class Watcher {
     }
   }
 
+  /**
+   * 调用并清除已注册的清理函数。
+   */
+  runCleanup () {
+    const cleanup = this.cleanup
+    if (cleanup) {
+      this.cleanup = null
+      invokeWithErrorHandling(
+        cleanup,
+        null,
+        null,
+        this.vm,
+        `cleanup function for watcher "${this.expression}"`
+      )
+    }
+  }
+
   /**
    * 评估观察者的值。
    * 这个方法只会被惰性观察者调用。
@@ -219,8 +367,9 @@ export default class Watcher {
    */
   teardown () {
     if (this.active) { // 如果 active 属性为 true
-      // 如果 vm 实例没有正在被销毁
-      if (!this.vm._isBeingDestroyed) {
+      this.runCleanup() // 调用回调注册的清理函数
+      // 如果属于某个 vm 实例，且该实例没有正在被销毁
+      if (this.vm && !this.vm._isBeingDestroyed) {
         remove(this.vm._watchers, this) // 从 vm 实例的观察者列表中移除当前实例
       }
       let i = this.deps.length // deps 数组的长度
@@ -11,21 +11,8 @@ export function handleError (err: Error, vm: any, info: string) {
   // See: https://github.com/vuejs/vuex/issues/1505
   pushTarget()
   try {
-    if (vm) {
-      let cur = vm
-      while ((cur = cur.$parent)) {
-        const hooks = cur.$options.errorCaptured
-        if (hooks) {
-          for (let i = 0; i < hooks.length; i++) {
-            try {
-              const capture = hooks[i].call(cur, err, vm, info) === false
-              if (capture) return
-            } catch (e) {
-              globalHandleError(e, cur, 'errorCaptured hook')
-            }
-          }
-        }
-      }
+    if (vm && vm.$parent && invokeErrorCaptured(err, vm.$parent, vm, info)) {
+      return
     }
     globalHandleError(err, vm, info)
   } finally {
@@ -33,6 +20,38 @@ export function handleError (err: Error, vm: any, info: string) {
   }
 }
 
+/**
+ * 报告发生在 vm 子树中、但没有对应实例的错误（例如加载失败的异步组件），
+ * 从 vm 自身开始调用 errorCaptured 钩子。错误被捕获时返回 true。
+ */
+export function handleSubtreeError (err: Error, vm: Component, info: string): boolean {
+  pushTarget()
+  try {
+    return invokeErrorCaptured(err, vm, vm, info)
+  } finally {
+    popTarget()
+  }
+}
+
+// 从 cur 开始沿 $parent 调用 errorCaptured 钩子，有钩子返回 false 时停止并返回 true
+function invokeErrorCaptured (err: Error, cur: any, vm: any, info: string): boolean {
+  while (cur) {
+    const hooks = cur.$options.errorCaptured
+    if (hooks) {
+      for (let i = 0; i < hooks.length; i++) {
+        try {
+          const capture = hooks[i].call(cur, err, vm, info) === false
+          if (capture) return true
+        } catch (e) {
+          globalHandleError(e, cur, 'errorCaptured hook')
+        }
+      }
+    }
+    cur = cur.$parent
+  }
+  return false
+}
+
 /**
  * 调用处理器并处理可能出现的错误。
  */
@@ -0,0 +1,58 @@
+/* @flow */
+
+import { noop } from 'shared/util'
+
+const interactionEvents = ['click', 'focusin', 'pointerenter', 'touchstart']
+
+export const isHydrationStrategy = (strategy: any): boolean =>
+  strategy === 'idle' ||
+  strategy === 'visible' ||
+  strategy === 'interaction' ||
+  strategy === 'never'
+
+/**
+ * 按组件的 hydrate 选项安排服务端渲染内容的水合时机，返回取消函数。
+ * nodes 是组件在原位置渲染出的所有 DOM 节点。
+ */
+export function scheduleHydration (
+  strategy: string,
+  nodes: Array<Node>,
+  hydrate: Function
+): Function {
+  // 'never' 只在父组件更新时才水合
+  if (strategy === 'never') {
+    return noop
+  }
+  const elements: Array<any> = nodes.filter(node => node.nodeType === 1)
+  // 没有元素节点时无法观察可见性或监听交互，退化为空闲时水合
+  if (strategy === 'idle' || !elements.length) {
+    if (typeof requestIdleCallback !== 'undefined') {
+      const id = requestIdleCallback(hydrate)
+      return () => cancelIdleCallback(id)
+    }
+    const id = setTimeout(hydrate, 1)
+    return () => clearTimeout(id)
+  }
+  if (strategy === 'visible') {
+    if (typeof IntersectionObserver === 'undefined') {
+      return scheduleHydration('idle', nodes, hydrate)
+    }
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        hydrate()
+      }
+    }, {})
+    elements.forEach(el => observer.observe(el))
+    return () => observer.disconnect()
+  }
+  // 'interaction'：在捕获阶段同步水合，触发水合的事件随后就能到达新绑定的监听器
+  const onEvent = () => hydrate()
+  elements.forEach(el => {
+    interactionEvents.forEach(event => el.addEventListener(event, onEvent, true))
+  })
+  return () => {
+    elements.forEach(el => {
+      interactionEvents.forEach(event => el.removeEventListener(event, onEvent, true))
+    })
+  }
+}
@@ -40,6 +40,21 @@ export function createAsyncPlaceholder (
   return node
 }
 
+/**
+ * Call cb once the pending factory is resolved or rejected.
+ * On rejection cb receives the error. A factory that has already
+ * settled calls cb right away.
+ */
+export function onAsyncComponentSettled (factory: Function, cb: Function) {
+  if (isDef(factory.rejection)) {
+    cb(factory.rejection)
+  } else if (isDef(factory.resolved)) {
+    cb()
+  } else {
+    (factory.settledCallbacks || (factory.settledCallbacks = [])).push(cb)
+  }
+}
+
 export function resolveAsyncComponent (
   factory: Function,
   baseCtor: Class<Component>
@@ -88,6 +103,17 @@ export function resolveAsyncComponent (
       }
     }
 
+    // notify everyone waiting on this factory, e.g. <suspense> boundaries
+    const settle = (err?: Error) => {
+      const cbs = factory.settledCallbacks
+      if (isDef(cbs)) {
+        factory.settledCallbacks = undefined
+        for (let i = 0; i < cbs.length; i++) {
+          cbs[i](err)
+        }
+      }
+    }
+
     const resolve = once((res: Object | Class<Component>) => {
       // cache resolved
       factory.resolved = ensureCtor(res, baseCtor)
@@ -98,6 +124,7 @@ export function resolveAsyncComponent (
       } else {
         owners.length = 0
       }
+      settle()
     })
 
     const reject = once(reason => {
@@ -109,6 +136,11 @@ export function resolveAsyncComponent (
         factory.error = true
         forceRender(true)
       }
+      // kept so that placeholders rendered after the failure settle too
+      factory.rejection = reason instanceof Error
+        ? reason
+        : new Error(`Failed to resolve async component` + (reason ? `: ${reason}` : ''))
+      settle(factory.rejection)
     })
 
     const res = factory(resolve, reject)
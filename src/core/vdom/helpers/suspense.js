@@ -0,0 +1,32 @@
+/* @flow */
+
+import { noop, once } from 'shared/util'
+
+/**
+ * 沿创建链（$options.parent）向上查找最近的 <suspense> 边界。
+ * 插槽内容的组件在 <suspense> 自身 patch 时创建，所以它们的 parent 就是 <suspense>。
+ */
+export function findSuspenseBoundary (vm: ?Component): ?Object {
+  while (vm) {
+    if (vm._suspense) {
+      return vm._suspense
+    }
+    vm = vm.$options.parent
+  }
+}
+
+/**
+ * 将一个异步依赖计入 vm 所在的 <suspense> 边界，返回依赖完成时调用的函数。
+ * 没有边界或边界已经完成时返回 noop。
+ */
+export function registerAsyncDep (vm: ?Component): Function {
+  const boundary = findSuspenseBoundary(vm)
+  if (!boundary || boundary.resolved) {
+    return noop
+  }
+  boundary.deps++
+  return once(() => {
+    boundary.deps--
+    boundary.settle()
+  })
+}
@@ -12,10 +12,16 @@
 
 import VNode, { cloneVNode } from './vnode'
 import config from '../config'
-import { SSR_ATTR } from 'shared/constants'
+import { SSR_ATTR, PATCH_FLAGS } from 'shared/constants'
 import { registerRef } from './modules/ref'
 import { traverse } from '../observer/traverse'
-import { activeInstance } from '../instance/lifecycle'
+import { activeInstance, setActiveInstance } from '../instance/lifecycle'
+import {
+  registerAsyncDep,
+  onAsyncComponentSettled,
+  isHydrationStrategy,
+  scheduleHydration
+} from './helpers/index'
 import { isTextInputType } from 'web/util/element'
 
 import {
@@ -25,20 +31,24 @@ import {
   isTrue,
   makeMap,
   isRegExp,
-  isPrimitive
+  isPrimitive,
+  noop,
+  handleSubtreeError
 } from '../util/index'
 
 export const emptyNode = new VNode('', {}, [])
 
-const hooks = ['create', 'activate', 'update', 'remove', 'destroy']
+const hooks = ['create', 'activate', 'update', 'remove', 'destroy', 'hydrate']
 
 function sameVnode (a, b) {
   return (
     a.key === b.key &&
+    a.blockId === b.blockId &&
     a.asyncFactory === b.asyncFactory && (
       (
         a.tag === b.tag &&
         a.isComment === b.isComment &&
+        a.isFragment === b.isFragment &&
         isDef(a.data) === isDef(b.data) &&
         sameInputType(a, b)
       ) || (
@@ -57,7 +67,7 @@ function sameInputType (a, b) {
   return typeA === typeB || isTextInputType(typeA) && isTextInputType(typeB)
 }
 
-function createKeyToOldIdx (children, beginIdx, endIdx) {
+function createKeyToIdx (children, beginIdx, endIdx) {
   let i, key
   const map = {}
   for (i = beginIdx; i <= endIdx; ++i) {
@@ -67,6 +77,101 @@ function createKeyToOldIdx (children, beginIdx, endIdx) {
   return map
 }
 
+/**
+ * 计算最长递增子序列，返回其在 arr 中的下标。值为 0 的项（新建节点）不参与计算。
+ * 采用贪心加二分查找，时间复杂度 O(n log n)。
+ */
+function getSequence (arr) {
+  const p = arr.slice()
+  const result = []
+  let i, j, u, v, c
+  const len = arr.length
+  for (i = 0; i < len; i++) {
+    const arrI = arr[i]
+    if (arrI !== 0) {
+      j = result[result.length - 1]
+      if (result.length === 0 || arr[j] < arrI) {
+        p[i] = j
+        result.push(i)
+        continue
+      }
+      // 二分查找第一个不小于 arrI 的位置
+      u = 0
+      v = result.length - 1
+      while (u < v) {
+        c = (u + v) >> 1
+        if (arr[result[c]] < arrI) {
+          u = c + 1
+        } else {
+          v = c
+        }
+      }
+      if (arrI < arr[result[u]]) {
+        if (u > 0) {
+          p[i] = result[u - 1]
+        }
+        result[u] = i
+      }
+    }
+  }
+  // 根据前驱回溯出完整的序列
+  u = result.length
+  v = result[u - 1]
+  while (u-- > 0) {
+    result[u] = v
+    v = p[v]
+  }
+  return result
+}
+
+function describeVNode (vnode) {
+  if (isTrue(vnode.isFragment)) {
+    return isDef(vnode.teleport) ? '<!--teleport start-->' : '<!--[-->'
+  }
+  if (isDef(vnode.tag)) {
+    return `<${vnode.tag}>`
+  }
+  return vnode.isComment
+    ? `<!--${vnode.text}-->`
+    : `text ${JSON.stringify(vnode.text)}`
+}
+
+function describeNode (node) {
+  if (!node) {
+    return 'nothing'
+  }
+  if (node.nodeType === 1) {
+    return `<${node.tagName.toLowerCase()}>`
+  }
+  return node.nodeType === 8
+    ? `<!--${node.data}-->`
+    : `text ${JSON.stringify(node.data)}`
+}
+
+/**
+ * 生成节点在 DOM 中的路径（类似 CSS 选择器，例如 div#app > ul > li:nth-child(2)），用于定位水合不匹配。
+ */
+function getNodePath (node) {
+  const path = []
+  while (node && node.nodeType !== 9 && node.tagName !== 'BODY') {
+    const parent = node.parentNode
+    let segment
+    if (node.nodeType === 1) {
+      segment = node.tagName.toLowerCase()
+      if (node.id) {
+        segment += `#${node.id}`
+      } else if (parent && parent.children.length > 1) {
+        segment += `:nth-child(${Array.prototype.indexOf.call(parent.children, node) + 1})`
+      }
+    } else {
+      segment = node.nodeType === 8 ? '#comment' : '#text'
+    }
+    path.unshift(segment)
+    node = parent
+  }
+  return path.join(' > ')
+}
+
 export function createPatchFunction (backend) {
   let i, j
   const cbs = {}
@@ -81,15 +186,27 @@ export function createPatchFunction (backend) {
       }
     }
   }
+  // 模块声明的 patch 标记，与 cbs.update 一一对应。
+  // 编译器标记过的节点只执行与其标记匹配的模块，没有声明标记的模块（ref、指令）总是执行
+  cbs.updateFlags = []
+  for (j = 0; j < modules.length; ++j) {
+    if (isDef(modules[j].update)) {
+      cbs.updateFlags.push(modules[j].patchFlag || 0)
+    }
+  }
 
   function emptyNodeAt (elm) {
-    return new VNode(nodeOps.tagName(elm).toLowerCase(), {}, [], undefined, elm)
+    const tag = nodeOps.tagName(elm)
+    // 片段和 teleport 的起始锚点是注释或文本节点
+    return isDef(tag)
+      ? new VNode(tag.toLowerCase(), {}, [], undefined, elm)
+      : new VNode(undefined, undefined, undefined, undefined, elm)
   }
 
-  function createRmCb (childElm, listeners) {
+  function createRmCb (vnode, listeners) {
     function remove () {
       if (--remove.listeners === 0) {
-        removeNode(childElm)
+        removeVnodeElm(vnode)
       }
     }
     remove.listeners = listeners
@@ -104,6 +221,141 @@ export function createPatchFunction (backend) {
     }
   }
 
+  /**
+   * 返回组件（可能是嵌套的高阶组件）渲染出的片段，
+   * 如果节点本身不是片段也不是以片段为根的组件，则返回 undefined。
+   * @param {VNode} vnode - 虚拟节点。
+   */
+  function getFragment (vnode) {
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    return isTrue(vnode.isFragment) ? vnode : undefined
+  }
+
+  /**
+   * 按文档顺序收集片段在原位置的所有 DOM 节点，包括起止锚点以及子组件片段中的节点。
+   * 被 teleport 传送到目标容器中的子节点不在此列。
+   * @param {VNode} fragment - 片段虚拟节点。
+   * @param {Array} nodes - 用于收集节点的数组。
+   */
+  function collectFragmentNodes (fragment, nodes) {
+    nodes.push(fragment.elm)
+    if (isUndef(fragment.target)) {
+      const children = fragment.children
+      for (let i = 0; i < children.length; ++i) {
+        const childFragment = getFragment(children[i])
+        if (isDef(childFragment)) {
+          collectFragmentNodes(childFragment, nodes)
+        } else {
+          nodes.push(children[i].elm)
+        }
+      }
+    }
+    nodes.push(fragment.anchor)
+    return nodes
+  }
+
+  /**
+   * 插入或移动虚拟节点对应的 DOM，片段会带着其全部节点一起移动。
+   * @param {Element} parent - 父 DOM 元素。
+   * @param {VNode} vnode - 虚拟节点。
+   * @param {Node} ref - 参考节点。
+   */
+  function insertVnode (parent, vnode, ref) {
+    const fragment = getFragment(vnode)
+    if (isDef(fragment)) {
+      const nodes = collectFragmentNodes(fragment, [])
+      for (let i = 0; i < nodes.length; ++i) {
+        insert(parent, nodes[i], ref)
+      }
+    } else {
+      insert(parent, vnode.elm, ref)
+    }
+  }
+
+  /**
+   * 移除虚拟节点对应的 DOM。片段的子节点（包括 teleport 传送到目标容器中的节点）
+   * 逐个经过 remove 钩子移除，以便执行离开过渡，起止锚点则直接移除。
+   * @param {VNode} vnode - 虚拟节点。
+   */
+  function removeVnodeElm (vnode) {
+    const fragment = getFragment(vnode)
+    if (isDef(fragment)) {
+      const children = fragment.children
+      for (let i = 0; i < children.length; ++i) {
+        const ch = children[i]
+        if (isDef(ch.lazyHydration)) {
+          removeDehydratedNodes(ch)
+        } else if (isDef(ch.tag)) {
+          removeAndInvokeRemoveHook(ch)
+        } else {
+          removeVnodeElm(ch)
+        }
+      }
+      removeNode(fragment.elm)
+      removeNode(fragment.anchor)
+      if (isDef(fragment.targetAnchor)) {
+        removeNode(fragment.targetAnchor)
+      }
+    } else {
+      removeNode(vnode.elm)
+    }
+  }
+
+  /**
+   * 返回虚拟节点渲染出的第一个节点，作为组件的 $el。
+   * 片段跳过其起始锚点，取第一个子节点；teleport 传送走的内容不在原位置，仍取起始锚点。
+   * @param {VNode} vnode - 虚拟节点。
+   */
+  function firstNodeOf (vnode) {
+    const fragment = getFragment(vnode)
+    if (isDef(fragment) && isUndef(fragment.target) && fragment.children.length) {
+      return firstNodeOf(fragment.children[0])
+    }
+    return vnode.elm
+  }
+
+  /**
+   * 解析 teleport 的目标容器。未启用 teleport 或者找不到目标时返回 undefined，
+   * 此时子节点在原位置渲染。
+   * @param {VNode} vnode - 片段虚拟节点。
+   */
+  function resolveTeleportTarget (vnode) {
+    const teleport = vnode.teleport
+    if (isUndef(teleport) || teleport.disabled) {
+      return
+    }
+    const to = teleport.to
+    // to 为 null 时渲染到一个不在文档中的容器，<suspense> 用它在后台渲染等待中的内容
+    if (to === null) {
+      return nodeOps.createElement('div')
+    }
+    const target = typeof to === 'string'
+      ? nodeOps.querySelector && nodeOps.querySelector(to)
+      : to
+    if (!target) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Failed to locate <teleport> target "${String(to)}". ` +
+        `The content will be rendered in place.`
+      )
+      return
+    }
+    return target
+  }
+
+  /**
+   * 返回虚拟节点对应 DOM 之后的兄弟节点，对于片段是其结束锚点之后的节点。
+   * @param {VNode} vnode - 虚拟节点。
+   */
+  function nextSiblingOf (vnode) {
+    if (isDef(vnode.lazyHydration)) {
+      return nodeOps.nextSibling(vnode.lazyHydration.end)
+    }
+    const fragment = getFragment(vnode)
+    return nodeOps.nextSibling(isDef(fragment) ? fragment.anchor : vnode.elm)
+  }
+
   function isUnknownElement (vnode, inVPre) {
     return (
       !inVPre &&
@@ -116,12 +368,25 @@ export function createPatchFunction (backend) {
             : ignore === vnode.tag
         })
       ) &&
-      config.isUnknownElement(vnode.tag)
+      (backend.isUnknownElement || config.isUnknownElement)(vnode.tag)
     )
   }
 
   let creatingElmInVPre = 0
 
+  /**
+   * 克隆已经渲染过的虚拟节点。它的子节点随后也会被逐一克隆，原节点收集的动态节点
+   * 不再是实际渲染的节点，因此克隆的节点去掉 patch 标记，下次更新时完整比较子树。
+   * @param {VNode} vnode - 被复用的虚拟节点。
+   */
+  function cloneReusedVnode (vnode) {
+    const cloned = cloneVNode(vnode)
+    cloned.patchFlag = undefined
+    cloned.dynamicProps = undefined
+    cloned.dynamicChildren = undefined
+    return cloned
+  }
+
   /**
    * 创建新的 DOM 元素。
    * @param {VNode} vnode - 虚拟节点。
@@ -144,7 +409,7 @@ export function createPatchFunction (backend) {
     // 如果虚拟节点已经有对应的 DOM 元素，并且拥有者数组已定义，
     // 则克隆虚拟节点，以避免在后续的插入参考节点时产生潜在的补丁错误。
     if (isDef(vnode.elm) && isDef(ownerArray)) {
-      vnode = ownerArray[index] = cloneVNode(vnode)
+      vnode = ownerArray[index] = cloneReusedVnode(vnode)
     }
 
     // 对于过渡的 enter 检查，如果不是嵌套的，则设置为根插入
@@ -208,10 +473,38 @@ export function createPatchFunction (backend) {
       if (process.env.NODE_ENV !== 'production' && data && data.pre) {
         creatingElmInVPre--
       }
+    } else if (isTrue(vnode.isFragment)) {
+      // 如果虚拟节点是一个片段，则创建起止锚点，并将子节点插入到两个锚点之间。
+      // 没有父元素时（例如尚未插入的组件根节点）放进一个容器，使片段的节点始终互为兄弟节点
+      if (isUndef(parentElm)) {
+        parentElm = nodeOps.createElement('div')
+      }
+      vnode.elm = nodeOps.createTextNode('')
+      vnode.anchor = nodeOps.createTextNode('')
+      insert(parentElm, vnode.elm, refElm)
+      insert(parentElm, vnode.anchor, refElm)
+      let childParentElm = parentElm
+      let childRefElm = vnode.anchor
+      // teleport 的子节点追加到目标容器中，并以目标锚点标记结束位置
+      const target = resolveTeleportTarget(vnode)
+      if (isDef(target)) {
+        vnode.target = childParentElm = target
+        vnode.targetAnchor = childRefElm = nodeOps.createTextNode('')
+        nodeOps.appendChild(target, vnode.targetAnchor)
+      }
+      if (process.env.NODE_ENV !== 'production') {
+        checkDuplicateKeys(children)
+      }
+      for (let i = 0; i < children.length; ++i) {
+        createElm(children[i], insertedVnodeQueue, childParentElm, childRefElm, true, children, i)
+      }
     } else if (isTrue(vnode.isComment)) {
       // 如果虚拟节点是一个注释节点，则创建注释节点，并插入 DOM 元素
       vnode.elm = nodeOps.createComment(vnode.text)
       insert(parentElm, vnode.elm, refElm)
+      if (isDef(vnode.asyncFactory) && isUndef(vnode.asyncFactory.resolved)) {
+        trackAsyncPlaceholder(vnode.asyncFactory)
+      }
     } else {
       // 如果虚拟节点是一个文本节点，则创建文本节点，并插入 DOM 元素
       vnode.elm = nodeOps.createTextNode(vnode.text)
@@ -219,6 +512,22 @@ export function createPatchFunction (backend) {
     }
   }
 
+  /**
+   * 尚未解析的异步组件计入最近的 <suspense> 的等待项，
+   * 加载失败时交给当前实例及其祖先的 errorCaptured 钩子（如 <error-boundary>）。
+   * @param {Function} factory - 异步组件工厂函数。
+   */
+  function trackAsyncPlaceholder (factory) {
+    const vm = activeInstance
+    const done = registerAsyncDep(vm)
+    onAsyncComponentSettled(factory, err => {
+      done()
+      if (isDef(err) && vm && !vm._isDestroyed) {
+        handleSubtreeError(err, vm, 'async component')
+      }
+    })
+  }
+
   function createComponent (vnode, insertedVnodeQueue, parentElm, refElm) {
     let i = vnode.data
     if (isDef(i)) {
@@ -232,7 +541,12 @@ export function createPatchFunction (backend) {
       // in that case we can just return the element and be done.
       if (isDef(vnode.componentInstance)) {
         initComponent(vnode, insertedVnodeQueue)
-        insert(parentElm, vnode.elm, refElm)
+        insertVnode(parentElm, vnode, refElm)
+        // 异步组件加载中时渲染的是 loading 组件，同样需要等待
+        i = vnode.asyncFactory
+        if (isDef(i) && isUndef(i.resolved) && !isTrue(i.error)) {
+          trackAsyncPlaceholder(i)
+        }
         if (isTrue(isReactivated)) {
           reactivateComponent(vnode, insertedVnodeQueue, parentElm, refElm)
         }
@@ -246,7 +560,8 @@ export function createPatchFunction (backend) {
       insertedVnodeQueue.push.apply(insertedVnodeQueue, vnode.data.pendingInsert)
       vnode.data.pendingInsert = null
     }
-    vnode.elm = vnode.componentInstance.$el
+    // 以片段为根时 $el 是片段的第一个子节点，占位节点的 elm 仍取片段的起始锚点
+    vnode.elm = vnode.componentInstance._vnode.elm
     if (isPatchable(vnode)) {
       invokeCreateHooks(vnode, insertedVnodeQueue)
       setScope(vnode)
@@ -278,7 +593,7 @@ export function createPatchFunction (backend) {
     }
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
-    insert(parentElm, vnode.elm, refElm)
+    insertVnode(parentElm, vnode, refElm)
   }
 
   function insert (parent, elm, ref) {
@@ -362,6 +677,12 @@ export function createPatchFunction (backend) {
 
   function invokeDestroyHook (vnode) {
     let i, j
+    if (isDef(i = vnode.lazyHydration)) {
+      // 尚未水合的组件还没有实例，取消水合即可
+      i.cancel()
+      vnode.lazyHydration = undefined
+      return
+    }
     const data = vnode.data
     if (isDef(data)) {
       if (isDef(i = data.hook) && isDef(i = i.destroy)) i(vnode)
@@ -378,9 +699,14 @@ export function createPatchFunction (backend) {
     for (; startIdx <= endIdx; ++startIdx) {
       const ch = vnodes[startIdx]
       if (isDef(ch)) {
-        if (isDef(ch.tag)) {
+        if (isDef(ch.lazyHydration)) {
+          removeDehydratedNodes(ch)
+        } else if (isDef(ch.tag)) {
           removeAndInvokeRemoveHook(ch)
           invokeDestroyHook(ch)
+        } else if (isTrue(ch.isFragment)) {
+          removeVnodeElm(ch)
+          invokeDestroyHook(ch)
         } else { // Text node
           removeNode(ch.elm)
         }
@@ -398,7 +724,7 @@ export function createPatchFunction (backend) {
         rm.listeners += listeners
       } else {
         // directly removing
-        rm = createRmCb(vnode.elm, listeners)
+        rm = createRmCb(vnode, listeners)
       }
       // recursively invoke hooks on child component root node
       if (isDef(i = vnode.componentInstance) && isDef(i = i._vnode) && isDef(i.data)) {
@@ -417,16 +743,10 @@ export function createPatchFunction (backend) {
     }
   }
 
-  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
-    let oldStartIdx = 0
-    let newStartIdx = 0
+  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, endAnchor) {
+    let i = 0
     let oldEndIdx = oldCh.length - 1
-    let oldStartVnode = oldCh[0]
-    let oldEndVnode = oldCh[oldEndIdx]
     let newEndIdx = newCh.length - 1
-    let newStartVnode = newCh[0]
-    let newEndVnode = newCh[newEndIdx]
-    let oldKeyToIdx, idxInOld, vnodeToMove, refElm
 
     // removeOnly is a special flag used only by <transition-group>
     // to ensure removed elements stay in correct relative positions
@@ -437,55 +757,94 @@ export function createPatchFunction (backend) {
       checkDuplicateKeys(newCh)
     }
 
-    while (oldStartIdx <= oldEndIdx && newStartIdx <= newEndIdx) {
-      if (isUndef(oldStartVnode)) {
-        oldStartVnode = oldCh[++oldStartIdx] // Vnode has been moved left
-      } else if (isUndef(oldEndVnode)) {
-        oldEndVnode = oldCh[--oldEndIdx]
-      } else if (sameVnode(oldStartVnode, newStartVnode)) {
-        patchVnode(oldStartVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-        oldStartVnode = oldCh[++oldStartIdx]
-        newStartVnode = newCh[++newStartIdx]
-      } else if (sameVnode(oldEndVnode, newEndVnode)) {
-        patchVnode(oldEndVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx)
-        oldEndVnode = oldCh[--oldEndIdx]
-        newEndVnode = newCh[--newEndIdx]
-      } else if (sameVnode(oldStartVnode, newEndVnode)) { // Vnode moved right
-        patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx)
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm))
-        oldStartVnode = oldCh[++oldStartIdx]
-        newEndVnode = newCh[--newEndIdx]
-      } else if (sameVnode(oldEndVnode, newStartVnode)) { // Vnode moved left
-        patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm)
-        oldEndVnode = oldCh[--oldEndIdx]
-        newStartVnode = newCh[++newStartIdx]
+    // 1. 从头部开始同步相同的节点
+    while (i <= oldEndIdx && i <= newEndIdx && sameVnode(oldCh[i], newCh[i])) {
+      patchVnode(oldCh[i], newCh[i], insertedVnodeQueue, newCh, i)
+      i++
+    }
+
+    // 2. 从尾部开始同步相同的节点
+    while (i <= oldEndIdx && i <= newEndIdx && sameVnode(oldCh[oldEndIdx], newCh[newEndIdx])) {
+      patchVnode(oldCh[oldEndIdx], newCh[newEndIdx], insertedVnodeQueue, newCh, newEndIdx)
+      oldEndIdx--
+      newEndIdx--
+    }
+
+    if (i > oldEndIdx) {
+      // 3. 旧节点已处理完，剩下的新节点都需要创建
+      // 片段的子节点追加到其结束锚点之前
+      const refElm = newEndIdx + 1 < newCh.length ? newCh[newEndIdx + 1].elm : endAnchor || null
+      addVnodes(parentElm, refElm, newCh, i, newEndIdx, insertedVnodeQueue)
+      return
+    }
+    if (i > newEndIdx) {
+      // 4. 新节点已处理完，剩下的旧节点都需要移除
+      removeVnodes(oldCh, i, oldEndIdx)
+      return
+    }
+
+    // 5. 中间的未知序列
+    const oldStartIdx = i
+    const newStartIdx = i
+    const toBePatched = newEndIdx - newStartIdx + 1
+    const newKeyToIdx = createKeyToIdx(newCh, newStartIdx, newEndIdx)
+    // 新节点在旧列表中的位置（加 1），0 表示需要新建
+    const newIndexToOldIndex = new Array(toBePatched)
+    for (i = 0; i < toBePatched; i++) newIndexToOldIndex[i] = 0
+    let patched = 0
+    let moved = false
+    let maxNewIdxSoFar = 0
+
+    // 5.1 遍历旧节点：更新可复用的节点，移除不再存在的节点
+    for (i = oldStartIdx; i <= oldEndIdx; i++) {
+      const oldVnode = oldCh[i]
+      if (patched >= toBePatched) {
+        // 新节点都已找到对应的旧节点，剩下的直接移除
+        removeVnodes(oldCh, i, i)
+        continue
+      }
+      let newIdx
+      if (isDef(oldVnode.key)) {
+        newIdx = newKeyToIdx[oldVnode.key]
       } else {
-        if (isUndef(oldKeyToIdx)) oldKeyToIdx = createKeyToOldIdx(oldCh, oldStartIdx, oldEndIdx)
-        idxInOld = isDef(newStartVnode.key)
-          ? oldKeyToIdx[newStartVnode.key]
-          : findIdxInOld(newStartVnode, oldCh, oldStartIdx, oldEndIdx)
-        if (isUndef(idxInOld)) { // New element
-          createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx)
+        newIdx = findIdxInNew(oldVnode, newCh, newStartIdx, newEndIdx, newIndexToOldIndex)
+      }
+      if (
+        isUndef(newIdx) ||
+        newIndexToOldIndex[newIdx - newStartIdx] !== 0 ||
+        // same key but different element. treat as new element
+        !sameVnode(oldVnode, newCh[newIdx])
+      ) {
+        removeVnodes(oldCh, i, i)
+      } else {
+        newIndexToOldIndex[newIdx - newStartIdx] = i + 1
+        if (newIdx >= maxNewIdxSoFar) {
+          maxNewIdxSoFar = newIdx
         } else {
-          vnodeToMove = oldCh[idxInOld]
-          if (sameVnode(vnodeToMove, newStartVnode)) {
-            patchVnode(vnodeToMove, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-            oldCh[idxInOld] = undefined
-            canMove && nodeOps.insertBefore(parentElm, vnodeToMove.elm, oldStartVnode.elm)
-          } else {
-            // same key but different element. treat as new element
-            createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx)
-          }
+          moved = true
         }
-        newStartVnode = newCh[++newStartIdx]
+        patchVnode(oldVnode, newCh[newIdx], insertedVnodeQueue, newCh, newIdx)
+        patched++
       }
     }
-    if (oldStartIdx > oldEndIdx) {
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm
-      addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
-    } else if (newStartIdx > newEndIdx) {
-      removeVnodes(oldCh, oldStartIdx, oldEndIdx)
+
+    // 5.2 从后往前创建新节点并移动节点，位于最长递增子序列中的节点保持不动，
+    // 这样 DOM 移动的次数最少
+    const stable = moved ? getSequence(newIndexToOldIndex) : []
+    let j = stable.length - 1
+    for (i = toBePatched - 1; i >= 0; i--) {
+      const newIdx = newStartIdx + i
+      const vnode = newCh[newIdx]
+      const refElm = newIdx + 1 < newCh.length ? newCh[newIdx + 1].elm : endAnchor || null
+      if (newIndexToOldIndex[i] === 0) {
+        createElm(vnode, insertedVnodeQueue, parentElm, refElm, false, newCh, newIdx)
+      } else if (moved) {
+        if (j < 0 || i !== stable[j]) {
+          canMove && insertVnode(parentElm, vnode, refElm)
+        } else {
+          j--
+        }
+      }
     }
   }
 
@@ -507,10 +866,10 @@ export function createPatchFunction (backend) {
     }
   }
 
-  function findIdxInOld (node, oldCh, start, end) {
-    for (let i = start; i < end; i++) {
-      const c = oldCh[i]
-      if (isDef(c) && sameVnode(node, c)) return i
+  // 为没有 key 的旧节点查找尚未被复用的相同新节点
+  function findIdxInNew (node, newCh, start, end, newIndexToOldIndex) {
+    for (let i = start; i <= end; i++) {
+      if (newIndexToOldIndex[i - start] === 0 && sameVnode(node, newCh[i])) return i
     }
   }
 
@@ -526,13 +885,29 @@ export function createPatchFunction (backend) {
       return
     }
 
+    if (isDef(oldVnode.lazyHydration)) {
+      // 父组件更新前先完成尚未水合的子组件的水合
+      oldVnode.lazyHydration.hydrate()
+    }
+
     if (isDef(vnode.elm) && isDef(ownerArray)) {
       // clone reused vnode
-      vnode = ownerArray[index] = cloneVNode(vnode)
+      vnode = ownerArray[index] = cloneReusedVnode(vnode)
     }
 
     const elm = vnode.elm = oldVnode.elm
 
+    if (isTrue(vnode.isFragment)) {
+      // 片段的子节点位于起止锚点之间，在锚点所在的父元素中更新
+      vnode.anchor = oldVnode.anchor
+      if (isDef(vnode.teleport)) {
+        patchTeleport(oldVnode, vnode, insertedVnodeQueue, removeOnly)
+      } else if (oldVnode.children !== vnode.children) {
+        updateChildren(nodeOps.parentNode(elm), oldVnode.children, vnode.children, insertedVnodeQueue, removeOnly, vnode.anchor)
+      }
+      return
+    }
+
     if (isTrue(oldVnode.isAsyncPlaceholder)) {
       if (isDef(vnode.asyncFactory.resolved)) {
         hydrate(oldVnode.elm, vnode, insertedVnodeQueue)
@@ -563,11 +938,25 @@ export function createPatchFunction (backend) {
 
     const oldCh = oldVnode.children
     const ch = vnode.children
+    // 编译器生成的 patch 标记：同一模板位置上的新旧节点只比较标记的绑定
+    const patchFlag = vnode.patchFlag
+    const optimized = isDef(patchFlag) && oldVnode.patchFlag === patchFlag
     if (isDef(data) && isPatchable(vnode)) {
-      for (i = 0; i < cbs.update.length; ++i) cbs.update[i](oldVnode, vnode)
+      for (i = 0; i < cbs.update.length; ++i) {
+        const moduleFlag = cbs.updateFlags[i]
+        if (!optimized || !moduleFlag || (patchFlag & (moduleFlag | PATCH_FLAGS.FULL_PROPS))) {
+          cbs.update[i](oldVnode, vnode)
+        }
+      }
       if (isDef(i = data.hook) && isDef(i = i.update)) i(oldVnode, vnode)
     }
-    if (isUndef(vnode.text)) {
+    if (optimized && isUndef(vnode.text)) {
+      // 子树结构是静态的：block 根节点只更新收集到的动态后代，
+      // 其余被标记的节点的动态后代由所在的 block 负责
+      if (isDef(vnode.dynamicChildren)) {
+        patchBlockChildren(oldVnode.dynamicChildren, vnode.dynamicChildren, insertedVnodeQueue)
+      }
+    } else if (isUndef(vnode.text)) {
       if (isDef(oldCh) && isDef(ch)) {
         if (oldCh !== ch) updateChildren(elm, oldCh, ch, insertedVnodeQueue, removeOnly)
       } else if (isDef(ch)) {
@@ -589,6 +978,68 @@ export function createPatchFunction (backend) {
     }
   }
 
+  /**
+   * 按顺序逐一更新 block 中的动态节点。同一个 block 每次渲染收集到的动态节点
+   * 一一对应，只有 key 或组件类型变化时需要在原位置替换。
+   * @param {Array<VNode>} oldCh - 旧的动态节点。
+   * @param {Array<VNode>} newCh - 新的动态节点。
+   */
+  function patchBlockChildren (oldCh, newCh, insertedVnodeQueue) {
+    for (let i = 0; i < newCh.length; i++) {
+      const oldVnode = oldCh[i]
+      const vnode = newCh[i]
+      if (sameVnode(oldVnode, vnode)) {
+        patchVnode(oldVnode, vnode, insertedVnodeQueue)
+      } else {
+        createElm(vnode, insertedVnodeQueue, nodeOps.parentNode(oldVnode.elm), oldVnode.elm)
+        removeVnodes([oldVnode], 0, 0)
+      }
+    }
+  }
+
+  /**
+   * 更新 teleport 的子节点。子节点先在当前所在的容器中更新，
+   * 如果目标或 disabled 发生了变化，再整体移动到新的位置。
+   * @param {VNode} oldVnode - 旧的片段虚拟节点。
+   * @param {VNode} vnode - 新的片段虚拟节点。
+   */
+  function patchTeleport (oldVnode, vnode, insertedVnodeQueue, removeOnly) {
+    let target = vnode.target = oldVnode.target
+    vnode.targetAnchor = oldVnode.targetAnchor
+    const ch = vnode.children
+    if (oldVnode.children !== ch) {
+      updateChildren(
+        isDef(target) ? target : nodeOps.parentNode(vnode.elm),
+        oldVnode.children,
+        ch,
+        insertedVnodeQueue,
+        removeOnly,
+        isDef(target) ? vnode.targetAnchor : vnode.anchor
+      )
+    }
+    const oldTeleport = oldVnode.teleport
+    const teleport = vnode.teleport
+    if (oldTeleport.to !== teleport.to || oldTeleport.disabled !== teleport.disabled) {
+      target = resolveTeleportTarget(vnode)
+      if (target !== vnode.target) {
+        if (isDef(vnode.targetAnchor)) {
+          removeNode(vnode.targetAnchor)
+          vnode.targetAnchor = undefined
+        }
+        if (isDef(target)) {
+          vnode.targetAnchor = nodeOps.createTextNode('')
+          nodeOps.appendChild(target, vnode.targetAnchor)
+        }
+        vnode.target = target
+        const parentElm = isDef(target) ? target : nodeOps.parentNode(vnode.elm)
+        const refElm = isDef(target) ? vnode.targetAnchor : vnode.anchor
+        for (let i = 0; i < ch.length; ++i) {
+          insertVnode(parentElm, ch[i], refElm)
+        }
+      }
+    }
+  }
+
   function invokeInsertHook (vnode, queue, initial) {
     // delay insert hooks for component root nodes, invoke them after the
     // element is really inserted
@@ -601,7 +1052,9 @@ export function createPatchFunction (backend) {
     }
   }
 
-  let hydrationBailed = false
+  // 水合过程中发现的不匹配，patch 结束时合并为一条警告。子组件在父组件水合的过程中
+  // 各自 patch，所以每个组件的不匹配单独报告，警告中的组件追踪即为渲染出该内容的组件
+  let hydrationMismatches = []
   // list of modules that can skip create hook during hydration because they
   // are already rendered on the client or has no need for initialization
   // Note: style is excluded because it relies on initial clone for future
@@ -615,23 +1068,46 @@ export function createPatchFunction (backend) {
     inVPre = inVPre || (data && data.pre)
     vnode.elm = elm
 
+    if (isTrue(vnode.isFragment)) {
+      return hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre)
+    }
     if (isTrue(vnode.isComment) && isDef(vnode.asyncFactory)) {
       vnode.isAsyncPlaceholder = true
       return true
     }
     // assert node match
-    if (process.env.NODE_ENV !== 'production') {
+    // 生产环境下只有开启 hydrationRecovery 时才检查，恢复需要知道哪些节点不匹配
+    const checkMatch = process.env.NODE_ENV !== 'production' || config.hydrationRecovery
+    let attrsMatch = true
+    if (checkMatch) {
       if (!assertNodeMatch(elm, vnode, inVPre)) {
-        return false
+        recordHydrationMismatch(elm, 'node', `expected ${describeVNode(vnode)}, found ${describeNode(elm)}`)
+        return recoverHydrationNode(elm, vnode, insertedVnodeQueue)
       }
     }
     if (isDef(data)) {
+      if (isDef(i = vnode.componentOptions) && isDef(i = i.Ctor.options.hydrate)) {
+        if (isHydrationStrategy(i)) {
+          deferHydration(elm, vnode, i)
+          return true
+        }
+        if (process.env.NODE_ENV !== 'production') {
+          warn(
+            `Invalid hydrate option: "${i}". ` +
+            `Expected one of "idle", "visible", "interaction" or "never".`,
+            vnode.context
+          )
+        }
+      }
       if (isDef(i = data.hook) && isDef(i = i.init)) i(vnode, true /* hydrating */)
       if (isDef(i = vnode.componentInstance)) {
         // child component. it should have hydrated its own tree.
         initComponent(vnode, insertedVnodeQueue)
         return true
       }
+      if (checkMatch && isDef(tag)) {
+        attrsMatch = invokeHydrateHooks(elm, vnode)
+      }
     }
     if (isDef(tag)) {
       if (isDef(children)) {
@@ -641,57 +1117,69 @@ export function createPatchFunction (backend) {
         } else {
           // v-html and domProps: innerHTML
           if (isDef(i = data) && isDef(i = i.domProps) && isDef(i = i.innerHTML)) {
-            if (i !== elm.innerHTML) {
-              /* istanbul ignore if */
-              if (process.env.NODE_ENV !== 'production' &&
-                typeof console !== 'undefined' &&
-                !hydrationBailed
-              ) {
-                hydrationBailed = true
-                console.warn('Parent: ', elm)
-                console.warn('server innerHTML: ', i)
-                console.warn('client innerHTML: ', elm.innerHTML)
+            if (!nodeOps.isSameInnerHTML(elm, i)) {
+              recordHydrationMismatch(elm, 'innerHTML', `expected innerHTML ${JSON.stringify(i)}, found ${JSON.stringify(elm.innerHTML)}`)
+              // 恢复时由下面的 domProps create 钩子重新设置 innerHTML
+              if (!config.hydrationRecovery) {
+                return false
               }
-              return false
             }
           } else {
             // iterate and compare children lists
             let childrenMatch = true
             let childNode = elm.firstChild
-            for (let i = 0; i < children.length; i++) {
-              if (!childNode || !hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
+            let index = 0
+            for (; index < children.length; index++) {
+              if (!childNode) {
+                recordHydrationMismatch(elm, 'children', `expected ${describeVNode(children[index])} as child node ${index + 1}, found nothing`)
                 childrenMatch = false
                 break
               }
-              childNode = childNode.nextSibling
+              // 共享的静态子树（hoistStatic）可能已经挂载到其他实例上，与 createElm 一样按需克隆
+              if (isDef(children[index].elm)) {
+                children[index] = cloneReusedVnode(children[index])
+              }
+              if (!hydrate(childNode, children[index], insertedVnodeQueue, inVPre)) {
+                childrenMatch = false
+                break
+              }
+              childNode = nextSiblingOf(children[index])
             }
             // if childNode is not null, it means the actual childNodes list is
             // longer than the virtual children list.
-            if (!childrenMatch || childNode) {
-              /* istanbul ignore if */
-              if (process.env.NODE_ENV !== 'production' &&
-                typeof console !== 'undefined' &&
-                !hydrationBailed
-              ) {
-                hydrationBailed = true
-                console.warn('Parent: ', elm)
-                console.warn('Mismatching childNodes vs. VNodes: ', elm.childNodes, children)
+            if (childrenMatch && childNode) {
+              recordHydrationMismatch(elm, 'children', `found unexpected ${describeNode(childNode)} as child node ${index + 1}`)
+              childrenMatch = false
+            }
+            if (!childrenMatch) {
+              if (!config.hydrationRecovery) {
+                return false
               }
-              return false
+              // 从第一个不匹配的位置起移除服务端渲染的节点，重新创建其余的子节点
+              while (childNode) {
+                const next = childNode.nextSibling
+                nodeOps.removeChild(elm, childNode)
+                childNode = next
+              }
+              addVnodes(elm, null, children, index, children.length - 1, insertedVnodeQueue)
             }
           }
         }
       }
       if (isDef(data)) {
-        let fullInvoke = false
-        for (const key in data) {
-          if (!isRenderedModule(key)) {
-            fullInvoke = true
-            invokeCreateHooks(vnode, insertedVnodeQueue)
-            break
+        // 恢复时 attrs 和 class 不匹配的元素也需要执行 create 钩子重新设置
+        let fullInvoke = !attrsMatch && config.hydrationRecovery
+        if (!fullInvoke) {
+          for (const key in data) {
+            if (!isRenderedModule(key)) {
+              fullInvoke = true
+              break
+            }
           }
         }
-        if (!fullInvoke && data['class']) {
+        if (fullInvoke) {
+          invokeCreateHooks(vnode, insertedVnodeQueue)
+        } else if (data['class']) {
           // ensure collecting deps for deep class bindings for future updates
           traverse(data['class'])
         }
@@ -702,6 +1190,155 @@ export function createPatchFunction (backend) {
     return true
   }
 
+  function isCommentNode (node, text) {
+    return !!node && node.nodeType === 8 && node.data === text
+  }
+
+  /**
+   * 推迟组件的水合：服务端渲染的内容保持原样，直到 hydrate 选项指定的时机才创建组件实例并水合其子树。
+   * 在此之前组件在原位置的节点范围是 elm 到 lazyHydration.end，以片段为根时 end 是对应的 <!--]-->。
+   * @param {Node} elm - 组件的第一个 DOM 节点。
+   * @param {VNode} vnode - 组件占位虚拟节点。
+   * @param {string} strategy - 水合时机。
+   */
+  function deferHydration (elm, vnode, strategy) {
+    let end = elm
+    if (isCommentNode(elm, '[')) {
+      let depth = 0
+      while (end) {
+        if (isCommentNode(end, '[')) depth++
+        else if (isCommentNode(end, ']') && --depth === 0) break
+        end = end.nextSibling
+      }
+      if (!end) {
+        recordHydrationMismatch(elm, 'fragment', `expected <!--]--> at the end of the fragment, found nothing`)
+        end = elm
+      }
+    }
+    const nodes = []
+    for (let node = elm; node !== end; node = node.nextSibling) {
+      nodes.push(node)
+    }
+    nodes.push(end)
+    // 组件实例的 $parent 是当前正在 patch 的实例，水合时需要恢复
+    const parent = activeInstance
+    const pending = vnode.lazyHydration = {
+      end,
+      cancel: noop,
+      hydrate: () => {
+        if (vnode.lazyHydration !== pending) return
+        pending.cancel()
+        vnode.lazyHydration = undefined
+        const insertedVnodeQueue = []
+        const restoreActiveInstance = setActiveInstance(parent)
+        let i
+        if (isDef(i = vnode.data.hook) && isDef(i = i.init)) i(vnode, true /* hydrating */)
+        restoreActiveInstance()
+        if (isDef(vnode.componentInstance)) {
+          initComponent(vnode, insertedVnodeQueue)
+        }
+        invokeInsertHook(vnode, insertedVnodeQueue, false)
+      }
+    }
+    pending.cancel = scheduleHydration(strategy, nodes, pending.hydrate)
+  }
+
+  /**
+   * 移除尚未水合的组件在原位置的所有 DOM 节点。
+   */
+  function removeDehydratedNodes (vnode) {
+    const { end, cancel } = vnode.lazyHydration
+    cancel()
+    vnode.lazyHydration = undefined
+    let node = vnode.elm
+    while (node) {
+      const next = node === end ? null : node.nextSibling
+      removeNode(node)
+      node = next
+    }
+  }
+
+  /**
+   * 移除服务端渲染的片段（从 start 处的 <!--[--> 到与之配对的 <!--]-->）中除 keep 以外的节点。
+   * @param {Node} start - 片段的起始注释节点。
+   * @param {Node} keep - 需要保留的节点。
+   */
+  function removeServerFragment (start, keep) {
+    let depth = 0
+    let node = start
+    while (node) {
+      const next = node.nextSibling
+      if (isCommentNode(node, '[')) {
+        depth++
+      } else if (isCommentNode(node, ']')) {
+        depth--
+      }
+      if (node !== keep) {
+        removeNode(node)
+      }
+      if (depth === 0) {
+        break
+      }
+      node = next
+    }
+  }
+
+  /**
+   * 从 node 开始依次水合 children，返回最后一个子节点之后的节点，不匹配时返回 null。
+   */
+  function hydrateSiblings (node, children, insertedVnodeQueue, inVPre) {
+    for (let i = 0; i < children.length; i++) {
+      if (!node || !hydrate(node, children[i], insertedVnodeQueue, inVPre)) {
+        return null
+      }
+      node = nextSiblingOf(children[i])
+    }
+    return node
+  }
+
+  /**
+   * 水合片段。服务端将片段渲染在 <!--[--> 和 <!--]--> 两个注释之间，
+   * 它们分别作为片段的起止锚点。
+   * teleport 在原位置渲染为 <!--teleport start--><!--teleport end-->，
+   * 传送的内容位于目标容器中，并以 <!--teleport anchor--> 结尾。
+   * @param {Node} elm - 片段的起始注释节点。
+   * @param {VNode} vnode - 片段虚拟节点。
+   */
+  function hydrateFragment (elm, vnode, insertedVnodeQueue, inVPre) {
+    const isTeleport = isDef(vnode.teleport)
+    if (!isCommentNode(elm, isTeleport ? 'teleport start' : '[')) {
+      recordHydrationMismatch(elm, 'node', `expected ${describeVNode(vnode)}, found ${describeNode(elm)}`)
+      return false
+    }
+    const children = vnode.children
+    let node = elm.nextSibling
+    const target = resolveTeleportTarget(vnode)
+    if (isDef(target)) {
+      // 同一个目标中可能有多个 teleport，_lpa 记录下一个待水合的位置
+      const targetNode = hydrateSiblings(
+        target._lpa || target.firstChild,
+        children,
+        insertedVnodeQueue,
+        inVPre
+      )
+      if (!isCommentNode(targetNode, 'teleport anchor')) {
+        recordHydrationMismatch(targetNode || target, 'teleport', `expected <!--teleport anchor--> after teleported content, found ${describeNode(targetNode)}`)
+        return false
+      }
+      vnode.target = target
+      vnode.targetAnchor = targetNode
+      target._lpa = targetNode.nextSibling
+    } else {
+      node = hydrateSiblings(node, children, insertedVnodeQueue, inVPre)
+    }
+    if (!isCommentNode(node, isTeleport ? 'teleport end' : ']')) {
+      recordHydrationMismatch(node || elm, 'fragment', `expected ${isTeleport ? '<!--teleport end-->' : '<!--]-->'} at the end of the fragment, found ${describeNode(node)}`)
+      return false
+    }
+    vnode.anchor = node
+    return true
+  }
+
   function assertNodeMatch (node, vnode, inVPre) {
     if (isDef(vnode.tag)) {
       return vnode.tag.indexOf('vue-component') === 0 || (
@@ -713,6 +1350,47 @@ export function createPatchFunction (backend) {
     }
   }
 
+  /**
+   * 由平台模块检查服务端渲染的 attrs、class 等是否与虚拟节点一致。
+   * 水合时这些模块的 create 钩子通常会被跳过，不一致的值不会被纠正。
+   * 文本内容不在检查范围内，不一致时会直接被客户端的内容覆盖。
+   */
+  function invokeHydrateHooks (elm, vnode) {
+    let match = true
+    const mismatch = (kind, detail) => recordHydrationMismatch(elm, kind, detail)
+    for (let k = 0; k < cbs.hydrate.length; ++k) {
+      if (!cbs.hydrate[k](elm, vnode, mismatch)) {
+        match = false
+      }
+    }
+    return match
+  }
+
+  /**
+   * 开启 config.hydrationRecovery 时，在原位置重新创建不匹配的节点，
+   * 其余部分继续水合。否则返回 false，由 patch 放弃水合并完整渲染。
+   */
+  function recoverHydrationNode (elm, vnode, insertedVnodeQueue) {
+    if (!config.hydrationRecovery) {
+      return false
+    }
+    const parentElm = nodeOps.parentNode(elm)
+    createElm(vnode, insertedVnodeQueue, parentElm, elm)
+    if (isDef(parentElm)) {
+      nodeOps.removeChild(parentElm, elm)
+    }
+    return true
+  }
+
+  /**
+   * 记录水合不匹配。生产环境下只记录节点路径和不匹配的类型，用于诊断被重新创建的部分。
+   */
+  function recordHydrationMismatch (node, kind, detail) {
+    hydrationMismatches.push(`- at ${getNodePath(node)}: ${
+      process.env.NODE_ENV !== 'production' ? detail : `${kind} mismatch`
+    }`)
+  }
+
   /**
    * 对比新旧虚拟节点并进行更新。
    * @param {VNode} oldVnode - 旧的虚拟节点。
@@ -744,17 +1422,56 @@ export function createPatchFunction (backend) {
         // 如果旧的虚拟节点是真实 DOM 元素
         if (isRealElement) {
           // 如果旧的虚拟节点是服务器渲染的内容，尝试进行水合操作
-          if (oldVnode.nodeType === 1 && oldVnode.hasAttribute(SSR_ATTR)) {
+          // 自定义渲染器的宿主节点不一定实现 hasAttribute，它们不支持水合
+          let start = oldVnode
+          if (oldVnode.nodeType === 1 && isDef(oldVnode.hasAttribute) && oldVnode.hasAttribute(SSR_ATTR)) {
             oldVnode.removeAttribute(SSR_ATTR)
             hydrating = true
+            // 以片段为根时，服务端把标记渲染在片段的第一个子节点上，
+            // 水合从它之前（可能嵌套的）片段起始锚点开始
+            while (isCommentNode(start.previousSibling, '[')) {
+              start = start.previousSibling
+            }
           }
           if (isTrue(hydrating)) {
-            if (hydrate(oldVnode, vnode, insertedVnodeQueue)) {
+            // 子组件在水合过程中各自 patch，需要保留外层收集到的不匹配
+            const outerMismatches = hydrationMismatches
+            hydrationMismatches = []
+            const hydrated = hydrate(start, vnode, insertedVnodeQueue)
+            const mismatches = hydrationMismatches
+            hydrationMismatches = outerMismatches
+            // 生产环境下没有警告，开启恢复时输出不匹配的摘要，便于诊断哪些部分被重新渲染
+            if (
+              process.env.NODE_ENV === 'production' &&
+              config.hydrationRecovery &&
+              mismatches.length &&
+              typeof console !== 'undefined'
+            ) {
+              console.error(`[Vue] Hydration mismatches:\n${mismatches.join('\n')}`)
+            }
+            if (hydrated) {
+              if (process.env.NODE_ENV !== 'production' && mismatches.length) {
+                warn(
+                  'Hydration found mismatches between server-rendered content and the client-side rendered virtual DOM tree' +
+                  (config.hydrationRecovery ? ', the mismatching nodes have been re-created' : '') +
+                  `:\n${mismatches.join('\n')}\n`,
+                  activeInstance
+                )
+              }
               invokeInsertHook(vnode, insertedVnodeQueue, true)
-              return oldVnode
-            } else {
+              // 恢复时根节点本身可能被替换
+              return firstNodeOf(vnode)
+            } else if (process.env.NODE_ENV !== 'production') {
               // 如果水合操作失败，则进行客户端渲染
-              warn('The client-side rendered virtual DOM tree is not matching server-rendered content. This is likely caused by incorrect HTML markup, for example nesting block-level elements inside <p>, or missing <tbody>. Bailing hydration and performing full client-side render.')
+              warn(
+                'The client-side rendered virtual DOM tree is not matching server-rendered content. This is likely caused by incorrect HTML markup, for example nesting block-level elements inside <p>, or missing <tbody>. Bailing hydration and performing full client-side render.' +
+                (mismatches.length ? `\n\n${mismatches.join('\n')}\n` : ''),
+                activeInstance
+              )
+            }
+            // 客户端渲染只替换挂载点，服务端渲染的片段中的其余节点需要先移除
+            if (isCommentNode(start, '[')) {
+              removeServerFragment(start, oldVnode)
             }
           }
           // 创建一个空的虚拟节点并替换旧的虚拟节点
@@ -770,7 +1487,7 @@ export function createPatchFunction (backend) {
           vnode,
           insertedVnodeQueue,
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nextSiblingOf(oldVnode)
         )
 
         // 更新父占位符节点元素，递归地
@@ -802,13 +1519,13 @@ export function createPatchFunction (backend) {
         // 销毁旧的节点
         if (isDef(parentElm)) {
           removeVnodes([oldVnode], 0, 0)
-        } else if (isDef(oldVnode.tag)) {
+        } else if (isDef(oldVnode.tag) || isTrue(oldVnode.isFragment)) {
           invokeDestroyHook(oldVnode)
         }
       }
     }
 
     invokeInsertHook(vnode, insertedVnodeQueue, isInitialPatch)
-    return vnode.elm
+    return firstNodeOf(vnode)
   }
 }
@@ -20,6 +20,16 @@ export default class VNode {
   isComment: boolean; // empty comment placeholder?
   isCloned: boolean; // is a cloned node?
   isOnce: boolean; // is a v-once node?
+  isFragment: boolean; // multiple root nodes rendered by a component?
+  anchor: Node | void; // end anchor of a fragment
+  teleport: ?{ to: any, disabled: boolean }; // options of a <teleport> fragment
+  target: ?Node; // container the children of a teleport are rendered into
+  targetAnchor: ?Node; // end anchor of a teleport inside its target
+  patchFlag: number | void; // compiler hint of what may change, see PATCH_FLAGS
+  dynamicProps: ?Array<string>; // names of bound attrs/domProps when flagged PROPS
+  dynamicChildren: ?Array<VNode>; // flagged descendants of a block root
+  blockId: number | void; // template location of a block root
+  lazyHydration: ?{ end: Node, hydrate: Function, cancel: Function }; // pending deferred hydration
   asyncFactory: Function | void; // async component factory function
   asyncMeta: Object | void;
   isAsyncPlaceholder: boolean;
@@ -59,6 +69,16 @@ export default class VNode {
     this.isComment = false
     this.isCloned = false
     this.isOnce = false
+    this.isFragment = false
+    this.anchor = undefined
+    this.teleport = undefined
+    this.target = undefined
+    this.targetAnchor = undefined
+    this.patchFlag = undefined
+    this.dynamicProps = undefined
+    this.dynamicChildren = undefined
+    this.blockId = undefined
+    this.lazyHydration = undefined
     this.asyncFactory = asyncFactory
     this.asyncMeta = undefined
     this.isAsyncPlaceholder = false
@@ -78,6 +98,15 @@ export const createEmptyVNode = (text: string = '') => {
   return node
 }
 
+// a fragment has no element of its own. its children are rendered between a
+// start anchor (vnode.elm) and an end anchor (vnode.anchor). the $el of a
+// component rendering a fragment is its first child node.
+export function createFragmentVNode (children: Array<VNode>): VNode {
+  const node = new VNode(undefined, undefined, children)
+  node.isFragment = true
+  return node
+}
+
 export function createTextVNode (val: string | number) {
   return new VNode(undefined, undefined, undefined, String(val))
 }
@@ -104,6 +133,12 @@ export function cloneVNode (vnode: VNode): VNode {
   cloned.isStatic = vnode.isStatic
   cloned.key = vnode.key
   cloned.isComment = vnode.isComment
+  cloned.isFragment = vnode.isFragment
+  cloned.teleport = vnode.teleport
+  cloned.patchFlag = vnode.patchFlag
+  cloned.dynamicProps = vnode.dynamicProps
+  cloned.dynamicChildren = vnode.dynamicChildren
+  cloned.blockId = vnode.blockId
   cloned.fnContext = vnode.fnContext
   cloned.fnOptions = vnode.fnOptions
   cloned.fnScopeId = vnode.fnScopeId
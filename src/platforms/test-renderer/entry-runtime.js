@@ -0,0 +1,136 @@
+/* @flow */
+
+import Vue from 'core/index'
+import { extend } from 'shared/util'
+import { flushPendingUpdates } from 'core/observer/scheduler'
+import { compileToFunctions } from 'web/compiler/index'
+import TestRenderer from './runtime/index'
+import { appendChild, nextSibling } from './runtime/node-ops'
+import { serialize as serializeNode } from './runtime/serialize'
+import { TestElement, TestText, TestComment } from './runtime/test-node'
+import type { TestNode } from './runtime/test-node'
+
+// 渲染器挂载时用它编译 template 选项
+Vue.compile = compileToFunctions
+
+type MountOptions = {
+  props?: Object;
+  listeners?: { [event: string]: Function | Array<Function> };
+  scopedSlots?: { [name: string]: Function };
+};
+
+function isTestNode (value: any): boolean %checks {
+  return value instanceof TestElement ||
+    value instanceof TestText ||
+    value instanceof TestComment
+}
+
+// 组件在原位置渲染的所有节点，以片段为根时包括起止锚点之间的节点
+function getNodes (target: Component | TestNode): Array<TestNode> {
+  if (isTestNode(target)) {
+    return [(target: any)]
+  }
+  const vm: Component = (target: any)
+  let vnode = vm._vnode
+  while (vnode && vnode.componentInstance) {
+    vnode = vnode.componentInstance._vnode
+  }
+  // 以片段为根时 $el 是第一个子节点，从片段的起始锚点开始收集
+  let node: any = vnode && vnode.isFragment ? vnode.elm : vm.$el
+  const nodes = [node]
+  if (vnode && vnode.isFragment) {
+    while (node !== vnode.anchor && (node = nextSibling(node))) {
+      nodes.push(node)
+    }
+  }
+  return nodes
+}
+
+/**
+ * 将组件渲染到一个内存中的根节点下，返回组件实例。
+ * 组件应当是选项对象或由 TestRenderer 扩展的构造函数。
+ */
+export function mount (component: Object | Class<Component>, options?: MountOptions = {}): Component {
+  const container = new TestElement('root')
+  const target = new TestElement('div')
+  appendChild(container, target)
+  const root = new TestRenderer({
+    // 与模板中的用法一致，未声明为 props 的值成为 $attrs
+    render: h => h(component, {
+      attrs: options.props,
+      on: options.listeners,
+      scopedSlots: options.scopedSlots
+    })
+  }).$mount(target)
+  return root.$children[0] || root
+}
+
+/**
+ * 返回组件或节点可以被 JSON 序列化的树。
+ */
+export function toJSON (target: Component | TestNode): Object | Array<Object> {
+  const nodes = getNodes(target).map(node => node.toJSON())
+  return nodes.length === 1 ? nodes[0] : nodes
+}
+
+/**
+ * 返回组件或节点用于快照的字符串。
+ */
+export function serialize (target: Component | TestNode): string {
+  // 客户端片段的起止锚点是空文本节点
+  return getNodes(target)
+    .filter(node => !(node instanceof TestText) || node.text.trim())
+    .map(node => serializeNode(node))
+    .join('\n')
+}
+
+// 供 Jest 的 snapshotSerializers 使用
+export const snapshotSerializer = {
+  test: (value: any): boolean => isTestNode(value) || !!(value && value._isVue && isTestNode(value.$el)),
+  print: (value: any): string => serialize(value)
+}
+
+/**
+ * 在节点上触发事件并沿 parentNode 冒泡，init 中的字段会合并到事件对象上。
+ * 返回事件对象，事件处理函数引起的更新需要调用 flushUpdates 或等待下一个 tick。
+ */
+export function trigger (node: TestNode, type: string, init?: Object): Object {
+  let propagationStopped = false
+  const event = extend({
+    type,
+    target: node,
+    currentTarget: null,
+    defaultPrevented: false,
+    stopPropagation () {
+      propagationStopped = true
+    },
+    preventDefault () {
+      event.defaultPrevented = true
+    }
+  }, init)
+  let current: any = node
+  while (current && !propagationStopped) {
+    const listeners = current.listeners && current.listeners[type]
+    if (listeners) {
+      event.currentTarget = current
+      listeners.slice().forEach(listener => listener(event))
+    }
+    current = current.parentNode
+  }
+  event.currentTarget = null
+  return event
+}
+
+/**
+ * 同步执行所有等待中的组件更新和侦听器。
+ */
+export function flushUpdates () {
+  flushPendingUpdates()
+}
+
+export {
+  TestRenderer,
+  TestElement,
+  TestText,
+  TestComment
+}
@@ -0,0 +1,30 @@
+/* @flow */
+
+function toggleDisplay (el: any, value: any) {
+  if (value) {
+    delete el.style.display
+  } else {
+    el.style.display = 'none'
+  }
+}
+
+export default {
+  // v-model 在编译时转换为 domProps 和事件监听器，运行时没有额外的工作
+  model: {},
+
+  show: {
+    bind (el: any, { value }: VNodeDirective) {
+      toggleDisplay(el, value)
+    },
+    update (el: any, { value, oldValue }: VNodeDirective) {
+      if (!value !== !oldValue) {
+        toggleDisplay(el, value)
+      }
+    },
+    unbind (el: any, binding: VNodeDirective, vnode: VNode, oldVnode: VNode, isDestroy: boolean) {
+      if (!isDestroy) {
+        delete el.style.display
+      }
+    }
+  }
+}
@@ -0,0 +1,21 @@
+/* @flow */
+
+import Vue from 'core/index'
+import { extend } from 'shared/util'
+import { mustUseProp, isReservedTag, getTagNamespace } from 'web/util/index'
+import * as nodeOps from './node-ops'
+import modules from './modules/index'
+import platformDirectives from './directives'
+
+// 模板中标签和属性的语义与 web 平台一致，只是渲染为内存中的节点
+const TestRenderer = Vue.createRenderer({
+  nodeOps,
+  modules,
+  mustUseProp,
+  isReservedTag,
+  getTagNamespace
+})
+
+extend(TestRenderer.options.directives, platformDirectives)
+
+export default TestRenderer
@@ -0,0 +1,31 @@
+/* @flow */
+
+import { isUndef } from 'shared/util'
+
+function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+  if (isUndef(oldVnode.data.attrs) && isUndef(vnode.data.attrs)) {
+    return
+  }
+  const elm: any = vnode.elm
+  const oldAttrs = oldVnode.data.attrs || {}
+  const attrs = vnode.data.attrs || {}
+  let key, cur
+  for (key in attrs) {
+    cur = attrs[key]
+    if (cur == null || cur === false) {
+      delete elm.attrs[key]
+    } else {
+      elm.attrs[key] = cur
+    }
+  }
+  for (key in oldAttrs) {
+    if (isUndef(attrs[key])) {
+      delete elm.attrs[key]
+    }
+  }
+}
+
+export default {
+  create: updateAttrs,
+  update: updateAttrs
+}
@@ -0,0 +1,25 @@
+/* @flow */
+
+import { genClassForVnode } from 'web/util/class'
+
+function updateClass (oldVnode: any, vnode: any) {
+  const data = vnode.data
+  const oldData = oldVnode.data
+  if (
+    !data.staticClass && !data.class &&
+    (!oldData || (!oldData.staticClass && !oldData.class))
+  ) {
+    return
+  }
+  const cls = genClassForVnode(vnode)
+  if (cls) {
+    vnode.elm.attrs.class = cls
+  } else {
+    delete vnode.elm.attrs.class
+  }
+}
+
+export default {
+  create: updateClass,
+  update: updateClass
+}
@@ -0,0 +1,32 @@
+/* @flow */
+
+import { isUndef } from 'shared/util'
+import { setTextContent } from '../node-ops'
+
+function updateDOMProps (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+  if (isUndef(oldVnode.data.domProps) && isUndef(vnode.data.domProps)) {
+    return
+  }
+  const elm: any = vnode.elm
+  const oldProps = oldVnode.data.domProps || {}
+  const props = vnode.data.domProps || {}
+  let key
+  for (key in oldProps) {
+    if (!(key in props)) {
+      delete elm.props[key]
+    }
+  }
+  for (key in props) {
+    if (key === 'textContent') {
+      // v-text 的内容以文本子节点的形式出现在树中
+      setTextContent(elm, props[key] == null ? '' : String(props[key]))
+    } else {
+      elm.props[key] = props[key]
+    }
+  }
+}
+
+export default {
+  create: updateDOMProps,
+  update: updateDOMProps
+}
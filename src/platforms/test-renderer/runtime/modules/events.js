@@ -0,0 +1,48 @@
+/* @flow */
+
+import { updateListeners } from 'core/vdom/helpers/update-listeners'
+
+let target: any
+
+function createOnceHandler (event, handler, capture) {
+  const _target = target // save current target element in closure
+  return function onceHandler () {
+    const res = handler.apply(null, arguments)
+    if (res !== null) {
+      remove(event, onceHandler, capture, _target)
+    }
+  }
+}
+
+function add (event: string, handler: Function) {
+  (target.listeners[event] || (target.listeners[event] = [])).push(handler)
+}
+
+function remove (
+  event: string,
+  handler: Function,
+  capture?: boolean,
+  _target?: any
+) {
+  const listeners = (_target || target).listeners[event]
+  const index = listeners ? listeners.indexOf(handler) : -1
+  if (index > -1) {
+    listeners.splice(index, 1)
+  }
+}
+
+function updateTestListeners (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+  if (!oldVnode.data.on && !vnode.data.on) {
+    return
+  }
+  const on = vnode.data.on || {}
+  const oldOn = oldVnode.data.on || {}
+  target = vnode.elm
+  updateListeners(on, oldOn, add, remove, createOnceHandler, vnode.context)
+  target = undefined
+}
+
+export default {
+  create: updateTestListeners,
+  update: updateTestListeners
+}
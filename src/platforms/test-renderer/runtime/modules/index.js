@@ -0,0 +1,13 @@
+import attrs from './attrs'
+import klass from './class'
+import domProps from './dom-props'
+import events from './events'
+import style from './style'
+
+export default [
+  attrs,
+  klass,
+  domProps,
+  events,
+  style
+]
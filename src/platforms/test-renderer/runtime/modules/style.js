@@ -0,0 +1,35 @@
+/* @flow */
+
+import { hyphenate } from 'shared/util'
+import { getStyle } from 'web/util/style'
+
+function updateStyle (oldVnode: any, vnode: any) {
+  const data = vnode.data
+  const oldData = oldVnode.data
+  if (
+    !data.staticStyle && !data.style &&
+    !oldData.staticStyle && !oldData.style
+  ) {
+    return
+  }
+  const el = vnode.elm
+  const oldStyle = oldData.normalizedStyle || {}
+  const style = vnode.data.normalizedStyle = getStyle(vnode, true)
+  let name
+  // 只更新变化的样式，v-show 直接设置的 display 不受影响
+  for (name in oldStyle) {
+    if (style[name] == null) {
+      delete el.style[hyphenate(name)]
+    }
+  }
+  for (name in style) {
+    if (style[name] !== oldStyle[name]) {
+      el.style[hyphenate(name)] = String(style[name])
+    }
+  }
+}
+
+export default {
+  create: updateStyle,
+  update: updateStyle
+}
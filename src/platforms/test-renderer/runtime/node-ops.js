@@ -0,0 +1,74 @@
+/* @flow */
+
+import { TestElement, TestText, TestComment } from './test-node'
+import type { TestNode } from './test-node'
+
+export function createElement (tagName: string): TestElement {
+  return new TestElement(tagName)
+}
+
+export function createElementNS (namespace: string, tagName: string): TestElement {
+  return new TestElement(tagName, namespace)
+}
+
+export function createTextNode (text: string): TestText {
+  return new TestText(text)
+}
+
+export function createComment (text: string): TestComment {
+  return new TestComment(text)
+}
+
+export function insertBefore (node: TestElement, target: TestNode, before: ?TestNode) {
+  if (target.parentNode) {
+    removeChild(target.parentNode, target)
+  }
+  const index = before ? node.children.indexOf(before) : -1
+  if (index > -1) {
+    node.children.splice(index, 0, target)
+  } else {
+    node.children.push(target)
+  }
+  target.parentNode = node
+}
+
+export function removeChild (node: TestElement, child: TestNode) {
+  const index = node.children.indexOf(child)
+  if (index > -1) {
+    node.children.splice(index, 1)
+    child.parentNode = null
+  }
+}
+
+export function appendChild (node: TestElement, child: TestNode) {
+  insertBefore(node, child, null)
+}
+
+export function parentNode (node: TestNode): ?TestElement {
+  return node.parentNode
+}
+
+export function nextSibling (node: TestNode): ?TestNode {
+  const parent = node.parentNode
+  return parent ? parent.children[parent.children.indexOf(node) + 1] || null : null
+}
+
+export function tagName (node: TestElement): string {
+  return node.tag
+}
+
+export function setTextContent (node: TestNode, text: string) {
+  if (node instanceof TestElement) {
+    node.children.forEach(child => { child.parentNode = null })
+    node.children = []
+    if (text) {
+      appendChild(node, new TestText(text))
+    }
+  } else {
+    node.text = text
+  }
+}
+
+export function setStyleScope (node: TestElement, scopeId: string) {
+  node.attrs[scopeId] = ''
+}
@@ -0,0 +1,46 @@
+/* @flow */
+
+import { TestElement, TestText } from './test-node'
+import type { TestNode } from './test-node'
+
+function serializeAttrs (node: TestElement): string {
+  let res = ''
+  Object.keys(node.attrs).sort().forEach(key => {
+    const value = node.attrs[key]
+    res += value === '' || value === true ? ` ${key}` : ` ${key}="${String(value)}"`
+  })
+  Object.keys(node.props).sort().forEach(key => {
+    res += ` .${key}=${JSON.stringify(node.props[key]) || 'undefined'}`
+  })
+  const style = Object.keys(node.style).map(name => `${name}: ${node.style[name]}`)
+  if (style.length) {
+    res += ` style="${style.join('; ')}"`
+  }
+  return res
+}
+
+/**
+ * 将节点序列化为便于快照比较的缩进格式。
+ * 只有一个文本子节点的元素输出在同一行，其余元素的子节点每个占一行，空白文本节点被忽略。
+ */
+export function serialize (node: TestNode, indent?: string = ''): string {
+  if (node instanceof TestText) {
+    return indent + node.text
+  }
+  if (!(node instanceof TestElement)) {
+    return `${indent}<!--${node.text}-->`
+  }
+  const open = `${indent}<${node.tag}${serializeAttrs(node)}>`
+  const close = `</${node.tag}>`
+  const children = node.children
+  if (!children.length) {
+    return open + close
+  }
+  if (children.length === 1 && children[0] instanceof TestText) {
+    return open + children[0].text + close
+  }
+  const lines = children
+    .filter(child => !(child instanceof TestText) || child.text.trim())
+    .map(child => serialize(child, indent + '  '))
+  return `${open}\n${lines.join('\n')}\n${indent}${close}`
+}
@@ -0,0 +1,93 @@
+/* @flow */
+
+/**
+ * 测试渲染器的内存节点。节点之间通过 parentNode 互相引用，
+ * toJSON 只输出可序列化的部分，所以整棵树可以直接 JSON.stringify。
+ */
+
+export class TestElement {
+  nodeType: number;
+  tag: string;
+  ns: ?string;
+  attrs: { [key: string]: any };
+  props: { [key: string]: any };
+  style: { [key: string]: string };
+  listeners: { [event: string]: Array<Function> };
+  parentNode: ?TestElement;
+  children: Array<TestNode>;
+
+  constructor (tag: string, ns?: string) {
+    this.nodeType = 1
+    this.tag = tag
+    this.ns = ns
+    this.attrs = {}
+    this.props = {}
+    this.style = {}
+    this.listeners = {}
+    this.parentNode = null
+    this.children = []
+  }
+
+  // 与 DOM 元素一致，v-model 生成的代码通过 $event.target 读取这两个属性
+  get value (): any {
+    return this.props.value
+  }
+
+  set value (value: any) {
+    this.props.value = value
+  }
+
+  get checked (): boolean {
+    return !!this.props.checked
+  }
+
+  set checked (checked: boolean) {
+    this.props.checked = checked
+  }
+
+  toJSON (): Object {
+    const json: Object = {
+      type: 'element',
+      tag: this.tag,
+      attrs: this.attrs,
+      children: this.children.map(child => child.toJSON())
+    }
+    if (Object.keys(this.props).length) json.props = this.props
+    if (Object.keys(this.style).length) json.style = this.style
+    return json
+  }
+}
+
+export class TestText {
+  nodeType: number;
+  text: string;
+  parentNode: ?TestElement;
+
+  constructor (text: string) {
+    this.nodeType = 3
+    this.text = text
+    this.parentNode = null
+  }
+
+  toJSON (): Object {
+    return { type: 'text', text: this.text }
+  }
+}
+
+export class TestComment {
+  nodeType: number;
+  text: string;
+  parentNode: ?TestElement;
+
+  constructor (text: string) {
+    this.nodeType = 8
+    this.text = text
+    this.parentNode = null
+  }
+
+  toJSON (): Object {
+    return { type: 'comment', text: this.text }
+  }
+}
+
+export type TestNode = TestElement | TestText | TestComment
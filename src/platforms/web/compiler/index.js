@@ -2,7 +2,25 @@
 
 import { baseOptions } from './options'
 import { createCompiler } from 'compiler/index'
+import { generateTypeCheckCode } from 'compiler/type-check/index'
 
 const { compile, compileToFunctions } = createCompiler(baseOptions)
 
+/**
+ * 将模板编译为用于类型检查的 TypeScript 代码，模板中的表达式会针对组件实例的类型检查。
+ * 依赖解析器记录的位置，只能在非生产环境下使用。
+ */
+export function compileToTypeScript (
+  template: string,
+  options?: TypeCheckOptions = {}
+): TypeCheckResult {
+  const { ast, errors } = compile(template, {
+    outputSourceRange: true,
+    delimiters: options.delimiters
+  })
+  const trimmed = template.trim()
+  const { code, mappings } = generateTypeCheckCode(ast, trimmed, template.indexOf(trimmed), options)
+  return { code, mappings, errors: errors || [] }
+}
+
 export { compile, compileToFunctions }
@@ -7,6 +7,7 @@ import {
   getBindingAttr,
   baseWarn
 } from 'compiler/helpers'
+import type { CodegenState } from 'compiler/codegen/index'
 
 function transformNode (el: ASTElement, options: CompilerOptions) {
   const warn = options.warn || baseWarn
@@ -34,10 +35,10 @@ function transformNode (el: ASTElement, options: CompilerOptions) {
   }
 }
 
-function genData (el: ASTElement): string {
+function genData (el: ASTElement, state?: CodegenState): string {
   let data = ''
   if (el.staticStyle) {
-    data += `staticStyle:${el.staticStyle},`
+    data += `staticStyle:${state ? state.hoist(el.staticStyle) : el.staticStyle},`
   }
   if (el.styleBinding) {
     data += `style:(${el.styleBinding}),`
@@ -11,6 +11,7 @@ import modules from './modules/index'
 import directives from './directives/index'
 import { genStaticKeys } from 'shared/util'
 import { isUnaryTag, canBeLeftOpenTag } from './util'
+import { stringifyStaticChildren } from './stringify'
 
 // 定义编译器选项的基础配置
 export const baseOptions: CompilerOptions = {
@@ -32,6 +33,8 @@ export const baseOptions: CompilerOptions = {
   isReservedTag,
   // getTagNamespace 是一个函数，用于获取一个标签的命名空间
   getTagNamespace,
+  // stringifyStaticChildren 是一个函数，用于将较大的静态子树序列化为元素的 innerHTML
+  stringifyStaticChildren,
   // staticKeys 是一个字符串，包含了所有静态键，由 genStaticKeys 函数生成
   staticKeys: genStaticKeys(modules)
 }
@@ -0,0 +1,139 @@
+/* @flow */
+
+import { makeMap } from 'shared/util'
+import { addProp } from 'compiler/helpers'
+import { isBooleanAttr, isEnumeratedAttr } from 'web/util/attrs'
+
+// 这些元素的内容不能通过 innerHTML 原样还原：
+// 表格相关的元素在 HTML 解析时会被移动或补全，script/style 的内容不能转义，
+// template 和 slot 在运行时不会渲染为对应的元素
+const isUnstringifiableTag = makeMap(
+  'template,slot,script,style,' +
+  'table,caption,thead,tr,th,tbody,td,tfoot,colgroup,col'
+)
+
+// 可以直接序列化为 HTML 的 AST 属性，带有其他属性（例如 DOM props、
+// 插件或模块添加的数据）的元素需要在运行时处理，不能序列化
+const isStringifiableKey = makeMap(
+  'type,tag,attrsList,attrsMap,rawAttrsMap,plain,parent,children,attrs,start,end,' +
+  'static,staticRoot,staticInFor,staticClass,staticStyle,ns,pre'
+)
+
+const isPreOrTextarea = makeMap('pre,textarea')
+
+/**
+ * 将静态元素的子树序列化为 HTML 字符串，替换为元素的 innerHTML。
+ * 运行时只需创建这个元素，子节点由浏览器一次性解析生成，不再创建 VNode。
+ * 子树中有无法还原的内容时返回 false，元素保持不变。
+ */
+export function stringifyStaticChildren (
+  el: ASTElement,
+  options: CompilerOptions
+): boolean {
+  if (isUnstringifiableTag(el.tag)) {
+    return false
+  }
+  // transformCode 可能会改变元素生成的代码，序列化后就不会再执行了
+  if (options.modules && options.modules.some(m => m.transformCode)) {
+    return false
+  }
+  const html = stringifyChildren(el, options)
+  if (html == null) {
+    return false
+  }
+  el.children = []
+  addProp(el, 'innerHTML', `_j(${JSON.stringify(html)})`)
+  return true
+}
+
+function stringifyChildren (el: ASTElement, options: CompilerOptions): ?string {
+  let html = ''
+  for (let i = 0; i < el.children.length; i++) {
+    const res = stringifyNode(el.children[i], options)
+    if (res == null) {
+      return
+    }
+    html += res
+  }
+  // HTML 解析器会忽略 pre 和 textarea 开头的第一个换行
+  if (isPreOrTextarea(el.tag) && html.charAt(0) === '\n') {
+    html = '\n' + html
+  }
+  return html
+}
+
+function stringifyNode (node: ASTNode, options: CompilerOptions): ?string {
+  if (node.type === 3) {
+    return node.isComment ? undefined : escapeText(node.text)
+  }
+  if (
+    node.type !== 1 ||
+    isUnstringifiableTag(node.tag) ||
+    !Object.keys(node).every(isStringifiableKey)
+  ) {
+    return
+  }
+  // 与服务端渲染的输出保持一致：属性按模板中的顺序，其后是 class 和 style，
+  // style 使用模板中的原始文本，水合时才能与服务端渲染的内容匹配
+  let html = `<${node.tag}`
+  if (node.attrs) {
+    for (let i = 0; i < node.attrs.length; i++) {
+      const attr = node.attrs[i]
+      const value = attr.dynamic ? undefined : parseString(attr.value)
+      if (value == null) {
+        return
+      }
+      html += ` ${attr.name}="${escapeAttr(renderAttrValue(attr.name, value))}"`
+    }
+  }
+  if (node.staticClass) {
+    html += ` class="${escapeAttr(JSON.parse(node.staticClass))}"`
+  }
+  if (node.staticStyle) {
+    html += ` style="${escapeAttr(node.attrsMap.style)}"`
+  }
+  html += '>'
+  if (options.isUnaryTag && options.isUnaryTag(node.tag)) {
+    return html
+  }
+  const children = stringifyChildren(node, options)
+  if (children == null) {
+    return
+  }
+  return `${html}${children}</${node.tag}>`
+}
+
+// 与运行时的 attrs 模块和服务端渲染一样规范布尔属性和枚举属性的值
+function renderAttrValue (name: string, value: string): string {
+  if (isBooleanAttr(name)) {
+    return name
+  }
+  if (isEnumeratedAttr(name)) {
+    return value === 'false' ? 'false' : 'true'
+  }
+  return value
+}
+
+function parseString (value: string): ?string {
+  try {
+    const res = JSON.parse(value)
+    return typeof res === 'string' ? res : undefined
+  } catch (e) {}
+}
+
+function escapeText (text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\u00a0/g, '&nbsp;')
+}
+
+function escapeAttr (value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\u00a0/g, '&nbsp;')
+}
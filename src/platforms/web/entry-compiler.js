@@ -1,6 +1,10 @@
 /* @flow */
 
 export { parseComponent } from 'sfc/parser'
-export { compile, compileToFunctions } from './compiler/index'
+export { compile, compileToFunctions, compileToTypeScript } from './compiler/index'
+export { mapTypeScriptDiagnostics } from 'compiler/type-check/index'
 export { ssrCompile, ssrCompileToFunctions } from './server/compiler'
 export { generateCodeFrame } from 'compiler/codeframe'
+
+import * as astHelpers from 'compiler/ast-helpers'
+export { astHelpers }
@@ -1,5 +1,6 @@
 /* @flow */
 
+import { PATCH_FLAGS } from 'shared/constants'
 import { isIE, isIE9, isEdge } from 'core/util/env'
 
 import {
@@ -35,7 +36,10 @@ function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
     attrs = vnode.data.attrs = extend({}, attrs)
   }
 
+  // 同一模板位置上的两个节点只有编译器列出的动态属性可能不同
+  const dynamicProps = isDef(oldVnode.dynamicProps) ? vnode.dynamicProps : null
   for (key in attrs) {
+    if (dynamicProps && dynamicProps.indexOf(key) === -1) continue
     cur = attrs[key]
     old = oldAttrs[key]
     if (old !== cur) {
@@ -48,6 +52,9 @@ function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
   if ((isIE || isEdge) && attrs.value !== oldAttrs.value) {
     setAttr(elm, 'value', attrs.value)
   }
+  if (dynamicProps) {
+    return
+  }
   for (key in oldAttrs) {
     if (isUndef(attrs[key])) {
       if (isXlink(key)) {
@@ -113,7 +120,42 @@ function baseSetAttr (el, key, value) {
   }
 }
 
+// 服务端渲染 attrs 时输出的值，null 表示不输出该属性
+function getRenderedAttr (key: string, value: any): ?string {
+  if (isEnumeratedAttr(key)) {
+    return convertEnumeratedValue(key, value)
+  }
+  if (isFalsyAttrValue(value)) {
+    return null
+  }
+  return isBooleanAttr(key) ? key : String(value)
+}
+
+/**
+ * 水合时检查服务端渲染的 attrs 是否与虚拟节点一致。
+ * 水合时 create 钩子通常会被跳过，不一致的值不会被纠正。
+ */
+function hydrateAttrs (elm: Element, vnode: VNodeWithData, mismatch: Function): boolean {
+  let match = true
+  const attrs = vnode.data.attrs
+  if (isDef(attrs)) {
+    for (const key in attrs) {
+      const expected = getRenderedAttr(key, attrs[key])
+      const actual = elm.getAttribute(key)
+      if (isBooleanAttr(key) ? (expected === null) !== (actual === null) : expected !== actual) {
+        mismatch('attribute', `expected attribute ${key}${
+          expected == null ? ' to be absent' : `=${JSON.stringify(expected)}`
+        }, found ${actual === null ? 'nothing' : `${key}=${JSON.stringify(actual)}`}`)
+        match = false
+      }
+    }
+  }
+  return match
+}
+
 export default {
   create: updateAttrs,
-  update: updateAttrs
+  update: updateAttrs,
+  hydrate: hydrateAttrs,
+  patchFlag: PATCH_FLAGS.PROPS
 }
@@ -1,5 +1,6 @@
 /* @flow */
 
+import { PATCH_FLAGS } from 'shared/constants'
 import {
   isDef,
   isUndef
@@ -42,7 +43,28 @@ function updateClass (oldVnode: any, vnode: any) {
   }
 }
 
+function isSameClassList (a: string, b: string): boolean {
+  const listA = a.trim().split(/\s+/).filter(Boolean).sort()
+  const listB = b.trim().split(/\s+/).filter(Boolean).sort()
+  return listA.join(' ') === listB.join(' ')
+}
+
+/**
+ * 水合时检查服务端渲染的 class 是否与虚拟节点一致，忽略顺序和多余的空白。
+ */
+function hydrateClass (elm: Element, vnode: VNodeWithData, mismatch: Function): boolean {
+  const expected = genClassForVnode(vnode)
+  const actual = elm.getAttribute('class') || ''
+  if (!isSameClassList(expected, actual)) {
+    mismatch('class', `expected class ${JSON.stringify(expected)}, found ${JSON.stringify(actual)}`)
+    return false
+  }
+  return true
+}
+
 export default {
   create: updateClass,
-  update: updateClass
+  update: updateClass,
+  hydrate: hydrateClass,
+  patchFlag: PATCH_FLAGS.CLASS
 }
@@ -1,7 +1,8 @@
 /* @flow */
 
+import { PATCH_FLAGS } from 'shared/constants'
 import { isDef, isUndef, extend, toNumber } from 'shared/util'
-import { isSVG } from 'web/util/index'
+import { isSVG, isSameInnerHTML } from 'web/util/index'
 
 let svgContainer
 
@@ -18,13 +19,18 @@ function updateDOMProps (oldVnode: VNodeWithData, vnode: VNodeWithData) {
     props = vnode.data.domProps = extend({}, props)
   }
 
-  for (key in oldProps) {
-    if (!(key in props)) {
-      elm[key] = ''
+  // 编译器列出了动态属性时，其余的 domProps 在同一模板位置上不会变化
+  const dynamicProps = isDef(oldVnode.dynamicProps) ? vnode.dynamicProps : null
+  if (!dynamicProps) {
+    for (key in oldProps) {
+      if (!(key in props)) {
+        elm[key] = ''
+      }
     }
   }
 
   for (key in props) {
+    if (dynamicProps && dynamicProps.indexOf(key) === -1) continue
     cur = props[key]
     // ignore children if the node has textContent or innerHTML,
     // as these will throw away existing DOM nodes and cause removal errors
@@ -32,6 +38,13 @@ function updateDOMProps (oldVnode: VNodeWithData, vnode: VNodeWithData) {
     if (key === 'textContent' || key === 'innerHTML') {
       if (vnode.children) vnode.children.length = 0
       if (cur === oldProps[key]) continue
+      // 激活（hydrate）服务端渲染的元素时，内容相同就保留已有的 DOM 节点
+      if (
+        key === 'innerHTML' &&
+        isUndef(oldProps[key]) &&
+        elm.hasChildNodes() &&
+        isSameInnerHTML(elm, cur)
+      ) continue
       // #6601 work around Chrome version <= 55 bug where single textNode
       // replaced by innerHTML/textContent retains its parentNode property
       if (elm.childNodes.length === 1) {
@@ -112,5 +125,6 @@ function isDirtyWithModifiers (elm: any, newVal: string): boolean {
 
 export default {
   create: updateDOMProps,
-  update: updateDOMProps
+  update: updateDOMProps,
+  patchFlag: PATCH_FLAGS.PROPS
 }
@@ -1,5 +1,6 @@
 /* @flow */
 
+import { PATCH_FLAGS } from 'shared/constants'
 import { isDef, isUndef } from 'shared/util'
 import { updateListeners } from 'core/vdom/helpers/index'
 import { isIE, isFF, supportsPassive, isUsingMicroTask } from 'core/util/index'
@@ -120,5 +121,6 @@ function updateDOMListeners (oldVnode: VNodeWithData, vnode: VNodeWithData) {
 export default {
   create: updateDOMListeners,
   update: updateDOMListeners,
+  patchFlag: PATCH_FLAGS.EVENTS,
   destroy: (vnode: VNodeWithData) => updateDOMListeners(vnode, emptyNode)
 }
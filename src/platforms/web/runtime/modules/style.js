@@ -1,5 +1,6 @@
 /* @flow */
 
+import { PATCH_FLAGS } from 'shared/constants'
 import { getStyle, normalizeStyleBinding } from 'web/util/style'
 import { cached, camelize, extend, isDef, isUndef, hyphenate } from 'shared/util'
 
@@ -59,8 +60,11 @@ function updateStyle (oldVnode: VNodeWithData, vnode: VNodeWithData) {
   const oldStaticStyle: any = oldData.staticStyle
   const oldStyleBinding: any = oldData.normalizedStyle || oldData.style || {}
 
-  // if static style exists, stylebinding already merged into it when doing normalizeStyleData
-  const oldStyle = oldStaticStyle || oldStyleBinding
+  // static style may be shared by other vnodes, so the style binding is
+  // never merged into it
+  const oldStyle = oldStaticStyle
+    ? extend(extend({}, oldStaticStyle), oldStyleBinding)
+    : oldStyleBinding
 
   const style = normalizeStyleBinding(vnode.data.style) || {}
 
@@ -89,5 +93,6 @@ function updateStyle (oldVnode: VNodeWithData, vnode: VNodeWithData) {
 
 export default {
   create: updateStyle,
-  update: updateStyle
+  update: updateStyle,
+  patchFlag: PATCH_FLAGS.STYLE
 }
@@ -57,3 +57,10 @@ export function setTextContent (node: Node, text: string) {
 export function setStyleScope (node: Element, scopeId: string) {
   node.setAttribute(scopeId, '')
 }
+
+export function querySelector (selector: string): ?Element {
+  return document.querySelector(selector)
+}
+
+// 水合时比较服务端渲染的 innerHTML，序列化方式不同但结构相同时也视为一致
+export { isSameInnerHTML } from 'web/util/element'
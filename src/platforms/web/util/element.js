@@ -75,3 +75,17 @@ export function isUnknownElement (tag: string): boolean {
 }
 
 export const isTextInputType = makeMap('text,number,password,search,email,tel,url')
+
+/**
+ * Check if the content of a server-rendered element matches an HTML string.
+ * The string is parsed in the context of the element, so the order of
+ * attributes and the way the browser serializes them do not matter.
+ */
+export function isSameInnerHTML (el: Element, html: string): boolean {
+  if (el.innerHTML === html) {
+    return true
+  }
+  const container: any = el.cloneNode(false)
+  container.innerHTML = html
+  return container.isEqualNode(el)
+}
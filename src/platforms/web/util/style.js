@@ -18,11 +18,14 @@ export const parseStyleText = cached(function (cssText) {
 // merge static and dynamic style data on the same vnode
 function normalizeStyleData (data: VNodeData): ?Object {
   const style = normalizeStyleBinding(data.style)
-  // static style is pre-processed into an object during compilation
-  // and is always a fresh object, so it's safe to merge into it
-  return data.staticStyle
-    ? extend(data.staticStyle, style)
-    : style
+  // static style is pre-processed into an object during compilation.
+  // it may be hoisted and shared by all instances, so never merge into it
+  if (!data.staticStyle) {
+    return style
+  }
+  return style
+    ? extend(extend({}, data.staticStyle), style)
+    : data.staticStyle
 }
 
 // normalize possible array / string values into Object
@@ -23,6 +23,8 @@ import {
 } from './modules'
 
 import { escape } from 'web/server/util'
+import { getRawBindingAttr } from 'compiler/helpers'
+import { genSourceMarker } from 'compiler/source-map'
 import { optimizability } from './optimizer'
 import type { CodegenResult } from 'compiler/codegen/index'
 
@@ -83,7 +85,7 @@ function genNormalElement (el, state, stringifyChildren) {
   const children = stringifyChildren
     ? `[${genChildrenAsStringNode(el, state)}]`
     : genSSRChildren(el, state, true)
-  return `_c('${el.tag}'${
+  return `${genSourceMarker(state, el)}_c('${el.tag}'${
     data ? `,${data}` : ''
   }${
     children ? `,${children}` : ''
@@ -97,7 +99,7 @@ function genSSRChildren (el, state, checkSkip) {
 function genSSRNode (el, state) {
   return el.type === 1
     ? genSSRElement(el, state)
-    : genText(el)
+    : genText(el, state)
 }
 
 function genChildrenAsStringNode (el, state) {
@@ -107,12 +109,12 @@ function genChildrenAsStringNode (el, state) {
 }
 
 function genStringElement (el, state) {
-  return `_ssrNode(${elementToString(el, state)})`
+  return `${genSourceMarker(state, el)}_ssrNode(${elementToString(el, state)})`
 }
 
 function genStringElementWithChildren (el, state) {
   const children = genSSRChildren(el, state, true)
-  return `_ssrNode(${
+  return `${genSourceMarker(state, el)}_ssrNode(${
     flattenSegments(elementToOpenTagSegments(el, state))
   },"</${el.tag}>"${
     children ? `,${children}` : ''
@@ -156,38 +158,52 @@ function elementToOpenTagSegments (el, state): Array<StringSegment> {
   const segments = [{ type: RAW, value: `<${el.tag}` }]
   // attrs
   if (el.attrs) {
-    segments.push.apply(segments, genAttrSegments(el.attrs))
+    el.attrs.forEach(attr => {
+      segments.push.apply(segments, markSegments(genAttrSegments([attr]), attr, state))
+    })
   }
   // domProps
   if (el.props) {
-    segments.push.apply(segments, genDOMPropSegments(el.props, el.attrs))
+    el.props.forEach(prop => {
+      segments.push.apply(segments, markSegments(genDOMPropSegments([prop], el.attrs), prop, state))
+    })
   }
   // v-bind="object"
   if ((binding = el.attrsMap['v-bind'])) {
-    segments.push({ type: EXPRESSION, value: `_ssrAttrs(${binding})` })
+    segments.push.apply(segments, markSegments(
+      [{ type: EXPRESSION, value: `_ssrAttrs(${binding})` }],
+      el.rawAttrsMap['v-bind'],
+      state
+    ))
   }
   // v-bind.prop="object"
   if ((binding = el.attrsMap['v-bind.prop'])) {
-    segments.push({ type: EXPRESSION, value: `_ssrDOMProps(${binding})` })
+    segments.push.apply(segments, markSegments(
+      [{ type: EXPRESSION, value: `_ssrDOMProps(${binding})` }],
+      el.rawAttrsMap['v-bind.prop'],
+      state
+    ))
   }
   // class
   if (el.staticClass || el.classBinding) {
-    segments.push.apply(
-      segments,
-      genClassSegments(el.staticClass, el.classBinding)
-    )
+    segments.push.apply(segments, markSegments(
+      genClassSegments(el.staticClass, el.classBinding),
+      getRawBindingAttr(el, 'class'),
+      state
+    ))
   }
   // style & v-show
   if (el.staticStyle || el.styleBinding || el.attrsMap['v-show']) {
-    segments.push.apply(
-      segments,
+    segments.push.apply(segments, markSegments(
       genStyleSegments(
         el.attrsMap.style,
         el.staticStyle,
         el.styleBinding,
         el.attrsMap['v-show']
-      )
-    )
+      ),
+      el.styleBinding ? getRawBindingAttr(el, 'style') : el.rawAttrsMap['v-show'],
+      state
+    ))
   }
   // _scopedId
   if (state.options.scopeId) {
@@ -197,6 +213,24 @@ function elementToOpenTagSegments (el, state): Array<StringSegment> {
   return segments
 }
 
+// mark the expression segments of an attribute with its position in the
+// template, raw segments are plain strings and have nothing to map
+function markSegments (
+  segments: Array<StringSegment>,
+  range: ?{ start?: number },
+  state: CodegenState
+): Array<StringSegment> {
+  const marker = genSourceMarker(state, range)
+  if (marker) {
+    segments.forEach(segment => {
+      if (segment.type === EXPRESSION) {
+        segment.value = marker + segment.value
+      }
+    })
+  }
+  return segments
+}
+
 function childrenToSegments (el, state): Array<StringSegment> {
   let binding
   if ((binding = el.attrsMap['v-html'])) {
@@ -223,7 +257,10 @@ function nodesToSegments (
     if (c.type === 1) {
       segments.push.apply(segments, elementToSegments(c, state))
     } else if (c.type === 2) {
-      segments.push({ type: INTERPOLATION, value: c.expression })
+      segments.push({
+        type: INTERPOLATION,
+        value: genSourceMarker(state, c) + c.expression
+      })
     } else if (c.type === 3) {
       let text = escape(c.text)
       if (c.isComment) {
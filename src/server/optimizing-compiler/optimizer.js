@@ -49,7 +49,8 @@ function walk (node: ASTNode, isRoot?: boolean) {
   if (node.type === 1) {
     for (let i = 0, l = node.children.length; i < l; i++) {
       const child = node.children[i]
-      walk(child)
+      // the first node of a root fragment carries the server-rendered marker
+      walk(child, isRoot && node.fragment && i === 0)
       check(child)
     }
     if (node.ifConditions) {
@@ -13,6 +13,14 @@ type RenderState = {
   rendered: number;
   total: number;
   children: Array<VNode>;
+} | {
+  type: 'Teleport';
+  rendered: number;
+  total: number;
+  children: Array<VNode>;
+  target: string;
+  prevWrite: (text: string, next: Function) => void;
+  html: string;
 } | {
   type: 'Component';
   prevActive: Component;
@@ -87,6 +95,20 @@ export class RenderContext {
             }
           }
           break
+        case 'Teleport':
+          if (lastState.rendered < lastState.total) {
+            return this.renderNode(lastState.children[lastState.rendered++], false, this)
+          }
+          // teleported content is done: restore the previous write function
+          // and collect the content into context.teleports
+          this.renderStates.pop()
+          this.write = lastState.prevWrite
+          if (this.userContext) {
+            const teleports = this.userContext.teleports || (this.userContext.teleports = {})
+            teleports[lastState.target] = (teleports[lastState.target] || '') +
+              lastState.html + '<!--teleport anchor-->'
+          }
+          break
         case 'Component':
           this.renderStates.pop()
           this.activeInstance = lastState.prevActive
@@ -3,6 +3,7 @@
 import { escape } from 'web/server/util'
 import { SSR_ATTR } from 'shared/constants'
 import { RenderContext } from './render-context'
+import { createWriteFunction } from './write'
 import { resolveAsset } from 'core/util/options'
 import { generateComponentTrace } from 'core/util/debug'
 import { ssrCompileToFunctions } from 'web/server/compiler'
@@ -51,6 +52,13 @@ const normalizeRender = vm => {
 }
 
 function waitForServerPrefetch (vm, resolve, reject) {
+  // wait for async setup() before calling serverPrefetch hooks,
+  // they may rely on the bindings it returns
+  const setupPromise = vm._setupPromise
+  if (isDef(setupPromise)) {
+    setupPromise.then(() => waitForServerPrefetch(vm, resolve, reject), reject)
+    return
+  }
   let handlers = vm.$options.serverPrefetch
   if (isDef(handlers)) {
     if (!Array.isArray(handlers)) handlers = [handlers]
@@ -78,6 +86,12 @@ function renderNode (node, isRoot, context) {
     renderComponent(node, isRoot, context)
   } else if (isDef(node.tag)) {
     renderElement(node, isRoot, context)
+  } else if (isTrue(node.isFragment)) {
+    if (isDef(node.teleport)) {
+      renderTeleport(node, context)
+    } else {
+      renderFragment(node, isRoot, context)
+    }
   } else if (isTrue(node.isComment)) {
     if (isDef(node.asyncFactory)) {
       // async component
@@ -323,6 +337,61 @@ function renderElement (el, isRoot, context) {
   }
 }
 
+// fragments are wrapped in <!--[--> and <!--]--> so that the client can
+// pick them up as the start and end anchors during hydration. a root fragment
+// has no element of its own, so the server-rendered marker goes on its first
+// child instead, which is where the client mounts.
+function renderFragment (node, isRoot, context) {
+  const children: Array<VNode> = node.children || []
+  const markFirst = isTrue(isRoot) && children.length > 0
+  context.renderStates.push({
+    type: 'Element',
+    children,
+    rendered: markFirst ? 1 : 0,
+    total: children.length,
+    endTag: '<!--]-->'
+  })
+  context.write('<!--[-->', markFirst
+    ? () => context.renderNode(children[0], true, context)
+    : context.next
+  )
+}
+
+// teleported content is rendered into a separate buffer and collected in
+// context.teleports, keyed by the target selector, so that it can be injected
+// into the target container. only the anchors are rendered in place.
+function renderTeleport (node, context) {
+  const { to, disabled } = (node.teleport: any)
+  const children: Array<VNode> = node.children || []
+  if (disabled || typeof to !== 'string') {
+    context.renderStates.push({
+      type: 'Element',
+      children,
+      rendered: 0,
+      total: children.length,
+      endTag: '<!--teleport end-->'
+    })
+    context.write('<!--teleport start-->', context.next)
+    return
+  }
+  const write = context.write
+  const state = {
+    type: 'Teleport',
+    children,
+    rendered: 0,
+    total: children.length,
+    target: to,
+    prevWrite: write,
+    html: ''
+  }
+  context.renderStates.push(state)
+  context.write = createWriteFunction(text => {
+    state.html += text
+    return false
+  }, context.done)
+  write('<!--teleport start--><!--teleport end-->', context.next)
+}
+
 function hasAncestorData (node: VNode) {
   const parentNode = node.parent
   return isDef(parentNode) && (isDef(parentNode.data) || hasAncestorData(parentNode))
@@ -105,16 +105,20 @@ export default class TemplateRenderer {
     }
 
     if (this.inject) {
+      // content collected by <teleport> is inserted into the "body" and "#id"
+      // targets of the template. content for other targets stays available
+      // in context.teleports for manual injection.
+      const teleports = context.teleports
       return (
-        template.head(context) +
+        template.head(context, teleports) +
         (context.head || '') +
         this.renderResourceHints(context) +
         this.renderStyles(context) +
-        template.neck(context) +
+        template.neck(context, teleports) +
         content +
         this.renderState(context) +
         this.renderScripts(context) +
-        template.tail(context)
+        template.tail(context, teleports)
       )
     } else {
       return (
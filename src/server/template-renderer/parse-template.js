@@ -6,12 +6,17 @@ const compileOptions = {
   interpolate: /{{{([\s\S]+?)}}}/g
 }
 
+type TemplatePart = (data: any, teleports?: ?Object) => string;
+
 export type ParsedTemplate = {
-  head: (data: any) => string;
-  neck: (data: any) => string;
-  tail: (data: any) => string;
+  head: TemplatePart;
+  neck: TemplatePart;
+  tail: TemplatePart;
 };
 
+// opening tag of an element with an id, i.e. a "#id" teleport target
+const idTagRE = /<[a-zA-Z][^>]*\sid=(["'])([\w-]+)\1[^>]*>/g
+
 export function parseTemplate (
   template: string,
   contentPlaceholder?: string = '<!--vue-ssr-outlet-->'
@@ -35,8 +40,48 @@ export function parseTemplate (
   }
 
   return {
-    head: compile(template.slice(0, i), compileOptions),
-    neck: compile(template.slice(i, j), compileOptions),
-    tail: compile(template.slice(j + contentPlaceholder.length), compileOptions)
+    head: compilePart(template.slice(0, i)),
+    neck: compilePart(template.slice(i, j)),
+    tail: compilePart(template.slice(j + contentPlaceholder.length))
+  }
+}
+
+// teleport targets provided by the template ("body" and "#id") are located
+// once when the template is parsed. the part is split at these outlets, and
+// content collected in context.teleports is inserted between the pieces, so
+// the rendered app content is never searched for them.
+function compilePart (source: string): TemplatePart {
+  const outlets = []
+  const seen = {}
+  let match
+  idTagRE.lastIndex = 0
+  while ((match = idTagRE.exec(source))) {
+    const target = `#${match[2]}`
+    if (!seen[target]) {
+      seen[target] = true
+      outlets.push({ index: match.index + match[0].length, target })
+    }
+  }
+  const bodyEnd = source.lastIndexOf('</body>')
+  if (bodyEnd > -1) {
+    outlets.push({ index: bodyEnd, target: 'body' })
+    outlets.sort((a, b) => a.index - b.index)
+  }
+
+  const pieces = []
+  let last = 0
+  outlets.forEach(({ index }) => {
+    pieces.push(compile(source.slice(last, index), compileOptions))
+    last = index
+  })
+  pieces.push(compile(source.slice(last), compileOptions))
+
+  return (data, teleports) => {
+    let html = pieces[0](data)
+    for (let i = 0; i < outlets.length; i++) {
+      html += (teleports && teleports[outlets[i].target]) || ''
+      html += pieces[i + 1](data)
+    }
+    return html
   }
 }
@@ -76,7 +76,10 @@ export default class TemplateStream extends Transform {
       }
     }
 
-    this.push(this.template.tail(this.context))
+    // teleported content is only known once the app has been rendered, so
+    // when streaming it can only be inserted into targets in the tail of the
+    // template. content for targets in the head stays in context.teleports.
+    this.push(this.template.tail(this.context, this.inject ? this.context.teleports : null))
     done()
   }
 }
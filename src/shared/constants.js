@@ -18,5 +18,19 @@ export const LIFECYCLE_HOOKS = [
   'activated',
   'deactivated',
   'errorCaptured',
-  'serverPrefetch'
+  'serverPrefetch',
+  'renderTracked',
+  'renderTriggered'
 ]
+
+// 编译器为模板中的动态节点生成的 patch 标记，描述更新时需要比较的内容
+export const PATCH_FLAGS = {
+  TEXT: 1, // 动态文本节点
+  CLASS: 2, // 动态 class 绑定
+  STYLE: 4, // 动态 style 绑定
+  PROPS: 8, // 动态的 attrs/domProps，名称列表记录在 vnode.dynamicProps 上
+  FULL_PROPS: 16, // 绑定的 key 无法在编译时确定（v-bind 对象、动态参数），需要完整比较
+  EVENTS: 32, // 事件监听器
+  NEED_PATCH: 64, // 只有 ref、key 或指令，仍需进入 patchVnode
+  COMPONENT: 128 // 可能是组件的标签，渲染时才能确定是组件、函数式组件还是普通元素
+}
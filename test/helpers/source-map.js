@@ -0,0 +1,39 @@
+const base64Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+// decode into [generated line][segment] = { column, line, sourceColumn }, all 0-based
+export function decodeMappings (mappings) {
+  let line = 0
+  let sourceColumn = 0
+  return mappings.split(';').map(segments => {
+    let column = 0
+    return segments ? segments.split(',').map(segment => {
+      const values = []
+      let value = 0
+      let shift = 0
+      for (let i = 0; i < segment.length; i++) {
+        const digit = base64Chars.indexOf(segment[i])
+        value += (digit & 31) << shift
+        shift += 5
+        if (!(digit & 32)) {
+          values.push(value & 1 ? -(value >> 1) : value >> 1)
+          value = shift = 0
+        }
+      }
+      column += values[0]
+      line += values[2]
+      sourceColumn += values[3]
+      return { column, line, sourceColumn }
+    }) : []
+  })
+}
+
+// the template position that the first occurrence of needle in code maps to
+export function sourceOf (code, map, needle) {
+  const index = code.indexOf(needle)
+  expect(index).toBeGreaterThan(-1)
+  const lines = code.slice(0, index).split('\n')
+  const generatedLine = lines.length - 1
+  const column = lines[generatedLine].length
+  const segment = decodeMappings(map.mappings)[generatedLine].find(s => s.column === column)
+  return segment && { line: segment.line, column: segment.sourceColumn }
+}
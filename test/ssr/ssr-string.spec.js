@@ -975,6 +975,26 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('should restore current instance when setup() throws', done => {
+    Vue.config.silent = true
+    renderToString(new Vue({
+      template: '<div><test></test></div>',
+      components: {
+        test: {
+          setup () {
+            throw new Error('oops')
+          },
+          render: h => h('p')
+        }
+      }
+    }), err => {
+      expect(err instanceof Error).toBe(true)
+      expect(Vue.getCurrentInstance()).toBe(null)
+      Vue.config.silent = false
+      done()
+    })
+  })
+
   it('default value Foreign Function', () => {
     const FunctionConstructor = VM.runInNewContext('Function')
     const func = () => 123
@@ -1196,11 +1216,70 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('renders fragments between anchor comments', done => {
+    renderVmWithOptions({
+      template: '<div><test :msg="msg"></test></div>',
+      data: { msg: 'hi' },
+      components: {
+        test: {
+          props: ['msg'],
+          template: '<b>{{ msg }}</b><i v-for="n in 2">{{ n }}</i>'
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true"><!--[--><b>hi</b><i>1</i><i>2</i><!--]--></div>'
+      )
+      done()
+    })
+  })
+
+  it('renders the server-rendered marker on the first node of a root fragment', done => {
+    renderVmWithOptions({
+      template: '<test></test>',
+      components: {
+        test: {
+          template: '<p>1</p><p>2</p>'
+        }
+      }
+    }, result => {
+      expect(result).toBe('<!--[--><p data-server-rendered="true">1</p><p>2</p><!--]-->')
+      done()
+    })
+  })
+
+  it('renders teleported content into context.teleports', done => {
+    const context = {}
+    renderToString(new Vue({
+      template: `
+        <div>
+          <teleport to="#modal"><p>{{ msg }}</p></teleport>
+          <teleport to="#modal"><p>second</p></teleport>
+          <teleport to="#modal" disabled><span>in place</span></teleport>
+        </div>
+      `,
+      data: { msg: 'hello' }
+    }), context, (err, result) => {
+      expect(err).toBeNull()
+      expect(result).toBe(
+        '<div data-server-rendered="true">' +
+        '<!--teleport start--><!--teleport end--> ' +
+        '<!--teleport start--><!--teleport end--> ' +
+        '<!--teleport start--><span>in place</span><!--teleport end-->' +
+        '</div>'
+      )
+      expect(context.teleports['#modal']).toBe(
+        '<p>hello</p><!--teleport anchor--><p>second</p><!--teleport anchor-->'
+      )
+      done()
+    })
+  })
+
   it('should catch template compilation error', done => {
     renderToString(new Vue({
-      template: `<div></div><div></div>`
+      template: `<div>{{ a b }}</div>`
     }), (err) => {
-      expect(err.toString()).toContain('Component template should contain exactly one root element')
+      expect(err.toString()).toContain('invalid expression')
       done()
     })
   })
@@ -1528,6 +1607,36 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('should wait for async setup inside suspense', done => {
+    renderVmWithOptions({
+      template: `
+        <div>
+          <suspense>
+            <test></test>
+            <template #fallback><span>loading</span></template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        test: {
+          setup () {
+            return new Promise(resolve => {
+              setTimeout(() => resolve({ msg: 'foo' }), 1)
+            })
+          },
+          data: () => ({ extra: '' }),
+          serverPrefetch () {
+            this.extra = this.msg + 'bar'
+          },
+          template: '<p>{{ msg }}{{ extra }}</p>'
+        }
+      }
+    }, result => {
+      expect(result).toContain('<div data-server-rendered="true"><!--[--><p>foofoobar</p><!--]--></div>')
+      done()
+    })
+  })
+
   it(`should skip serverPrefetch option that doesn't return a promise`, done => {
     renderVmWithOptions({
       template: `
@@ -67,6 +67,47 @@ describe('SSR: template option', () => {
     })
   })
 
+  it('renderToString with teleports', done => {
+    const renderer = createRenderer({
+      template: `<html><head></head><body><!--vue-ssr-outlet--><div id="modal-root"></div></body></html>`
+    })
+
+    const context = {}
+
+    renderer.renderToString(new Vue({
+      template: `<div><teleport to="#modal-root"><p>modal</p></teleport><teleport to="body"><i>tip</i></teleport></div>`
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(context.teleports['#modal-root']).toBe('<p>modal</p><!--teleport anchor-->')
+      expect(res).toContain(
+        `<html><head></head><body>` +
+        `<div data-server-rendered="true"><!--teleport start--><!--teleport end--><!--teleport start--><!--teleport end--></div>` +
+        `<div id="modal-root"><p>modal</p><!--teleport anchor--></div>` +
+        `<i>tip</i><!--teleport anchor--></body></html>`
+      )
+      done()
+    })
+  })
+
+  it('renderToString with teleports should not inject into app content', done => {
+    const renderer = createRenderer({
+      template: `<html><head></head><body><!--vue-ssr-outlet--><div id="modal-root"></div></body></html>`
+    })
+
+    const context = {}
+
+    renderer.renderToString(new Vue({
+      template: `<div><p id="modal-root">app</p><teleport to="#modal-root"><i>modal</i></teleport></div>`
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain(
+        `<body><div data-server-rendered="true"><p id="modal-root">app</p><!--teleport start--><!--teleport end--></div>` +
+        `<div id="modal-root"><i>modal</i><!--teleport anchor--></div></body>`
+      )
+      done()
+    })
+  })
+
   it('renderToString with interpolation', done => {
     const renderer = createRenderer({
       template: interpolateTemplate
@@ -226,6 +267,50 @@ describe('SSR: template option', () => {
     })
   })
 
+  it('renderToStream with teleports', done => {
+    const renderer = createRenderer({
+      template: `<html><head></head><body><!--vue-ssr-outlet--><div id="modal-root"></div></body></html>`
+    })
+
+    const stream = renderer.renderToStream(new Vue({
+      template: `<div><teleport to="#modal-root"><p>modal</p></teleport></div>`
+    }), {})
+
+    let res = ''
+    stream.on('data', chunk => {
+      res += chunk
+    })
+    stream.on('end', () => {
+      expect(res).toContain(
+        `<div data-server-rendered="true"><!--teleport start--><!--teleport end--></div>` +
+        `<div id="modal-root"><p>modal</p><!--teleport anchor--></div>`
+      )
+      done()
+    })
+  })
+
+  it('renderToStream with teleports to targets before the content', done => {
+    const renderer = createRenderer({
+      template: `<html><head></head><body><div id="modal-root"></div><!--vue-ssr-outlet--></body></html>`
+    })
+
+    const context = {}
+    const stream = renderer.renderToStream(new Vue({
+      template: `<div><teleport to="#modal-root"><p>modal</p></teleport></div>`
+    }), context)
+
+    let res = ''
+    stream.on('data', chunk => {
+      res += chunk
+    })
+    stream.on('end', () => {
+      // the head of the template is already flushed when the teleport renders
+      expect(res).toContain(`<body><div id="modal-root"></div><div data-server-rendered="true">`)
+      expect(context.teleports['#modal-root']).toBe('<p>modal</p><!--teleport anchor-->')
+      done()
+    })
+  })
+
   it('renderToStream with interpolation', done => {
     const renderer = createRenderer({
       template: interpolateTemplate
@@ -0,0 +1,181 @@
+import Vue from 'vue'
+
+describe('Component error-boundary', () => {
+  const template = `
+    <div>
+      <error-boundary>
+        <child></child>
+        <template #fallback="{ error, reset }">
+          <p @click="reset">{{ error.message }}</p>
+        </template>
+      </error-boundary>
+    </div>
+  `
+
+  it('should render fallback on render error', done => {
+    const vm = new Vue({
+      template,
+      components: {
+        child: {
+          render () {
+            throw new Error('render failed')
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>render failed</p>')
+      expect('Error in render').not.toHaveBeenWarned()
+    }).then(done)
+  })
+
+  it('should catch errors in lifecycle hooks', done => {
+    const vm = new Vue({
+      template,
+      components: {
+        child: {
+          created () {
+            throw new Error('created failed')
+          },
+          render: h => h('span')
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>created failed</p>')
+    }).then(done)
+  })
+
+  it('should catch errors in watchers and event handlers', done => {
+    const vm = new Vue({
+      template,
+      components: {
+        child: {
+          data: () => ({ n: 0 }),
+          watch: {
+            n () {
+              throw new Error('watcher failed')
+            }
+          },
+          render (h) {
+            return h('button', {
+              on: {
+                click: () => {
+                  throw new Error('handler failed')
+                }
+              }
+            })
+          }
+        }
+      }
+    }).$mount()
+    triggerEvent(vm.$el.querySelector('button'), 'click')
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>handler failed</p>')
+      vm.$el.querySelector('p').click()
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<button></button>')
+      vm.$children[0].$children[0].n++
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>watcher failed</p>')
+    }).then(done)
+  })
+
+  it('should reset and re-render default slot', done => {
+    const vm = new Vue({
+      template,
+      data: { fail: true },
+      components: {
+        child: {
+          created () {
+            if (this.$root.fail) {
+              throw new Error('failed')
+            }
+          },
+          render: h => h('span', 'ok')
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>failed</p>')
+      vm.fail = false
+      vm.$el.querySelector('p').click()
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>ok</span>')
+    }).then(done)
+  })
+
+  it('should catch errors from failed async components', done => {
+    let reject
+    const vm = new Vue({
+      template,
+      components: {
+        child: (resolve, _reject) => { reject = _reject }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!---->')
+    reject('network error')
+    waitForUpdate(() => {
+      expect('Failed to resolve async component').toHaveBeenWarned()
+      expect(vm.$el.innerHTML).toBe('<p>Failed to resolve async component: network error</p>')
+    }).then(done)
+  })
+
+  it('should render nothing without fallback slot', done => {
+    const vm = new Vue({
+      template: '<div><error-boundary><child></child></error-boundary></div>',
+      components: {
+        child: {
+          render () {
+            throw new Error('failed')
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!---->')
+    }).then(done)
+  })
+
+  it('should report to config.errorHandler with report prop', done => {
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const vm = new Vue({
+      template: `
+        <div>
+          <error-boundary report>
+            <child></child>
+            <template #fallback="{ error }">{{ error.message }}</template>
+          </error-boundary>
+        </div>
+      `,
+      components: {
+        child: {
+          render () {
+            throw new Error('failed')
+          }
+        }
+      }
+    }).$mount()
+    expect(spy).toHaveBeenCalledWith(jasmine.any(Error), vm.$children[0].$children[0], 'render')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('failed')
+      Vue.config.errorHandler = undefined
+    }).then(done)
+  })
+
+  it('should stop propagation to outer errorCaptured hooks', () => {
+    const spy = jasmine.createSpy('errorCaptured')
+    new Vue({
+      template: '<div><error-boundary><child></child></error-boundary></div>',
+      errorCaptured: spy,
+      components: {
+        child: {
+          render () {
+            throw new Error('failed')
+          }
+        }
+      }
+    }).$mount()
+    expect(spy).not.toHaveBeenCalled()
+  })
+})
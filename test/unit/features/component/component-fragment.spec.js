@@ -0,0 +1,239 @@
+import Vue from 'vue'
+
+describe('Component fragment', () => {
+  it('should render multiple root nodes of a template', () => {
+    const vm = new Vue({
+      template: '<div><test></test></div>',
+      components: {
+        test: {
+          data () {
+            return { a: 123, b: 234 }
+          },
+          template: '<p>{{a}}</p><p>{{b}}</p>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>123</p><p>234</p>')
+    const child = vm.$children[0]
+    // $el 指向片段的第一个子节点，占位节点的 elm 是片段的起始锚点
+    expect(child.$el).toBe(vm.$el.querySelector('p'))
+    expect(child.$vnode.elm.nodeType).toBe(3)
+    expect(child.$vnode.elm.nextSibling).toBe(child.$el)
+  })
+
+  it('should render multiple root nodes returned from render function', () => {
+    const vm = new Vue({
+      template: '<div><test></test></div>',
+      components: {
+        test: {
+          render (h) {
+            return [h('span', 'a'), 'b', [h('span', 'c')]]
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>a</span>b<span>c</span>')
+  })
+
+  it('should update children between the anchors', done => {
+    const vm = new Vue({
+      template: '<div><span>before</span><test :list="list"></test><span>after</span></div>',
+      data: { list: ['a', 'b'] },
+      components: {
+        test: {
+          props: ['list'],
+          template: '<i v-for="item in list" :key="item">{{item}}</i>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('beforeabafter')
+    vm.list.push('c')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('beforeabcafter')
+      vm.list.reverse()
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('beforecbaafter')
+      vm.list = ['b']
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('beforebafter')
+      expect(vm.$el.lastChild.textContent).toBe('after')
+    }).then(done)
+  })
+
+  it('should move and remove fragment components as a whole', done => {
+    const vm = new Vue({
+      template: '<div><test v-for="item in list" :key="item" :item="item"></test></div>',
+      data: { list: ['a', 'b', 'c'] },
+      components: {
+        test: {
+          props: ['item'],
+          template: '<b>{{item}}</b><i>{{item}}</i>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<b>a</b><i>a</i><b>b</b><i>b</i><b>c</b><i>c</i>')
+    vm.list = ['c', 'a', 'b']
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<b>c</b><i>c</i><b>a</b><i>a</i><b>b</b><i>b</i>')
+      vm.list = ['b', 'c']
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<b>b</b><i>b</i><b>c</b><i>c</i>')
+      expect(vm.$el.childNodes.length).toBe(8)
+      vm.list = []
+    }).then(() => {
+      expect(vm.$el.childNodes.length).toBe(0)
+    }).then(done)
+  })
+
+  it('should switch between a fragment and a single root', done => {
+    const vm = new Vue({
+      template: '<div><test :multi="multi"></test><span>after</span></div>',
+      data: { multi: false },
+      components: {
+        test: {
+          props: ['multi'],
+          render (h) {
+            return this.multi ? [h('b'), h('i')] : h('p')
+          }
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(vm.$el.innerHTML).toBe('<p></p><span>after</span>')
+    vm.multi = true
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<b></b><i></i><span>after</span>')
+      expect(child.$el).toBe(vm.$el.querySelector('b'))
+      expect(child.$vnode.elm).toBe(child._vnode.elm)
+      vm.multi = false
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p></p><span>after</span>')
+      expect(child.$el).toBe(vm.$el.firstChild)
+    }).then(done)
+  })
+
+  it('should support fragments in nested components', done => {
+    const vm = new Vue({
+      template: '<div><outer v-if="ok"></outer><span>after</span></div>',
+      data: { ok: true },
+      components: {
+        outer: {
+          template: '<inner></inner>',
+          components: {
+            inner: {
+              template: '<b>1</b><b>2</b>'
+            }
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<b>1</b><b>2</b><span>after</span>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!----><span>after</span>')
+      vm.ok = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<b>1</b><b>2</b><span>after</span>')
+    }).then(done)
+  })
+
+  it('should run leave transitions of fragment children on removal', done => {
+    let leaveDone
+    const vm = new Vue({
+      template: '<div><test v-if="ok"></test></div>',
+      data: { ok: true },
+      components: {
+        test: {
+          template: '<transition :css="false" @leave="onLeave"><p>a</p></transition><span>b</span>',
+          methods: {
+            onLeave (el, done) {
+              leaveDone = done
+            }
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>a</p><span>b</span>')
+    vm.ok = false
+    waitForUpdate(() => {
+      // 离开过渡结束前保留正在离开的节点
+      expect(vm.$el.innerHTML).toBe('<p>a</p><!---->')
+      leaveDone()
+      expect(vm.$el.innerHTML).toBe('<!---->')
+    }).then(done)
+  })
+
+  it('should update a fragment instance mounted without an element', done => {
+    const vm = new Vue({
+      data: { msg: 'a' },
+      template: '<p>{{ msg }}</p><span>b</span>'
+    }).$mount()
+    expect(vm.$el.outerHTML).toBe('<p>a</p>')
+    expect(vm.$el.nextSibling.outerHTML).toBe('<span>b</span>')
+    vm.msg = 'c'
+    waitForUpdate(() => {
+      expect(vm.$el.outerHTML).toBe('<p>c</p>')
+    }).then(done)
+  })
+
+  it('should work with keep-alive', done => {
+    const vm = new Vue({
+      template: '<div><keep-alive><component :is="view"></component></keep-alive></div>',
+      data: { view: 'one' },
+      components: {
+        one: { template: '<b>1</b><b>2</b>' },
+        two: { template: '<i>two</i>' }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<b>1</b><b>2</b>')
+    vm.view = 'two'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<i>two</i>')
+      vm.view = 'one'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<b>1</b><b>2</b>')
+    }).then(done)
+  })
+
+  it('should mount a root instance with multiple root nodes', () => {
+    const el = document.createElement('div')
+    const container = document.createElement('div')
+    container.appendChild(el)
+    const vm = new Vue({
+      template: '<p>1</p><p>2</p>'
+    }).$mount(el)
+    expect(container.innerHTML).toBe('<p>1</p><p>2</p>')
+    expect(vm.$el).toBe(container.querySelector('p'))
+  })
+
+  it('should replace el with a root fragment and keep it in place across updates', done => {
+    const container = document.createElement('div')
+    container.innerHTML = '<span>before</span><div id="app"></div><span>after</span>'
+    const vm = new Vue({
+      data: { list: ['a', 'b'], msg: 'foo' },
+      template: '<p v-for="item in list" :key="item">{{ item }}</p><b>{{ msg }}</b>'
+    }).$mount(container.querySelector('#app'))
+    expect(container.innerHTML).toBe(
+      '<span>before</span><p>a</p><p>b</p><b>foo</b><span>after</span>'
+    )
+    expect(vm.$el).toBe(container.querySelector('p'))
+    expect(vm.$el.__vue__).toBe(vm)
+    vm.list = ['c', 'a', 'b']
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(container.innerHTML).toBe(
+        '<span>before</span><p>c</p><p>a</p><p>b</p><b>bar</b><span>after</span>'
+      )
+      // $el follows the first node of the fragment
+      expect(vm.$el).toBe(container.querySelector('p'))
+      expect(vm.$el.textContent).toBe('c')
+      vm.list = []
+    }).then(() => {
+      expect(container.innerHTML).toBe('<span>before</span><b>bar</b><span>after</span>')
+      expect(vm.$el).toBe(container.querySelector('b'))
+      vm.$destroy()
+    }).then(() => {
+      expect(vm.$el.__vue__).toBe(null)
+    }).then(done)
+  })
+})
@@ -366,9 +366,9 @@ describe('Component slot', () => {
     expect(vm.$el.textContent).toBe('C')
   })
 
-  it('warn if user directly returns array', () => {
-    new Vue({
-      template: '<test><div slot="foo"></div><div slot="foo"></div></test>',
+  it('render slot nodes as fragment if user directly returns array', () => {
+    const vm = new Vue({
+      template: '<test><div slot="foo">1</div><div slot="foo">2</div></test>',
       components: {
         test: {
           render () {
@@ -377,7 +377,9 @@ describe('Component slot', () => {
         }
       }
     }).$mount()
-    expect('Render function should return a single root node').toHaveBeenWarned()
+    expect('Render function should return a single root node').not.toHaveBeenWarned()
+    expect(vm.$el.outerHTML).toBe('<div>1</div>')
+    expect(vm.$el.nextSibling.outerHTML).toBe('<div>2</div>')
   })
 
   // #3254
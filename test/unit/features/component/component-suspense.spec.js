@@ -0,0 +1,315 @@
+import Vue from 'vue'
+
+describe('Component suspense', () => {
+  function defer () {
+    let resolve, reject
+    const promise = new Promise((res, rej) => {
+      resolve = res
+      reject = rej
+    })
+    return { promise, resolve, reject }
+  }
+
+  function asyncSetupComp (promise, template) {
+    return {
+      setup () {
+        return promise.then(() => ({ msg: 'async' }))
+      },
+      template: template || '<p>{{ msg }}</p>'
+    }
+  }
+
+  it('should show fallback until async setup resolves', done => {
+    const d = defer()
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <test></test>
+            <template #fallback><span>loading</span></template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        test: asyncSetupComp(d.promise)
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>loading</span>')
+      d.resolve()
+    }).thenWaitFor(1).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>async</p>')
+    }).then(done)
+  })
+
+  it('should wait for async components', done => {
+    let resolve
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <b>sync</b>
+            <test></test>
+            <template #fallback><span>loading</span></template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        test: res => { resolve = res }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>loading</span>')
+      resolve({ template: '<i>async</i>' })
+    }).thenWaitFor(1).then(() => {
+      expect(vm.$el.innerHTML).toBe('<b>sync</b> <i>async</i>')
+    }).then(done)
+  })
+
+  it('should wait for all nested dependencies', done => {
+    const outer = defer()
+    const inner = defer()
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <outer></outer>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        outer: {
+          setup () {
+            return outer.promise.then(() => ({}))
+          },
+          template: '<div><inner></inner><inner></inner></div>',
+          components: {
+            inner: asyncSetupComp(inner.promise)
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('loading')
+      outer.resolve()
+    }).thenWaitFor(1).then(() => {
+      // outer 渲染后出现的依赖仍在等待
+      expect(vm.$el.textContent).toBe('loading')
+      inner.resolve()
+    }).thenWaitFor(1).then(() => {
+      expect(vm.$el.innerHTML).toBe('<div><p>async</p><p>async</p></div>')
+    }).then(done)
+  })
+
+  it('should swap atomically', done => {
+    const d = defer()
+    const mounted = jasmine.createSpy('mounted')
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense @resolve="onResolve">
+            <test></test>
+            <p>sync</p>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      methods: {
+        onResolve () {
+          expect(this.$el.innerHTML).toBe('<p>async</p> <p>sync</p>')
+        }
+      },
+      components: {
+        test: {
+          setup () {
+            return d.promise.then(() => ({ msg: 'async' }))
+          },
+          mounted,
+          template: '<p>{{ msg }}</p>'
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      // 等待中的内容已经在后台渲染
+      expect(mounted).toHaveBeenCalled()
+      expect(vm.$el.textContent).toBe('loading')
+      d.resolve()
+    }).thenWaitFor(1).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>async</p> <p>sync</p>')
+    }).then(done)
+  })
+
+  it('should emit pending, fallback and resolve events', done => {
+    const d = defer()
+    const events = []
+    new Vue({
+      template: `
+        <div>
+          <suspense @pending="log('pending')" @fallback="log('fallback')" @resolve="log('resolve')">
+            <test></test>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      methods: {
+        log (e) {
+          events.push(e)
+        }
+      },
+      components: {
+        test: asyncSetupComp(d.promise)
+      }
+    }).$mount()
+    expect(events).toEqual(['pending'])
+    waitForUpdate(() => {
+      expect(events).toEqual(['pending', 'fallback'])
+      d.resolve()
+    }).thenWaitFor(1).then(() => {
+      expect(events).toEqual(['pending', 'fallback', 'resolve'])
+    }).then(done)
+  })
+
+  it('should resolve without fallback when there are no async dependencies', done => {
+    const events = []
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense @fallback="events.push('fallback')" @resolve="events.push('resolve')">
+            <p>sync</p>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      data: { events }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>sync</p>')
+      expect(events).toEqual(['resolve'])
+    }).then(done)
+  })
+
+  it('should not go back to fallback after resolved', done => {
+    const d = defer()
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <p>sync</p>
+            <test v-if="ok"></test>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      data: { ok: false },
+      components: {
+        test: asyncSetupComp(d.promise)
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>sync</p> <!---->')
+      vm.ok = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>sync</p> <!---->')
+      d.resolve()
+    }).thenWaitFor(1).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>sync</p> <p>async</p>')
+    }).then(done)
+  })
+
+  it('should resolve when an async dependency fails', done => {
+    const d = defer()
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <test></test>
+            <p>sync</p>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        test: asyncSetupComp(d.promise)
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('loading')
+      d.reject(new Error('failed'))
+    }).thenWaitFor(1).then(() => {
+      expect('Error in setup (Promise/async)').toHaveBeenWarned()
+      expect('Error: failed').toHaveBeenWarned()
+      expect(vm.$el.innerHTML).toBe('<!----> <p>sync</p>')
+    }).then(done)
+  })
+
+  it('should resolve when an async component has already failed', done => {
+    const test = (resolve, reject) => { reject('nope') }
+    new Vue({
+      template: '<div><test></test></div>',
+      components: { test }
+    }).$mount()
+    expect('Failed to resolve async component').toHaveBeenWarned()
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <test></test>
+            <p>sync</p>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      components: { test }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!----> <p>sync</p>')
+    }).then(done)
+  })
+
+  it('should wait for async components showing their loading component', done => {
+    const d = defer()
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <test></test>
+            <template #fallback><span>loading</span></template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        test: () => ({
+          component: d.promise,
+          loading: { template: '<i>loading component</i>' },
+          delay: 0
+        })
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>loading</span>')
+      d.resolve({ template: '<p>async</p>' })
+    }).thenWaitFor(1).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>async</p>')
+    }).then(done)
+  })
+
+  it('should render async setup without suspense', done => {
+    const d = defer()
+    const vm = new Vue({
+      template: '<div><test></test></div>',
+      components: {
+        test: {
+          setup () {
+            return d.promise.then(() => h => h('p', 'render'))
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!---->')
+    d.resolve()
+    waitForUpdate(() => {}).thenWaitFor(1).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>render</p>')
+    }).then(done)
+  })
+})
@@ -0,0 +1,213 @@
+import Vue from 'vue'
+import { nextFrame } from 'web/runtime/transition-util'
+
+describe('Component teleport', () => {
+  let target
+  beforeEach(() => {
+    target = document.createElement('div')
+    target.id = 'teleport-target'
+    document.body.appendChild(target)
+  })
+
+  afterEach(() => {
+    document.body.removeChild(target)
+  })
+
+  it('should render children into target', () => {
+    const vm = new Vue({
+      template: '<div><teleport to="#teleport-target"><p>{{ msg }}</p><span>foo</span></teleport></div>',
+      data: { msg: 'hello' }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('')
+    expect(target.innerHTML).toBe('<p>hello</p><span>foo</span>')
+  })
+
+  it('should accept an element as target', () => {
+    const vm = new Vue({
+      template: '<div><teleport :to="target"><p>foo</p></teleport></div>',
+      data: { target }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('')
+    expect(target.innerHTML).toBe('<p>foo</p>')
+  })
+
+  it('should update children in target', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target">
+            <p>{{ msg }}</p>
+            <i v-for="n in list" :key="n">{{ n }}</i>
+          </teleport>
+        </div>
+      `,
+      data: { msg: 'hello', list: [1, 2] }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>hello</p> <i>1</i><i>2</i>')
+    vm.msg = 'bye'
+    vm.list = [3, 2, 1]
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<p>bye</p> <i>3</i><i>2</i><i>1</i>')
+      vm.list = []
+    }).then(() => {
+      expect(target.innerHTML).toBe('<p>bye</p> ')
+    }).then(done)
+  })
+
+  it('should keep children in the logical component tree', () => {
+    const spy = jasmine.createSpy('event')
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target">
+            <child ref="child" @custom="onCustom"></child>
+          </teleport>
+        </div>
+      `,
+      provide: { foo: 'bar' },
+      methods: {
+        onCustom: spy
+      },
+      components: {
+        child: {
+          inject: ['foo'],
+          template: '<button @click="$emit(\'custom\', foo)">{{ foo }}</button>'
+        }
+      }
+    }).$mount()
+    const child = vm.$refs.child
+    expect(child.$parent).toBe(vm)
+    expect(vm.$children).toContain(child)
+    expect(target.innerHTML).toBe('<button>bar</button>')
+    triggerEvent(target.firstChild, 'click')
+    expect(spy).toHaveBeenCalledWith('bar')
+  })
+
+  it('should remove children from target when destroyed', done => {
+    const vm = new Vue({
+      template: '<div><teleport v-if="ok" to="#teleport-target"><p>foo</p></teleport></div>',
+      data: { ok: true }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>foo</p>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(target.childNodes.length).toBe(0)
+      vm.ok = true
+    }).then(() => {
+      expect(target.innerHTML).toBe('<p>foo</p>')
+    }).then(done)
+  })
+
+  it('should move children when disabled changes', done => {
+    const vm = new Vue({
+      template: '<div><span>a</span><teleport to="#teleport-target" :disabled="disabled"><p>foo</p></teleport><span>b</span></div>',
+      data: { disabled: true }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>a</span><p>foo</p><span>b</span>')
+    expect(target.innerHTML).toBe('')
+    vm.disabled = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>a</span><span>b</span>')
+      expect(target.innerHTML).toBe('<p>foo</p>')
+      vm.disabled = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>a</span><p>foo</p><span>b</span>')
+      expect(target.innerHTML).toBe('')
+    }).then(done)
+  })
+
+  it('should move children when target changes', done => {
+    const other = document.createElement('div')
+    other.id = 'teleport-other'
+    document.body.appendChild(other)
+    const vm = new Vue({
+      template: '<div><teleport :to="to"><p>{{ msg }}</p></teleport></div>',
+      data: { to: '#teleport-target', msg: 'foo' }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>foo</p>')
+    vm.to = '#teleport-other'
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(other.innerHTML).toBe('<p>bar</p>')
+      document.body.removeChild(other)
+    }).then(done)
+  })
+
+  it('should keep order of multiple teleports to the same target', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target"><p>{{ a }}</p></teleport>
+          <teleport to="#teleport-target"><p>b</p></teleport>
+        </div>
+      `,
+      data: { a: 'a' }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>a</p><p>b</p>')
+    vm.a = 'aa'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<p>aa</p><p>b</p>')
+    }).then(done)
+  })
+
+  it('should work with transition inside', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target">
+            <transition name="test"><p v-if="ok">foo</p></transition>
+          </teleport>
+        </div>
+      `,
+      data: { ok: false }
+    }).$mount()
+    expect(target.innerHTML).toBe('<!---->')
+    vm.ok = true
+    waitForUpdate(() => {
+      expect(target.firstChild.tagName).toBe('P')
+      expect(target.firstChild.className).toContain('test-enter')
+    }).thenWaitFor(nextFrame).then(() => {
+      vm.ok = false
+    }).then(() => {
+      expect(target.querySelector('p').className).toContain('test-leave')
+    }).thenWaitFor(50).then(() => {
+      expect(target.innerHTML).toBe('<!---->')
+    }).then(done)
+  })
+
+  it('should run leave transitions of teleported children on removal', done => {
+    let leaveDone
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport v-if="ok" to="#teleport-target">
+            <transition :css="false" @leave="onLeave"><p>foo</p></transition>
+          </teleport>
+        </div>
+      `,
+      data: { ok: true },
+      methods: {
+        onLeave (el, done) {
+          leaveDone = done
+        }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>foo</p>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<p>foo</p>')
+      leaveDone()
+      expect(target.innerHTML).toBe('')
+    }).then(done)
+  })
+
+  it('should warn and render in place when target is missing', () => {
+    const vm = new Vue({
+      template: '<div><teleport to="#not-exist"><p>foo</p></teleport></div>'
+    }).$mount()
+    expect('Failed to locate <teleport> target "#not-exist"').toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe('<p>foo</p>')
+  })
+})
@@ -64,8 +64,8 @@ describe('Component', () => {
     expect(vm.$el.innerHTML).toBe('<span>child</span>')
   })
 
-  it('fragment instance warning', () => {
-    new Vue({
+  it('fragment instance', () => {
+    const vm = new Vue({
       template: '<test></test>',
       components: {
         test: {
@@ -76,7 +76,11 @@ describe('Component', () => {
         }
       }
     }).$mount()
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+    expect('Component template should contain exactly one root element').not.toHaveBeenWarned()
+    expect(vm.$el.tagName).toBe('P')
+    expect(vm.$el.textContent).toBe('123')
+    expect(vm.$el.nextSibling.textContent).toBe('234')
+    expect(vm.$children[0].$el).toBe(vm.$el)
   })
 
   it('dynamic', done => {
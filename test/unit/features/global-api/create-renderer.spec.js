@@ -0,0 +1,172 @@
+import Vue from 'vue'
+
+// a minimal renderer that renders to plain JS objects
+function createNode (tag, text) {
+  return { nodeType: tag ? 1 : 3, tag, text, attrs: {}, props: {}, on: {}, parent: null, children: [] }
+}
+
+const nodeOps = {
+  createElement: tag => createNode(tag),
+  createElementNS: (ns, tag) => createNode(tag),
+  createTextNode: text => createNode(undefined, text),
+  createComment: text => createNode(undefined, ''),
+  insertBefore (parent, node, ref) {
+    nodeOps.removeChild(node.parent, node)
+    node.parent = parent
+    parent.children.splice(ref ? parent.children.indexOf(ref) : parent.children.length, 0, node)
+  },
+  removeChild (parent, node) {
+    if (parent) {
+      parent.children.splice(parent.children.indexOf(node), 1)
+      node.parent = null
+    }
+  },
+  appendChild: (parent, node) => nodeOps.insertBefore(parent, node, null),
+  parentNode: node => node.parent,
+  nextSibling: node => node.parent && node.parent.children[node.parent.children.indexOf(node) + 1],
+  tagName: node => node.tag,
+  setTextContent (node, text) {
+    if (node.tag) {
+      node.children = [createNode(undefined, text)]
+    } else {
+      node.text = text
+    }
+  },
+  setStyleScope () {}
+}
+
+function updateNode (oldVnode, vnode) {
+  const { attrs = {}, domProps = {}, on = {}} = vnode.data
+  Object.assign(vnode.elm.attrs, attrs)
+  Object.assign(vnode.elm.props, domProps)
+  vnode.elm.on = on
+}
+
+const modules = [{ create: updateNode, update: updateNode }]
+
+function serialize (node) {
+  return node.tag
+    ? `<${node.tag}${Object.keys(node.attrs).map(key => ` ${key}="${node.attrs[key]}"`).join('')}>` +
+      node.children.map(serialize).join('') +
+      `</${node.tag}>`
+    : node.text
+}
+
+describe('Global API: createRenderer', () => {
+  const Renderer = Vue.createRenderer({
+    nodeOps,
+    modules,
+    isReservedTag: tag => tag === 'rect' || tag === 'group',
+    mustUseProp: (tag, type, name) => name === 'fill'
+  })
+
+  it('should render to the target node tree', done => {
+    const vm = new Renderer({
+      data: { msg: 'foo', width: 10 },
+      template: '<group><rect :width="width">{{ msg }}</rect></group>'
+    }).$mount()
+    expect(vm.$el.tag).toBe('group')
+    expect(serialize(vm.$el)).toBe('<group><rect width="10">foo</rect></group>')
+    vm.msg = 'bar'
+    vm.width = 20
+    waitForUpdate(() => {
+      expect(serialize(vm.$el)).toBe('<group><rect width="20">bar</rect></group>')
+    }).then(done)
+  })
+
+  it('should replace the mount target', () => {
+    const root = createNode('root')
+    const target = createNode('target')
+    nodeOps.appendChild(root, target)
+    const vm = new Renderer({
+      render: h => h('rect')
+    }).$mount(target)
+    expect(root.children).toEqual([vm.$el])
+    expect(vm.$el.parent).toBe(root)
+  })
+
+  it('should render child and globally registered components with the renderer', done => {
+    Vue.component('global-label', {
+      props: ['text'],
+      template: '<rect>{{ text }}</rect>'
+    })
+    const vm = new Renderer({
+      data: { items: ['a', 'b'] },
+      template: '<group><item v-for="i in items" :key="i" :text="i"></item></group>',
+      components: {
+        item: {
+          props: ['text'],
+          template: '<group><global-label :text="text"></global-label></group>'
+        }
+      }
+    }).$mount()
+    expect(serialize(vm.$el)).toBe('<group><group><rect>a</rect></group><group><rect>b</rect></group></group>')
+    vm.items.reverse()
+    waitForUpdate(() => {
+      expect(serialize(vm.$el)).toBe('<group><group><rect>b</rect></group><group><rect>a</rect></group></group>')
+      vm.items.pop()
+    }).then(() => {
+      expect(vm.$el.children.length).toBe(1)
+      delete Vue.options.components['global-label']
+    }).then(done)
+  })
+
+  it('should use the platform checks of the renderer', () => {
+    const vm = new Renderer({
+      data: { shape: { fill: 'red', stroke: 'blue' }},
+      template: '<group><rect v-bind="shape"></rect><div></div></group>'
+    }).$mount()
+    const rect = vm.$el.children[0]
+    expect(rect.props).toEqual({ fill: 'red' })
+    expect(rect.attrs).toEqual({ stroke: 'blue' })
+    // not a reserved tag of the renderer, but rendered without warnings
+    expect(vm.$el.children[1].tag).toBe('div')
+  })
+
+  it('should use the platform checks of the renderer in functional templates', () => {
+    const shape = {
+      functional: true,
+      _compiled: true,
+      render (_h, _vm) {
+        const _c = _vm._c
+        return _c('rect', _vm._b({}, 'rect', _vm.props.attrs, false))
+      }
+    }
+    const vm = new Renderer({
+      data: { attrs: { fill: 'red', stroke: 'blue' }},
+      template: '<group><shape :attrs="attrs"></shape></group>',
+      components: { shape }
+    }).$mount()
+    const rect = vm.$el.children[0]
+    expect(rect.props).toEqual({ fill: 'red' })
+    expect(rect.attrs).toEqual({ stroke: 'blue' })
+  })
+
+  it('should bind listeners through modules', done => {
+    const vm = new Renderer({
+      data: { count: 0 },
+      template: '<rect @click="count++">{{ count }}</rect>'
+    }).$mount()
+    vm.$el.on.click()
+    waitForUpdate(() => {
+      expect(serialize(vm.$el)).toBe('<rect>1</rect>')
+    }).then(done)
+  })
+
+  it('should destroy the component tree', () => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Renderer({
+      template: '<group><child></child></group>',
+      components: {
+        child: { render: h => h('rect'), destroyed }
+      }
+    }).$mount()
+    vm.$destroy()
+    expect(destroyed).toHaveBeenCalled()
+  })
+
+  it('should warn without nodeOps', () => {
+    expect(Vue.createRenderer({})).toBe(Vue)
+    expect('Vue.createRenderer() requires the nodeOps option').toHaveBeenWarned()
+  })
+})
@@ -0,0 +1,117 @@
+import Vue from 'vue'
+
+describe('Global API: effectScope', () => {
+  it('should run and return the result', () => {
+    const scope = Vue.effectScope()
+    expect(scope.run(() => 1)).toBe(1)
+    expect(Vue.getCurrentScope()).toBe(null)
+    scope.run(() => {
+      expect(Vue.getCurrentScope()).toBe(scope)
+    })
+  })
+
+  it('should collect effects and computed', () => {
+    const scope = Vue.effectScope()
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy()
+    let double
+    scope.run(() => {
+      Vue.effect(() => spy(count.value))
+      double = Vue.computed(() => count.value * 2)
+    })
+    expect(scope.effects.length).toBe(2)
+    expect(double.value).toBe(0)
+    count.value++
+    expect(spy).toHaveBeenCalledWith(1)
+
+    scope.stop()
+    expect(scope.active).toBe(false)
+    expect(scope.effects.every(watcher => !watcher.active)).toBe(true)
+    count.value++
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('should collect $watch', done => {
+    const vm = new Vue({ data: { a: 1 } })
+    const scope = Vue.effectScope()
+    const spy = jasmine.createSpy()
+    scope.run(() => {
+      vm.$watch('a', spy)
+      vm.$watch(() => vm.a, spy)
+    })
+    expect(scope.effects.length).toBe(2)
+    expect(vm._watchers.length).toBe(2)
+    scope.stop()
+    expect(vm._watchers.length).toBe(0)
+    vm.a++
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should stop nested scopes', () => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy()
+    const parent = Vue.effectScope()
+    let child
+    parent.run(() => {
+      child = Vue.effectScope()
+      child.run(() => {
+        Vue.effect(() => spy(count.value))
+      })
+    })
+    expect(parent.scopes.length).toBe(1)
+    expect(parent.effects.length).toBe(0)
+    parent.stop()
+    expect(child.active).toBe(false)
+    count.value++
+    expect(spy.calls.count()).toBe(1)
+  })
+
+  it('should remove a stopped child from its parent', () => {
+    const parent = Vue.effectScope()
+    let a, b
+    parent.run(() => {
+      a = Vue.effectScope()
+      b = Vue.effectScope()
+    })
+    a.stop()
+    expect(parent.scopes).toEqual([b])
+    b.stop()
+    expect(parent.scopes.length).toBe(0)
+  })
+
+  it('should not collect detached scopes', () => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy()
+    const parent = Vue.effectScope()
+    parent.run(() => {
+      Vue.effectScope(true).run(() => {
+        Vue.effect(() => spy(count.value))
+      })
+    })
+    expect(parent.scopes.length).toBe(0)
+    parent.stop()
+    count.value++
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('should not collect component internal watchers', () => {
+    const scope = Vue.effectScope()
+    const vm = scope.run(() => new Vue({
+      data: { a: 1 },
+      computed: { b () { return this.a } },
+      render: h => h('div')
+    }).$mount())
+    expect(scope.effects.length).toBe(0)
+    scope.stop()
+    expect(vm._watcher.active).toBe(true)
+  })
+
+  it('should warn running an inactive scope', () => {
+    const scope = Vue.effectScope()
+    scope.stop()
+    expect(scope.run(() => 1)).toBeUndefined()
+    expect('Cannot run an inactive effect scope.').toHaveBeenWarned()
+  })
+})
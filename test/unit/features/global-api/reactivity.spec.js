@@ -0,0 +1,235 @@
+import Vue from 'vue'
+
+describe('Global API: reactivity', () => {
+  it('reactive', () => {
+    const state = Vue.reactive({ count: 0 })
+    const spy = jasmine.createSpy()
+    Vue.effect(() => spy(state.count))
+    expect(spy).toHaveBeenCalledWith(0)
+    state.count++
+    expect(spy).toHaveBeenCalledWith(1)
+  })
+
+  it('reactive should warn on non-objects', () => {
+    expect(Vue.reactive(1)).toBe(1)
+    expect('reactive() can only be called on objects').toHaveBeenWarned()
+  })
+
+  it('ref', () => {
+    const count = Vue.ref(0)
+    expect(Vue.isRef(count)).toBe(true)
+    expect(Vue.isRef({ value: 0 })).toBe(false)
+    expect(Vue.ref(count)).toBe(count)
+    expect(Vue.unref(count)).toBe(0)
+    expect(Vue.unref(1)).toBe(1)
+    expect(Object.keys(count)).toEqual(['value'])
+
+    const spy = jasmine.createSpy()
+    Vue.effect(() => spy(count.value))
+    count.value++
+    expect(spy).toHaveBeenCalledWith(1)
+  })
+
+  it('ref should deeply observe objects', () => {
+    const r = Vue.ref({ nested: { msg: 'foo' } })
+    const spy = jasmine.createSpy()
+    Vue.effect(() => spy(r.value.nested.msg))
+    r.value.nested.msg = 'bar'
+    expect(spy).toHaveBeenCalledWith('bar')
+  })
+
+  it('computed should be lazy and cached', () => {
+    const count = Vue.ref(1)
+    const getter = jasmine.createSpy().and.callFake(() => count.value * 2)
+    const double = Vue.computed(getter)
+    expect(Vue.isRef(double)).toBe(true)
+    expect(getter).not.toHaveBeenCalled()
+    expect(double.value).toBe(2)
+    expect(double.value).toBe(2)
+    expect(getter.calls.count()).toBe(1)
+    count.value = 2
+    expect(getter.calls.count()).toBe(1)
+    expect(double.value).toBe(4)
+    expect(getter.calls.count()).toBe(2)
+  })
+
+  it('computed should be trackable', () => {
+    const count = Vue.ref(1)
+    const double = Vue.computed(() => count.value * 2)
+    const spy = jasmine.createSpy()
+    Vue.effect(() => spy(double.value))
+    count.value = 3
+    expect(spy).toHaveBeenCalledWith(6)
+  })
+
+  it('writable computed', () => {
+    const count = Vue.ref(1)
+    const plusOne = Vue.computed({
+      get: () => count.value + 1,
+      set: val => { count.value = val - 1 }
+    })
+    plusOne.value = 10
+    expect(count.value).toBe(9)
+    expect(plusOne.value).toBe(10)
+  })
+
+  it('readonly computed should warn on write', () => {
+    const c = Vue.computed(() => 1)
+    c.value = 2
+    expect('Write operation failed: computed value is readonly').toHaveBeenWarned()
+    expect(c.value).toBe(1)
+  })
+
+  it('effect should stop', () => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy()
+    const stop = Vue.effect(() => spy(count.value))
+    expect(spy.calls.count()).toBe(1)
+    stop()
+    count.value++
+    expect(spy.calls.count()).toBe(1)
+  })
+
+  it('effect should handle errors', () => {
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const count = Vue.ref(0)
+    const err = new Error('oops')
+    Vue.effect(() => {
+      if (count.value) throw err
+    })
+    count.value++
+    expect(spy.calls.argsFor(0)[0]).toBe(err)
+    expect(spy.calls.argsFor(0)[2]).toContain('getter for watcher')
+    Vue.config.errorHandler = null
+  })
+
+  it('watchEffect should batch updates', done => {
+    const state = Vue.reactive({ a: 1, b: 2 })
+    const spy = jasmine.createSpy()
+    const stop = Vue.watchEffect(() => spy(state.a + state.b))
+    expect(spy).toHaveBeenCalledWith(3)
+    state.a++
+    state.b++
+    expect(spy.calls.count()).toBe(1)
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(2)
+      expect(spy).toHaveBeenCalledWith(5)
+      stop()
+      state.a++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('shallowReactive', () => {
+    const nested = { msg: 'foo' }
+    const state = Vue.shallowReactive({ nested, list: [{}] })
+    const spy = jasmine.createSpy()
+    Vue.effect(() => spy(state.nested.msg))
+    expect(nested.__ob__).toBeUndefined()
+    expect(state.list[0].__ob__).toBeUndefined()
+    nested.msg = 'bar'
+    expect(spy.calls.count()).toBe(1)
+    state.nested = { msg: 'baz' }
+    expect(spy).toHaveBeenCalledWith('baz')
+    expect(state.nested.__ob__).toBeUndefined()
+  })
+
+  it('markRaw', () => {
+    const payload = Vue.markRaw({ items: [{ id: 1 }] })
+    const state = Vue.reactive({ payload })
+    expect(Vue.markRaw(payload)).toBe(payload)
+    expect(state.payload).toBe(payload)
+    expect(payload.__ob__).toBeUndefined()
+    expect(payload.items[0].__ob__).toBeUndefined()
+    const vm = new Vue({ data: { payload } })
+    expect(vm.payload).toBe(payload)
+    expect(payload.__ob__).toBeUndefined()
+  })
+
+  it('readonly should warn on writes and not notify', () => {
+    const original = { msg: 'foo', nested: { n: 1 }, list: [1] }
+    const state = Vue.readonly(original)
+    expect(Vue.readonly(original)).toBe(state)
+    expect(Vue.readonly(state)).toBe(state)
+    state.msg = 'bar'
+    expect('Set operation on key "msg" failed: target is readonly.').toHaveBeenWarned()
+    state.nested.n = 2
+    expect('Set operation on key "n" failed: target is readonly.').toHaveBeenWarned()
+    delete state.msg
+    expect('Delete operation on key "msg" failed: target is readonly.').toHaveBeenWarned()
+    state.list.push(2)
+    expect('Set operation on key "push" failed: target is readonly.').toHaveBeenWarned()
+    Vue.set(state, 'foo', 1)
+    expect('Set operation on key "foo" failed: target is readonly.').toHaveBeenWarned()
+    expect(original).toEqual({ msg: 'foo', nested: { n: 1 }, list: [1] })
+    expect(original.__ob__).toBeUndefined()
+  })
+
+  it('readonly should be trackable through a reactive source', () => {
+    const source = Vue.reactive({ nested: { n: 1 }, list: [1] })
+    const state = Vue.readonly(source)
+    const spy = jasmine.createSpy()
+    Vue.effect(() => spy(state.nested.n + state.list.length))
+    source.nested.n = 2
+    expect(spy).toHaveBeenCalledWith(3)
+    source.list.push(2)
+    expect(spy).toHaveBeenCalledWith(4)
+  })
+
+  it('readonly collections', () => {
+    const source = Vue.reactive(new Map([['a', { n: 1 }]]))
+    const state = Vue.readonly(source)
+    const spy = jasmine.createSpy()
+    Vue.effect(() => spy(state.size + ':' + state.get('a').n))
+    expect(spy).toHaveBeenCalledWith('1:1')
+    state.set('b', 1)
+    expect('Set operation on key "set" failed: target is readonly.').toHaveBeenWarned()
+    state.get('a').n = 2
+    expect('Set operation on key "n" failed: target is readonly.').toHaveBeenWarned()
+    expect(spy.calls.count()).toBe(1)
+    source.set('b', 1)
+    expect(spy).toHaveBeenCalledWith('2:1')
+    const values = []
+    state.forEach(value => values.push(value))
+    expect(values.length).toBe(2)
+    expect(Vue.readonly(source.get('a'))).toBe(values[0])
+  })
+
+  it('shallowReadonly', () => {
+    const state = Vue.shallowReadonly({ nested: { n: 1 } })
+    state.nested.n = 2
+    expect(state.nested.n).toBe(2)
+    state.nested = {}
+    expect('Set operation on key "nested" failed: target is readonly.').toHaveBeenWarned()
+    expect(state.nested.n).toBe(2)
+  })
+
+  it('readonly objects should be accepted as component data', done => {
+    const source = Vue.reactive({ msg: 'foo' })
+    const vm = new Vue({
+      data: { state: Vue.readonly(source) },
+      render (h) {
+        return h('div', this.state.msg)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('foo')
+    source.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('bar')
+    }).then(done)
+  })
+
+  it('should share state with components', done => {
+    const store = Vue.reactive({ msg: 'foo' })
+    const vm = new Vue({
+      render (h) {
+        return h('div', store.msg)
+      }
+    }).$mount()
+    store.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('bar')
+    }).then(done)
+  })
+})
@@ -42,18 +42,18 @@ describe('Instance methods data', () => {
       vm.a.b = 2
       waitForUpdate(() => {
         expect(spy.calls.count()).toBe(1)
-        expect(spy).toHaveBeenCalledWith(2, 1)
+        expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
         vm.a = { b: 3 }
       }).then(() => {
         expect(spy.calls.count()).toBe(2)
-        expect(spy).toHaveBeenCalledWith(3, 2)
+        expect(spy).toHaveBeenCalledWith(3, 2, jasmine.any(Function))
       }).then(done)
     })
 
     it('immediate', () => {
       vm.$watch('a.b', spy, { immediate: true })
       expect(spy.calls.count()).toBe(1)
-      expect(spy).toHaveBeenCalledWith(1)
+      expect(spy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
     })
 
     it('unwatch', done => {
@@ -71,7 +71,7 @@ describe('Instance methods data', () => {
       }, spy)
       vm.a.b = 2
       waitForUpdate(() => {
-        expect(spy).toHaveBeenCalledWith(2, 1)
+        expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
       }).then(done)
     })
 
@@ -80,10 +80,10 @@ describe('Instance methods data', () => {
       vm.$watch('a', spy, { deep: true })
       vm.a.b = 2
       waitForUpdate(() => {
-        expect(spy).toHaveBeenCalledWith(oldA, oldA)
+        expect(spy).toHaveBeenCalledWith(oldA, oldA, jasmine.any(Function))
         vm.a = { b: 3 }
       }).then(() => {
-        expect(spy).toHaveBeenCalledWith(vm.a, oldA)
+        expect(spy).toHaveBeenCalledWith(vm.a, oldA, jasmine.any(Function))
       }).then(done)
     })
 
@@ -95,10 +95,10 @@ describe('Instance methods data', () => {
       })
       vm.a.b = 2
       waitForUpdate(() => {
-        expect(spy).toHaveBeenCalledWith(oldA, oldA)
+        expect(spy).toHaveBeenCalledWith(oldA, oldA, jasmine.any(Function))
         vm.a = { b: 3 }
       }).then(() => {
-        expect(spy).toHaveBeenCalledWith(vm.a, oldA)
+        expect(spy).toHaveBeenCalledWith(vm.a, oldA, jasmine.any(Function))
       }).then(done)
     })
 
@@ -108,7 +108,7 @@ describe('Instance methods data', () => {
         immediate: true
       })
       expect(spy.calls.count()).toBe(1)
-      expect(spy).toHaveBeenCalledWith(1)
+      expect(spy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
     })
 
     it('handler option in string', () => {
@@ -117,12 +117,123 @@ describe('Instance methods data', () => {
         immediate: true
       })
       expect(spy.calls.count()).toBe(1)
-      expect(spy).toHaveBeenCalledWith('ok')
+      expect(spy).toHaveBeenCalledWith('ok', undefined, jasmine.any(Function))
     })
 
     it('warn expression', () => {
       vm.$watch('a + b', spy)
       expect('Watcher only accepts simple dot-delimited paths').toHaveBeenWarned()
     })
+
+    it('multiple sources', done => {
+      const count = Vue.ref(0)
+      const state = Vue.reactive({ msg: 'foo' })
+      Vue.set(vm.a, 'c', { d: 1 })
+      vm.$watch([count, () => vm.a.b, 'a.c.d', state], spy)
+      count.value++
+      vm.a.b = 2
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+        expect(spy).toHaveBeenCalledWith([1, 2, 1, state], [0, 1, 1, state], jasmine.any(Function))
+        vm.a.c.d = 2
+      }).then(() => {
+        expect(spy.calls.count()).toBe(2)
+        expect(spy).toHaveBeenCalledWith([1, 2, 2, state], [1, 2, 1, state], jasmine.any(Function))
+        // reactive object sources are watched deeply
+        state.msg = 'bar'
+      }).then(() => {
+        expect(spy.calls.count()).toBe(3)
+      }).then(done)
+    })
+
+    it('multiple sources should not fire when values are unchanged', done => {
+      vm.$watch([() => vm.a.b > 0, 'a.b'], spy)
+      vm.a = { b: 1 }
+      waitForUpdate(() => {
+        expect(spy).not.toHaveBeenCalled()
+        vm.a.b = 2
+      }).then(() => {
+        expect(spy).toHaveBeenCalledWith([true, 2], [true, 1], jasmine.any(Function))
+      }).then(done)
+    })
+
+    it('multiple sources with immediate', () => {
+      vm.$watch([() => vm.a.b, 'a.b'], spy, { immediate: true })
+      expect(spy).toHaveBeenCalledWith([1, 1], [undefined, undefined], jasmine.any(Function))
+    })
+
+    it('multiple sources with immediate should allow destructuring old values', () => {
+      const calls = []
+      vm.$watch(['a.b', () => vm.a.b + 1], ([b, c], [oldB, oldC]) => {
+        calls.push([b, c, oldB, oldC])
+      }, { immediate: true })
+      expect(calls).toEqual([[1, 2, undefined, undefined]])
+      expect('Error in callback for immediate watcher').not.toHaveBeenWarned()
+    })
+
+    it('report errors with the expressions of multiple sources', () => {
+      const handler = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+      const count = Vue.ref(0)
+      vm.$watch(['a.b', count], () => {
+        throw new Error('oops')
+      }, { immediate: true })
+      expect(handler.calls.argsFor(0)[2]).toBe('callback for immediate watcher "[a.b, <ref>]"')
+      Vue.config.errorHandler = undefined
+    })
+
+    it('warn invalid source', () => {
+      vm.$watch([1], spy)
+      expect('Invalid watch source: 1').toHaveBeenWarned()
+    })
+
+    it('onCleanup', done => {
+      const cleanup = jasmine.createSpy('cleanup')
+      const unwatch = vm.$watch('a.b', (val, oldVal, onCleanup) => {
+        spy(val)
+        onCleanup(() => cleanup(val))
+      })
+      vm.a.b = 2
+      waitForUpdate(() => {
+        expect(spy).toHaveBeenCalledWith(2)
+        expect(cleanup).not.toHaveBeenCalled()
+        vm.a.b = 3
+      }).then(() => {
+        // called before the next run of the callback
+        expect(cleanup.calls.count()).toBe(1)
+        expect(cleanup).toHaveBeenCalledWith(2)
+        unwatch()
+        // and on teardown
+        expect(cleanup.calls.count()).toBe(2)
+        expect(cleanup).toHaveBeenCalledWith(3)
+        unwatch()
+        expect(cleanup.calls.count()).toBe(2)
+      }).then(done)
+    })
+
+    it('onCleanup with immediate and on destroy', () => {
+      const cleanup = jasmine.createSpy('cleanup')
+      vm.$watch('a.b', (val, oldVal, onCleanup) => {
+        onCleanup(cleanup)
+      }, { immediate: true })
+      expect(cleanup).not.toHaveBeenCalled()
+      vm.$destroy()
+      expect(cleanup).toHaveBeenCalled()
+    })
+
+    it('should handle errors in cleanup functions', done => {
+      const err = new Error('cleanup')
+      Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+      vm.$watch('a.b', (val, oldVal, onCleanup) => {
+        onCleanup(() => { throw err })
+      })
+      vm.a.b = 2
+      waitForUpdate(() => {
+        vm.a.b = 3
+      }).then(() => {
+        expect(Vue.config.errorHandler.calls.argsFor(0)[0]).toBe(err)
+        expect(Vue.config.errorHandler.calls.argsFor(0)[2]).toBe('cleanup function for watcher "a.b"')
+        Vue.config.errorHandler = null
+      }).then(done)
+    })
   })
 })
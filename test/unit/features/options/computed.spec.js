@@ -103,7 +103,7 @@ describe('Options computed', () => {
     vm.$watch('b', spy)
     vm.a = 2
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(3, 2)
+      expect(spy).toHaveBeenCalledWith(3, 2, jasmine.any(Function))
     }).then(done)
   })
 
@@ -228,4 +228,30 @@ describe('Options computed', () => {
     })
     expect(() => vm.a).toThrowError('rethrow')
   })
+
+  it('debugger hooks', () => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: { a: 1 },
+      computed: {
+        b: {
+          get () { return this.a + 1 },
+          onTrack,
+          onTrigger
+        }
+      }
+    })
+    expect(vm.b).toBe(2)
+    const tracked = onTrack.calls.argsFor(0)[0]
+    expect(tracked.target).toBe(vm._data)
+    expect(tracked.type).toBe('get')
+    expect(tracked.key).toBe('a')
+    vm.a = 2
+    const triggered = onTrigger.calls.argsFor(0)[0]
+    expect(triggered.target).toBe(vm._data)
+    expect(triggered.type).toBe('set')
+    expect(triggered.newValue).toBe(2)
+    expect(triggered.oldValue).toBe(1)
+  })
 })
@@ -360,4 +360,24 @@ describe('Options functional', () => {
     }).$mount()
     expect(vm.$el.innerHTML).toBe('<span>hi</span><span>foo</span><span>hi</span><span>bar</span>')
   })
+
+  it('should support v-bind object in compiled functional templates', () => {
+    const child = {
+      functional: true,
+      _compiled: true,
+      render (_h, _vm) {
+        const _c = _vm._c
+        return _c('input', _vm._b({}, 'input', _vm.props.attrs, false))
+      }
+    }
+    const vm = new Vue({
+      data: { attrs: { id: 'foo', value: 'bar' }},
+      template: '<div><child :attrs="attrs"></child></div>',
+      components: { child }
+    }).$mount()
+    const input = vm.$el.firstChild
+    expect(input.id).toBe('foo')
+    expect(input.value).toBe('bar')
+    expect(input.hasAttribute('value')).toBe(false)
+  })
 })
@@ -0,0 +1,82 @@
+import Vue from 'vue'
+
+describe('Options renderTracked/renderTriggered', () => {
+  it('should be called with debugger events of the render watcher', done => {
+    const tracked = []
+    const triggered = []
+    const vm = new Vue({
+      data: {
+        msg: 'foo',
+        list: [1]
+      },
+      render (h) {
+        return h('div', this.msg + this.list.length)
+      },
+      renderTracked (e) {
+        tracked.push(e)
+      },
+      renderTriggered (e) {
+        triggered.push(e)
+      }
+    }).$mount()
+    // the render watcher also tracks instance internals such as $attrs and
+    // $listeners, only check the data the render function reads
+    const dataKeys = () => tracked.filter(e => e.target === vm._data).map(e => e.key)
+    expect(dataKeys()).toEqual(['msg', 'list'])
+    const msgEvent = tracked.filter(e => e.key === 'msg')[0]
+    expect(msgEvent.target).toBe(vm._data)
+    expect(msgEvent.effect).toBe(vm._watcher)
+    vm.msg = 'bar'
+    vm.list.push(2)
+    expect(triggered.length).toBe(2)
+    expect(triggered[0].type).toBe('set')
+    expect(triggered[0].key).toBe('msg')
+    expect(triggered[0].newValue).toBe('bar')
+    expect(triggered[0].oldValue).toBe('foo')
+    expect(triggered[1].target).toBe(vm.list)
+    expect(triggered[1].type).toBe('array-mutation')
+    expect(triggered[1].key).toBe('push')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('bar2')
+      // msg and list are tracked again by the new render
+      expect(dataKeys()).toEqual(['msg', 'list', 'msg', 'list'])
+    }).then(done)
+  })
+
+  it('should only report newly tracked dependencies', () => {
+    const tracked = []
+    const vm = new Vue({
+      data: {
+        msg: 'foo'
+      },
+      render (h) {
+        return h('div', [this.msg, this.msg])
+      },
+      renderTracked (e) {
+        tracked.push(e)
+      }
+    }).$mount()
+    expect(tracked.filter(e => e.target === vm._data).map(e => e.key)).toEqual(['msg'])
+  })
+
+  it('should not install debug hooks without renderTracked/renderTriggered', () => {
+    const vm = new Vue({
+      render: h => h('div')
+    }).$mount()
+    expect(vm._watcher.onTrack).toBeUndefined()
+    expect(vm._watcher.onTrigger).toBeUndefined()
+  })
+
+  it('should be registered in setup()', () => {
+    const spy = jasmine.createSpy('renderTracked')
+    new Vue({
+      setup () {
+        const count = Vue.ref(0)
+        Vue.onRenderTracked(spy)
+        return h => h('div', count.value)
+      }
+    }).$mount()
+    expect(spy).toHaveBeenCalled()
+    expect(spy.calls.allArgs().map(args => args[0].key)).toContain('value')
+  })
+})
@@ -0,0 +1,208 @@
+import Vue from 'vue'
+
+describe('Options setup', () => {
+  it('should expose bindings to the template', done => {
+    const vm = new Vue({
+      template: '<div @click="inc">{{ count }} {{ state.msg }} {{ label }}</div>',
+      setup () {
+        const count = Vue.ref(0)
+        const state = Vue.reactive({ msg: 'foo' })
+        const inc = () => { count.value++ }
+        return { count, state, inc, label: 'static' }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0 foo static')
+    vm.$el.click()
+    vm.state.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1 bar static')
+    }).then(done)
+  })
+
+  it('should unwrap refs on the instance', () => {
+    const count = Vue.ref(1)
+    const vm = new Vue({
+      setup: () => ({ count })
+    })
+    expect(vm.count).toBe(1)
+    vm.count = 2
+    expect(count.value).toBe(2)
+  })
+
+  it('should run before data and receive reactive props', done => {
+    const calls = []
+    const Child = {
+      props: ['msg'],
+      template: '<span>{{ upper }}</span>',
+      setup (props) {
+        calls.push('setup')
+        return {
+          upper: Vue.computed(() => props.msg.toUpperCase())
+        }
+      },
+      data () {
+        calls.push('data')
+        return {}
+      }
+    }
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      components: { Child },
+      template: '<child :msg="msg" />'
+    }).$mount()
+    expect(calls).toEqual(['setup', 'data'])
+    expect(vm.$el.textContent).toBe('FOO')
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('BAR')
+    }).then(done)
+  })
+
+  it('should provide attrs, listeners, slots and emit in context', () => {
+    const spy = jasmine.createSpy('emit')
+    let ctx
+    const Child = {
+      setup (props, context) {
+        ctx = context
+        return () => context.slots.default()[0]
+      }
+    }
+    new Vue({
+      components: { Child },
+      render: h => h(Child, { attrs: { id: 'foo' }, on: { change: spy } }, [h('b', 'slot')])
+    }).$mount()
+    expect(ctx.attrs.id).toBe('foo')
+    expect(typeof ctx.listeners.change).toBe('function')
+    ctx.emit('change', 1)
+    expect(spy).toHaveBeenCalledWith(1)
+  })
+
+  it('should accept a render function', () => {
+    const vm = new Vue({
+      setup () {
+        const msg = Vue.ref('hello')
+        return h => h('div', msg.value)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('hello')
+  })
+
+  it('should register lifecycle hooks', done => {
+    const calls = []
+    const Comp = {
+      template: '<div>{{ n }}</div>',
+      mounted () { calls.push('options mounted') },
+      setup () {
+        const n = Vue.ref(0)
+        Vue.onBeforeMount(() => calls.push('beforeMount'))
+        Vue.onMounted(() => calls.push('mounted'))
+        Vue.onBeforeUpdate(() => calls.push('beforeUpdate'))
+        Vue.onUpdated(() => calls.push('updated'))
+        Vue.onBeforeUnmount(() => calls.push('beforeUnmount'))
+        Vue.onUnmounted(() => calls.push('unmounted'))
+        return { n }
+      }
+    }
+    const vm = new Vue(Comp).$mount()
+    expect(calls).toEqual(['beforeMount', 'options mounted', 'mounted'])
+    vm.n++
+    waitForUpdate(() => {
+      expect(calls.slice(3)).toEqual(['beforeUpdate', 'updated'])
+      vm.$destroy()
+      expect(calls.slice(5)).toEqual(['beforeUnmount', 'unmounted'])
+      // hooks should not leak into the constructor options
+      calls.length = 0
+      new Vue(Object.assign({}, Comp, { setup: () => ({ n: 0 }) })).$mount()
+      expect(calls).toEqual(['options mounted'])
+    }).then(done)
+  })
+
+  it('should not share hooks between instances of the same component', () => {
+    const spy = jasmine.createSpy('mounted')
+    const Comp = Vue.extend({
+      render: h => h('div'),
+      mounted () {},
+      setup () {
+        Vue.onMounted(spy)
+      }
+    })
+    new Comp().$mount()
+    new Comp().$mount()
+    expect(spy.calls.count()).toBe(2)
+    expect(Comp.options.mounted.length).toBe(1)
+  })
+
+  it('should expose the current instance during setup', () => {
+    let instance
+    const vm = new Vue({
+      setup () {
+        instance = Vue.getCurrentInstance()
+      }
+    })
+    expect(instance).toBe(vm)
+    expect(Vue.getCurrentInstance()).toBe(null)
+  })
+
+  it('should stop effects created in setup when destroyed', done => {
+    const state = Vue.reactive({ count: 0 })
+    const spy = jasmine.createSpy('effect')
+    let double
+    const vm = new Vue({
+      setup () {
+        Vue.watchEffect(() => spy(state.count))
+        double = Vue.computed(() => state.count * 2)
+        return {}
+      },
+      render: h => h('div')
+    }).$mount()
+    expect(spy.calls.count()).toBe(1)
+    state.count++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(2)
+      expect(double.value).toBe(2)
+      vm.$destroy()
+      state.count++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+      // 停止后的计算属性不再追踪依赖
+      expect(double.value).toBe(2)
+    }).then(done)
+  })
+
+  it('should warn lifecycle registration outside setup', () => {
+    Vue.onMounted(() => {})
+    expect('Lifecycle hook "mounted" can only be registered during execution of setup()').toHaveBeenWarned()
+  })
+
+  it('should warn conflicts with props and data', () => {
+    new Vue({
+      props: ['foo'],
+      data: () => ({ bar: 1 }),
+      setup: () => ({ foo: 1, bar: 2 })
+    })
+    expect('The setup binding property "foo" is already declared as a prop').toHaveBeenWarned()
+    expect('The data property "bar" is already declared as a setup binding').toHaveBeenWarned()
+  })
+
+  it('should warn invalid return value', () => {
+    new Vue({
+      setup: () => 1
+    })
+    expect('setup() should return an object. Received: number').toHaveBeenWarned()
+  })
+
+  it('should handle errors in setup', () => {
+    const spy = jasmine.createSpy('errorCaptured').and.returnValue(false)
+    const err = new Error('setup')
+    const Child = {
+      setup () { throw err },
+      render: h => h('div')
+    }
+    new Vue({
+      errorCaptured: spy,
+      render: h => h(Child)
+    }).$mount()
+    expect(spy.calls.argsFor(0)[0]).toBe(err)
+    expect(spy.calls.argsFor(0)[2]).toBe('setup')
+  })
+})
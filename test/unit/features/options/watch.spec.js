@@ -23,7 +23,7 @@ describe('Options watch', () => {
     vm.a = 2
     expect(spy).not.toHaveBeenCalled()
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -43,7 +43,7 @@ describe('Options watch', () => {
     vm.a = 2
     expect(spy).not.toHaveBeenCalled()
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -62,8 +62,8 @@ describe('Options watch', () => {
     })
     vm.a = 2
     waitForUpdate(() => {
-      expect(spy1).toHaveBeenCalledWith(2, 1)
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy1).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -77,10 +77,10 @@ describe('Options watch', () => {
         }
       }
     })
-    expect(spy).toHaveBeenCalledWith(1)
+    expect(spy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
     vm.a = 2
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -99,10 +99,10 @@ describe('Options watch', () => {
     vm.a.b = 2
     expect(spy).not.toHaveBeenCalled()
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(vm.a, vm.a)
+      expect(spy).toHaveBeenCalledWith(vm.a, vm.a, jasmine.any(Function))
       vm.a = { b: 3 }
     }).then(() => {
-      expect(spy).toHaveBeenCalledWith(vm.a, oldA)
+      expect(spy).toHaveBeenCalledWith(vm.a, oldA, jasmine.any(Function))
     }).then(done)
   })
 
@@ -140,8 +140,8 @@ describe('Options watch', () => {
 
     waitForUpdate(() => {
       expect(spy).not.toHaveBeenCalled()
-      expect(spy2).toHaveBeenCalledWith(1, 0)
-      expect(spy3).toHaveBeenCalledWith(1, 0)
+      expect(spy2).toHaveBeenCalledWith(1, 0, jasmine.any(Function))
+      expect(spy3).toHaveBeenCalledWith(1, 0, jasmine.any(Function))
     }).then(done)
   })
 
@@ -158,7 +158,7 @@ describe('Options watch', () => {
     vm['数据'] = 2
     expect(spy).not.toHaveBeenCalled()
     waitForUpdate(() => {
-      expect(spy).toHaveBeenCalledWith(2, 1)
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
     }).then(done)
   })
 
@@ -175,4 +175,121 @@ describe('Options watch', () => {
     })
     expect(`Failed watching path`).not.toHaveBeenWarned()
   })
+
+  it('flush: pre (default) should run before the DOM is patched', done => {
+    let text
+    const vm = new Vue({
+      data: { a: 1 },
+      template: '<div>{{ a }}</div>',
+      watch: {
+        a () {
+          text = this.$el.textContent
+        }
+      }
+    }).$mount()
+    vm.a = 2
+    waitForUpdate(() => {
+      expect(text).toBe('1')
+    }).then(done)
+  })
+
+  it('flush: pre should run before parent components are patched', done => {
+    const texts = {}
+    const Child = {
+      template: '<span />',
+      created () {
+        this.$watch(() => this.$parent.a, () => {
+          texts.default = this.$parent.$el.textContent
+        })
+        this.$watch(() => this.$parent.a, () => {
+          texts.pre = this.$parent.$el.textContent
+        }, { flush: 'pre' })
+      }
+    }
+    const vm = new Vue({
+      data: { a: 1 },
+      components: { Child },
+      template: '<div>{{ a }}<child /></div>'
+    }).$mount()
+    vm.a = 2
+    waitForUpdate(() => {
+      expect(texts.pre).toBe('1')
+      expect(texts.default).toBe('2')
+    }).then(done)
+  })
+
+  it('flush: post should run after the DOM is patched', done => {
+    const calls = []
+    const Child = {
+      props: ['a'],
+      template: '<span>{{ a }}</span>',
+      updated () {
+        calls.push('child updated')
+      }
+    }
+    const vm = new Vue({
+      data: { a: 1 },
+      components: { Child },
+      template: '<div><child :a="a" /></div>',
+      watch: {
+        a: {
+          handler () {
+            calls.push('post watcher ' + this.$el.textContent)
+          },
+          flush: 'post'
+        }
+      },
+      updated () {
+        calls.push('parent updated')
+      }
+    }).$mount()
+    vm.a = 2
+    expect(calls.length).toBe(0)
+    waitForUpdate(() => {
+      expect(calls).toEqual(['child updated', 'parent updated', 'post watcher 2'])
+    }).then(done)
+  })
+
+  it('flush: post should re-queue changes made in the handler', done => {
+    const vm = new Vue({
+      data: { a: 1, b: 1 },
+      template: '<div>{{ b }}</div>',
+      watch: {
+        a: {
+          handler (val) {
+            this.b = val * 2
+          },
+          flush: 'post'
+        }
+      }
+    }).$mount()
+    vm.a = 2
+    waitForUpdate(() => {
+      expect(vm.b).toBe(4)
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('4')
+    }).then(done)
+  })
+
+  it('flush: sync should run synchronously', () => {
+    const vm = new Vue({
+      data: { a: 1 },
+      watch: {
+        a: {
+          handler: spy,
+          flush: 'sync'
+        }
+      }
+    })
+    vm.a = 2
+    expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
+    vm.a = 3
+    expect(spy).toHaveBeenCalledWith(3, 2, jasmine.any(Function))
+  })
+
+  it('should warn invalid flush option', () => {
+    const vm = new Vue({ data: { a: 1 } })
+    vm.$watch('a', spy, { flush: 'later' })
+    expect('Invalid watcher flush option: "later"').toHaveBeenWarned()
+  })
 })
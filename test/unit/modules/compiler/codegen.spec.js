@@ -179,6 +179,13 @@ describe('codegen', () => {
     )
   })
 
+  it('generate fragment for multiple root elements', () => {
+    assertCodegen(
+      '<p>{{hello}}</p><li v-for="item in items"></li>',
+      `with(this){return [_c('p',[_v(_s(hello))]),_l((items),function(item){return _c('li')})]}`
+    )
+  })
+
   it('generate single slot', () => {
     assertCodegen(
       '<div><slot></slot></div>',
@@ -694,6 +701,164 @@ describe('codegen', () => {
     )
   })
 
+  describe('patch flags', () => {
+    const options = extend({ patchFlags: true }, baseOptions)
+    // block 的 id 是代码的哈希值，比较时替换为 0
+    const genBlocks = template => {
+      const ast = parse(template, options)
+      optimize(ast, options)
+      const res = generate(ast, options)
+      return res.render.replace(/,\d+,(\d+(?:,\[[^\]]*\])?\)\))/g, ',0,$1')
+    }
+
+    it('generate patch flags for dynamic nodes inside a block', () => {
+      expect(genBlocks(
+        '<div><p class="a">static</p><p :class="cls">{{ msg }}</p><a :href="url" title="x" @click="go">link</a></div>'
+      )).toBe(
+        `with(this){return (_y(),_z(_c('div',[_c('p',{staticClass:"a"},[_v("static")]),` +
+        `_x(_c('p',{class:cls},[_x(_v(_s(msg)),1)]),2),` +
+        `_x(_c('a',{attrs:{"href":url,"title":"x"},on:{"click":go}},[_v("link")]),40,["href"])]),0,0))}`
+      )
+    })
+
+    it('generate full props flag for v-bind object and need patch for refs', () => {
+      expect(genBlocks(
+        '<div><p v-bind="attrs">a</p><p ref="p" v-show="ok">b</p></div>'
+      )).toBe(
+        `with(this){return (_y(),_z(_c('div',[_x(_c('p',_b({},'p',attrs,false),[_v("a")]),16),` +
+        `_x(_c('p',{directives:[{name:"show",rawName:"v-show",value:(ok),expression:"ok"}],ref:"p"},[_v("b")]),64)]),0,0))}`
+      )
+    })
+
+    it('should not open blocks around conditional or repeated children', () => {
+      expect(genBlocks(
+        '<div><p v-if="ok">{{ a }}</p><ul><li v-for="i in list">{{ i }}</li></ul><section><b :id="id">x</b></section></div>'
+      )).toBe(
+        `with(this){return _c('div',[(ok)?(_y(),_z(_c('p',[_x(_v(_s(a)),1)]),0,0)):_e(),` +
+        `_c('ul',_l((list),function(i){return (_y(),_z(_c('li',[_x(_v(_s(i)),1)]),0,0))}),0),` +
+        `(_y(),_z(_c('section',[_x(_c('b',{attrs:{"id":id}},[_v("x")]),8,["id"])]),0,0))])}`
+      )
+    })
+
+    it('should generate component children outside of the block', () => {
+      expect(genBlocks(
+        '<div><test :foo="bar"><span>{{ msg }}</span></test></div>'
+      )).toBe(
+        `with(this){return (_y(),_z(_c('div',[_x(_c('test',{attrs:{"foo":bar}},` +
+        `[(_y(),_z(_c('span',[_x(_v(_s(msg)),1)]),0,0))]),128)],1),0,0))}`
+      )
+    })
+
+    it('should generate the same block ids for the same template', () => {
+      const gen = template => {
+        const ast = parse(template, options)
+        optimize(ast, options)
+        return generate(ast, options).render
+      }
+      const blockId = template => /,(\d+),\d+\)\)\}$/.exec(gen(template))[1]
+      const template = '<div><p :class="cls">{{ msg }}</p></div>'
+      expect(gen(template)).toBe(gen(template))
+      expect(blockId(template)).toBe(blockId(template))
+      expect(blockId(template)).not.toBe(blockId('<div><p :class="cls">{{ msg }}</p><b>{{ msg }}</b></div>'))
+    })
+  })
+
+  describe('hoist static', () => {
+    const options = extend({ hoistStatic: true }, baseOptions)
+    const gen = template => {
+      const ast = parse(template, options)
+      optimize(ast, options)
+      return generate(ast, options)
+    }
+
+    it('should hoist static elements outside of v-for', () => {
+      expect(gen('<div><p class="a">static</p><span>{{ msg }}</span></div>')).toEqual({
+        render: `with(this){return _c('div',[_m(0,false,true),_c('span',[_v(_s(msg))])])}`,
+        staticRenderFns: [`with(this){return _c('p',{staticClass:"a"},[_v("static")])}`]
+      })
+      // static trees in v-for are still rendered per item
+      expect(gen('<ul><li v-for="i in l"><b>x</b><i><u>y</u></i></li></ul>')).toEqual({
+        render: `with(this){return _c('ul',_l((l),function(i){return _c('li',[_c('b',[_v("x")]),_m(0,true)])}),0)}`,
+        staticRenderFns: [`with(this){return _c('i',[_c('u',[_v("y")])])}`]
+      })
+    })
+
+    it('should hoist static data objects', () => {
+      expect(gen(
+        '<div><input type="text" style="color:red" :value="v"><input type="text" v-model="m">' +
+        '<input type="text" :title="t"><comp type="x"></comp><p v-bind="o" id="a">{{ x }}</p></div>'
+      )).toEqual({
+        render: `with(this){return _c('div',[` +
+          `_c('input',{staticStyle:_w(0),attrs:_w(1),domProps:{"value":v}}),` +
+          `_c('input',{directives:[{name:"model",rawName:"v-model",value:(m),expression:"m"}],attrs:_w(1),domProps:{"value":(m)},` +
+          `on:{"input":function($event){if($event.target.composing)return;m=$event.target.value}}}),` +
+          `_c('input',{attrs:{"type":"text","title":t}}),` +
+          `_c('comp',{attrs:{"type":"x"}}),` +
+          `_c('p',_b({attrs:{"id":"a"}},'p',o,false),[_v(_s(x))])],1)}`,
+        staticRenderFns: [`return {"color":"red"}`, `return {"type":"text"}`]
+      })
+    })
+  })
+
+  describe('stringify static', () => {
+    const gen = (template, stringifyStatic = 3) => {
+      const options = extend({ stringifyStatic }, baseOptions)
+      const ast = parse(template, options)
+      optimize(ast, options)
+      return generate(ast, options)
+    }
+
+    it('should stringify static trees above the threshold', () => {
+      expect(gen(
+        `<div><section class="a  b" style="color: red"><p title='"x" & <y>'>a &lt; b&nbsp;c</p>` +
+        `<br><input disabled><pre>\n\nfoo</pre><i style="color: red; margin: 0" class="c" draggable>d</i></section>` +
+        `<span>{{ msg }}</span></div>`
+      )).toEqual({
+        render: `with(this){return _c('div',[_m(0),_c('span',[_v(_s(msg))])])}`,
+        staticRenderFns: [
+          `with(this){return _c('section',{staticClass:"a b",staticStyle:{"color":"red"},domProps:{"innerHTML":_j(` +
+          JSON.stringify(
+            `<p title="&quot;x&quot; &amp; &lt;y&gt;">a &lt; b&nbsp;c</p><br><input disabled="disabled"><pre>\n\nfoo</pre>` +
+            `<i draggable="true" class="c" style="color: red; margin: 0">d</i>`
+          ) + `)}})}`
+        ]
+      })
+      // below the threshold
+      expect(gen('<div><section><p>a</p><p>b</p></section>{{ msg }}</div>').staticRenderFns).toEqual([
+        `with(this){return _c('section',[_c('p',[_v("a")]),_c('p',[_v("b")])])}`
+      ])
+      // default threshold
+      const items = '<li>item</li>'.repeat(19)
+      expect(gen(`<div><ul>${items}</ul>{{ msg }}</div>`, true).staticRenderFns[0]).not.toContain('_j(')
+      expect(gen(`<div><ul>${items}<li>item</li></ul>{{ msg }}</div>`, true).staticRenderFns[0]).toContain('_j(')
+    })
+
+    it('should stringify svg trees', () => {
+      expect(gen(
+        '<div><svg viewBox="0 0 10 10"><clipPath id="c"><rect width="5"></rect></clipPath>' +
+        '<use xlink:href="#a"></use><circle r="1"></circle></svg>{{ msg }}</div>'
+      ).staticRenderFns).toEqual([
+        `with(this){return _c('svg',{attrs:{"viewBox":"0 0 10 10"},domProps:{"innerHTML":_j(` +
+        `"<clipPath id=\\"c\\"><rect width=\\"5\\"></rect></clipPath><use xlink:href=\\"#a\\"></use><circle r=\\"1\\"></circle>"` +
+        `)}})}`
+      ])
+    })
+
+    it('should not stringify content that cannot be restored from HTML', () => {
+      const options = { comments: true }
+      ;[
+        '<div><table><tr><td>a</td><td>b</td><td>c</td></tr></table>{{ msg }}</div>',
+        '<div><section><p>a</p><p>b</p><template><p>c</p></template></section>{{ msg }}</div>',
+        '<div><section><p>a</p><p>b</p><script type="text/x-template"><p>c</p></script></section>{{ msg }}</div>'
+      ].forEach(template => {
+        expect(gen(template).staticRenderFns[0]).not.toContain('_j(')
+      })
+      const ast = parse('<div><section><p>a</p><p>b</p><!-- c --><p>d</p></section>{{ msg }}</div>', extend(options, baseOptions))
+      optimize(ast, extend({ stringifyStatic: 3 }, baseOptions))
+      expect(generate(ast, baseOptions).staticRenderFns[0]).not.toContain('_j(')
+    })
+  })
+
   // #9142
   it('should compile single v-for component inside template', () => {
     assertCodegen(
@@ -0,0 +1,183 @@
+import Vue from 'vue'
+import { compile } from 'web/compiler'
+import { removeDirective, createASTText, setChildren, getAndRemoveAttr } from 'compiler/ast-helpers'
+
+// compiles v-t="'key'" to static text at build time
+function i18nPlugin (messages) {
+  return {
+    name: 'i18n',
+    visitor: {
+      enter (node, { warn }) {
+        if (node.type !== 1) return
+        const dir = removeDirective(node, 't')
+        if (!dir) return
+        const key = dir.value.replace(/^'|'$/g, '')
+        if (!(key in messages)) {
+          warn(`Missing translation for "${key}".`, dir)
+          return
+        }
+        setChildren(node, [createASTText(messages[key])])
+      }
+    }
+  }
+}
+
+describe('compiler plugins', () => {
+  it('should run module hooks in enforce order', () => {
+    const calls = []
+    const plugin = (name, enforce) => ({
+      name,
+      enforce,
+      preTransformNode (el) {
+        if (el.tag === 'div') calls.push(`pre:${name}`)
+      },
+      transformNode (el) {
+        if (el.tag === 'div') calls.push(`transform:${name}`)
+      },
+      postTransformNode (el) {
+        if (el.tag === 'div') calls.push(`post:${name}`)
+      }
+    })
+    compile('<div></div>', {
+      modules: [{
+        transformNode (el) {
+          if (el.tag === 'div') calls.push('transform:module')
+        }
+      }],
+      plugins: [plugin('a', 'post'), plugin('b'), plugin('c', 'pre'), plugin('d')]
+    })
+    expect(calls).toEqual([
+      'pre:c', 'pre:b', 'pre:d', 'pre:a',
+      'transform:c', 'transform:module', 'transform:b', 'transform:d', 'transform:a',
+      'post:c', 'post:b', 'post:d', 'post:a'
+    ])
+  })
+
+  it('should visit the AST depth-first with enter and exit', () => {
+    const calls = []
+    const plugin = name => ({
+      name,
+      visitor: {
+        enter (node, { parent }) {
+          const label = node.tag || node.text || node.expression
+          calls.push(`${name}>${label}:${parent ? parent.tag : null}`)
+        },
+        exit (node) {
+          if (node.type === 1) calls.push(`${name}<${node.tag}`)
+        }
+      }
+    })
+    compile(
+      '<div><p v-if="a">a</p><i v-else>b</i><comp><template #foo="{ x }"><b>c</b></template></comp></div>',
+      { plugins: [plugin('1'), plugin('2')] }
+    )
+    expect(calls).toEqual([
+      '1>div:null', '2>div:null',
+      '1>p:div', '2>p:div',
+      '1>a:p', '2>a:p',
+      '2<p', '1<p',
+      '1>i:div', '2>i:div',
+      '1>b:i', '2>b:i',
+      '2<i', '1<i',
+      '1>comp:div', '2>comp:div',
+      '1>template:comp', '2>template:comp',
+      '1>b:template', '2>b:template',
+      '1>c:b', '2>c:b',
+      '2<b', '1<b',
+      '2<template', '1<template',
+      '2<comp', '1<comp',
+      '2<div', '1<div'
+    ])
+  })
+
+  it('should compile v-t to static text', () => {
+    const plugins = [i18nPlugin({ hello: 'Hello', bye: 'Bye' })]
+    const { render, staticRenderFns, errors } = compile(
+      `<div><section><p v-t="'hello'" class="msg"></p></section><span>{{ name }}</span><p v-t="'bye'" v-show="visible"></p></div>`,
+      { plugins }
+    )
+    expect(errors).toEqual([])
+    expect(staticRenderFns.length).toBe(1)
+    expect(staticRenderFns[0]).toContain('Hello')
+    expect(render).toContain('_m(0)')
+    expect(render).toContain('Bye')
+    expect(render).toContain(`name:"show"`)
+    expect(render).not.toContain(`name:"t"`)
+
+    const vm = new Vue({
+      data: { name: 'Vue', visible: true },
+      render: new Function(render),
+      staticRenderFns: staticRenderFns.map(code => new Function(code))
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<section><p class="msg">Hello</p></section><span>Vue</span><p>Bye</p>')
+  })
+
+  it('should report warnings from visitors with the compile errors', () => {
+    const { errors } = compile(`<div><p v-t="'missing'"></p></div>`, {
+      outputSourceRange: true,
+      plugins: [i18nPlugin({})]
+    })
+    expect(errors).toEqual([{ msg: 'Missing translation for "missing".', start: 8, end: 23 }])
+  })
+
+  it('should merge compile-time directives', () => {
+    const calls = []
+    const { render } = compile('<div v-text="msg" v-foo v-bar></div>', {
+      plugins: [{
+        name: 'foo',
+        directives: {
+          foo () { calls.push('plugin foo') },
+          bar () { calls.push('plugin bar') }
+        }
+      }],
+      directives: {
+        bar () {
+          calls.push('options bar')
+          return true
+        }
+      }
+    })
+    expect(calls).toEqual(['plugin foo', 'options bar'])
+    expect(render).toContain('textContent')
+    expect(render).not.toContain(`name:"foo"`)
+    expect(render).toContain(`name:"bar"`)
+
+    compile('<div></div>', {
+      plugins: [{ name: 'text', directives: { text () {} } }]
+    })
+    expect(`Compiler plugin "text" overrides the compile-time directive "v-text".`).toHaveBeenWarned()
+  })
+
+  it('should support codegen hooks and static keys', () => {
+    const plugin = {
+      name: 'track',
+      staticKeys: ['tracked'],
+      transformNode (el) {
+        if (getAndRemoveAttr(el, 'track') != null) el.tracked = true
+      },
+      genData (el) {
+        return el.tracked ? `attrs:{"data-tracked":"true"},` : ''
+      },
+      transformCode (el, code) {
+        return el.tag === 'section' ? `_v("replaced")` : code
+      }
+    }
+    const { render, staticRenderFns } = compile(
+      '<div><p track><b>static</b></p><section>{{ msg }}</section></div>',
+      { plugins: [plugin] }
+    )
+    // tracked is a static key, so the <p> is still hoisted
+    expect(staticRenderFns.length).toBe(1)
+    expect(staticRenderFns[0]).toContain('data-tracked')
+    expect(render).toContain('_v("replaced")')
+    expect(render).not.toContain('msg')
+  })
+
+  it('should warn for invalid plugins', () => {
+    compile('<div></div>', {
+      plugins: [{}, { name: 'foo', enforce: 'first' }]
+    })
+    expect('Compiler plugin at index 0 must have a name.').toHaveBeenWarned()
+    expect('Invalid enforce option "first" of compiler plugin "foo".').toHaveBeenWarned()
+  })
+})
@@ -0,0 +1,65 @@
+import { compile, compileToFunctions } from 'web/compiler'
+import { sourceOf } from '../../../helpers/source-map'
+
+describe('compile source maps', () => {
+  const template = `
+  <div :id="id">
+    <p v-if="ok" @click="onClick">{{ msg }}</p>
+    <ul><li v-for="item in items" v-test="item">{{ item }}</li></ul>
+  </div>
+  `
+
+  it('should not emit maps by default', () => {
+    const { render, maps } = compile(template)
+    expect(maps).toBeUndefined()
+    expect(render).not.toContain('\u0001')
+  })
+
+  it('should map generated code back to the template', () => {
+    const { render, maps } = compile(template, { sourceMap: true })
+    expect(render).not.toContain('\u0001')
+    expect(() => new Function(render)).not.toThrow()
+
+    const map = maps.render
+    expect(map.version).toBe(3)
+    expect(map.sources).toEqual(['template.html'])
+    expect(map.sourcesContent).toEqual([template])
+
+    expect(sourceOf(render, map, `_c('div'`)).toEqual({ line: 1, column: 2 })
+    expect(sourceOf(render, map, `id}`)).toEqual({ line: 1, column: 7 })
+    expect(sourceOf(render, map, `ok)?`)).toEqual({ line: 2, column: 7 })
+    expect(sourceOf(render, map, `onClick}`)).toEqual({ line: 2, column: 17 })
+    expect(sourceOf(render, map, `_s(msg)`)).toEqual({ line: 2, column: 34 })
+    expect(sourceOf(render, map, `items),`)).toEqual({ line: 3, column: 12 })
+    expect(sourceOf(render, map, `item),expression`)).toEqual({ line: 3, column: 34 })
+    expect(sourceOf(render, map, `_s(item)`)).toEqual({ line: 3, column: 48 })
+  })
+
+  it('should map static render functions', () => {
+    const { staticRenderFns, maps } = compile(`<div>
+  <p><b>static</b></p>
+</div>`, { sourceMap: true, filename: 'App.vue' })
+    expect(staticRenderFns.length).toBe(1)
+    const map = maps.staticRenderFns[0]
+    expect(map.sources).toEqual(['App.vue'])
+    expect(sourceOf(staticRenderFns[0], map, `_c('p'`)).toEqual({ line: 1, column: 2 })
+    expect(sourceOf(staticRenderFns[0], map, `_c('b'`)).toEqual({ line: 1, column: 5 })
+  })
+
+  it('should keep compile errors as strings', () => {
+    const { errors } = compile('<div v-if="a----"></div>', { sourceMap: true })
+    expect(errors.length).toBe(1)
+    expect(typeof errors[0]).toBe('string')
+  })
+
+  it('should inline source maps into compiled functions', () => {
+    const { render } = compileToFunctions('<div>{{ msg }}</div>', { sourceMap: true })
+    const source = render.toString()
+    const match = source.match(/\/\/# sourceMappingURL=data:application\/json;charset=utf-8;base64,(.*)/)
+    expect(match).toBeTruthy()
+    const map = JSON.parse(decodeURIComponent(escape(atob(match[1]))))
+    // 映射从函数体开始，跳过 "function anonymous(\n) {" 两行
+    expect(sourceOf(source, map, `_s(msg)`)).toEqual({ line: 0, column: 5 })
+    expect(render.call({ _c: (tag, children) => children, _v: s => s, _s: s => s, msg: 'hi' })).toEqual(['hi'])
+  })
+})
@@ -0,0 +1,115 @@
+import { compileToTypeScript } from 'web/compiler'
+import { mapTypeScriptDiagnostics } from 'compiler/type-check/index'
+import { scanIdentifiers, stripFilters } from 'compiler/type-check/expression'
+
+// the template text each generated range maps to
+function mappedSources (result, template) {
+  return result.mappings.map(m => {
+    const generated = result.code.slice(m.generatedStart, m.generatedEnd)
+    const source = template.slice(m.start, m.end)
+    expect(generated).toBe(source)
+    return source
+  })
+}
+
+describe('compile to TypeScript', () => {
+  it('scan identifiers', () => {
+    const names = exp => scanIdentifiers(exp).refs.map(ref => ref.name)
+    expect(names('user.name + count')).toEqual(['user', 'count'])
+    expect(names('{ a: b, c, [d]: e ? f : g }')).toEqual(['b', 'c', 'd', 'e', 'f', 'g'])
+    expect(names('list.map(item => item.id + offset)')).toEqual(['list', 'offset'])
+    expect(names('items.filter((x, i) => x > i)')).toEqual(['items'])
+    expect(names('function (e) { handle(e, $event) }')).toEqual(['handle', '$event'])
+    expect(names('`a${b}c` + "d" + \'e\' + /f[g]/.test(h)')).toEqual(['b', 'h'])
+    expect(names('a?.b ?? typeof c === "d" && Math.max(...e)')).toEqual(['a', 'c', 'e'])
+    expect(names('x / y / 2')).toEqual(['x', 'y'])
+    expect(scanIdentifiers('(x, y) => x + z').params).toEqual(['x', 'y'])
+    expect(stripFilters('a || b | upper | wrap(c)')).toBe('a || b ')
+    expect(stripFilters('"|" + [a | b]')).toBe('"|" + [a | b]')
+  })
+
+  it('should generate typed code for template expressions', () => {
+    const template = `
+<div :class="{ active: isActive }" @click="onClick">
+  <p v-if="user">{{ user.nmae }}</p>
+  <p v-else-if="count > 1">{{ count | currency }}</p>
+  <ul v-else>
+    <li v-for="(item, index) in items" :key="item.id" @click="select(item, $event)">{{ index }}: {{ item.label }}</li>
+  </ul>
+</div>`
+    const result = compileToTypeScript(template, { component: './App.vue.ts' })
+    const { code } = result
+    expect(result.errors).toEqual([])
+    expect(code).toContain(`import __component from "./App.vue.ts";`)
+    expect(code).toContain(`let { isActive, onClick, user, count, items, select } = __ctx;`)
+    expect(code).toContain(`({ active: isActive });`)
+    expect(code).toContain(`(onClick);`)
+    expect(code).toContain(`if (user) {`)
+    expect(code).toContain(`(user.nmae);`)
+    expect(code).toContain(`} else if (count > 1) {`)
+    expect(code).toContain(`(count);`)
+    expect(code).toContain(`} else {`)
+    expect(code).toContain(`for (const [item, index] of __vFor(items)) {`)
+    expect(code).toContain(`(($event: any) => { select(item, $event) });`)
+    expect(code).toContain(`(item.label);`)
+
+    const sources = mappedSources(result, template)
+    expect(sources).toContain('user.nmae')
+    expect(sources).toContain('item.label')
+    // the destructured name maps to where it is first used
+    const userMapping = result.mappings.find(m => code.slice(m.generatedStart, m.generatedEnd) === 'user')
+    expect(userMapping.start).toBe(template.indexOf('user"'))
+  })
+
+  it('should declare slot scopes and skip v-pre', () => {
+    const template = `<comp>
+  <template #item="{ item, index }"><b :title="item.title">{{ index }}{{ extra }}</b></template>
+  <span slot="foo" slot-scope="props">{{ props.msg }}</span>
+  <i v-pre>{{ notChecked }}</i>
+</comp>`
+    const result = compileToTypeScript(template)
+    const { code } = result
+    expect(code).toContain(`declare const __ctx: Vue & Record<string, any>;`)
+    expect(code).toContain(`let { extra } = __ctx;`)
+    expect(code).toContain(`(({ item, index }: any) => {`)
+    expect(code).toContain(`((props: any) => {`)
+    expect(code).not.toContain('notChecked')
+    expect(mappedSources(result, template)).toEqual([
+      'extra', '{ item, index }', 'item.title', 'index', 'extra', 'props', 'props.msg'
+    ])
+  })
+
+  it('should map component v-slot and keep positions with leading whitespace', () => {
+    const template = `
+  <comp v-slot="{ msg }">{{ msg }} {{ other }}</comp>`
+    const result = compileToTypeScript(template)
+    expect(result.code).toContain(`let { other } = __ctx;`)
+    expect(mappedSources(result, template)).toEqual(['other', '{ msg }', 'msg', 'other'])
+  })
+
+  it('should map diagnostics back to the template', () => {
+    const template = `<div>{{ user.nmae }}</div>`
+    const result = compileToTypeScript(template)
+    const start = result.code.indexOf('user.nmae') + 5
+    const diagnostics = mapTypeScriptDiagnostics(result, [
+      { start, length: 4, messageText: `Property 'nmae' does not exist on type 'User'.` },
+      {
+        start: 0,
+        length: 1,
+        messageText: { messageText: 'Outer', next: [{ messageText: 'Inner' }] }
+      }
+    ])
+    expect(diagnostics[0]).toEqual({
+      msg: `Property 'nmae' does not exist on type 'User'.`,
+      start: template.indexOf('nmae'),
+      end: template.indexOf('nmae') + 4
+    })
+    expect(diagnostics[1]).toEqual({ msg: 'Outer\n  Inner' })
+  })
+
+  it('should report template errors', () => {
+    const { errors } = compileToTypeScript(`<div v-if="a----"></div>`)
+    expect(errors.length).toBe(1)
+    expect(errors[0].msg).toContain('invalid expression')
+  })
+})
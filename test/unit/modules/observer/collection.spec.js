@@ -0,0 +1,151 @@
+import Vue from 'vue'
+import Watcher from 'core/observer/watcher'
+import { Observer, observe } from 'core/observer/index'
+
+describe('Observer: collections', () => {
+  let vm, spy
+  beforeEach(() => {
+    vm = new Vue()
+    spy = jasmine.createSpy('watcher')
+  })
+
+  function watch (getter, options) {
+    return new Watcher(vm, getter, spy, Object.assign({ sync: true }, options))
+  }
+
+  it('create on collections', () => {
+    const map = new Map([['a', {}]])
+    const set = new Set([{}])
+    const weakMap = new WeakMap()
+    const weakSet = new WeakSet()
+    ;[map, set, weakMap, weakSet].forEach(collection => {
+      const ob = observe(collection)
+      expect(ob instanceof Observer).toBe(true)
+      expect(collection.__ob__).toBe(ob)
+    })
+    expect(map instanceof Map).toBe(true)
+    expect(Object.prototype.toString.call(map)).toBe('[object Map]')
+    // should've observed existing values
+    expect(map.get('a').__ob__ instanceof Observer).toBe(true)
+    set.forEach(item => {
+      expect(item.__ob__ instanceof Observer).toBe(true)
+    })
+  })
+
+  it('should not observe subclasses of collections', () => {
+    class Registry extends Map {
+      register (key, value) {
+        return this.set(key, value)
+      }
+    }
+    const registry = new Registry()
+    expect(observe(registry)).toBeUndefined()
+    expect(registry.__ob__).toBeUndefined()
+    expect(Object.getPrototypeOf(registry)).toBe(Registry.prototype)
+    expect(registry instanceof Registry).toBe(true)
+    registry.register('a', 1)
+    expect(registry.get('a')).toBe(1)
+    // nested in observed data, it's kept as is
+    const state = { registry }
+    observe(state)
+    expect(state.registry).toBe(registry)
+    expect(typeof state.registry.register).toBe('function')
+  })
+
+  it('Map get/has should track keys', () => {
+    const map = new Map([['a', 1]])
+    observe(map)
+    watch(() => map.get('a') + ':' + map.has('b'))
+    map.set('c', 1)
+    expect(spy).not.toHaveBeenCalled()
+    map.set('a', 2)
+    expect(spy).toHaveBeenCalledWith('2:false', '1:false')
+    map.set('b', 1)
+    expect(spy).toHaveBeenCalledWith('2:true', '2:false')
+    map.delete('a')
+    expect(spy).toHaveBeenCalledWith('undefined:true', '2:true')
+  })
+
+  it('Map size and iteration should track structure', () => {
+    const map = new Map()
+    observe(map)
+    watch(() => map.size + ':' + Array.from(map.values()).join())
+    map.set('a', 1)
+    expect(spy).toHaveBeenCalledWith('1:1', '0:')
+    map.set('a', 2)
+    expect(spy).toHaveBeenCalledWith('1:2', '1:1')
+    map.clear()
+    expect(spy).toHaveBeenCalledWith('0:', '1:2')
+  })
+
+  it('Set should track add/delete/clear', () => {
+    const set = new Set([1])
+    observe(set)
+    const keys = []
+    watch(() => {
+      keys.length = 0
+      set.forEach(item => keys.push(item))
+      return keys.join()
+    })
+    set.add(2)
+    expect(spy).toHaveBeenCalledWith('1,2', '1')
+    set.add(2)
+    expect(spy.calls.count()).toBe(1)
+    set.delete(1)
+    expect(spy).toHaveBeenCalledWith('2', '1,2')
+    set.clear()
+    expect(spy).toHaveBeenCalledWith('', '2')
+  })
+
+  it('WeakMap and WeakSet should track keys', () => {
+    const key = {}
+    const weakMap = new WeakMap()
+    const weakSet = new WeakSet()
+    observe(weakMap)
+    observe(weakSet)
+    watch(() => weakMap.get(key) + ':' + weakSet.has(key))
+    weakMap.set(key, 1)
+    expect(spy).toHaveBeenCalledWith('1:false', 'undefined:false')
+    weakSet.add(key)
+    expect(spy).toHaveBeenCalledWith('1:true', '1:false')
+  })
+
+  it('should observe values set into collections', () => {
+    const map = new Map()
+    observe(map)
+    map.set('a', { msg: 'foo' })
+    watch(() => map.get('a').msg)
+    map.get('a').msg = 'bar'
+    expect(spy).toHaveBeenCalledWith('bar', 'foo')
+  })
+
+  it('deep watchers should traverse collections', () => {
+    const item = { msg: 'foo' }
+    const state = { map: new Map([['a', item]]), set: new Set() }
+    observe(state)
+    watch(() => state, { deep: true })
+    item.msg = 'bar'
+    expect(spy.calls.count()).toBe(1)
+    state.set.add(1)
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('should re-render on collection mutation', done => {
+    const vm = new Vue({
+      data: {
+        todos: new Map()
+      },
+      render (h) {
+        return h('ul', Array.from(this.todos.values()).map(text => h('li', text)))
+      }
+    }).$mount()
+    expect(vm.$el.children.length).toBe(0)
+    vm.todos.set(1, 'foo')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('foo')
+      vm.todos.set(1, 'bar')
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('bar')
+    }).then(done)
+  })
+})
@@ -0,0 +1,184 @@
+import Vue from 'vue'
+import Watcher from 'core/observer/watcher'
+import { observe, set as setProp, del as delProp } from 'core/observer/index'
+import { toRaw } from 'core/observer/proxy'
+
+describe('Observer: proxy mode', () => {
+  let vm, spy
+  beforeEach(() => {
+    Vue.config.reactivity = 'proxy'
+    vm = new Vue()
+    spy = jasmine.createSpy('watcher')
+  })
+
+  afterEach(() => {
+    Vue.config.reactivity = 'defineProperty'
+  })
+
+  function watch (getter) {
+    return new Watcher(vm, getter, spy, { sync: true })
+  }
+
+  it('should not modify observed objects', () => {
+    const obj = { a: 1, b: [1, 2] }
+    const ob = observe(obj)
+    expect(ob.proxy).toBeDefined()
+    expect(ob.value).toBe(obj)
+    expect(Object.getOwnPropertyDescriptor(obj, 'a').get).toBeUndefined()
+    expect(Object.getPrototypeOf(obj.b)).toBe(Array.prototype)
+    expect(toRaw(ob.proxy)).toBe(obj)
+    expect(observe(ob.proxy)).toBe(ob)
+  })
+
+  it('should track existing and added properties', () => {
+    const state = observe({ a: 1 }).proxy
+    watch(() => state.a + state.b)
+    state.a = 2
+    expect(spy.calls.count()).toBe(1)
+    state.b = 3
+    expect(spy.calls.count()).toBe(2)
+    expect(spy.calls.mostRecent().args[0]).toBe(5)
+  })
+
+  it('should track property deletion and key enumeration', () => {
+    const state = observe({ a: 1, b: 2 }).proxy
+    watch(() => Object.keys(state).join())
+    delete state.a
+    expect(spy).toHaveBeenCalledWith('b', 'a,b')
+    state.c = 3
+    expect(spy).toHaveBeenCalledWith('b,c', 'b')
+  })
+
+  it('should track nested objects lazily', () => {
+    const state = observe({ nested: { msg: 'foo' } }).proxy
+    watch(() => state.nested.msg)
+    state.nested.msg = 'bar'
+    expect(spy).toHaveBeenCalledWith('bar', 'foo')
+    state.nested = { msg: 'baz' }
+    expect(spy).toHaveBeenCalledWith('baz', 'bar')
+  })
+
+  it('should track array index assignment and length changes', () => {
+    const list = observe([1, 2, 3]).proxy
+    watch(() => list.join())
+    list[1] = 5
+    expect(spy).toHaveBeenCalledWith('1,5,3', '1,2,3')
+    list[3] = 4
+    expect(spy).toHaveBeenCalledWith('1,5,3,4', '1,5,3')
+    list.length = 1
+    expect(spy).toHaveBeenCalledWith('1', '1,5,3,4')
+    list.push(2)
+    expect(spy).toHaveBeenCalledWith('1,2', '1')
+  })
+
+  it('should not track length in array mutators', () => {
+    const list = observe([]).proxy
+    const other = observe({ a: 1 }).proxy
+    watch(() => {
+      list.push(other.a)
+      return other.a
+    })
+    list.push(2)
+    expect(spy).not.toHaveBeenCalled()
+    other.a = 2
+    expect(spy.calls.count()).toBe(1)
+  })
+
+  it('should find raw items with identity methods', () => {
+    const item = {}
+    const list = observe([item]).proxy
+    expect(list[0]).not.toBe(item)
+    expect(list.indexOf(item)).toBe(0)
+    expect(list.indexOf(list[0])).toBe(0)
+    expect(list.includes(item)).toBe(true)
+  })
+
+  it('should track Map mutations', () => {
+    const map = observe(new Map([['a', 1]])).proxy
+    watch(() => map.get('a'))
+    const sizeSpy = jasmine.createSpy('size')
+    new Watcher(vm, () => map.size, sizeSpy, { sync: true })
+    map.set('a', 2)
+    expect(spy).toHaveBeenCalledWith(2, 1)
+    expect(sizeSpy).not.toHaveBeenCalled()
+    map.set('b', 1)
+    expect(sizeSpy).toHaveBeenCalledWith(2, 1)
+    map.delete('a')
+    expect(spy).toHaveBeenCalledWith(undefined, 2)
+    map.clear()
+    expect(sizeSpy).toHaveBeenCalledWith(0, 1)
+  })
+
+  it('should track Set mutations and iteration', () => {
+    const set = observe(new Set([1])).proxy
+    watch(() => Array.from(set).join())
+    set.add(2)
+    expect(spy).toHaveBeenCalledWith('1,2', '1')
+    set.delete(1)
+    expect(spy).toHaveBeenCalledWith('2', '1,2')
+    set.add(2)
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('Vue.set/delete should notify through the proxy', () => {
+    const obj = { a: 1 }
+    const state = observe(obj).proxy
+    watch(() => state.b)
+    setProp(obj, 'b', 2)
+    expect(spy).toHaveBeenCalledWith(2, undefined)
+    delProp(obj, 'b')
+    expect(spy).toHaveBeenCalledWith(undefined, 2)
+  })
+
+  it('should re-render on added keys and index writes', done => {
+    const vm = new Vue({
+      data: {
+        obj: {},
+        list: ['a', 'b']
+      },
+      template: '<div>{{ obj.msg }}|{{ list.join() }}</div>'
+    }).$mount()
+    expect(vm.$el.textContent).toBe('|a,b')
+    vm.obj.msg = 'hi'
+    vm.list[0] = 'c'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('hi|c,b')
+      delete vm.obj.msg
+      vm.list.length = 1
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('|c')
+    }).then(done)
+  })
+
+  it('Vue.observable should return the reactive proxy', () => {
+    const raw = { count: 0 }
+    const state = Vue.observable(raw)
+    expect(state).not.toBe(raw)
+    watch(() => state.extra)
+    state.extra = 1
+    expect(spy).toHaveBeenCalledWith(1, undefined)
+  })
+
+  it('shallow observers should not proxy nested values', () => {
+    const nested = { msg: 'foo' }
+    const state = Vue.shallowReactive({ nested })
+    expect(state.nested).toBe(nested)
+    watch(() => state.nested.msg)
+    state.nested.msg = 'bar'
+    expect(spy).not.toHaveBeenCalled()
+    state.nested = { msg: 'baz' }
+    expect(spy).toHaveBeenCalledWith('baz', 'foo')
+  })
+
+  it('readonly should track through the reactive proxy', () => {
+    const source = Vue.reactive({ list: [{ n: 1 }] })
+    const state = Vue.readonly(source)
+    expect(toRaw(state)).toBe(toRaw(source))
+    watch(() => state.list.length + state.list[0].n)
+    source.list.push({ n: 0 })
+    expect(spy).toHaveBeenCalledWith(3, 2)
+    state.list[0].n = 5
+    expect('Set operation on key "n" failed: target is readonly.').toHaveBeenWarned()
+    expect(source.list[0].n).toBe(1)
+  })
+})
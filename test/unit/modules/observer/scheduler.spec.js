@@ -126,6 +126,50 @@ describe('Scheduler', () => {
     }).then(done)
   })
 
+  it('warn against infinite update loops in post watchers', function (done) {
+    let count = 0
+    const job = {
+      id: 1,
+      post: true,
+      run () {
+        count++
+        queueWatcher(job)
+      }
+    }
+    queueWatcher(job)
+    waitForUpdate(() => {
+      expect(count).toBe(MAX_UPDATE_COUNT + 1)
+      expect('infinite update loop').toHaveBeenWarned()
+    }).then(done)
+  })
+
+  it('should run pre watchers before other watchers', done => {
+    const calls = []
+    queueWatcher({
+      id: 1,
+      run () {
+        calls.push(1)
+        queueWatcher({
+          id: 2,
+          run () { calls.push(2) }
+        })
+        queueWatcher({
+          id: 4,
+          pre: true,
+          run () { calls.push(4) }
+        })
+      }
+    })
+    queueWatcher({
+      id: 3,
+      pre: true,
+      run () { calls.push(3) }
+    })
+    waitForUpdate(() => {
+      expect(calls).toEqual([3, 1, 4, 2])
+    }).then(done)
+  })
+
   it('should call newly pushed watcher after current watcher is done', done => {
     const callOrder = []
     queueWatcher({
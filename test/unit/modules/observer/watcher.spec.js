@@ -178,4 +178,51 @@ describe('Watcher', () => {
     new Watcher(vm, 'd.e + c', spy)
     expect('Failed watching path:').toHaveBeenWarned()
   })
+
+  it('onTrack', () => {
+    const onTrack = jasmine.createSpy('onTrack')
+    vm.$watch(() => vm.a + vm.b.c, spy, { onTrack })
+    const events = onTrack.calls.allArgs().map(args => args[0])
+    expect(events.map(e => e.key)).toEqual(['a', 'b', 'c'])
+    expect(events.every(e => e.type === 'get')).toBe(true)
+    expect(events[0].target).toBe(vm._data)
+    expect(events[2].target).toBe(vm.b)
+    expect(events[0].effect instanceof Watcher).toBe(true)
+  })
+
+  it('onTrigger', () => {
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const list = [1]
+    Vue.set(vm.b, 'list', list)
+    new Watcher(vm, () => [vm.a, vm.b.e, vm.b.list], spy, { sync: true, deep: true, onTrigger })
+    let e
+
+    vm.a = 2
+    e = onTrigger.calls.mostRecent().args[0]
+    expect(e.target).toBe(vm._data)
+    expect(e.type).toBe('set')
+    expect(e.key).toBe('a')
+    expect(e.newValue).toBe(2)
+    expect(e.oldValue).toBe(1)
+
+    Vue.set(vm.b, 'e', 1)
+    e = onTrigger.calls.mostRecent().args[0]
+    expect(e.target).toBe(vm.b)
+    expect(e.type).toBe('add')
+    expect(e.key).toBe('e')
+    expect(e.newValue).toBe(1)
+
+    Vue.delete(vm.b, 'e')
+    e = onTrigger.calls.mostRecent().args[0]
+    expect(e.target).toBe(vm.b)
+    expect(e.type).toBe('delete')
+    expect(e.key).toBe('e')
+
+    list.push(2)
+    e = onTrigger.calls.mostRecent().args[0]
+    expect(e.target).toBe(list)
+    expect(e.type).toBe('array-mutation')
+    expect(e.key).toBe('push')
+    expect(onTrigger.calls.count()).toBe(4)
+  })
 })
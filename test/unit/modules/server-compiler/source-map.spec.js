@@ -0,0 +1,39 @@
+import { ssrCompile } from 'web/server/compiler'
+import { sourceOf } from '../../../helpers/source-map'
+
+describe('ssrCompile source maps', () => {
+  it('should map string rendering code back to the template', () => {
+    const template = `<div>
+  <p class="a">{{ msg }}</p>
+  <span v-if="ok">{{ count }}</span>
+  <comp :value="msg"></comp>
+</div>`
+    const { render, maps } = ssrCompile(template, { sourceMap: true, filename: 'App.vue' })
+    expect(render).not.toContain('\u0001')
+    expect(() => new Function(render)).not.toThrow()
+
+    const map = maps.render
+    expect(map.sources).toEqual(['App.vue'])
+    expect(sourceOf(render, map, `_c('div'`)).toEqual({ line: 0, column: 0 })
+    expect(sourceOf(render, map, `_s(msg)`)).toEqual({ line: 1, column: 15 })
+    expect(sourceOf(render, map, `ok)?`)).toEqual({ line: 2, column: 8 })
+    expect(sourceOf(render, map, `_s(count)`)).toEqual({ line: 2, column: 18 })
+    expect(sourceOf(render, map, `_c('comp'`)).toEqual({ line: 3, column: 2 })
+    expect(sourceOf(render, map, `msg}`)).toEqual({ line: 3, column: 8 })
+  })
+
+  it('should map attribute bindings of string nodes', () => {
+    const template = `<div>
+  <p :title="title" :class="cls" :style="style" v-bind="attrs">{{ msg }}</p>
+  <input :value="value" v-show="ok">
+</div>`
+    const { render, maps } = ssrCompile(template, { sourceMap: true })
+    const map = maps.render
+    expect(sourceOf(render, map, `_ssrAttr("title",title)`)).toEqual({ line: 1, column: 5 })
+    expect(sourceOf(render, map, `_ssrAttrs(attrs)`)).toEqual({ line: 1, column: 48 })
+    expect(sourceOf(render, map, `_ssrClass(null,cls)`)).toEqual({ line: 1, column: 20 })
+    expect(sourceOf(render, map, `_ssrStyle(null,style`)).toEqual({ line: 1, column: 33 })
+    expect(sourceOf(render, map, `_ssrAttr("value",value)`)).toEqual({ line: 2, column: 9 })
+    expect(sourceOf(render, map, `_ssrStyle(null,null`)).toEqual({ line: 2, column: 24 })
+  })
+})
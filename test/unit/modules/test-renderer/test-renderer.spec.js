@@ -0,0 +1,134 @@
+import Vue from 'vue'
+import {
+  mount,
+  toJSON,
+  serialize,
+  snapshotSerializer,
+  trigger,
+  flushUpdates,
+  TestElement
+} from 'test-renderer/entry-runtime'
+
+describe('test renderer', () => {
+  it('should render to in-memory nodes', () => {
+    const vm = mount({
+      props: ['msg'],
+      template: '<div id="app" class="a" :class="{ b: true }" style="color: red"><span>{{ msg }}</span></div>'
+    }, { props: { msg: 'hello' }})
+    expect(vm.$el instanceof TestElement).toBe(true)
+    expect(vm.$el.attrs).toEqual({ id: 'app', class: 'a b' })
+    expect(vm.$el.style).toEqual({ color: 'red' })
+    expect(vm.$el.children[0].children[0].text).toBe('hello')
+    expect(document.getElementById('app')).toBe(null)
+  })
+
+  it('should produce JSON-serializable trees', () => {
+    const vm = mount({
+      template: '<ul><li v-for="i in 2" :key="i" :data-i="i">{{ i }}</li><!--c--></ul>',
+      comments: true
+    })
+    const json = {
+      type: 'element',
+      tag: 'ul',
+      attrs: {},
+      children: [
+        { type: 'element', tag: 'li', attrs: { 'data-i': 1 }, children: [{ type: 'text', text: '1' }] },
+        { type: 'element', tag: 'li', attrs: { 'data-i': 2 }, children: [{ type: 'text', text: '2' }] },
+        { type: 'comment', text: 'c' }
+      ]
+    }
+    expect(toJSON(vm)).toEqual(json)
+    expect(JSON.parse(JSON.stringify(vm.$el))).toEqual(json)
+  })
+
+  it('should serialize for snapshots', () => {
+    const vm = mount({
+      data: () => ({ text: 'foo' }),
+      template: `
+        <form class="f">
+          <input v-model="text" disabled>
+          <p v-show="false">hidden</p>
+          <p></p>
+        </form>
+      `
+    })
+    const expected =
+      '<form class="f">\n' +
+      '  <input disabled .value="foo"></input>\n' +
+      '  <p style="display: none">hidden</p>\n' +
+      '  <p></p>\n' +
+      '</form>'
+    expect(serialize(vm)).toBe(expected)
+    expect(snapshotSerializer.test(vm)).toBe(true)
+    expect(snapshotSerializer.test(vm.$el)).toBe(true)
+    expect(snapshotSerializer.test({})).toBe(false)
+    expect(snapshotSerializer.print(vm.$el)).toBe(serialize(vm))
+  })
+
+  it('should serialize fragment roots', () => {
+    const vm = mount({
+      template: '<b>a</b><i>b</i>'
+    })
+    expect(serialize(vm)).toBe('<b>a</b>\n<i>b</i>')
+    expect(toJSON(vm).length).toBe(4)
+  })
+
+  it('should trigger events and flush updates synchronously', () => {
+    const outer = jasmine.createSpy('outer')
+    const vm = mount({
+      data: () => ({ count: 0, text: '' }),
+      template: `
+        <div @click="onOuter">
+          <button @click="count++">{{ count }}</button>
+          <a @click.stop="count += 10"></a>
+          <input v-model="text">
+        </div>
+      `,
+      methods: { onOuter: outer }
+    })
+    const [button, a, input] = vm.$el.children.filter(node => node.tag)
+    trigger(button, 'click')
+    expect(button.children[0].text).toBe('0')
+    flushUpdates()
+    expect(button.children[0].text).toBe('1')
+    expect(outer).toHaveBeenCalledTimes(1)
+
+    trigger(a, 'click')
+    flushUpdates()
+    expect(vm.count).toBe(11)
+    expect(outer).toHaveBeenCalledTimes(1)
+
+    input.value = 'foo'
+    trigger(input, 'input')
+    expect(vm.text).toBe('foo')
+    vm.text = 'bar'
+    flushUpdates()
+    expect(input.props.value).toBe('bar')
+  })
+
+  it('should render child components and pass listeners', () => {
+    const spy = jasmine.createSpy('select')
+    const Child = {
+      props: ['item'],
+      template: '<li @click="$emit(\'select\', item)">{{ item }}</li>'
+    }
+    const vm = mount({
+      props: ['items'],
+      template: '<ul><child v-for="i in items" :key="i" :item="i" @select="$emit(\'select\', $event)"></child></ul>',
+      components: { child: Child }
+    }, {
+      props: { items: ['a', 'b'] },
+      listeners: { select: spy }
+    })
+    expect(serialize(vm)).toBe('<ul>\n  <li>a</li>\n  <li>b</li>\n</ul>')
+    trigger(vm.$el.children[1], 'click')
+    expect(spy).toHaveBeenCalledWith('b')
+  })
+
+  it('should not affect the DOM renderer', () => {
+    const vm = new Vue({
+      template: '<div><span>dom</span></div>'
+    }).$mount()
+    expect(vm.$el.outerHTML).toBe('<div><span>dom</span></div>')
+  })
+})
@@ -265,6 +265,48 @@ describe('vdom patch: children', () => {
     }
   })
 
+  it('should only move nodes outside the longest increasing subsequence', () => {
+    const vnode1 = new VNode('p', {}, [1, 2, 3, 4, 5, 6].map(spanNum))
+    const vnode2 = new VNode('p', {}, [2, 4, 1, 3, 6, 5].map(spanNum))
+    const elm = patch(vnode0, vnode1)
+    const children = Array.prototype.slice.call(elm.children)
+    spyOn(elm, 'insertBefore').and.callThrough()
+    patch(vnode1, vnode2)
+    expect(map(inner, elm.children)).toEqual(['2', '4', '1', '3', '6', '5'])
+    // 2, 3, 5 保持不动
+    expect(elm.insertBefore.calls.count()).toBe(3)
+    expect(elm.children[0]).toBe(children[1])
+    expect(elm.children[5]).toBe(children[4])
+  })
+
+  it('should minimise moves for random shuffle with additions and removals', () => {
+    function lisLength (arr) {
+      const lens = arr.map(() => 1)
+      for (let i = 0; i < arr.length; i++) {
+        for (let j = 0; j < i; j++) {
+          if (arr[j] < arr[i]) lens[i] = Math.max(lens[i], lens[j] + 1)
+        }
+      }
+      return arr.length ? Math.max.apply(null, lens) : 0
+    }
+    const arr = []
+    for (let n = 0; n < 30; n++) arr[n] = n
+    for (let sample = 0; sample < 5; sample++) {
+      const next = shuffle(arr.slice(0)).filter(n => n % 7 !== sample).concat([100, 101])
+      const vnode1 = new VNode('p', {}, arr.map(spanNum))
+      const vnode2 = new VNode('p', {}, next.map(spanNum))
+      const elm = patch(null, vnode1)
+      spyOn(elm, 'insertBefore').and.callThrough()
+      spyOn(elm, 'appendChild').and.callThrough()
+      patch(vnode1, vnode2)
+      expect(map(inner, elm.children)).toEqual(next.map(String))
+      const kept = next.filter(n => n < 100)
+      // 移动的节点数加上新建的两个节点
+      expect(elm.insertBefore.calls.count() + elm.appendChild.calls.count())
+        .toBe(kept.length - lisLength(kept) + 2)
+    }
+  })
+
   it('should append elements with updating children without keys', () => {
     const vnode1 = new VNode('div', {}, [
       new VNode('span', {}, undefined, 'hello')
@@ -0,0 +1,108 @@
+import Vue from 'vue'
+import { SSR_ATTR } from 'shared/constants'
+
+function compile (template) {
+  const { render, staticRenderFns } = Vue.compile(template, { hoistStatic: true })
+  return { render, staticRenderFns }
+}
+
+describe('vdom patch: hoisted static trees', () => {
+  it('should render static trees once for all instances', done => {
+    const compiled = compile(`<div><section><h1 class="title">Card</h1><p>static</p></section><span>{{ msg }}</span></div>`)
+    const renderTree = compiled.staticRenderFns[0]
+    const spy = compiled.staticRenderFns[0] = jasmine.createSpy('static').and.callFake(renderTree)
+    const Card = Vue.extend(compiled)
+    const vms = [1, 2, 3].map(i => new Card({ data: { msg: `card ${i}` } }).$mount())
+    expect(spy.calls.count()).toBe(1)
+    vms.forEach((vm, i) => {
+      expect(vm.$el.outerHTML).toBe(
+        `<div><section><h1 class="title">Card</h1><p>static</p></section><span>card ${i + 1}</span></div>`
+      )
+    })
+    // each instance has its own elements
+    expect(vms[0].$el.querySelector('h1')).not.toBe(vms[1].$el.querySelector('h1'))
+    expect(vms[1].$el.querySelector('h1')).not.toBe(vms[2].$el.querySelector('h1'))
+    const sections = vms.map(vm => vm.$el.firstChild)
+    vms.forEach(vm => { vm.msg = 'updated' })
+    waitForUpdate(() => {
+      vms.forEach((vm, i) => {
+        expect(vm.$el.firstChild).toBe(sections[i])
+        expect(vm.$el.lastChild.textContent).toBe('updated')
+      })
+      // instances created after the first one was destroyed still get their own elements
+      vms[0].$destroy()
+      const vm = new Card({ data: { msg: 'new' } }).$mount()
+      expect(vm.$el.querySelector('h1')).not.toBe(vms[1].$el.querySelector('h1'))
+      expect(vm.$el.querySelector('h1').textContent).toBe('Card')
+      expect(spy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should toggle hoisted trees', done => {
+    const vm = new Vue(Object.assign({
+      data: { ok: true }
+    }, compile(`<div><p v-if="ok">yes</p><p v-else>no</p><b>static</b></div>`))).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>yes</p><b>static</b>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>no</p><b>static</b>')
+      vm.ok = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>yes</p><b>static</b>')
+    }).then(done)
+  })
+
+  it('should share static data objects', done => {
+    const Comp = Vue.extend(compile(
+      `<div><input type="text" :value="msg"><p style="color: red" :style="{ fontSize: size }">{{ msg }}</p></div>`
+    ))
+    const vm1 = new Comp({ data: { msg: 'a', size: '10px' } }).$mount()
+    const vm2 = new Comp({ data: { msg: 'b', size: '20px' } }).$mount()
+    const [input1, p1] = vm1._vnode.children
+    const [input2, p2] = vm2._vnode.children
+    expect(input1.data.attrs).toBe(input2.data.attrs)
+    expect(p1.data.staticStyle).toBe(p2.data.staticStyle)
+    expect(p1.data.staticStyle).toEqual({ color: 'red' })
+    expect(vm1.$el.children[1].style.fontSize).toBe('10px')
+    expect(vm2.$el.children[1].style.fontSize).toBe('20px')
+    vm1.size = '30px'
+    waitForUpdate(() => {
+      expect(vm1.$el.children[1].style.color).toBe('red')
+      expect(vm1.$el.children[1].style.fontSize).toBe('30px')
+      expect(vm2.$el.children[1].style.fontSize).toBe('20px')
+      expect(vm1._vnode.children[1].data.staticStyle).toEqual({ color: 'red' })
+    }).then(done)
+  })
+
+  it('should hydrate hoisted trees for multiple instances', done => {
+    const Comp = Vue.extend(compile(`<div><section><p>static</p></section><span>{{ msg }}</span></div>`))
+    const vms = ['a', 'b'].map(msg => {
+      const dom = document.createElement('div')
+      dom.innerHTML = `<div ${SSR_ATTR}="true"><section><p>static</p></section><span>${msg}</span></div>`
+      const el = dom.firstChild
+      const vm = new Comp({ data: { msg } }).$mount(el)
+      expect(vm.$el).toBe(el)
+      return vm
+    })
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    const [p1, p2] = vms.map(vm => vm.$el.querySelector('p'))
+    expect(vms[0]._vnode.children[0].children[0].elm).toBe(p1)
+    expect(vms[1]._vnode.children[0].children[0].elm).toBe(p2)
+    vms[1].msg = 'c'
+    waitForUpdate(() => {
+      expect(vms[1].$el.innerHTML).toBe('<section><p>static</p></section><span>c</span>')
+      expect(vms[1].$el.querySelector('p')).toBe(p2)
+    }).then(done)
+  })
+
+  it('should not share trees between different scope ids', () => {
+    const compiled = compile(`<div><p>static</p>{{ msg }}</div>`)
+    const A = Vue.extend(Object.assign({ _scopeId: 'data-v-a' }, compiled))
+    const B = Vue.extend(Object.assign({ _scopeId: 'data-v-b' }, compiled))
+    const a = new A({ data: { msg: 'a' } }).$mount()
+    const b = new B({ data: { msg: 'b' } }).$mount()
+    expect(a.$el.firstChild.hasAttribute('data-v-a')).toBe(true)
+    expect(b.$el.firstChild.hasAttribute('data-v-b')).toBe(true)
+    expect(b.$el.firstChild.hasAttribute('data-v-a')).toBe(false)
+  })
+})
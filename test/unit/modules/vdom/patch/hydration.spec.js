@@ -135,6 +135,113 @@ describe('vdom patch: hydration', () => {
     }).then(done)
   })
 
+  it('should hydrate components with multiple root nodes', done => {
+    const dom = createMockSSRDOM('<!--[--><b>foo</b><i>1</i><!--]--><span>after</span>')
+    const originalNode = dom.querySelector('b')
+
+    const vm = new Vue({
+      template: '<div><test :msg="msg"></test><span>after</span></div>',
+      data: {
+        msg: 'foo'
+      },
+      components: {
+        test: {
+          props: ['msg'],
+          data () {
+            return { list: [1] }
+          },
+          template: '<b>{{msg}}</b><i v-for="n in list">{{n}}</i>'
+        }
+      }
+    })
+
+    vm.$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    const child = vm.$children[0]
+    expect(child.$el).toBe(originalNode)
+    expect(child._vnode.elm).toBe(dom.firstChild)
+    expect(child._vnode.anchor).toBe(dom.childNodes[3])
+    expect(dom.querySelector('b')).toBe(originalNode)
+    vm.msg = 'bar'
+    child.list.push(2)
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><b>bar</b><i>1</i><i>2</i><!--]--><span>after</span>')
+      expect(dom.querySelector('b')).toBe(originalNode)
+    }).then(done)
+  })
+
+  it('should hydrate teleport content in target', done => {
+    const target = document.createElement('div')
+    target.id = 'teleport-target'
+    target.innerHTML = '<p>foo</p><!--teleport anchor--><i>b</i><!--teleport anchor-->'
+    document.body.appendChild(target)
+    const originalNode = target.firstChild
+    const dom = createMockSSRDOM(
+      '<!--teleport start--><!--teleport end-->' +
+      '<!--teleport start--><!--teleport end--><span>after</span>'
+    )
+
+    const vm = new Vue({
+      template: `<div><teleport to="#teleport-target"><p>{{msg}}</p></teleport><teleport to="#teleport-target"><i>b</i></teleport><span>after</span></div>`,
+      data: { msg: 'foo' }
+    })
+
+    vm.$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(target.firstChild).toBe(originalNode)
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<p>bar</p><!--teleport anchor--><i>b</i><!--teleport anchor-->')
+      expect(target.firstChild).toBe(originalNode)
+      document.body.removeChild(target)
+    }).then(done)
+  })
+
+  it('should hydrate a root instance with multiple root nodes', done => {
+    // 与 renderToString 对根片段的输出一致：标记渲染在片段的第一个子节点上
+    const container = document.createElement('div')
+    container.innerHTML = '<!--[--><p data-server-rendered="true">foo</p><span>bar</span><!--]-->'
+    const p = container.querySelector('p')
+    const vm = new Vue({
+      data: { msg: 'foo' },
+      template: '<p>{{ msg }}</p><span>bar</span>'
+    }).$mount(p)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$el).toBe(p)
+    expect(vm._vnode.elm).toBe(container.firstChild)
+    vm.msg = 'baz'
+    waitForUpdate(() => {
+      expect(container.innerHTML).toBe('<!--[--><p>baz</p><span>bar</span><!--]-->')
+      expect(container.querySelector('p')).toBe(p)
+    }).then(done)
+  })
+
+  it('should replace the whole root fragment when hydration fails', () => {
+    const container = document.createElement('div')
+    container.innerHTML = '<!--[--><p data-server-rendered="true">foo</p><span>bar</span><!--]-->'
+    const vm = new Vue({
+      template: '<p>foo</p><i>baz</i>'
+    }).$mount(container.querySelector('p'))
+    expect('not matching server-rendered content').toHaveBeenWarned()
+    expect(container.innerHTML).toBe('<p>foo</p><i>baz</i>')
+    expect(vm.$el).toBe(container.querySelector('p'))
+  })
+
+  it('should warn failed hydration for non-matching fragment', () => {
+    const dom = createMockSSRDOM('<b></b><i></i>')
+
+    new Vue({
+      template: '<div><test></test></div>',
+      components: {
+        test: {
+          template: '<b></b><i></i>'
+        }
+      }
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').toHaveBeenWarned()
+  })
+
   it('should warn failed hydration for non-matching DOM in child component', () => {
     const dom = createMockSSRDOM('<div><span></span></div>')
 
@@ -161,6 +268,125 @@ describe('vdom patch: hydration', () => {
     expect('Unknown custom element: <foo>').toHaveBeenWarned()
   })
 
+  it('should report mismatch details with DOM path and component trace', () => {
+    const dom = createMockSSRDOM('<div><span></span></div>')
+
+    new Vue({
+      template: '<div><test></test></div>',
+      components: {
+        test: {
+          name: 'test',
+          template: '<div><a></a></div>'
+        }
+      }
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').toHaveBeenWarned()
+    expect('- at div > div > span: expected <a>, found <span>').toHaveBeenWarned()
+    expect('---> <Test>').toHaveBeenWarned()
+  })
+
+  it('should report mismatching child nodes', () => {
+    const dom = createMockSSRDOM('<ul><li>1</li></ul>')
+
+    new Vue({
+      template: '<div><ul><li v-for="i in 2">{{ i }}</li></ul></div>'
+    }).$mount(dom)
+
+    expect('- at div > ul: expected <li> as child node 2, found nothing').toHaveBeenWarned()
+  })
+
+  it('should report mismatching attributes and class', () => {
+    const dom = createMockSSRDOM('<p title="a" class="x">hi</p>')
+
+    new Vue({
+      data: { title: 'b' },
+      template: '<div><p :title="title" class="x y">hi</p></div>'
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect('Hydration found mismatches').toHaveBeenWarned()
+    expect('- at div > p: expected attribute title="b", found title="a"').toHaveBeenWarned()
+    expect('- at div > p: expected class "x y", found "x"').toHaveBeenWarned()
+  })
+
+  describe('with hydrationRecovery', () => {
+    beforeEach(() => {
+      Vue.config.hydrationRecovery = true
+    })
+
+    afterEach(() => {
+      Vue.config.hydrationRecovery = false
+    })
+
+    it('should only re-create the mismatching node', done => {
+      const dom = createMockSSRDOM('<span>foo</span><div><span></span></div><p>foo</p>')
+      const span = dom.children[0]
+      const div = dom.children[1]
+      const p = dom.children[2]
+
+      const vm = new Vue({
+        data: { msg: 'foo' },
+        template: '<div><span>{{ msg }}</span><div><a></a></div><p>{{ msg }}</p></div>'
+      }).$mount(dom)
+
+      expect('the mismatching nodes have been re-created').toHaveBeenWarned()
+      expect(vm.$el).toBe(dom)
+      expect(dom.innerHTML).toBe('<span>foo</span><div><a></a></div><p>foo</p>')
+      expect(dom.children[0]).toBe(span)
+      expect(dom.children[1]).toBe(div)
+      expect(dom.children[2]).toBe(p)
+      vm.msg = 'bar'
+      waitForUpdate(() => {
+        expect(dom.innerHTML).toBe('<span>bar</span><div><a></a></div><p>bar</p>')
+      }).then(done)
+    })
+
+    it('should re-create missing and remove extra child nodes', done => {
+      const dom = createMockSSRDOM('<ul><li>1</li></ul><ol><li>1</li><li>2</li></ol>')
+      const li = dom.querySelector('li')
+
+      const vm = new Vue({
+        data: { n: 2, m: 1 },
+        template: '<div><ul><li v-for="i in n">{{ i }}</li></ul><ol><li v-for="i in m">{{ i }}</li></ol></div>'
+      }).$mount(dom)
+
+      expect('the mismatching nodes have been re-created').toHaveBeenWarned()
+      expect(dom.innerHTML).toBe('<ul><li>1</li><li>2</li></ul><ol><li>1</li></ol>')
+      expect(dom.querySelector('li')).toBe(li)
+      vm.n = 3
+      waitForUpdate(() => {
+        expect(dom.innerHTML).toBe('<ul><li>1</li><li>2</li><li>3</li></ul><ol><li>1</li></ol>')
+      }).then(done)
+    })
+
+    it('should correct mismatching attributes', () => {
+      const dom = createMockSSRDOM('<p title="a" class="x">hi</p>')
+
+      new Vue({
+        data: { title: 'b' },
+        template: '<div><p :title="title" class="x y">hi</p></div>'
+      }).$mount(dom)
+
+      expect('Hydration found mismatches').toHaveBeenWarned()
+      expect(dom.innerHTML).toBe('<p title="b" class="x y">hi</p>')
+    })
+
+    it('should re-create the root node', () => {
+      const dom = createMockSSRDOM('<span>foo</span>')
+      const container = document.createElement('section')
+      container.appendChild(dom)
+
+      const vm = new Vue({
+        template: '<p>foo</p>'
+      }).$mount(dom)
+
+      expect('expected <p>, found <div>').toHaveBeenWarned()
+      expect(vm.$el.tagName).toBe('P')
+      expect(container.innerHTML).toBe('<p>foo</p>')
+    })
+  })
+
   it('should overwrite textNodes in the correct position but with mismatching text without warning', () => {
     const dom = createMockSSRDOM('<div><span>foo</span></div>')
 
@@ -388,4 +614,139 @@ describe('vdom patch: hydration', () => {
       expect(dom.children[0].className).toBe('bar')
     }).then(done)
   })
+
+  describe('lazy hydration', () => {
+    function createLazyChild (hydrate, mounted) {
+      return {
+        hydrate,
+        props: ['msg'],
+        data: () => ({ count: 0 }),
+        template: '<button @click="count++">{{ msg }} {{ count }}</button>',
+        mounted
+      }
+    }
+
+    it('should keep markup inert until the parent updates with "never"', done => {
+      const dom = createMockSSRDOM('<button>foo 0</button><span>foo</span>')
+      const button = dom.children[0]
+      const mounted = jasmine.createSpy('mounted')
+
+      const vm = new Vue({
+        data: { msg: 'foo' },
+        template: '<div><child :msg="msg"></child><span>{{ msg }}</span></div>',
+        components: { child: createLazyChild('never', mounted) }
+      }).$mount(dom)
+
+      expect(vm.$children.length).toBe(0)
+      triggerEvent(button, 'click')
+      waitForUpdate(() => {
+        expect(button.textContent).toBe('foo 0')
+        expect(mounted).not.toHaveBeenCalled()
+        vm.msg = 'bar'
+      }).then(() => {
+        expect(mounted).toHaveBeenCalled()
+        expect(vm.$children[0].$el).toBe(button)
+        expect(dom.innerHTML).toBe('<button>bar 0</button><span>bar</span>')
+      }).then(done)
+    })
+
+    it('should hydrate on first interaction and handle the event', done => {
+      const dom = createMockSSRDOM('<button>foo 0</button>')
+      const button = dom.children[0]
+
+      const vm = new Vue({
+        template: '<div><child msg="foo"></child></div>',
+        components: { child: createLazyChild('interaction') }
+      }).$mount(dom)
+
+      expect(vm.$children.length).toBe(0)
+      triggerEvent(button, 'click')
+      expect(vm.$children.length).toBe(1)
+      expect(vm.$children[0].$el).toBe(button)
+      waitForUpdate(() => {
+        expect(button.textContent).toBe('foo 1')
+      }).then(done)
+    })
+
+    it('should hydrate when idle', done => {
+      const dom = createMockSSRDOM('<button>foo 0</button>')
+      const mounted = jasmine.createSpy('mounted')
+
+      const vm = new Vue({
+        template: '<div><child msg="foo"></child></div>',
+        components: { child: createLazyChild('idle', mounted) }
+      }).$mount(dom)
+
+      expect(mounted).not.toHaveBeenCalled()
+      setTimeout(() => {
+        expect(mounted).toHaveBeenCalled()
+        expect(vm.$children[0].$parent).toBe(vm)
+        expect(vm.$children[0].$el).toBe(dom.children[0])
+        done()
+      }, 50)
+    })
+
+    it('should hydrate when visible', () => {
+      const original = window.IntersectionObserver
+      const observed = []
+      let callback
+      window.IntersectionObserver = function (cb) {
+        callback = cb
+        this.observe = el => observed.push(el)
+        this.disconnect = () => { observed.length = 0 }
+      }
+      const dom = createMockSSRDOM('<button>foo 0</button>')
+
+      const vm = new Vue({
+        template: '<div><child msg="foo"></child></div>',
+        components: { child: createLazyChild('visible') }
+      }).$mount(dom)
+
+      expect(observed).toEqual([dom.children[0]])
+      callback([{ isIntersecting: false }])
+      expect(vm.$children.length).toBe(0)
+      callback([{ isIntersecting: true }])
+      expect(vm.$children.length).toBe(1)
+      expect(observed.length).toBe(0)
+      window.IntersectionObserver = original
+    })
+
+    it('should skip and remove a fragment root before hydration', done => {
+      const dom = createMockSSRDOM('<!--[--><b>a</b><!--[--><i>b</i><!--]--><!--]--><span>foo</span>')
+
+      const vm = new Vue({
+        data: { msg: 'foo', show: true },
+        template: '<div><child v-if="show"></child><span>{{ msg }}</span></div>',
+        components: {
+          child: {
+            hydrate: 'never',
+            template: '<b>a</b><inner></inner>',
+            components: { inner: { template: '<i>b</i>' }}
+          }
+        }
+      }).$mount(dom)
+
+      expect('Hydration').not.toHaveBeenWarned()
+      vm.show = false
+      waitForUpdate(() => {
+        expect(vm.$children.length).toBe(0)
+        expect(dom.innerHTML).toBe('<!----><span>foo</span>')
+        vm.msg = 'bar'
+      }).then(() => {
+        expect(dom.innerHTML).toBe('<!----><span>bar</span>')
+      }).then(done)
+    })
+
+    it('should hydrate eagerly on invalid option', () => {
+      const dom = createMockSSRDOM('<button>foo 0</button>')
+
+      const vm = new Vue({
+        template: '<div><child msg="foo"></child></div>',
+        components: { child: createLazyChild('later') }
+      }).$mount(dom)
+
+      expect('Invalid hydrate option: "later"').toHaveBeenWarned()
+      expect(vm.$children[0].$el).toBe(dom.children[0])
+    })
+  })
 })
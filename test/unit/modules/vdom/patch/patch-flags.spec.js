@@ -0,0 +1,172 @@
+import Vue from 'vue'
+import { PATCH_FLAGS } from 'shared/constants'
+
+function mount (template, options) {
+  const { render, staticRenderFns } = Vue.compile(template, { patchFlags: true })
+  return new Vue(Object.assign({ render, staticRenderFns }, options)).$mount()
+}
+
+describe('vdom patch: patch flags', () => {
+  it('should collect dynamic descendants into the block', () => {
+    const vm = mount(`
+      <div id="pf-collect">
+        <p class="a">static</p>
+        <p :class="cls">{{ msg }}</p>
+        <span :title="title" lang="en">text</span>
+      </div>
+    `, {
+      data: { cls: 'c', msg: 'hi', title: 't' }
+    })
+    const block = vm._vnode
+    expect(typeof block.blockId).toBe('number')
+    expect(block.dynamicChildren.map(vnode => vnode.patchFlag)).toEqual([
+      PATCH_FLAGS.TEXT,
+      PATCH_FLAGS.CLASS,
+      PATCH_FLAGS.PROPS
+    ])
+    expect(block.dynamicChildren[2].dynamicProps).toEqual(['title'])
+  })
+
+  it('should update flagged bindings', done => {
+    const vm = mount(`
+      <div id="pf-update">
+        <p class="a" :class="cls" :style="{ color }">{{ msg }}</p>
+        <a :href="url" title="link" @click="onClick">go</a>
+        <b v-text="msg"></b>
+      </div>
+    `, {
+      data: { cls: 'b', color: 'red', msg: 'foo', url: '/foo', onClick: () => {} }
+    })
+    const p = vm.$el.children[0]
+    const a = vm.$el.children[1]
+    expect(p.className).toBe('a b')
+    expect(p.style.color).toBe('red')
+    expect(a.getAttribute('href')).toBe('/foo')
+    const spy = jasmine.createSpy('click')
+    vm.cls = 'c'
+    vm.color = 'blue'
+    vm.msg = 'bar'
+    vm.url = '/bar'
+    vm.onClick = spy
+    waitForUpdate(() => {
+      expect(p.className).toBe('a c')
+      expect(p.style.color).toBe('blue')
+      expect(p.textContent).toBe('bar')
+      expect(a.getAttribute('href')).toBe('/bar')
+      expect(a.getAttribute('title')).toBe('link')
+      expect(vm.$el.children[2].textContent).toBe('bar')
+      triggerEvent(a, 'click')
+      expect(spy).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should only compare listed props', done => {
+    const vm = mount('<div id="pf-props"><span :title="title" lang="en">text</span></div>', {
+      data: { title: 'a' }
+    })
+    const span = vm.$el.firstChild
+    // 静态属性不在列表中，不会被重新比较
+    span.setAttribute('lang', 'fr')
+    vm.title = 'b'
+    waitForUpdate(() => {
+      expect(span.getAttribute('title')).toBe('b')
+      expect(span.getAttribute('lang')).toBe('fr')
+    }).then(done)
+  })
+
+  it('should replace a tracked node when its key changes', done => {
+    const vm = mount('<div id="pf-key"><p>static</p><span :key="k">{{ k }}</span></div>', {
+      data: { k: 1 }
+    })
+    const span = vm.$el.children[1]
+    vm.k = 2
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>static</p><span>2</span>')
+      expect(vm.$el.children[1]).not.toBe(span)
+    }).then(done)
+  })
+
+  it('should keep v-model working', done => {
+    const vm = mount('<div id="pf-model"><input v-model="text"><p>{{ text }}</p></div>', {
+      data: { text: 'a' }
+    })
+    const input = vm.$el.firstChild
+    expect(input.value).toBe('a')
+    input.value = 'b'
+    triggerEvent(input, 'input')
+    waitForUpdate(() => {
+      expect(vm.$el.lastChild.textContent).toBe('b')
+      vm.text = 'c'
+    }).then(() => {
+      expect(input.value).toBe('c')
+    }).then(done)
+  })
+
+  it('should update components and their slot content', done => {
+    const vm = mount('<div id="pf-comp"><p>static</p><test :msg="msg"><b>{{ slot }}</b></test></div>', {
+      data: { msg: 'a', slot: 'x' },
+      components: {
+        test: {
+          props: ['msg'],
+          template: '<div>{{ msg }}<slot></slot></div>'
+        }
+      }
+    })
+    expect(vm.$el.innerHTML).toBe('<p>static</p><div>a<b>x</b></div>')
+    vm.msg = 'b'
+    vm.slot = 'y'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>static</p><div>b<b>y</b></div>')
+    }).then(done)
+  })
+
+  it('should update slot content re-created from reused nodes', done => {
+    const vm = mount('<div id="pf-reused"><test ref="test"><section><p>{{ msg }}</p></section></test></div>', {
+      data: { msg: 'a' },
+      components: {
+        test: {
+          data: () => ({ show: true }),
+          template: '<div><slot v-if="show"></slot></div>'
+        }
+      }
+    })
+    expect(vm.$el.innerHTML).toBe('<div><section><p>a</p></section></div>')
+    vm.$refs.test.show = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<div><!----></div>')
+      vm.$refs.test.show = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<div><section><p>a</p></section></div>')
+      vm.msg = 'b'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<div><section><p>b</p></section></div>')
+      vm.msg = 'c'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<div><section><p>c</p></section></div>')
+    }).then(done)
+  })
+
+  it('should fully diff functional components and unknown elements', done => {
+    Vue.config.ignoredElements = ['unknown-el']
+    const vm = mount(`
+      <div id="pf-functional"><p>static</p><multi :n="n"></multi><unknown-el><i>{{ n }}</i></unknown-el></div>
+    `, {
+      data: { n: 1 },
+      components: {
+        multi: {
+          functional: true,
+          render: (h, { props }) => Array.from({ length: props.n }, (_, i) => h('span', i))
+        }
+      }
+    })
+    expect(vm.$el.textContent).toBe('static01')
+    vm.n = 3
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('static0123')
+      vm.n = 0
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('static0')
+      Vue.config.ignoredElements = []
+    }).then(done)
+  })
+})
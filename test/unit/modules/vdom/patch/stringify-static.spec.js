@@ -0,0 +1,108 @@
+import Vue from 'vue'
+import renderToString from 'web/entry-server-basic-renderer'
+import { SSR_ATTR } from 'shared/constants'
+
+function compile (template, options) {
+  const { render, staticRenderFns } = Vue.compile(template, Object.assign({ stringifyStatic: 3 }, options))
+  return { render, staticRenderFns }
+}
+
+describe('vdom patch: stringified static trees', () => {
+  it('should create stringified trees via innerHTML', done => {
+    const vm = new Vue(Object.assign({
+      data: { msg: 'foo' }
+    }, compile(
+      `<div><section class="a"><h1 title="a &quot;b&quot;">Title</h1><p>a &lt; b</p><br><ul><li>1</li><li>2</li></ul></section>` +
+      `<span>{{ msg }}</span></div>`
+    ))).$mount()
+    const section = vm.$el.firstChild
+    expect(vm._vnode.children[0].children).toBeUndefined()
+    expect(vm.$el.innerHTML).toBe(
+      `<section class="a"><h1 title="a &quot;b&quot;">Title</h1><p>a &lt; b</p><br><ul><li>1</li><li>2</li></ul></section>` +
+      `<span>foo</span>`
+    )
+    const h1 = section.firstChild
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.firstChild).toBe(section)
+      expect(section.firstChild).toBe(h1)
+      expect(vm.$el.lastChild.textContent).toBe('bar')
+    }).then(done)
+  })
+
+  it('should create svg elements in the svg namespace', () => {
+    const vm = new Vue(Object.assign({ data: { msg: 'foo' } }, compile(
+      `<div><svg viewBox="0 0 10 10"><g><circle r="1"></circle><rect width="2"></rect></g></svg>{{ msg }}</div>`
+    ))).$mount()
+    const svg = vm.$el.firstChild
+    expect(svg.namespaceURI).toBe('http://www.w3.org/2000/svg')
+    expect(svg.querySelector('circle').namespaceURI).toBe('http://www.w3.org/2000/svg')
+    expect(svg.querySelector('rect').getAttribute('width')).toBe('2')
+  })
+
+  it('should add the scope id to stringified elements', () => {
+    const Comp = Vue.extend(Object.assign({ _scopeId: 'data-v-1' }, compile(
+      `<div><section><p>a</p><p>b<b>c</b></p></section>{{ msg }}</div>`
+    )))
+    const vm = new Comp({ data: { msg: 'foo' } }).$mount()
+    const section = vm.$el.firstChild
+    expect(section.hasAttribute('data-v-1')).toBe(true)
+    expect(section.querySelectorAll('[data-v-1]').length).toBe(3)
+  })
+
+  it('should hydrate stringified trees', done => {
+    const dom = document.createElement('div')
+    dom.innerHTML = `<div ${SSR_ATTR}="true"><svg><g><circle r="1"></circle><circle r="2"></circle></g></svg><span>foo</span></div>`
+    const el = dom.firstChild
+    const circle = el.querySelector('circle')
+    const vm = new Vue(Object.assign({
+      data: { msg: 'foo' }
+    }, compile(`<div><svg><g><circle r="1"></circle><circle r="2"></circle></g></svg><span>{{ msg }}</span></div>`))).$mount(el)
+    expect(vm.$el).toBe(el)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    // the server-rendered elements are kept
+    expect(el.querySelector('circle')).toBe(circle)
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(el.innerHTML).toBe('<svg><g><circle r="1"></circle><circle r="2"></circle></g></svg><span>bar</span>')
+      expect(el.querySelector('circle')).toBe(circle)
+    }).then(done)
+  })
+
+  it('should hydrate stringified trees rendered by renderToString', done => {
+    const template =
+      `<div><section><p title="t" class="a" style="color: red; margin: 0">a</p>` +
+      `<input type="checkbox" disabled><p draggable>b &amp; c</p></section><span>{{ msg }}</span></div>`
+    renderToString(new Vue({ template, data: { msg: 'foo' }}), (err, html) => {
+      expect(err).toBeNull()
+      const dom = document.createElement('div')
+      dom.innerHTML = html
+      const el = dom.firstChild
+      const p = el.querySelector('p')
+      const vm = new Vue(Object.assign({
+        data: { msg: 'foo' }
+      }, compile(template))).$mount(el)
+      expect(vm.$el).toBe(el)
+      expect('not matching server-rendered content').not.toHaveBeenWarned()
+      expect('Hydration found mismatches').not.toHaveBeenWarned()
+      // the server-rendered elements are kept
+      expect(el.querySelector('p')).toBe(p)
+      vm.msg = 'bar'
+      waitForUpdate(() => {
+        expect(el.lastChild.textContent).toBe('bar')
+        expect(el.querySelector('p')).toBe(p)
+      }).then(done)
+    })
+  })
+
+  it('should work with hoisted static trees', () => {
+    const Comp = Vue.extend(compile(
+      `<div><section><p>a</p><p>b</p><p>c</p></section>{{ msg }}</div>`,
+      { hoistStatic: true }
+    ))
+    const vms = ['a', 'b'].map(msg => new Comp({ data: { msg } }).$mount())
+    expect(vms[0].$el.innerHTML).toBe('<section><p>a</p><p>b</p><p>c</p></section>a')
+    expect(vms[1].$el.innerHTML).toBe('<section><p>a</p><p>b</p><p>c</p></section>b')
+    expect(vms[0].$el.querySelector('p')).not.toBe(vms[1].$el.querySelector('p'))
+  })
+})
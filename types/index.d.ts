@@ -5,7 +5,17 @@ export default Vue;
 
 export {
   CreateElement,
-  VueConstructor
+  VueConstructor,
+  RendererOptions,
+  RendererNodeOps,
+  RendererModule,
+  Ref,
+  ComputedRef,
+  WritableComputedOptions,
+  StopHandle,
+  WatchSource,
+  DeepReadonly,
+  EffectScope
 } from "./vue";
 
 export {
@@ -17,6 +27,10 @@ export {
   PropType,
   PropOptions,
   ComputedOptions,
+  SetupContext,
+  DebuggerEvent,
+  DebuggerOptions,
+  OnCleanup,
   WatchHandler,
   WatchOptions,
   WatchOptionsWithHandler,
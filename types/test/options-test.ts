@@ -147,7 +147,10 @@ Vue.component('component', {
       set(v: number) {
         this.a = v - 1;
       },
-      cache: false
+      cache: false,
+      onTrigger(e) {
+        e.oldValue
+      }
     }
   },
   methods: {
@@ -171,7 +174,17 @@ Vue.component('component', {
     },
     d: {
       handler: 'someMethod',
-      immediate: true
+      immediate: true,
+      flush: 'post'
+    },
+    e: {
+      handler: 'someMethod',
+      onTrack(e) {
+        e.target
+      },
+      onTrigger(e) {
+        e.newValue
+      }
     }
   },
   el: "#app",
@@ -258,6 +271,13 @@ Vue.component('component', {
   serverPrefetch () {
     return Promise.resolve()
   },
+  renderTracked(e) {
+    e.target
+    e.key
+  },
+  renderTriggered(e) {
+    e.type === 'array-mutation'
+  },
 
   directives: {
     a: {
@@ -292,7 +312,8 @@ Vue.component('component', {
   mixins: [Vue.component(""), ({} as ComponentOptions<Vue>)],
   name: "Component",
   extends: {} as ComponentOptions<Vue>,
-  delimiters: ["${", "}"]
+  delimiters: ["${", "}"],
+  hydrate: "visible"
 });
 
 
@@ -326,12 +347,44 @@ Vue.component('provide-function', {
   })
 })
 
+Vue.component('setup-bindings', {
+  props: {
+    initial: Number
+  },
+  setup (props, { attrs, emit }) {
+    const count = Vue.ref(props.initial)
+    Vue.onMounted(() => {
+      emit('mounted', attrs.id)
+    })
+    return { count }
+  }
+})
+
+Vue.component('setup-render', {
+  setup () {
+    return (h: CreateElement) => h('div')
+  }
+})
+
+Vue.component('setup-async', {
+  async setup () {
+    const count = Vue.ref(0)
+    return { count }
+  }
+})
+
 Vue.component('component-with-slot', {
   render (h): VNode {
     return h('div', this.$slots.default)
   }
 })
 
+Vue.component('component-with-fragment', {
+  render (h): VNode[] {
+    return [h('dt'), h('dd')]
+  }
+})
+
 Vue.component('component-with-scoped-slot', {
   render (h) {
     interface ScopedSlotProps {
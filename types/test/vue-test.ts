@@ -43,7 +43,11 @@ class Test extends Vue {
       immediate: true,
       deep: false
     })();
-    this.$watch(() => this.a, (val: number) => {});
+    this.$watch(() => this.a, (val: number) => {}, { flush: "sync" });
+    this.$watch([() => this.a, "a"] as const, ([a, b], [oldA], onCleanup) => {
+      const n: number = a;
+      onCleanup(() => {});
+    });
     this.$on("", () => {});
     this.$once("", () => {});
     this.$off("", () => {});
@@ -75,6 +79,8 @@ class Test extends Vue {
     config.keyCodes = { esc: 27 };
     config.ignoredElements = ['foo', /^ion-/];
     config.async = false
+    config.reactivity = 'proxy'
+    config.hydrationRecovery = true
   }
 
   static testMethods() {
@@ -115,6 +121,44 @@ class Test extends Vue {
   }
 }
 
+interface CanvasNode {
+  tag: string;
+  parent: CanvasNode | null;
+  children: CanvasNode[];
+}
+
+const createCanvasNode = (tag: string): CanvasNode => ({ tag, parent: null, children: [] });
+
+const CanvasRenderer = Vue.createRenderer<CanvasNode, CanvasNode>({
+  nodeOps: {
+    createElement: tag => createCanvasNode(tag),
+    createElementNS: (ns, tag) => createCanvasNode(tag),
+    createTextNode: () => createCanvasNode("#text"),
+    createComment: () => createCanvasNode("#comment"),
+    insertBefore(parent, node, reference) {
+      node.parent = parent;
+      parent.children.splice(reference ? parent.children.indexOf(reference) : parent.children.length, 0, node);
+    },
+    removeChild(parent, node) {
+      parent.children.splice(parent.children.indexOf(node), 1);
+    },
+    appendChild(parent, node) {
+      node.parent = parent;
+      parent.children.push(node);
+    },
+    parentNode: node => node.parent,
+    nextSibling: node => node.parent && node.parent.children[node.parent.children.indexOf(node) + 1] || null,
+    tagName: node => node.tag,
+    setTextContent() {},
+    setStyleScope() {}
+  },
+  modules: [{
+    create(oldVnode, vnode) {}
+  }],
+  isReservedTag: tag => tag === "rect"
+});
+new CanvasRenderer({ render: h => h("rect") }).$mount();
+
 const HelloWorldComponent = Vue.extend({
   props: ["name"],
   data() {
@@ -214,6 +258,39 @@ class Decorated extends Vue {
 const obj = Vue.observable({ a: 1 })
 obj.a++
 
+const state = Vue.reactive({ count: 0 })
+const shallowState = Vue.shallowReactive({ nested: { count: 0 } })
+const payload = Vue.markRaw({ items: [1, 2, 3] })
+const readonlyState = Vue.readonly({ nested: { count: 0 } })
+const readonlyCount: number = readonlyState.nested.count
+const shallowReadonlyState = Vue.shallowReadonly(shallowState)
+shallowReadonlyState.nested.count++
+state.count++
+const count = Vue.ref(0)
+count.value++
+const double = Vue.computed(() => count.value * 2)
+const doubled: number = double.value
+const writable = Vue.computed({
+  get: () => count.value,
+  set: (val: number) => { count.value = val }
+})
+writable.value = 1
+const unwrapped: number = Vue.unref(count)
+if (Vue.isRef(count)) {
+  count.value++
+}
+const stopEffect = Vue.effect(() => { state.count })
+stopEffect()
+Vue.watchEffect(() => { count.value })()
+const scope = Vue.effectScope()
+const scoped: number | undefined = scope.run(() => {
+  Vue.watchEffect(() => { count.value })
+  return 1
+})
+if (scope.active && Vue.getCurrentScope() !== scope) {
+  scope.stop()
+}
+
 // VNodeData style tests.
 const ComponentWithStyleInVNodeData = Vue.extend({
   render (h) {
@@ -28,6 +28,7 @@ export interface VNode {
   isStatic?: boolean;
   isRootInsert: boolean;
   isComment: boolean;
+  isFragment?: boolean;
 }
 
 export interface VNodeComponentOptions {
@@ -11,6 +11,8 @@ import {
   ThisTypedComponentOptionsWithArrayProps,
   ThisTypedComponentOptionsWithRecordProps,
   WatchOptions,
+  DebuggerEvent,
+  OnCleanup,
 } from "./options";
 import { VNode, VNodeData, VNodeChildren, NormalizedScopedSlot } from "./vnode";
 import { PluginFunction, PluginObject } from "./plugin";
@@ -44,12 +46,17 @@ export interface Vue {
   $delete: typeof Vue.delete;
   $watch(
     expOrFn: string,
-    callback: (this: this, n: any, o: any) => void,
+    callback: (this: this, n: any, o: any, onCleanup: OnCleanup) => void,
     options?: WatchOptions
   ): (() => void);
   $watch<T>(
     expOrFn: (this: this) => T,
-    callback: (this: this, n: T, o: T) => void,
+    callback: (this: this, n: T, o: T, onCleanup: OnCleanup) => void,
+    options?: WatchOptions
+  ): (() => void);
+  $watch<T extends Readonly<WatchSource[]>>(
+    sources: T,
+    callback: (this: this, n: MapSources<T>, o: MapSources<T>, onCleanup: OnCleanup) => void,
     options?: WatchOptions
   ): (() => void);
   $on(event: string | string[], callback: Function): this;
@@ -61,6 +68,45 @@ export interface Vue {
   $createElement: CreateElement;
 }
 
+export interface Ref<T = any> {
+  value: T;
+}
+
+export interface ComputedRef<T = any> extends Ref<T> {
+  readonly value: T;
+}
+
+export interface WritableComputedOptions<T> {
+  get(): T;
+  set(value: T): void;
+}
+
+export type StopHandle = () => void;
+
+export type WatchSource<T = any> = string | Ref<T> | (() => T) | object;
+
+export type MapSources<T> = {
+  [K in keyof T]: T[K] extends Ref<infer V>
+    ? V
+    : T[K] extends () => infer R
+      ? R
+      : T[K] extends string
+        ? any
+        : T[K];
+};
+
+export type DeepReadonly<T> = T extends Function
+  ? T
+  : T extends object
+    ? { readonly [K in keyof T]: DeepReadonly<T[K]> }
+    : T;
+
+export interface EffectScope {
+  readonly active: boolean;
+  run<T>(fn: () => T): T | undefined;
+  stop(): void;
+}
+
 export type CombinedVueInstance<Instance extends Vue, Data, Methods, Computed, Props> =  Data & Methods & Computed & Props & Instance;
 export type ExtendedVue<Instance extends Vue, Data, Methods, Computed, Props> = VueConstructor<CombinedVueInstance<Instance, Data, Methods, Computed, Props> & Vue>;
 
@@ -75,6 +121,40 @@ export interface VueConfiguration {
   ignoredElements: (string | RegExp)[];
   keyCodes: { [key: string]: number | number[] };
   async: boolean;
+  reactivity: 'defineProperty' | 'proxy';
+  hydrationRecovery: boolean;
+}
+
+export interface RendererNodeOps<HostNode = any, HostElement = any> {
+  createElement(tagName: string, vnode: VNode): HostElement;
+  createElementNS(namespace: string, tagName: string): HostElement;
+  createTextNode(text: string): HostNode;
+  createComment(text: string): HostNode;
+  insertBefore(parent: HostElement, node: HostNode, reference: HostNode | null): void;
+  removeChild(parent: HostElement, node: HostNode): void;
+  appendChild(parent: HostElement, node: HostNode): void;
+  parentNode(node: HostNode): HostElement | null;
+  nextSibling(node: HostNode): HostNode | null;
+  tagName(node: HostElement): string;
+  setTextContent(node: HostNode, text: string): void;
+  setStyleScope(node: HostElement, scopeId: string): void;
+}
+
+export interface RendererModule {
+  create?(oldVnode: VNode, vnode: VNode): void;
+  activate?(oldVnode: VNode, vnode: VNode): void;
+  update?(oldVnode: VNode, vnode: VNode): void;
+  remove?(vnode: VNode, remove: () => void): void;
+  destroy?(vnode: VNode): void;
+}
+
+export interface RendererOptions<HostNode = any, HostElement = any> {
+  nodeOps: RendererNodeOps<HostNode, HostElement>;
+  modules?: RendererModule[];
+  mustUseProp?(tag: string, type: string | undefined, name: string): boolean;
+  isReservedTag?(tag: string): boolean;
+  getTagNamespace?(tag: string): string | undefined;
+  isUnknownElement?(tag: string): boolean;
 }
 
 export interface VueConstructor<V extends Vue = Vue> {
@@ -118,8 +198,37 @@ export interface VueConstructor<V extends Vue = Vue> {
     render(createElement: typeof Vue.prototype.$createElement): VNode;
     staticRenderFns: (() => VNode)[];
   };
+  createRenderer<HostNode = any, HostElement = any>(options: RendererOptions<HostNode, HostElement>): VueConstructor<V>;
 
   observable<T>(obj: T): T;
+  reactive<T extends object>(obj: T): T;
+  shallowReactive<T extends object>(obj: T): T;
+  readonly<T extends object>(obj: T): DeepReadonly<T>;
+  shallowReadonly<T extends object>(obj: T): Readonly<T>;
+  markRaw<T extends object>(obj: T): T;
+  ref<T>(value: T): Ref<T>;
+  isRef<T>(value: Ref<T> | unknown): value is Ref<T>;
+  unref<T>(value: T | Ref<T>): T;
+  computed<T>(getter: () => T): ComputedRef<T>;
+  computed<T>(options: WritableComputedOptions<T>): Ref<T>;
+  effect(fn: () => void): StopHandle;
+  watchEffect(fn: () => void): StopHandle;
+  effectScope(detached?: boolean): EffectScope;
+  getCurrentScope(): EffectScope | null | undefined;
+
+  getCurrentInstance(): Vue | null;
+  onBeforeMount(fn: () => void): void;
+  onMounted(fn: () => void): void;
+  onBeforeUpdate(fn: () => void): void;
+  onUpdated(fn: () => void): void;
+  onBeforeUnmount(fn: () => void): void;
+  onUnmounted(fn: () => void): void;
+  onActivated(fn: () => void): void;
+  onDeactivated(fn: () => void): void;
+  onErrorCaptured(fn: (err: Error, vm: Vue, info: string) => boolean | void): void;
+  onServerPrefetch(fn: () => Promise<any>): void;
+  onRenderTracked(fn: (event: DebuggerEvent) => void): void;
+  onRenderTriggered(fn: (event: DebuggerEvent) => void): void;
 
   util: {
     warn(msg: string, vm?: InstanceType<VueConstructor>): void;